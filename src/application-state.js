@@ -16,8 +16,10 @@
 
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
-const sauceConnectLauncher = require('sauce-connect-launcher');
+
+const DEFAULT_CONFIG_FILE_NAME = '.selenium-assistant.json';
 
 /**
  * This class is a super basic class that stores shared state across the
@@ -32,6 +34,9 @@ class ApplicationState {
    */
   constructor() {
     this._installDir = this.getDefaultInstallLocation();
+    this._downloadMirrors = null;
+    this._artifactCacheDir = null;
+    this._configPath = null;
   }
 
   /**
@@ -77,78 +82,131 @@ class ApplicationState {
   }
 
   /**
-   * Before attempting to use a Saucelabs browser, you must
-   * call this method with your Saucelabs Username and Access Key.
-   * @param {String} username Your Saucelabs username.
-   * @param {String} accessKey Your Saucelabs accessKey.
+   * <p>Download mirrors replace the default download URLs. The mirrors are
+   * keyed by 'chrome', 'chromium', 'firefox', 'opera', 'chromedriver' or
+   * 'geckodriver' and each value is either a URL template or an object keyed
+   * by platform ('linux', 'darwin') whose values are a URL template or an
+   * object keyed by release ('stable', 'beta', 'unstable', a pinned version,
+   * a Chromium revision or 'default').</p>
+   *
+   * <p>Templates can use {url}, {host}, {path}, {filename}, {browserId},
+   * {release} and {platform}.</p>
+   *
+   * @param {Object} mirrors The mirror configuration, pass in null to use the
+   * SELENIUM_ASSISTANT_MIRRORS and SELENIUM_ASSISTANT_<ID>_MIRROR environment
+   * variables.
    */
-  setSaucelabsDetails(username, accessKey) {
-    this._saucelabs = this._saucelabs || {};
-    this._saucelabs.username = username;
-    this._saucelabs.accessKey = accessKey;
+  setDownloadMirrors(mirrors) {
+    this._downloadMirrors = mirrors || null;
   }
 
   /**
-   * @return {Object} Returns an object containing the username and accessKey
-   * for saucelabs.
+   * @return {Object} The mirror configuration set with
+   * {@link setDownloadMirrors} or from the environment variables.
    */
-  getSaucelabsDetails() {
-    if (!this._saucelabs) {
-      throw new Error('Saucelab details not defined.');
+  getDownloadMirrors() {
+    if (this._downloadMirrors) {
+      return this._downloadMirrors;
+    }
+
+    let mirrors = {};
+    const mirrorsConfig = process.env.SELENIUM_ASSISTANT_MIRRORS;
+    if (mirrorsConfig) {
+      // The config can either be the JSON itself or a path to a JSON file.
+      const mirrorsJSON = mirrorsConfig.trim().indexOf('{') === 0 ?
+        mirrorsConfig : fs.readFileSync(mirrorsConfig).toString();
+      try {
+        mirrors = JSON.parse(mirrorsJSON);
+      } catch (err) {
+        throw new Error(`Unable to parse SELENIUM_ASSISTANT_MIRRORS: ` +
+          err.message);
+      }
     }
 
-    return this._saucelabs;
+    [
+      'chrome',
+      'chromium',
+      'firefox',
+      'opera',
+      'chromedriver',
+      'geckodriver',
+    ].forEach((mirrorId) => {
+      const envMirror = process.env[
+        `SELENIUM_ASSISTANT_${mirrorId.toUpperCase()}_MIRROR`];
+      if (envMirror) {
+        mirrors[mirrorId] = envMirror;
+      }
+    });
+
+    return mirrors;
   }
 
   /**
-   * @return {Promise} Returns a promise that resolves once the connection is
-   * open.
+   * Set a directory of pre-downloaded browser and driver archives. Archives
+   * are looked up by file name before any network request is made.
+   * @param {String} cacheDir The path of the cache directory. Pass in null
+   * to use the SELENIUM_ASSISTANT_CACHE_DIR environment variable.
    */
-  enableSaucelabsConnect() {
-    if (this._sauceConnect) {
-      return Promise.resolve();
+  setArtifactCacheDirectory(cacheDir) {
+    this._artifactCacheDir = cacheDir ? path.resolve(cacheDir) : null;
+  }
+
+  /**
+   * @return {String|null} The artifact cache directory or null if there
+   * isn't one.
+   */
+  getArtifactCacheDirectory() {
+    if (this._artifactCacheDir) {
+      return this._artifactCacheDir;
     }
 
-    return new Promise((resolve, reject) => {
-      const options = {
-        username: this._saucelabs.username,
-        accessKey: this._saucelabs.accessKey,
-        // Using tunnelIdentifier means all saucelabs browsers must define
-        // this capability
-        // tunnelIdentifier:
-        //  // Slashes in the identifier breaks a pidfile requirement
-        //  `selenium-assistant_sauce-connect-tunnel_${Date.now()}`,
-        connectRetries: 3,
-      };
-
-      sauceConnectLauncher(options, (err, sauceConnectProcess) => {
-        if (err) {
-          reject(err);
-          return;
-        }
-
-        resolve(sauceConnectProcess);
-      });
-    })
-    .then((sauceConnectProcess) => {
-      this._sauceConnect = sauceConnectProcess;
-    });
+    if (process.env.SELENIUM_ASSISTANT_CACHE_DIR) {
+      return path.resolve(process.env.SELENIUM_ASSISTANT_CACHE_DIR);
+    }
+
+    return null;
+  }
+
+  /**
+   * Set the project config file, used for provider credentials.
+   * @param {String} configPath The path of the JSON config file. Pass in
+   * null to use the SELENIUM_ASSISTANT_CONFIG environment variable or
+   * `.selenium-assistant.json` in the current directory.
+   */
+  setConfigPath(configPath) {
+    this._configPath = configPath ? path.resolve(configPath) : null;
   }
 
   /**
-   * @return {Promise} A promise that resolves once the connection is closed.
+   * @return {String} The path of the project config file.
    */
-  disableSaucelabsConnect() {
-    if (!this._sauceConnect) {
-      return Promise.resolve();
+  getConfigPath() {
+    if (this._configPath) {
+      return this._configPath;
     }
 
-    return new Promise((resolve) => {
-      this._sauceConnect.close(resolve);
-    })
-    .then(() => {
-      this._sauceConnect = null;
-    });
+    if (process.env.SELENIUM_ASSISTANT_CONFIG) {
+      return path.resolve(process.env.SELENIUM_ASSISTANT_CONFIG);
+    }
+
+    return path.resolve(DEFAULT_CONFIG_FILE_NAME);
+  }
+
+  /**
+   * @return {Object} The project config or an empty object if there isn't
+   * a config file.
+   */
+  getProjectConfig() {
+    const configPath = this.getConfigPath();
+    if (!fs.existsSync(configPath)) {
+      return {};
+    }
+
+    try {
+      return JSON.parse(fs.readFileSync(configPath).toString()) || {};
+    } catch (err) {
+      throw new Error(`Unable to parse ${configPath}: ${err.message}`);
+    }
   }
 }
 
@@ -0,0 +1,242 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const LocalChromiumBrowser = require('./local-browsers/chromium.js');
+
+const DEFAULT_MAX_UNAVAILABLE = 10;
+
+/**
+ * Finds the first bad build between a good and a bad build by installing
+ * and testing the build in the middle of the remaining range until there's
+ * nothing left between them.
+ *
+ * Builds are installed as pinned versions (or Chromium revisions) so they
+ * stay in the install directory and are reused by later steps and later
+ * bisects.
+ *
+ * Chromium snapshots are sparse, so each missing build costs a request.
+ * The bisect stops if too many builds in a row are missing.
+ *
+ * @private
+ */
+class Bisector {
+  /**
+   * @param {Object} options The options for the bisect, see
+   * {@link SeleniumAssistant#bisect}.
+   * @param {SeleniumAssistant} seleniumAssistant Used to download, launch
+   * and kill the builds.
+   * @return {Promise<Object>} Promise that resolves to the result of the
+   * bisect.
+   */
+  bisect(options, seleniumAssistant) {
+    options = options || {};
+    if (typeof options.testFn !== 'function') {
+      return Promise.reject(new Error('A testFn is required to bisect.'));
+    }
+
+    let candidates;
+    try {
+      candidates = this._getCandidates(options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    const maxUnavailable = typeof options.maxUnavailable === 'number' ?
+      options.maxUnavailable : DEFAULT_MAX_UNAVAILABLE;
+    let goodIndex = 0;
+    let badIndex = candidates.length - 1;
+    const unavailableIndexes = [];
+    let unavailableInARow = 0;
+    const result = {
+      browserId: options.browserId,
+      lastGoodVersion: candidates.getVersion(goodIndex),
+      firstBadVersion: candidates.getVersion(badIndex),
+      steps: [],
+    };
+
+    const runStep = () => {
+      const index = this._getNextIndex(goodIndex, badIndex,
+        unavailableIndexes);
+      if (index === -1) {
+        result.lastGoodVersion = candidates.getVersion(goodIndex);
+        result.firstBadVersion = candidates.getVersion(badIndex);
+        return result;
+      }
+
+      const version = candidates.getVersion(index);
+      return this._testVersion(options, version, seleniumAssistant)
+      .then((stepResult) => {
+        if (stepResult === 'good') {
+          goodIndex = index;
+        } else if (stepResult === 'bad') {
+          badIndex = index;
+        } else {
+          unavailableIndexes.push(index);
+        }
+        unavailableInARow = stepResult === 'unavailable' ?
+          unavailableInARow + 1 : 0;
+
+        const step = {version: version, result: stepResult};
+        result.steps.push(step);
+        if (typeof options.onStep === 'function') {
+          options.onStep(step);
+        }
+
+        if (unavailableInARow > maxUnavailable) {
+          throw new Error(`Stopped the bisect after ${unavailableInARow} ` +
+            `builds in a row couldn't be found between ` +
+            `${candidates.getVersion(goodIndex)} and ` +
+            `${candidates.getVersion(badIndex)}. Use the maxUnavailable ` +
+            `option to look for more.`);
+        }
+
+        return runStep();
+      });
+    };
+
+    return runStep();
+  }
+
+  /**
+   * The versions that can be tested, in order from the good version to the
+   * bad version.
+   * @param {Object} options The options for the bisect.
+   * @return {Object} An object with the `length` of the range and a
+   * `getVersion(index)` method.
+   */
+  _getCandidates(options) {
+    if (Array.isArray(options.versions)) {
+      const goodIndex = options.versions.indexOf(options.goodVersion);
+      const badIndex = options.versions.indexOf(options.badVersion);
+      if (goodIndex === -1 || badIndex === -1) {
+        throw new Error('The goodVersion and badVersion must be in the ' +
+          'list of versions.');
+      }
+      if (goodIndex >= badIndex) {
+        throw new Error('The goodVersion must come before the badVersion ' +
+          'in the list of versions.');
+      }
+
+      const versions = options.versions.slice(goodIndex, badIndex + 1);
+      return {
+        length: versions.length,
+        getVersion: (index) => versions[index],
+      };
+    }
+
+    if (options.browserId !== 'chromium') {
+      throw new Error(`A list of versions is required to bisect ` +
+        `'${options.browserId}'.`);
+    }
+
+    if (!LocalChromiumBrowser.isValidRevision(options.goodVersion) ||
+      !LocalChromiumBrowser.isValidRevision(options.badVersion)) {
+      throw new Error('The goodVersion and badVersion must be Chromium ' +
+        'revisions.');
+    }
+
+    const goodRevision = parseInt(options.goodVersion, 10);
+    const badRevision = parseInt(options.badVersion, 10);
+    if (goodRevision >= badRevision) {
+      throw new Error('The goodVersion must be an earlier revision than the ' +
+        'badVersion.');
+    }
+
+    return {
+      length: badRevision - goodRevision + 1,
+      getVersion: (index) => goodRevision + index,
+    };
+  }
+
+  /**
+   * Find the index in the middle of the range. If there's no build for it,
+   * the nearest index with a build is used instead.
+   * @param {number} goodIndex The index of the latest good version.
+   * @param {number} badIndex The index of the earliest bad version.
+   * @param {Array<number>} unavailableIndexes Indexes without a build.
+   * @return {number} The index to test next or -1 if there's nothing left
+   * to test.
+   */
+  _getNextIndex(goodIndex, badIndex, unavailableIndexes) {
+    const middleIndex = Math.floor((goodIndex + badIndex) / 2);
+    for (let offset = 0; middleIndex + offset < badIndex ||
+      middleIndex - offset > goodIndex; offset++) {
+      const laterIndex = middleIndex + offset;
+      if (laterIndex > goodIndex && laterIndex < badIndex &&
+        unavailableIndexes.indexOf(laterIndex) === -1) {
+        return laterIndex;
+      }
+
+      const earlierIndex = middleIndex - offset;
+      if (earlierIndex > goodIndex && earlierIndex < badIndex &&
+        unavailableIndexes.indexOf(earlierIndex) === -1) {
+        return earlierIndex;
+      }
+    }
+
+    return -1;
+  }
+
+  /**
+   * Install a version, launch it and run the test against it.
+   * @param {Object} options The options for the bisect.
+   * @param {string|number} version The version to test.
+   * @param {SeleniumAssistant} seleniumAssistant Used to download, launch
+   * and kill the build.
+   * @return {Promise<string>} Promise that resolves to 'good', 'bad' or
+   * 'unavailable' if there's no build to download.
+   */
+  _testVersion(options, version, seleniumAssistant) {
+    const release = options.browserId === 'chromium' ?
+      {revision: version} : {version: String(version)};
+
+    return seleniumAssistant.downloadLocalBrowser(options.browserId, release,
+      undefined, options.downloadOptions)
+    .then(() => true, (err) => {
+      if (err.statusCode === 404) {
+        return false;
+      }
+      throw err;
+    })
+    .then((isAvailable) => {
+      if (!isAvailable) {
+        return 'unavailable';
+      }
+
+      let driver = null;
+      const browser = seleniumAssistant.getLocalBrowser(options.browserId,
+        release);
+      return browser.getSeleniumDriver()
+      .then((newDriver) => {
+        driver = newDriver;
+        return options.testFn(driver, browser);
+      })
+      .then((isGood) => {
+        return seleniumAssistant.killWebDriver(driver)
+        .then(() => isGood ? 'good' : 'bad');
+      }, (err) => {
+        return seleniumAssistant.killWebDriver(driver)
+        .then(() => {
+          throw err;
+        });
+      });
+    });
+  }
+}
+
+module.exports = new Bisector();
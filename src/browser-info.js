@@ -0,0 +1,249 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const chalk = require('chalk');
+
+const LocalBrowser = require('./browser-models/local-browser.js');
+
+const FORMATS = ['table', 'json', 'markdown', 'junit-properties'];
+
+/**
+ * Describes local browsers for reports, i.e. the environment of a CI build,
+ * and renders the descriptions in different formats.
+ *
+ * @private
+ */
+class BrowserInfo {
+  /**
+   * @param {LocalBrowser} browser The browser to describe.
+   * @return {Object} The `browserId`, `release`, `prettyName`,
+   * `majorVersion`, `rawVersion`, `executablePath`, `source` ('install-dir'
+   * if it was downloaded by selenium-assistant, otherwise 'system'),
+   * `isBlacklisted` and the `driver` ({module, version, path} or null).
+   */
+  getBrowserInfo(browser) {
+    return {
+      browserId: browser.getId(),
+      release: browser.getReleaseName(),
+      prettyName: browser.getPrettyName(),
+      majorVersion: browser.getVersionNumber(),
+      rawVersion: browser.getRawVersionString(),
+      executablePath: browser.getExecutablePath(),
+      source: browser.getSource(),
+      isBlacklisted: browser.isBlackListed(),
+      driver: this._getDriverInfo(browser),
+    };
+  }
+
+  /**
+   * @param {Array<Object>} browserInfo Descriptions from
+   * {@link getBrowserInfo}.
+   * @param {String} format 'table', 'json', 'markdown' or
+   * 'junit-properties'.
+   * @return {String} The rendered descriptions.
+   */
+  render(browserInfo, format) {
+    switch (format) {
+      case 'table':
+        return this._renderTable(browserInfo);
+      case 'json':
+        return JSON.stringify(browserInfo, null, 2) + '\n';
+      case 'markdown':
+        return this._renderMarkdown(browserInfo);
+      case 'junit-properties':
+        return this._renderJUnitProperties(browserInfo);
+      default:
+        throw new Error(`Unknown browser info format: '${format}'. ` +
+          `Expected one of ${FORMATS.join(', ')}.`);
+    }
+  }
+
+  /**
+   * @param {LocalBrowser} browser The browser to describe.
+   * @return {Object|null} The driver downloaded for the browser or the
+   * driver from its npm module.
+   */
+  _getDriverInfo(browser) {
+    const installedDriver = browser.getInstalledDriver();
+    if (installedDriver) {
+      return {
+        module: installedDriver.module,
+        version: installedDriver.version,
+        path: installedDriver.path,
+      };
+    }
+
+    const driverModuleName = browser.getDriverModule();
+    if (!driverModuleName) {
+      return null;
+    }
+
+    const moduleDriver = LocalBrowser.getModuleDriver(driverModuleName);
+    return {
+      module: driverModuleName,
+      version: moduleDriver ? moduleDriver.version : null,
+      path: browser.getDriverPath(),
+    };
+  }
+
+  /**
+   * @param {Array<Object>} browserInfo The browser descriptions.
+   * @return {String} A colored table of the name, version and path.
+   */
+  _renderTable(browserInfo) {
+    const rows = [];
+    rows.push([
+      'Browser Name',
+      'Browser Version',
+      'Path',
+    ]);
+
+    browserInfo.forEach((info) => {
+      rows.push([
+        info.prettyName,
+        info.majorVersion.toString(),
+        info.executablePath,
+      ]);
+    });
+
+    const noOfColumns = rows[0].length;
+    const rowLengths = [];
+    for (let i = 0; i < noOfColumns; i++) {
+      let currentRowMaxLength = 0;
+      rows.forEach((row) => {
+        currentRowMaxLength = Math.max(
+          currentRowMaxLength, row[i].length);
+      });
+      rowLengths[i] = currentRowMaxLength;
+    }
+
+    let totalRowLength = rowLengths.reduce((a, b) => a + b, 0);
+
+    // Account for spaces and markers
+    totalRowLength += (noOfColumns * 3) + 1;
+
+    let outputString = chalk.gray('-'.repeat(totalRowLength)) + '\n';
+    rows.forEach((row, rowIndex) => {
+      const color = rowIndex === 0 ? chalk.bold : chalk.blue;
+      let coloredRows = row.map((column, columnIndex) => {
+        const padding = rowLengths[columnIndex] - column.length;
+        if (padding > 0) {
+          return color(column) + ' '.repeat(padding);
+        }
+        return color(column);
+      });
+
+      let rowString = coloredRows.join(' | ');
+
+      outputString += '| ' + rowString + ' |\n';
+    });
+
+    outputString += chalk.gray('-'.repeat(totalRowLength)) + '\n';
+
+    return outputString;
+  }
+
+  /**
+   * @param {Array<Object>} browserInfo The browser descriptions.
+   * @return {String} A Markdown table of the browsers.
+   */
+  _renderMarkdown(browserInfo) {
+    const escapeCell = (value) => {
+      if (value === null || typeof value === 'undefined') {
+        return '';
+      }
+      return String(value).replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    };
+
+    const rows = [
+      ['Browser', 'Release', 'Version', 'Raw Version', 'Path', 'Source',
+        'Blacklisted', 'Driver'],
+      ['---', '---', '---', '---', '---', '---', '---', '---'],
+    ];
+    browserInfo.forEach((info) => {
+      let driver = null;
+      if (info.driver) {
+        driver = info.driver.version ?
+          `${info.driver.module} ${info.driver.version}` : info.driver.module;
+      }
+
+      rows.push([
+        info.prettyName,
+        info.release,
+        info.majorVersion,
+        info.rawVersion,
+        info.executablePath ? '`' + info.executablePath + '`' : null,
+        info.source,
+        info.isBlacklisted ? 'Yes' : 'No',
+        driver,
+      ].map(escapeCell));
+    });
+
+    return rows.map((row) => `| ${row.join(' | ')} |`).join('\n') + '\n';
+  }
+
+  /**
+   * Properties for the `<properties>` element of a JUnit report, named
+   * `browser.<browserId>.<release>.<property>`.
+   * @param {Array<Object>} browserInfo The browser descriptions.
+   * @return {String} The `<properties>` XML.
+   */
+  _renderJUnitProperties(browserInfo) {
+    const escapeXML = (value) => {
+      return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/"/g, '&quot;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/\n/g, '&#10;');
+    };
+
+    let outputString = '<properties>\n';
+    browserInfo.forEach((info) => {
+      const properties = {
+        prettyName: info.prettyName,
+        majorVersion: info.majorVersion,
+        rawVersion: info.rawVersion,
+        executablePath: info.executablePath,
+        source: info.source,
+        isBlacklisted: info.isBlacklisted,
+      };
+      if (info.driver) {
+        properties['driver.module'] = info.driver.module;
+        properties['driver.version'] = info.driver.version;
+        properties['driver.path'] = info.driver.path;
+      }
+
+      Object.keys(properties).forEach((propertyName) => {
+        if (properties[propertyName] === null) {
+          return;
+        }
+
+        const name = `browser.${info.browserId}.${info.release}.` +
+          propertyName;
+        outputString += `  <property name="${escapeXML(name)}" ` +
+          `value="${escapeXML(properties[propertyName])}"/>\n`;
+      });
+    });
+    outputString += '</properties>\n';
+
+    return outputString;
+  }
+}
+
+module.exports = new BrowserInfo();
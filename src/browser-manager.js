@@ -16,10 +16,25 @@
 
 'use strict';
 
+const fs = require('fs');
+
+const BrowserVersion = require('./browser-models/browser-version');
+const LocalBrowser = require('./browser-models/local-browser');
 const LocalChromeBrowser = require('./local-browsers/chrome');
+const LocalChromiumBrowser = require('./local-browsers/chromium');
 const LocalFirefoxBrowser = require('./local-browsers/firefox');
 const LocalOperaBrowser = require('./local-browsers/opera');
 const LocalSafariBrowser = require('./local-browsers/safari');
+const ProviderBrowser = require('./browser-models/provider-browser');
+const RemoteBrowser = require('./browser-models/remote-browser');
+const ChromeConfig = require('./webdriver-config/chrome');
+const EdgeConfig = require('./webdriver-config/edge');
+const FirefoxConfig = require('./webdriver-config/firefox');
+const IEConfig = require('./webdriver-config/ie');
+const OperaConfig = require('./webdriver-config/opera');
+const SafariConfig = require('./webdriver-config/safari');
+
+const RELEASES = ['stable', 'beta', 'unstable'];
 
 /**
  * This class is a simple helper to define the possible permutations of
@@ -29,39 +44,196 @@ const LocalSafariBrowser = require('./local-browsers/safari');
  * @private
  */
 class BrowserManager {
+  /**
+   * Register the built in local browsers.
+   */
+  constructor() {
+    this._localBrowsers = {};
+
+    this.registerLocalBrowser('chrome', LocalChromeBrowser,
+      ['stable', 'beta', 'unstable']);
+    this.registerLocalBrowser('chromium', LocalChromiumBrowser, ['stable']);
+    this.registerLocalBrowser('firefox', LocalFirefoxBrowser,
+      ['stable', 'beta', 'unstable']);
+    this.registerLocalBrowser('opera', LocalOperaBrowser,
+      ['stable', 'beta', 'unstable']);
+    this.registerLocalBrowser('safari', LocalSafariBrowser,
+      ['stable', 'beta']);
+  }
+
+  /**
+   * Add a local browser, see {@link SeleniumAssistant#registerLocalBrowser}.
+   * @param {String} browserId The selenium id of the browser.
+   * @param {Function} BrowserClass A subclass of {@link LocalBrowser}.
+   * @param {Array<String>} releases The releases of the browser.
+   */
+  registerLocalBrowser(browserId, BrowserClass, releases) {
+    if (typeof browserId !== 'string' || browserId.length === 0) {
+      throw new Error('A local browser needs an id.');
+    }
+
+    if (this._localBrowsers[browserId]) {
+      throw new Error(`A local browser with the id '${browserId}' is ` +
+        `already registered.`);
+    }
+
+    if (typeof BrowserClass !== 'function' ||
+      !(BrowserClass.prototype instanceof LocalBrowser)) {
+      throw new Error('Local browsers must extend LocalBrowser.');
+    }
+
+    if (!Array.isArray(releases) || releases.length === 0) {
+      throw new Error('A local browser needs a list of releases, i.e. ' +
+        '[\'stable\'].');
+    }
+
+    releases.forEach((release) => {
+      if (RELEASES.indexOf(release) === -1) {
+        throw new Error(`Unknown release type: '${release}'`);
+      }
+    });
+
+    const classBrowserId = new BrowserClass(releases[0]).getId();
+    if (classBrowserId !== browserId) {
+      throw new Error(`The browser class has the id '${classBrowserId}' ` +
+        `instead of '${browserId}'.`);
+    }
+
+    this._localBrowsers[browserId] = {
+      BrowserClass: BrowserClass,
+      releases: releases.slice(),
+    };
+  }
 
-  // Details from:
-  // https://wiki.saucelabs.com/display/DOCS/Test+Configuration+Options#TestConfigurationOptions-BrowserVersion
   /**
-   * This method will return a browser instance tied to a saucelabs hosted
-   * browser.
+   * @return {Array<String>} The ids of the local browsers, in the order
+   * they were registered.
+   */
+  getLocalBrowserIds() {
+    return Object.keys(this._localBrowsers);
+  }
+
+  /**
+   * @param {String} browserId The selenium id of the browser.
+   * @return {Function|null} The {@link LocalBrowser} subclass for the
+   * browser or null if there isn't one.
+   */
+  getLocalBrowserClass(browserId) {
+    const localBrowser = this._localBrowsers[browserId];
+    return localBrowser ? localBrowser.BrowserClass : null;
+  }
+
+  /**
+   * This method will return a browser instance tied to a browser hosted by
+   * a provider, i.e. Saucelabs.
    *
+   * @param {Provider} provider The provider hosting the browser.
    * @param {String} browserId The browser ID you wish to control.
    * @param {String} browserVersion The browser verions you wish to target.
-   * This is the saucelabs version, not release name. Can be "latest",
-   * "latest-1", "latest-2", "45.0"
-   * @param {Object} options Add additional options for the saucelabs browser.
+   * This is the provider's version, not release name, i.e. "latest" or
+   * "45.0".
+   * @param {Object} options Add additional options for the browser.
    * @return {WebDriverBrowser} browser A WebDriverBrowser instance pointing
-   * to a Saucelabs hosted browser.
+   * to a hosted browser.
    */
-  getSaucelabsBrowser(browserId, browserVersion, options) {
-    /** const browser = this.createWebDriverBrowser(browserId, 'saucelabs');
-    // browser.addCapability('version', browserVersion);
-    browser.addCapability('username', options.saucelabs.username);
-    browser.addCapability('accessKey', options.saucelabs.accessKey);
+  getProviderBrowser(provider, browserId, browserVersion, options) {
+    options = options || {};
+
+    if (typeof browserVersion === 'number') {
+      browserVersion = String(browserVersion);
+    }
+    if (typeof browserVersion !== 'string' || browserVersion.length === 0) {
+      throw new Error(`A ${provider.getPrettyName()} browser version is ` +
+        `required, i.e. 'latest'.`);
+    }
+
+    const config = this._getRemoteConfig(browserId);
+    if (!config) {
+      throw new Error(`Unknown ${provider.getPrettyName()} browser: ` +
+        `'${browserId}'`);
+    }
+
+    const browser = new ProviderBrowser(provider, config, browserVersion);
+
+    const capabilities = Object.assign(
+      provider.getCapabilities(browserId, browserVersion, options),
+      options.capabilities);
+    Object.keys(capabilities).forEach((key) => {
+      browser.addCapability(key, capabilities[key]);
+    });
+
+    if (options.credentials) {
+      browser.setCredentials(options.credentials);
+    }
+
+    return browser;
+  }
+
+  /**
+   * This method will return a browser instance tied to a browser on a
+   * Selenium Grid.
+   *
+   * @param {String} hubUrl The URL of the grid's hub.
+   * @param {String} browserId The browser ID you wish to control.
+   * @param {Object} options Add additional options for the remote browser.
+   * @return {WebDriverBrowser} browser A WebDriverBrowser instance pointing
+   * to a browser on the grid.
+   */
+  getRemoteBrowser(hubUrl, browserId, options) {
+    options = options || {};
+
+    if (typeof hubUrl !== 'string' || !/^https?:\/\//.test(hubUrl)) {
+      throw new Error('A hub URL is required, i.e. ' +
+        '\'http://localhost:4444/wd/hub\'.');
+    }
+
+    const config = this._getRemoteConfig(browserId);
+    if (!config) {
+      throw new Error(`Unknown remote browser: '${browserId}'`);
+    }
 
-    // This is the name that is shown on saucelabs.
-    if (options.name) {
-      browser.addCapability('name', options.name);
+    if (options.auth && (!options.auth.username || !options.auth.password)) {
+      throw new Error('The auth option needs a username and password.');
     }
 
-    if (browserId === 'safari') {
-      // Set default platform to windows 10 otherwise it will fail.
-      browser.addCapability('platform', 'Windows 10');
+    const browser = new RemoteBrowser(config, hubUrl, {
+      version: typeof options.version === 'number' ?
+        String(options.version) : options.version,
+      platform: options.platform,
+      auth: options.auth,
+    });
+
+    if (options.capabilities) {
+      Object.keys(options.capabilities).forEach((key) => {
+        browser.addCapability(key, options.capabilities[key]);
+      });
     }
 
-    return browser;**/
-    return null;
+    return browser;
+  }
+
+  /**
+   * @param {String} browserId The browser ID of a hosted browser.
+   * @return {DriverConfig} The config for the browser or null if it can't be
+   * used remotely.
+   */
+  _getRemoteConfig(browserId) {
+    switch (browserId) {
+      case 'chrome':
+        return new ChromeConfig();
+      case 'firefox':
+        return new FirefoxConfig();
+      case 'opera':
+        return new OperaConfig();
+      case 'safari':
+        return new SafariConfig();
+      case 'microsoftedge':
+        return new EdgeConfig();
+      case 'internet explorer':
+        return new IEConfig();
+      default:
+        return null;
+    }
   }
 
   /**
@@ -69,28 +241,136 @@ class BrowserManager {
    * regardless of whether the current environment has access to them or not.
    * </p>
    *
-   * <p>As more browsers are specifically added, this list will grow.</p>
+   * <p>Each release of every browser added with
+   * {@link registerLocalBrowser} is included, in the order they were
+   * added.</p>
    *
    * @return {Array<WebDriverBrowser>} An array of all the possible browsers
    *                                   this library supports.
    */
   getSupportedBrowsers() {
-    return [
-      this.getLocalBrowser('chrome', 'stable'),
-      this.getLocalBrowser('chrome', 'beta'),
-      this.getLocalBrowser('chrome', 'unstable'),
-
-      this.getLocalBrowser('firefox', 'stable'),
-      this.getLocalBrowser('firefox', 'beta'),
-      this.getLocalBrowser('firefox', 'unstable'),
-
-      this.getLocalBrowser('opera', 'stable'),
-      this.getLocalBrowser('opera', 'beta'),
-      this.getLocalBrowser('opera', 'unstable'),
-
-      this.getLocalBrowser('safari', 'stable'),
-      this.getLocalBrowser('safari', 'beta'),
-    ];
+    const browsers = [];
+    this.getLocalBrowserIds().forEach((browserId) => {
+      this._localBrowsers[browserId].releases.forEach((release) => {
+        browsers.push(this.getLocalBrowser(browserId, release));
+      });
+    });
+    return browsers;
+  }
+
+  /**
+   * Find the available browsers that match a query, grouped by browser ID
+   * (in the order of {@link getSupportedBrowsers}) with the newest version
+   * of each browser first.
+   * @param {Object} [options] The query, see
+   * {@link SeleniumAssistant#findBrowsers}.
+   * @return {Array<LocalBrowser>} The matching browsers.
+   */
+  findBrowsers(options) {
+    options = options || {};
+    const toList = (value) => {
+      if (typeof value === 'undefined' || value === null) {
+        return null;
+      }
+      return Array.isArray(value) ? value : [value];
+    };
+    const ids = toList(options.ids);
+    const releases = toList(options.releases);
+    const excludeBlacklisted = options.excludeBlacklisted !== false;
+
+    // Check the versions before any browser is looked at.
+    [options.minVersion, options.maxVersion].forEach((version) => {
+      if (typeof version !== 'undefined' && version !== null) {
+        BrowserVersion.compare(version, 0);
+      }
+    });
+
+    const supportedBrowsers = this.getSupportedBrowsers();
+    const browserIds = supportedBrowsers.map((browser) => browser.getId());
+    const matches = supportedBrowsers.filter((browser) => {
+      if (ids && ids.indexOf(browser.getId()) === -1) {
+        return false;
+      }
+
+      if (releases && releases.indexOf(browser.getReleaseName()) === -1) {
+        return false;
+      }
+
+      if (!this._isAvailable(browser, excludeBlacklisted)) {
+        return false;
+      }
+
+      if (options.source && browser.getSource() !== options.source) {
+        return false;
+      }
+
+      const version = browser.getVersion();
+      if (options.minVersion || options.maxVersion || options.versionRange) {
+        if (!version) {
+          return false;
+        }
+
+        if (options.minVersion && version.isOlderThan(options.minVersion)) {
+          return false;
+        }
+
+        if (options.maxVersion && !version.isAtMost(options.maxVersion)) {
+          return false;
+        }
+
+        if (options.versionRange && !version.satisfies(options.versionRange)) {
+          return false;
+        }
+      }
+
+      return true;
+    });
+
+    return matches.map((browser, index) => {
+      return {
+        browser: browser,
+        version: browser.getVersion(),
+        index: index,
+      };
+    })
+    .sort((a, b) => {
+      const idDifference = browserIds.indexOf(a.browser.getId()) -
+        browserIds.indexOf(b.browser.getId());
+      if (idDifference !== 0) {
+        return idDifference;
+      }
+
+      if (a.version && b.version) {
+        const versionDifference = b.version.compare(a.version);
+        if (versionDifference !== 0) {
+          return versionDifference;
+        }
+      } else if (a.version || b.version) {
+        return a.version ? -1 : 1;
+      }
+
+      return a.index - b.index;
+    })
+    .map((match) => match.browser);
+  }
+
+  /**
+   * @param {LocalBrowser} browser A supported browser.
+   * @param {Boolean} excludeBlacklisted Whether blacklisted browsers count
+   * as available.
+   * @return {Boolean} Whether the browser can be used.
+   */
+  _isAvailable(browser, excludeBlacklisted) {
+    if (browser.isValid()) {
+      return true;
+    }
+
+    if (excludeBlacklisted || !browser.isBlackListed()) {
+      return false;
+    }
+
+    const executablePath = browser.getExecutablePath();
+    return !!executablePath && fs.existsSync(executablePath);
   }
 
   /**
@@ -101,29 +381,35 @@ class BrowserManager {
    * library doesn't support.</p>
    *
    * @param  {String} browserId The selenium browser Id 'chrome', 'firefox', etc
-   * @param  {String} release   The release you want the browser to be on
-   *                            'stable', 'beta', 'unstable' or 'saucelabs'
+   * @param  {String|Object} release The release you want the browser to be
+   *                            on 'stable', 'beta', 'unstable' or an object
+   *                            with a `version` to get a pinned version or,
+   *                            for Chromium, a snapshot `revision`.
    * @return {WebDriverBrowser} An instance of the browser you requested.
    */
   getLocalBrowser(browserId, release) {
-    if (release !== 'stable' &&
+    if (release !== null && typeof release === 'object' &&
+      typeof release.revision !== 'undefined') {
+      if (browserId !== 'chromium' ||
+        !LocalChromiumBrowser.isValidRevision(release.revision)) {
+        throw new Error('Unknown browser revision.');
+      }
+    } else if (release !== null && typeof release === 'object') {
+      if (!LocalBrowser.isValidPinnedVersion(release.version)) {
+        throw new Error('Unknown browser version.');
+      }
+    } else if (release !== 'stable' &&
       release !== 'beta' &&
       release !== 'unstable') {
       throw new Error('Unknown release type.');
     }
 
-    switch (browserId) {
-      case 'chrome':
-        return new LocalChromeBrowser(release);
-      case 'firefox':
-        return new LocalFirefoxBrowser(release);
-      case 'opera':
-        return new LocalOperaBrowser(release);
-      case 'safari':
-        return new LocalSafariBrowser(release);
-      default:
-        throw new Error('Unknown web driver browser request: ', browserId);
+    const BrowserClass = this.getLocalBrowserClass(browserId);
+    if (!BrowserClass) {
+      throw new Error(`Unknown web driver browser request: '${browserId}'`);
     }
+
+    return new BrowserClass(release);
   }
 }
 
@@ -0,0 +1,292 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+// Matches 58.0.3029.41 (Chrome / Opera), 53.0.2, 54.0b5, 55.0a1 and
+// 52.1.0esr (Firefox) and 10.1 (Safari).
+const VERSION_PATTERN =
+  /(\d+)\.(\d+)(?:\.(\d+))?(?:\.(\d+))?(?:([ab])\d+|(esr))?/;
+const CHANNEL_PATTERN = /\b(beta|dev|unstable|canary|nightly|developer)\b/i;
+const PRERELEASE_CHANNELS = {
+  a: 'alpha',
+  b: 'beta',
+};
+const COMPARABLE_VERSION_PATTERN = /^\d+(\.\d+)*$/;
+const COMPARATOR_PATTERN = /^(>=|<=|>|<|=|\^|~)?(\d+(?:\.(?:\d+|x|\*))*)$/;
+
+/**
+ * <p>A browser version parsed from the browser's version string, i.e.
+ * 'Google Chrome 58.0.3029.41 beta'.</p>
+ *
+ * <p>Versions are compared by their major, minor, build and patch numbers.
+ * The channel isn't compared, so Firefox 54.0b5 is the same as 54.0.</p>
+ *
+ * @example
+ * const version = seleniumAssistant.getLocalBrowser('chrome', 'stable')
+ *   .getVersion();
+ * if (version && version.isAtLeast('58.0.3029')) {
+ *   ...
+ * }
+ */
+class BrowserVersion {
+  /**
+   * @param {Object} details The parsed version.
+   * @param {number} details.major The major version, i.e. 58.
+   * @param {number} details.minor The minor version, i.e. 0.
+   * @param {number} details.build The build number, i.e. 3029.
+   * @param {number} details.patch The patch number, i.e. 41.
+   * @param {string} details.channel The release channel, i.e. 'stable',
+   * 'beta' or 'dev'.
+   * @param {string|null} details.vendor The name before the version, i.e.
+   * 'Google Chrome'.
+   * @param {string} details.version The version as it was written, i.e.
+   * '58.0.3029.41' or '54.0b5'.
+   * @param {string} details.raw The whole version string.
+   */
+  constructor(details) {
+    this.major = details.major;
+    this.minor = details.minor;
+    this.build = details.build;
+    this.patch = details.patch;
+    this.channel = details.channel;
+    this.vendor = details.vendor;
+    this.version = details.version;
+    this.raw = details.raw;
+  }
+
+  /**
+   * Compare this version with another.
+   * @param {BrowserVersion|string|number} otherVersion The version to compare
+   * with, i.e. '58.0.3029' or 58. Missing numbers count as 0.
+   * @return {number} Negative if this version is older, positive if it's
+   * newer and 0 if they're the same.
+   */
+  compare(otherVersion) {
+    return BrowserVersion.compare(this, otherVersion);
+  }
+
+  /**
+   * @param {BrowserVersion|string|number} otherVersion The version to compare
+   * with, i.e. '58.0.3029'.
+   * @return {Boolean} Whether this version is the same as or newer than the
+   * other version.
+   */
+  isAtLeast(otherVersion) {
+    return this.compare(otherVersion) >= 0;
+  }
+
+  /**
+   * @param {BrowserVersion|string|number} otherVersion The version to compare
+   * with, i.e. '58.0.3029'.
+   * @return {Boolean} Whether this version is older than the other version.
+   */
+  isOlderThan(otherVersion) {
+    return this.compare(otherVersion) < 0;
+  }
+
+  /**
+   * @param {BrowserVersion|string|number} otherVersion The version to compare
+   * with, i.e. 60.
+   * @return {Boolean} Whether this version is the same as or older than the
+   * other version. Only the numbers in the other version are compared, so
+   * 60.0.3112 is at most 60.
+   */
+  isAtMost(otherVersion) {
+    const otherParts = BrowserVersion._getParts(otherVersion)
+    .map((part) => part || 0);
+    const ownParts = BrowserVersion._getParts(this)
+    .slice(0, otherParts.length)
+    .map((part) => part || 0);
+    return BrowserVersion.compare(ownParts.join('.'),
+      otherParts.join('.')) <= 0;
+  }
+
+  /**
+   * <p>Check the version against a range, using a subset of the semver
+   * range syntax:</p>
+   *
+   * <ul>
+   * <li>`>=58.0.3029`, `>58`, `<=60`, `<60` compare with a version.</li>
+   * <li>`58`, `=58.0` or `58.x` match versions starting with the
+   * numbers.</li>
+   * <li>`^58.0.3029` is at least 58.0.3029 with the same major version and
+   * `~58.0.3029` is at least 58.0.3029 with the same major and minor
+   * version.</li>
+   * <li>Comparators separated by spaces must all match, i.e.
+   * `>=58 <60`, and ranges separated by `||` can match either, i.e.
+   * `52 || >=55`.</li>
+   * </ul>
+   *
+   * @param {string} range The range, i.e. '>=58.0.3029 <60'.
+   * @return {Boolean} Whether the version is in the range.
+   */
+  satisfies(range) {
+    if (typeof range !== 'string' || range.trim().length === 0) {
+      throw new Error(`Invalid version range: '${range}'`);
+    }
+
+    return range.split('||').some((comparatorSet) => {
+      const comparators = comparatorSet.trim().split(/\s+/);
+      return comparators.every((comparator) => {
+        return this._satisfiesComparator(comparator, range);
+      });
+    });
+  }
+
+  /**
+   * @param {string} comparator A comparator from a range, i.e. '>=58'.
+   * @param {string} range The whole range, for errors.
+   * @return {Boolean} Whether the version matches the comparator.
+   */
+  _satisfiesComparator(comparator, range) {
+    if (comparator === '*' || comparator === 'x') {
+      return true;
+    }
+
+    const comparatorMatch = COMPARATOR_PATTERN.exec(comparator);
+    if (!comparatorMatch) {
+      throw new Error(`Invalid version range: '${range}'`);
+    }
+
+    const operator = comparatorMatch[1] || '=';
+    const versionParts = comparatorMatch[2].split('.');
+    const wildcardIndex = versionParts.findIndex((part) => {
+      return part === 'x' || part === '*';
+    });
+    const numbers = (wildcardIndex === -1 ?
+      versionParts : versionParts.slice(0, wildcardIndex))
+      .map((part) => parseInt(part, 10));
+    if (wildcardIndex !== -1 && (operator !== '=' ||
+      versionParts.slice(wildcardIndex).some((part) => /\d/.test(part)))) {
+      throw new Error(`Invalid version range: '${range}'`);
+    }
+
+    const ownNumbers = BrowserVersion._getParts(this);
+    const hasPrefix = (length) => {
+      for (let i = 0; i < length; i++) {
+        if (ownNumbers[i] !== numbers[i]) {
+          return false;
+        }
+      }
+      return true;
+    };
+    const difference = BrowserVersion.compare(this, numbers.join('.') || '0');
+
+    switch (operator) {
+      case '>=':
+        return difference >= 0;
+      case '>':
+        return difference > 0;
+      case '<=':
+        return difference <= 0;
+      case '<':
+        return difference < 0;
+      case '^':
+        return difference >= 0 && hasPrefix(1);
+      case '~':
+        return difference >= 0 && hasPrefix(Math.min(numbers.length, 2));
+      default:
+        return hasPrefix(numbers.length);
+    }
+  }
+
+  /**
+   * @return {String} The version as it was written, i.e. '58.0.3029.41'.
+   */
+  toString() {
+    return this.version;
+  }
+
+  /**
+   * Parse a browser's version string.
+   * @param {string} rawVersion The version string, i.e. 'Mozilla Firefox
+   * 54.0b5'.
+   * @return {BrowserVersion|null} The version or null if a version can't be
+   * found in the string.
+   */
+  static parse(rawVersion) {
+    if (typeof rawVersion !== 'string') {
+      return null;
+    }
+
+    const versionMatch = VERSION_PATTERN.exec(rawVersion);
+    if (!versionMatch) {
+      return null;
+    }
+
+    let channel = 'stable';
+    const channelMatch = CHANNEL_PATTERN.exec(
+      rawVersion.substring(versionMatch.index + versionMatch[0].length));
+    if (versionMatch[5]) {
+      channel = PRERELEASE_CHANNELS[versionMatch[5]];
+    } else if (versionMatch[6]) {
+      channel = 'esr';
+    } else if (channelMatch) {
+      channel = channelMatch[1].toLowerCase();
+    }
+
+    const vendor = rawVersion.substring(0, versionMatch.index).trim();
+    return new BrowserVersion({
+      major: parseInt(versionMatch[1], 10),
+      minor: parseInt(versionMatch[2], 10),
+      build: parseInt(versionMatch[3] || 0, 10),
+      patch: parseInt(versionMatch[4] || 0, 10),
+      channel: channel,
+      vendor: vendor.length > 0 ? vendor : null,
+      version: versionMatch[0],
+      raw: rawVersion.trim(),
+    });
+  }
+
+  /**
+   * Compare two versions, i.e. to sort them.
+   * @param {BrowserVersion|string|number} versionA A version.
+   * @param {BrowserVersion|string|number} versionB Another version.
+   * @return {number} Negative if versionA is older, positive if it's newer
+   * and 0 if they're the same.
+   */
+  static compare(versionA, versionB) {
+    const partsA = BrowserVersion._getParts(versionA);
+    const partsB = BrowserVersion._getParts(versionB);
+    for (let i = 0; i < Math.max(partsA.length, partsB.length); i++) {
+      const difference = (partsA[i] || 0) - (partsB[i] || 0);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * @param {BrowserVersion|string|number} version A version.
+   * @return {Array<number>} The numbers in the version.
+   */
+  static _getParts(version) {
+    if (version instanceof BrowserVersion) {
+      return [version.major, version.minor, version.build, version.patch];
+    }
+
+    const versionString = String(version);
+    if (!COMPARABLE_VERSION_PATTERN.test(versionString)) {
+      throw new Error(`Invalid version: '${versionString}'`);
+    }
+
+    return versionString.split('.').map((part) => parseInt(part, 10));
+  }
+}
+
+module.exports = BrowserVersion;
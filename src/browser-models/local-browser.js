@@ -19,7 +19,11 @@
 const fs = require('fs');
 const path = require('path');
 const execSync = require('child_process').execSync;
+const webdriver = require('selenium-webdriver');
 const Browser = require('./browser.js');
+const BrowserVersion = require('./browser-version.js');
+const application = require('../application-state.js');
+const installManifest = require('../install-manifest.js');
 
 /**
  * Local browser is an abstract class with some implemented methods
@@ -30,8 +34,9 @@ class LocalBrowser extends Browser {
    * Constructs new local browser.
    * @param {Object} config TODO This should be a shared webdriver config
    * class.
-   * @param {string} release Release name must be 'stable', 'beta' or
-   * 'unstable'.
+   * @param {string|Object} release Release name must be 'stable', 'beta' or
+   * 'unstable', or an object with a `version` string to pin a specific
+   * version (i.e. `{version: '52.0.2'}`).
    * @param {Object} blacklist This is a list of browser versions: driver
    * versions used to blacklist a browser.
    */
@@ -43,15 +48,30 @@ class LocalBrowser extends Browser {
       throw new Error('Invalid prettyName value: ', config._prettyName);
     }
 
-    if (release !== 'stable' && release !== 'beta' && release !== 'unstable') {
+    this._pinnedVersion = null;
+    if (release !== null && typeof release === 'object') {
+      if (!LocalBrowser.isValidPinnedVersion(release.version)) {
+        throw new Error('Unexpected browser version given: ', release.version);
+      }
+
+      this._pinnedVersion = release.version;
+      // Pinned versions are installed and found under their version
+      // rather than a release name.
+      release = release.version;
+    } else if (release !== 'stable' && release !== 'beta' &&
+      release !== 'unstable') {
       throw new Error('Unexpected browser release given: ', release);
     }
 
     this._prettyName = `${config._prettyName}`;
 
-    const releaseNames = this.constructor.getPrettyReleaseNames();
-    if (releaseNames[release]) {
-      this._prettyName += ` ${releaseNames[release]}`;
+    if (this._pinnedVersion) {
+      this._prettyName += ` ${this._pinnedVersion}`;
+    } else {
+      const releaseNames = this.constructor.getPrettyReleaseNames();
+      if (releaseNames[release]) {
+        this._prettyName += ` ${releaseNames[release]}`;
+      }
     }
 
     this._release = release;
@@ -104,6 +124,21 @@ class LocalBrowser extends Browser {
     return false;
   }
 
+  /**
+   * @return {String|null} 'install-dir' if the browser was downloaded with
+   * {@link downloadLocalBrowser}, 'system' if it was installed some other
+   * way or null if it can't be found.
+   */
+  getSource() {
+    const executablePath = this.getExecutablePath();
+    if (!executablePath) {
+      return null;
+    }
+
+    const installDir = application.getInstallDirectory() + path.sep;
+    return executablePath.indexOf(installDir) === 0 ? 'install-dir' : 'system';
+  }
+
   /**
    * @return {Boolean} Whether this browser is blacklisted or not.
    */
@@ -140,7 +175,7 @@ class LocalBrowser extends Browser {
 
     try {
       this._rawVerstionString = execSync(`"${executablePath}" --version`)
-        .toString();
+        .toString().trim();
     } catch (err) {
       // NOOP
     }
@@ -148,7 +183,23 @@ class LocalBrowser extends Browser {
     return this._rawVerstionString;
   }
 
-  /* eslint-disable valid-jsdoc */
+  /**
+   * <p>The browser's version, parsed from {@link getRawVersionString}.</p>
+   *
+   * @example
+   * const version = browser.getVersion();
+   * if (version && version.isAtLeast('58.0.3029')) {
+   *   ...
+   * }
+   *
+   * @return {BrowserVersion|null} The version, with the `major`, `minor`,
+   * `build` and `patch` numbers, `channel` and `vendor`, or null if it
+   * can't be found.
+   */
+  getVersion() {
+    return BrowserVersion.parse(this.getRawVersionString());
+  }
+
   /**
    * <p>This method returns an integer if it can be determined from
    * the browser executable or -1 if the version is unknown.</p>
@@ -159,9 +210,9 @@ class LocalBrowser extends Browser {
    * @return {Integer} Version number if it can be found
    */
   getVersionNumber() {
-    throw new Error('getVersionNumber() must be overriden by subclasses');
+    const version = this.getVersion();
+    return version ? version.major : -1;
   }
-  /* eslint-enable valid-jsdoc */
 
   /**
    * @private
@@ -175,30 +226,39 @@ class LocalBrowser extends Browser {
    * <p>This method resolves to a webdriver instance of this browser i
    * nstance.</p>
    *
+   * <p>If a driver binary has been downloaded for this browser (see
+   * {@link getInstalledDriver}) the driver is started from that path,
+   * otherwise selenium will look for the driver on the current PATH.</p>
+   *
    * <p>For more info, see:
    * {@link http://selenium.googlecode.com/git/docs/api/javascript/class_webdriver_WebDriver.html | WebDriver Docs}</p>
    *
    * @return {Promise<WebDriver>} [description]
    */
   getSeleniumDriver() {
-    if (this.getDriverModule()) {
-      try {
-        // This will require the necessary driver module that will add the
-        // driver executable to the current path.
-        const driverModule = require(this.getDriverModule());
-        // The operadriver module DOESNT add the driver to the current path.
-        if (this.getId() === 'opera') {
-          // Operadriver.path includes the executable name which upsets
-          // selenium and finding the operadriver executable.
-          process.env.PATH += path.delimiter + path.dirname(driverModule.path);
+    try {
+      const builder = this.getSeleniumDriverBuilder();
+
+      // Sessions on a remote server are left to the builder.
+      const isRemote = builder.getServerUrl() ||
+        process.env.SELENIUM_REMOTE_URL || process.env.SELENIUM_SERVER_JAR;
+      // Only downloaded drivers need starting from their path, the driver's
+      // npm module puts its binary on the PATH for the builder.
+      const installedDriver = isRemote ? null : this.getInstalledDriver();
+      if (installedDriver && fs.existsSync(installedDriver.path)) {
+        // The builder can't be given a driver service, so the session is
+        // created with the same capabilities the builder would use.
+        const capabilities = new webdriver.Capabilities(
+          builder.getCapabilities());
+        capabilities.merge(this.getSeleniumOptions().toCapabilities());
+
+        const driver = this._createDriverSession(capabilities,
+          installedDriver.path);
+        if (driver) {
+          return driver.getSession().then(() => driver);
         }
-      } catch (err) {
-        // NOOP
       }
-    }
 
-    try {
-      const builder = this.getSeleniumDriverBuilder();
       const buildResult = builder.build();
       if (buildResult.then) {
         return buildResult;
@@ -209,6 +269,62 @@ class LocalBrowser extends Browser {
     }
   }
 
+  /**
+   * <p>The path of the driver binary (i.e. chromedriver) used to launch
+   * this browser.</p>
+   *
+   * <p>Drivers downloaded with {@link downloadLocalBrowser} for this
+   * browser are preferred, followed by the binary from the driver's npm
+   * module if it's installed.</p>
+   *
+   * @return {String|null} Path of the driver binary or null if one can't be
+   * found.
+   */
+  getDriverPath() {
+    const installedDriver = this.getInstalledDriver();
+    if (installedDriver && fs.existsSync(installedDriver.path)) {
+      return installedDriver.path;
+    }
+
+    if (!this.getDriverModule()) {
+      return null;
+    }
+
+    const moduleDriver = LocalBrowser.getModuleDriver(this.getDriverModule());
+    return moduleDriver ? moduleDriver.path : null;
+  }
+
+  /**
+   * @return {Object|null} The details of the driver downloaded for this
+   * browser ({module, version, path}) or null if no driver has been
+   * downloaded.
+   */
+  getInstalledDriver() {
+    try {
+      const install = installManifest.getInstall(this.getId(),
+        this.getReleaseName());
+      if (install && install.driver) {
+        return install.driver;
+      }
+    } catch (err) {
+      // NOOP
+    }
+
+    return null;
+  }
+
+  /**
+   * Start a driver session with a specific driver binary. Subclasses with a
+   * driver should override this.
+   * @param {Capabilities} capabilities The capabilities for the session.
+   * @param {string} driverPath The path of the driver binary.
+   * @return {WebDriver|null} The driver or null if this browser can't be
+   * started with a specific driver binary.
+   */
+  _createDriverSession(capabilities, driverPath) {
+    return null;
+  }
+
   /**
    * Get the minimum supported browser version for this browser.
    * @return {number} The minimum supported version number.
@@ -223,12 +339,65 @@ class LocalBrowser extends Browser {
    *
    * <p>Useful if you only want to test <i>or</i> not test on a particular
    * release type.</p>
+   *
+   * <p>For a browser pinned to a specific version, this is the version.</p>
    * @return {String} Release name of browser. 'stable', 'beta' or 'unstable'
    */
   getReleaseName() {
     return this._release;
   }
 
+  /**
+   * @return {String|null} The version this browser was pinned to with
+   * `{version: '...'}` or null if it's on a release channel.
+   */
+  getPinnedVersion() {
+    return this._pinnedVersion;
+  }
+
+  /**
+   * Pinned versions are used in install paths and download URLs so are
+   * limited to digits, letters, dots and dashes (i.e. '52.0.2' or '53.0b5').
+   * @param {string} version The version to check.
+   * @return {Boolean} Whether the version can be pinned.
+   */
+  static isValidPinnedVersion(version) {
+    return typeof version === 'string' &&
+      /^\d+(\.[0-9A-Za-z-]+)*$/.test(version);
+  }
+
+  /**
+   * <p>The driver binary installed by a driver's npm module.</p>
+   *
+   * <p>Requiring chromedriver or geckodriver adds the binary's directory to
+   * `process.env.PATH`, so the original PATH is put back afterwards.</p>
+   *
+   * @param {String} driverModuleName The npm module, i.e. 'chromedriver'.
+   * @return {Object|null} The `version` of the driver and the `path` of the
+   * binary (null if it doesn't exist) or null if the module isn't
+   * installed.
+   */
+  static getModuleDriver(driverModuleName) {
+    const originalPath = process.env.PATH;
+    try {
+      require.resolve(driverModuleName);
+      const driverModule = require(driverModuleName);
+      return {
+        version: driverModule.version || null,
+        path: driverModule.path && fs.existsSync(driverModule.path) ?
+          driverModule.path : null,
+      };
+    } catch (err) {
+      return null;
+    } finally {
+      if (typeof originalPath === 'undefined') {
+        delete process.env.PATH;
+      } else {
+        process.env.PATH = originalPath;
+      }
+    }
+  }
+
   /**
    * @private
    */
@@ -0,0 +1,137 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const RemoteBrowser = require('./remote-browser.js');
+
+/**
+ * <p>A browser hosted by a {@link Provider}, i.e. Saucelabs.</p>
+ *
+ * <p>The provider decides which hub the session is started on and adds its
+ * capabilities, like the account details, when the driver is built.</p>
+ *
+ * @extends WebDriverBrowser
+ */
+class ProviderBrowser extends RemoteBrowser {
+  /**
+   * @param {Provider} provider The provider hosting the browser.
+   * @param {DriverConfig} config The config for the browser.
+   * @param {string} version The provider's browser version, i.e. 'latest'.
+   */
+  constructor(provider, config, version) {
+    super(config, null, {version: version});
+
+    this._provider = provider;
+    this._credentials = null;
+  }
+
+  /**
+   * @return {Provider} The provider hosting this browser.
+   */
+  getProvider() {
+    return this._provider;
+  }
+
+  /**
+   * Use specific credentials for this browser rather than the credentials
+   * set on the provider.
+   * @param {Object} credentials The credentials, i.e. a `username` and
+   * `accessKey`.
+   */
+  setCredentials(credentials) {
+    this._credentials = credentials;
+  }
+
+  /**
+   * @return {Object} The credentials sessions are started with.
+   */
+  getCredentials() {
+    return this._credentials || this._provider.getCredentials();
+  }
+
+  /**
+   * <p>Report the result of a test back to the provider, so its dashboard
+   * shows whether the test passed.</p>
+   *
+   * <p>Call this before {@link SeleniumAssistant#killWebDriver}.</p>
+   *
+   * @example
+   * browser.reportResult(driver, {
+   *   passed: false,
+   *   tags: ['push'],
+   *   customData: {failedAssertion: 'Notification shown'},
+   * });
+   *
+   * @param {WebDriver} driver The driver for the session.
+   * @param {Object} result The result of the test. For Saucelabs this can
+   * contain `passed`, `name`, `build`, `tags` and `customData`.
+   * @return {Promise} Resolves once the result is reported.
+   */
+  reportResult(driver, result) {
+    if (!driver || typeof driver.getSession !== 'function') {
+      return Promise.reject(new Error('A driver is required to report a ' +
+        'result.'));
+    }
+
+    let credentials;
+    try {
+      credentials = this.getCredentials();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+
+    return driver.getSession()
+    .then((session) => {
+      return this._provider.reportResult(session.getId(), result,
+        credentials);
+    });
+  }
+
+  /**
+   * @return {String} The URL of the provider's hub.
+   */
+  getHubUrl() {
+    return this._provider.getHubUrl(this.getCredentials());
+  }
+
+  /**
+   * <p>This method returns the preconfigured builder used by
+   * getSeleniumDriver().</p>
+   *
+   * <p>This is useful if you wish to customise the builder with additional
+   * options (i.e. customise the proxy of the driver.)</p>
+   *
+   * <p>For more info, see:
+   * {@link https://seleniumhq.github.io/selenium/docs/api/javascript/module/selenium-webdriver/index_exports_Builder.html | WebDriverBuilder Docs}</p>
+   *
+   * @return {WebDriverBuilder} Builder that resolves to a webdriver instance.
+   */
+  getSeleniumDriverBuilder() {
+    const credentials = this.getCredentials();
+    this._hubUrl = this.getHubUrl();
+
+    const sessionCapabilities =
+      this._provider.getSessionCapabilities(credentials);
+    Object.keys(sessionCapabilities).forEach((key) => {
+      this.addCapability(key, sessionCapabilities[key]);
+    });
+
+    return super.getSeleniumDriverBuilder();
+  }
+}
+
+module.exports = ProviderBrowser;
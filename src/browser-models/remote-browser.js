@@ -0,0 +1,184 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const url = require('url');
+const webdriver = require('selenium-webdriver');
+
+const Browser = require('./browser.js');
+const BrowserVersion = require('./browser-version.js');
+
+/**
+ * <p>A browser hosted on a Selenium Grid, or any other remote WebDriver
+ * server.</p>
+ *
+ * <p>It has the same interface as local and Saucelabs browsers so a test
+ * suite can switch between them by only changing how the browser is
+ * created.</p>
+ *
+ * @extends WebDriverBrowser
+ */
+class RemoteBrowser extends Browser {
+  /**
+   * @param {DriverConfig} config The config for the browser.
+   * @param {string} hubUrl The URL of the grid's hub, i.e.
+   * 'http://localhost:4444/wd/hub'.
+   * @param {Object} [options] The `version`, `platform` and `auth` for the
+   * browser.
+   */
+  constructor(config, hubUrl, options) {
+    super(config);
+
+    options = options || {};
+
+    this._hubUrl = hubUrl;
+    this._auth = options.auth || null;
+    this._version = options.version || null;
+
+    this._prettyName = config._prettyName;
+    if (this._version) {
+      this._prettyName += ` - [${this._version}]`;
+    }
+    if (hubUrl) {
+      this._prettyName += ` on ${url.parse(hubUrl).host}`;
+    }
+
+    if (this._version) {
+      this.addCapability('version', this._version);
+    }
+
+    if (options.platform) {
+      this.addCapability('platform', options.platform);
+    }
+  }
+
+  /**
+   * A user friendly name for the browser
+   * @return {String} A user friendly name for the browser
+   */
+  getPrettyName() {
+    return this._prettyName;
+  }
+
+  /**
+   * @return {String} The URL of the hub this browser is started on.
+   */
+  getHubUrl() {
+    return this._hubUrl;
+  }
+
+  /**
+   * @return {String} The requested browser version or null if the grid can
+   * pick any version.
+   */
+  getRequestedVersion() {
+    return this._version;
+  }
+
+  /**
+   * The requested version, parsed in the same way as the version of a
+   * local browser (see {@link LocalBrowser#getVersion}). A major version on
+   * its own, i.e. '52', is read as '52.0'.
+   * @return {BrowserVersion|null} The version or null if any version can be
+   * used or the requested version isn't a number, i.e. 'latest'.
+   */
+  getVersion() {
+    if (/^\d+$/.test(this._version)) {
+      return BrowserVersion.parse(`${this._version}.0`);
+    }
+    return BrowserVersion.parse(this._version);
+  }
+
+  /**
+   * <p>This method resolves to a webdriver instance of this browser
+   * instance.</p>
+   *
+   * <p>For more info, see:
+   * {@link http://selenium.googlecode.com/git/docs/api/javascript/class_webdriver_WebDriver.html | WebDriver Docs}</p>
+   *
+   * @return {Promise<WebDriver>} Promise that resolves to a webdriver
+   * instance.
+   */
+  getSeleniumDriver() {
+    try {
+      const builder = this.getSeleniumDriverBuilder();
+      const buildResult = builder.build();
+      if (buildResult.then) {
+        return buildResult;
+      }
+      return Promise.resolve(buildResult);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * <p>This method returns the preconfigured builder used by
+   * getSeleniumDriver().</p>
+   *
+   * <p>This is useful if you wish to customise the builder with additional
+   * options (i.e. customise the proxy of the driver.)</p>
+   *
+   * <p>For more info, see:
+   * {@link https://seleniumhq.github.io/selenium/docs/api/javascript/module/selenium-webdriver/index_exports_Builder.html | WebDriverBuilder Docs}</p>
+   *
+   * @return {WebDriverBuilder} Builder that resolves to a webdriver instance.
+   */
+  getSeleniumDriverBuilder() {
+    const hubUrl = url.parse(this._hubUrl);
+    if (this._auth) {
+      hubUrl.auth = this._auth.username + ':' + this._auth.password;
+    }
+
+    const capabilities = this._capabilities || {};
+    const seleniumOptions = this.getSeleniumOptions();
+    const builder = new webdriver
+      .Builder()
+      .usingServer(url.format(hubUrl));
+
+    switch (this.getId()) {
+      case 'chrome':
+        builder.setChromeOptions(seleniumOptions);
+        break;
+      case 'firefox':
+        builder.setFirefoxOptions(seleniumOptions);
+        break;
+      case 'opera':
+        builder.setOperaOptions(seleniumOptions);
+        break;
+      case 'safari':
+      case 'internet explorer':
+      case 'microsoftedge':
+        // The builder would replace the platform for Safari and IE and
+        // ignores options for 'microsoftedge', so these are merged here.
+        return builder
+          .withCapabilities(seleniumOptions.toCapabilities(
+            new webdriver.Capabilities(capabilities)))
+          .forBrowser(this.getId(), capabilities.version,
+            capabilities.platform);
+      default:
+        break;
+    }
+
+    // forBrowser() resets the version and platform capabilities.
+    return builder
+      .withCapabilities(capabilities)
+      .forBrowser(this.getId(), capabilities.version, capabilities.platform);
+  }
+}
+
+module.exports = RemoteBrowser;
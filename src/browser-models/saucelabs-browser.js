@@ -16,120 +16,40 @@
 
 'use strict';
 
-const path = require('path');
-const Browser = require('./browser.js');
-const applicationState = require('../application-state');
-const webdriver = require('selenium-webdriver');
-
-// To find out the configuration you can use see:
-// https://wiki.saucelabs.com/display/DOCS/Platform+Configurator#/
+const ProviderBrowser = require('./provider-browser.js');
+const providerManager = require('../provider-manager.js');
 
 /**
- * Local browser is an abstract class with some implemented methods
- * and some methods that MUST be overriden.
+ * <p>Kept so code that requires this module directly keeps working. The
+ * browser is a {@link ProviderBrowser} for the 'saucelabs' provider.</p>
+ *
+ * @deprecated Use {@link SeleniumAssistant#getSaucelabsBrowser} instead.
+ * @private
  */
-class LocalBrowser extends Browser {
+class SaucelabsBrowser extends ProviderBrowser {
   /**
-   * Constructs new local browser.
-   * @param {Object} config TODO This should be a shared webdriver config
-   * class.
+   * @param {DriverConfig} config The config for the browser.
    * @param {string} version Version name to be given to Saucelabs.
    */
   constructor(config, version) {
-    super(config);
-
-    if (typeof config._prettyName !== 'string' ||
-      config._prettyName.length === 0) {
-      throw new Error('Invalid prettyName value: ', config._prettyName);
-    }
-
-    this._prettyName = `${config._prettyName} - [${version}]`;
-    this._version = version;
-  }
-
-  /**
-   * A user friendly name for the browser
-   * @return {String} A user friendly name for the browser
-   */
-  getPrettyName() {
-    return this._prettyName;
-  }
-
-  /**
-   * <p>This method resolves to a webdriver instance of this browser i
-   * nstance.</p>
-   *
-   * <p>For more info, see:
-   * {@link http://selenium.googlecode.com/git/docs/api/javascript/class_webdriver_WebDriver.html | WebDriver Docs}</p>
-   *
-   * @return {Promise<WebDriver>} [description]
-   */
-  getSeleniumDriver() {
-    if (this.getDriverModule()) {
-      try {
-        // This will require the necessary driver module that will add the
-        // driver executable to the current path.
-        const driverModule = require(this.getDriverModule());
-        // The operadriver module DOESNT add the driver to the current path.
-        if (this.getId() === 'opera') {
-          // Operadriver.path includes the executable name which upsets
-          // selenium and finding the operadriver executable.
-          process.env.PATH += path.delimiter + path.dirname(driverModule.path);
-        }
-      } catch (err) {
-        // NOOP
-      }
-    }
+    const provider = providerManager.getProvider('saucelabs');
+    super(provider, config, version);
 
-    try {
-      const builder = this.getSeleniumDriverBuilder();
-      const buildResult = builder.build();
-      if (buildResult.then) {
-        return buildResult;
-      }
-      return Promise.resolve(buildResult);
-    } catch (err) {
-      return Promise.reject(err);
-    }
+    const capabilities = provider.getCapabilities(config._id, version, {});
+    Object.keys(capabilities).forEach((key) => {
+      this.addCapability(key, capabilities[key]);
+    });
   }
 
   /**
-   * <p>The release name for this browser, either 'stable', 'beta',
-   * 'unstable'.</p>
-   *
-   * <p>Useful if you only want to test <i>or</i> not test on a particular
-   * release type.</p>
-   * @return {String} Release name of browser. 'stable', 'beta' or 'unstable'
+   * Use a specific Saucelabs account for this browser rather than the
+   * details passed to {@link SeleniumAssistant#setSaucelabsDetails}.
+   * @param {Object} saucelabsDetails The `username` and `accessKey` of the
+   * account and, optionally, the `serverUrl` of the Saucelabs data center.
    */
-  getVersion() {
-    return this._version;
-  }
-
-  /**
-   * <p>This method returns the preconfigured builder used by
-   * getSeleniumDriver().</p>
-   *
-   * <p>This is useful if you wish to customise the builder with additional
-   * options (i.e. customise the proxy of the driver.)</p>
-   *
-   * <p>For more info, see:
-   * {@link https://seleniumhq.github.io/selenium/docs/api/javascript/module/selenium-webdriver/index_exports_Builder.html | WebDriverBuilder Docs}</p>
-   *
-   * @return {WebDriverBuilder} Builder that resolves to a webdriver instance.
-   */
-  getSeleniumDriverBuilder() {
-    const saucelabsDetails = applicationState.getSaucelabsDetails();
-    this.addCapability('username', saucelabsDetails.username);
-    this.addCapability('accessKey', saucelabsDetails.accessKey);
-
-    const builder = new webdriver
-      .Builder();
-
-    builder.usingServer('https://' + saucelabsDetails.username + ':' +
-      saucelabsDetails.accessKey + '@ondemand.saucelabs.com:443/wd/hub');
-
-    return builder;
+  setSaucelabsDetails(saucelabsDetails) {
+    this.setCredentials(saucelabsDetails);
   }
 }
 
-module.exports = LocalBrowser;
+module.exports = SaucelabsBrowser;
@@ -0,0 +1,325 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const LocalChromiumBrowser = require('./local-browsers/chromium.js');
+
+const BOOLEAN_FLAGS = ['json', 'dry-run', 'help'];
+const NUMBER_FLAGS = ['expiration', 'keep-latest', 'older-than-days',
+  'max-bytes'];
+const USAGE = `Usage: selenium-assistant <command> [options]
+
+Commands:
+  list                      List the browsers found on this machine.
+  install <browser> <release>
+                            Download a browser. The release is 'stable',
+                            'beta', 'unstable', a version or, for Chromium,
+                            a snapshot revision.
+  clean                     Remove old installs and failed downloads.
+  which <browser> <release> Print the path of a browser's executable. Exits
+                            with 2 if the browser is blacklisted.
+  info                      Print the details of the browsers on this
+                            machine.
+
+Options:
+  --install-dir <path>      Where browsers are downloaded to.
+  --expiration <hours>      install: How long until a download is regarded
+                            as expired. 0 forces a download. [24]
+  --keep-latest <count>     clean: Keep this many installs of each channel
+                            and of the pinned versions of each browser.
+  --older-than-days <days>  clean: Only remove installs older than this.
+  --max-bytes <bytes>       clean: Shrink the install directory to this size.
+  --dry-run                 clean: Report what would be removed.
+  --json                    list, info: Print JSON.
+  --format <format>         info: Print 'table', 'json', 'markdown' or
+                            'junit-properties'. [table]
+  --help                    Print this message.
+`;
+
+/**
+ * The `selenium-assistant` command, which wraps {@link SeleniumAssistant}
+ * so browsers can be managed from shell scripts.
+ *
+ * @private
+ */
+class CLI {
+  /**
+   * Run a command.
+   * @param {Array<String>} args The command line arguments, without the
+   * node and script paths.
+   * @param {Object} [streams] The `stdout` and `stderr` streams to write
+   * to. Defaults to the process's streams.
+   * @return {Promise<number>} Resolves to the exit code.
+   */
+  run(args, streams) {
+    streams = streams || {};
+    const stdout = streams.stdout || process.stdout;
+    const stderr = streams.stderr || process.stderr;
+    // Required here as index.js is the module this command wraps.
+    const seleniumAssistant = require('./index.js');
+
+    return Promise.resolve()
+    .then(() => {
+      const parsedArgs = this._parseArgs(args);
+      if (parsedArgs.flags.help || !parsedArgs.command ||
+        parsedArgs.command === 'help') {
+        stdout.write(USAGE);
+        return 0;
+      }
+
+      if (parsedArgs.flags['install-dir']) {
+        seleniumAssistant.setBrowserInstallDir(
+          parsedArgs.flags['install-dir']);
+      }
+
+      switch (parsedArgs.command) {
+        case 'list':
+          return this._list(seleniumAssistant, parsedArgs, stdout);
+        case 'install':
+          return this._install(seleniumAssistant, parsedArgs, stdout);
+        case 'clean':
+          return this._clean(seleniumAssistant, parsedArgs, stdout);
+        case 'which':
+          return this._which(seleniumAssistant, parsedArgs, stdout, stderr);
+        case 'info':
+          return this._info(seleniumAssistant, parsedArgs, stdout);
+        default:
+          stderr.write(`Unknown command: '${parsedArgs.command}'\n\n` +
+            USAGE);
+          return 1;
+      }
+    })
+    .catch((err) => {
+      stderr.write(`Error: ${err.message}\n`);
+      return 1;
+    });
+  }
+
+  /**
+   * @param {Array<String>} args The command line arguments.
+   * @return {Object} The `command`, the `positional` arguments after it and
+   * the `flags`.
+   */
+  _parseArgs(args) {
+    const parsedArgs = {
+      command: null,
+      positional: [],
+      flags: {},
+    };
+
+    for (let i = 0; i < args.length; i++) {
+      const arg = args[i];
+      if (arg.indexOf('--') !== 0) {
+        if (parsedArgs.command) {
+          parsedArgs.positional.push(arg);
+        } else {
+          parsedArgs.command = arg;
+        }
+        continue;
+      }
+
+      const equalsIndex = arg.indexOf('=');
+      const flagName = equalsIndex === -1 ?
+        arg.substring(2) : arg.substring(2, equalsIndex);
+      if (BOOLEAN_FLAGS.indexOf(flagName) !== -1) {
+        parsedArgs.flags[flagName] = true;
+        continue;
+      }
+
+      let value;
+      if (equalsIndex !== -1) {
+        value = arg.substring(equalsIndex + 1);
+      } else if (i + 1 < args.length) {
+        i++;
+        value = args[i];
+      } else {
+        throw new Error(`The --${flagName} option needs a value.`);
+      }
+
+      if (NUMBER_FLAGS.indexOf(flagName) !== -1) {
+        const numberValue = Number(value);
+        if (value.length === 0 || isNaN(numberValue) || numberValue < 0) {
+          throw new Error(`The --${flagName} option must be a number.`);
+        }
+        value = numberValue;
+      }
+      parsedArgs.flags[flagName] = value;
+    }
+
+    return parsedArgs;
+  }
+
+  /**
+   * @param {Object} parsedArgs The parsed arguments.
+   * @param {String} command The command that needs the browser.
+   * @return {Object} The `browserId` and `release` to pass to
+   * {@link SeleniumAssistant#getLocalBrowser}.
+   */
+  _getBrowserArgs(parsedArgs, command) {
+    if (parsedArgs.positional.length !== 2) {
+      throw new Error(`Usage: selenium-assistant ${command} <browser> ` +
+        `<release>`);
+    }
+
+    const browserId = parsedArgs.positional[0];
+    let release = parsedArgs.positional[1];
+    if (browserId === 'chromium' &&
+      LocalChromiumBrowser.isValidRevision(release)) {
+      release = {revision: release};
+    } else if (/^\d/.test(release)) {
+      release = {version: release};
+    }
+
+    return {
+      browserId: browserId,
+      release: release,
+    };
+  }
+
+  /**
+   * @param {Browser} browser A local browser.
+   * @return {Object} The details of the browser to print as JSON.
+   */
+  _getBrowserDetails(browser) {
+    return {
+      browserId: browser.getId(),
+      release: browser.getReleaseName(),
+      prettyName: browser.getPrettyName(),
+      version: browser.getVersionNumber(),
+      executablePath: browser.getExecutablePath(),
+    };
+  }
+
+  /**
+   * @param {Object} seleniumAssistant The module to wrap.
+   * @param {Object} parsedArgs The parsed arguments.
+   * @param {WritableStream} stdout Where to print the browsers.
+   * @return {number} The exit code.
+   */
+  _list(seleniumAssistant, parsedArgs, stdout) {
+    const browsers = seleniumAssistant.getLocalBrowsers()
+    .map((browser) => this._getBrowserDetails(browser));
+
+    if (parsedArgs.flags.json) {
+      stdout.write(JSON.stringify(browsers, null, 2) + '\n');
+      return 0;
+    }
+
+    browsers.forEach((browser) => {
+      stdout.write([
+        browser.browserId,
+        browser.release,
+        browser.version,
+        browser.executablePath,
+      ].join('\t') + '\n');
+    });
+    return 0;
+  }
+
+  /**
+   * @param {Object} seleniumAssistant The module to wrap.
+   * @param {Object} parsedArgs The parsed arguments.
+   * @param {WritableStream} stdout Where to print the installed browser.
+   * @return {Promise<number>} Resolves to the exit code.
+   */
+  _install(seleniumAssistant, parsedArgs, stdout) {
+    const browserArgs = this._getBrowserArgs(parsedArgs, 'install');
+    return seleniumAssistant.downloadLocalBrowser(browserArgs.browserId,
+      browserArgs.release, parsedArgs.flags.expiration, {
+        showProgress: true,
+      })
+    .then(() => {
+      const browser = seleniumAssistant.getLocalBrowser(
+        browserArgs.browserId, browserArgs.release);
+      stdout.write(`Installed ${browser.getPrettyName()} at ` +
+        `${browser.getExecutablePath()}\n`);
+      return 0;
+    });
+  }
+
+  /**
+   * @param {Object} seleniumAssistant The module to wrap.
+   * @param {Object} parsedArgs The parsed arguments.
+   * @param {WritableStream} stdout Where to print the report.
+   * @return {Promise<number>} Resolves to the exit code.
+   */
+  _clean(seleniumAssistant, parsedArgs, stdout) {
+    return seleniumAssistant.cleanInstallDir({
+      keepLatest: parsedArgs.flags['keep-latest'],
+      olderThanDays: parsedArgs.flags['older-than-days'],
+      maxBytes: parsedArgs.flags['max-bytes'],
+      dryRun: !!parsedArgs.flags['dry-run'],
+    })
+    .then((report) => {
+      const action = report.dryRun ? 'Would remove' : 'Removed';
+      report.removed.forEach((removal) => {
+        stdout.write(`${action} ${removal.path} (${removal.reason})\n`);
+      });
+      report.skipped.forEach((skipped) => {
+        stdout.write(`Skipped ${skipped.path} (${skipped.reason})\n`);
+      });
+      stdout.write(`${report.dryRun ? 'Would free' : 'Freed'} ` +
+        `${report.freedBytes} bytes.\n`);
+      return 0;
+    });
+  }
+
+  /**
+   * @param {Object} seleniumAssistant The module to wrap.
+   * @param {Object} parsedArgs The parsed arguments.
+   * @param {WritableStream} stdout Where to print the path.
+   * @param {WritableStream} stderr Where to print a missing browser.
+   * @return {number} The exit code, 1 if the browser isn't installed or 2 if
+   * it's installed but blacklisted.
+   */
+  _which(seleniumAssistant, parsedArgs, stdout, stderr) {
+    const browserArgs = this._getBrowserArgs(parsedArgs, 'which');
+    const browser = seleniumAssistant.getLocalBrowser(browserArgs.browserId,
+      browserArgs.release);
+    if (browser && !browser.isValid() && browser.isBlackListed()) {
+      stdout.write(browser.getExecutablePath() + '\n');
+      stderr.write(`${browserArgs.browserId} ` +
+        `'${parsedArgs.positional[1]}' is installed but blacklisted as it ` +
+        `doesn't work with the installed driver.\n`);
+      return 2;
+    }
+
+    if (!browser || !browser.isValid()) {
+      stderr.write(`${browserArgs.browserId} ` +
+        `'${parsedArgs.positional[1]}' isn't installed.\n`);
+      return 1;
+    }
+
+    stdout.write(browser.getExecutablePath() + '\n');
+    return 0;
+  }
+
+  /**
+   * @param {Object} seleniumAssistant The module to wrap.
+   * @param {Object} parsedArgs The parsed arguments.
+   * @param {WritableStream} stdout Where to print the info.
+   * @return {number} The exit code.
+   */
+  _info(seleniumAssistant, parsedArgs, stdout) {
+    const format = parsedArgs.flags.json ?
+      'json' : parsedArgs.flags.format || 'table';
+    stdout.write(seleniumAssistant.printAvailableBrowserInfo(false, format));
+    return 0;
+  }
+}
+
+module.exports = new CLI();
@@ -17,18 +17,38 @@
 'use strict';
 
 const spawn = require('child_process').spawn;
+const crypto = require('crypto');
 const path = require('path');
 const fs = require('fs');
+const url = require('url');
 const request = require('request');
 const mkdirp = require('mkdirp');
 const del = require('del');
 const dmg = require('dmg');
 const fse = require('fs-extra');
 const yauzl = require('yauzl');
-const LocalStorage = require('node-localstorage').LocalStorage;
 
 const application = require('./application-state.js');
 const browserManager = require('./browser-manager.js');
+const LocalBrowser = require('./browser-models/local-browser.js');
+const LocalChromiumBrowser = require('./local-browsers/chromium.js');
+const ChecksumError = require('./errors/checksum-error.js');
+const ProgressRenderer = require('./progress-renderer.js');
+const InstallLock = require('./install-lock.js');
+const installManifest = require('./install-manifest.js');
+
+const DEFAULT_REQUEST_TIMEOUT = 60 * 1000;
+const DEFAULT_RETRIES = 3;
+const DEFAULT_RETRY_DELAY = 1000;
+const TRANSIENT_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'ESOCKETTIMEDOUT',
+  'EPIPE',
+  'EAI_AGAIN',
+  'EINCOMPLETE',
+];
 
 /**
  * The download manager's sole job is to download browsers and drivers.
@@ -51,56 +71,125 @@ class DownloadManager {
    * This method will download a browser if it is needed (i.e. can't be found
    * in the usual system location or in the install directory).
    * @param  {String} browserId This is the Selenium ID of the browser you wish
-   *                            to download ('chrome', 'firefox', 'opera').
-   * @param  {String} release   This downloads the browser on a particular track
-   *                            and can be 'stable', 'beta' or 'unstable'
+   *                            to download ('chrome', 'chromium', 'firefox'
+   *                            or a registered browser with a static
+   *                            `download()` method, see
+   *                            {@link SeleniumAssistant#registerLocalBrowser}).
+   * @param  {String|Object} release This downloads the browser on a particular
+   *                            track and can be 'stable', 'beta' or 'unstable'
+   *                            or an object with a `version` to install a
+   *                            specific version (i.e. `{version: '52.0.2'}`).
+   *                            Chromium is downloaded by snapshot revision
+   *                            (i.e. `{revision: 450000}`).
    * @param  {Number} [expirationInHours=24] This is how long until a browser
    *                             download is regarded and expired and Should
    *                             be updated. A value of 0 will force a download.
    *         										 If you want to install the browser regardless
    *                             of any existing installs of the process, pass
    *                             in true.
+   * @param  {Object} [options]  Options for the download.
+   * @param  {String} [options.sha256] The expected SHA-256 digest (hex) of the
+   *                             downloaded archive.
+   * @param  {String} [options.checksumManifest] Path to a JSON file mapping
+   *                             download URLs to their SHA-256 digests.
+   * @param  {Function} [options.onProgress] Called with progress events
+   *                             ({browserId, release, phase, receivedBytes,
+   *                             totalBytes}) where phase is 'downloading',
+   *                             'extracting', 'cleaning' or 'complete'.
+   * @param  {Boolean} [options.showProgress=false] Render a progress bar to
+   *                             stderr when it's a TTY.
+   * @param  {Number} [options.lockTimeout=900000] How long, in milliseconds,
+   *                             to wait for another process installing the
+   *                             same browser and release.
+   * @param  {Boolean} [options.downloadDriver=false] Download the driver
+   *                             binary matching the browser's version, see
+   *                             {@link downloadDriver}. If the driver can't
+   *                             be downloaded, the promise rejects but the
+   *                             browser stays installed.
+   * @param  {String} [options.proxy] Proxy URL for downloads. Defaults to
+   *                             the HTTPS_PROXY / HTTP_PROXY environment
+   *                             variables, honouring NO_PROXY.
+   * @param  {String|Array<String>} [options.caFile] Path(s) of PEM CA
+   *                             certificates to trust for downloads.
+   * @param  {Number} [options.timeout=60000] Milliseconds to wait for a
+   *                             connection or for data before a request fails.
+   * @param  {Number} [options.retries=3] How many times to retry a request
+   *                             that fails with a transient error.
+   * @param  {Number} [options.retryDelay=1000] Milliseconds before the first
+   *                             retry, doubling for each retry after that.
    * @return {Promise}           Promise resolves once the browser has been
-   *                             downloaded and ready for use.
+   *                             downloaded and ready for use. The install is
+   *                             recorded in the install manifest, see
+   *                             {@link InstallManifest}.
    */
-  downloadLocalBrowser(browserId, release, expirationInHours) {
+  downloadLocalBrowser(browserId, release, expirationInHours, options) {
     let installDir = application.getInstallDirectory();
-    const storageKey = `${browserId}:${release}`;
-    const localstoragePath =
-      path.join(application.getInstallDirectory(), 'localstorage');
-    let localStorage = null;
+    let releaseName = release;
+    let isPinnedVersion = false;
+    if (release !== null && typeof release === 'object' &&
+      typeof release.revision !== 'undefined') {
+      if (browserId !== 'chromium' ||
+        !LocalChromiumBrowser.isValidRevision(release.revision)) {
+        return Promise.reject(new Error(`Invalid browser revision: ` +
+          `'${release.revision}'`));
+      }
+      releaseName = String(parseInt(release.revision, 10));
+      isPinnedVersion = true;
+    } else if (release !== null && typeof release === 'object') {
+      if (!LocalBrowser.isValidPinnedVersion(release.version)) {
+        return Promise.reject(new Error(`Invalid browser version: ` +
+          `'${release.version}'`));
+      }
+      releaseName = release.version;
+      isPinnedVersion = true;
+    }
 
-    return new Promise((resolve, reject) => {
-      mkdirp(localstoragePath, (err) => {
-        if (err) {
-          return reject(err);
-        }
-        resolve();
+    const installLock = new InstallLock(
+      path.join(installDir, 'locks', `${browserId}-${releaseName}.lock`), {
+        timeout: options && options.lockTimeout,
       });
-    })
+    const requestTime = Date.now();
+    let previousInstall = null;
+
+    return this._acquireInstallLock(installDir, installLock, options)
     .then(() => {
-      localStorage = new LocalStorage(localstoragePath);
-      const lastBrowserUpdate = localStorage.getItem(storageKey);
-      if (lastBrowserUpdate) {
-        if (typeof expirationInHours === 'undefined') {
-          expirationInHours = this.defaultExpiration;
-        }
+      return Promise.resolve()
+      .then(() => {
+        previousInstall = installManifest.getInstall(browserId, releaseName);
+        const lastBrowserUpdate = previousInstall && previousInstall.updatedAt;
+        if (lastBrowserUpdate) {
+          if (typeof expirationInHours === 'undefined') {
+            expirationInHours = this.defaultExpiration;
+          }
 
-        const expirationInMillis = expirationInHours * 60 * 60 * 1000;
-        const dateComparison = Date.now() - expirationInMillis;
+          // A pinned version never changes, so only download it again if
+          // it's forced or the install has gone.
+          if (isPinnedVersion && expirationInHours !== 0) {
+            expirationInHours = Infinity;
+          }
+
+          const expirationInMillis = expirationInHours * 60 * 60 * 1000;
+          let dateComparison = Date.now() - expirationInMillis;
+
+          // If another process installed this browser while we waited for
+          // the lock, reuse that install rather than downloading it again.
+          if (installLock.wasContended()) {
+            dateComparison = Math.min(dateComparison, requestTime - 1);
+          }
 
-        if (parseInt(lastBrowserUpdate, 10) > dateComparison) {
-          const browserInstance = browserManager
-            .getLocalBrowser(browserId, release);
-          return !browserInstance.isValid();
+          if (parseInt(lastBrowserUpdate, 10) > dateComparison) {
+            const browserInstance = browserManager
+              .getLocalBrowser(browserId, release);
+            return !browserInstance.isValid();
+          }
         }
-      }
 
-      return true;
-    })
-    .catch((err) => {
-      // In case of error download browser.
-      return true;
+        return true;
+      })
+      .catch((err) => {
+        // In case of error download browser.
+        return true;
+      });
     })
     .then((browserNeedsDownloading) => {
       if (!browserNeedsDownloading) {
@@ -110,57 +199,419 @@ class DownloadManager {
       let downloadPromise;
       switch (browserId) {
         case 'chrome':
-          downloadPromise = this._downlaodChrome(release, installDir);
+          downloadPromise = this._downlaodChrome(release, installDir,
+            options);
+          break;
+        case 'chromium':
+          downloadPromise = this._downloadChromium(release, installDir,
+            options);
           break;
         case 'firefox':
-          downloadPromise = this._downloadFirefox(release, installDir);
+          downloadPromise = this._downloadFirefox(release, installDir,
+            options);
           break;
-        default:
-          throw new Error(`Apologies, but ${browserId} can't be downloaded ` +
-            `with this tool`);
+        default: {
+          // Registered browsers can provide their own download.
+          const BrowserClass = browserManager.getLocalBrowserClass(browserId);
+          if (!BrowserClass || typeof BrowserClass.download !== 'function') {
+            throw new Error(`Apologies, but ${browserId} can't be ` +
+              `downloaded with this tool`);
+          }
+          downloadPromise = Promise.resolve(BrowserClass.download(release,
+            path.join(installDir, browserId, releaseName), options));
+          break;
+        }
+      }
+
+      return downloadPromise.then((downloadDetails) => {
+        downloadDetails = downloadDetails || {};
+        const updateTime = Date.now();
+        return installManifest.updateInstall(browserId, releaseName, {
+          version: this._getInstalledVersion(browserId, release),
+          downloadUrl: downloadDetails.downloadUrl || null,
+          sha256: downloadDetails.sha256 || null,
+          installPath: path.join(installDir, browserId, releaseName),
+          installedAt: (previousInstall && previousInstall.installedAt) ||
+            updateTime,
+          updatedAt: updateTime,
+        });
+      });
+    })
+    .then(() => {
+      if (!options || options.downloadDriver !== true) {
+        return;
       }
 
-      return downloadPromise.then(() => {
-        if (localStorage) {
-          return localStorage.setItem(storageKey, Date.now());
+      // The browser is installed and recorded by now, so it's kept and
+      // uses the driver's npm module if the driver can't be downloaded.
+      return this.downloadDriver(browserId, release, options)
+      .catch((err) => {
+        throw new Error(`${browserId} ${releaseName} was installed but its ` +
+          `driver couldn't be downloaded: ${err.message}`);
+      });
+    })
+    .then(() => {
+      installLock.release();
+    }, (err) => {
+      installLock.release();
+      throw err;
+    });
+  }
+
+  /**
+   * @param {string} browserId The selenium id of the browser.
+   * @param {string|Object} release The release name or pinned version.
+   * @return {string|null} The version number from the browser's version
+   * string (i.e. '52.0.2' or '53.0b5') or null if it can't be found.
+   */
+  _getInstalledVersion(browserId, release) {
+    let rawVersion = null;
+    try {
+      rawVersion = browserManager.getLocalBrowser(browserId, release)
+        .getRawVersionString();
+    } catch (err) {
+      // NOOP
+    }
+
+    if (!rawVersion) {
+      return null;
+    }
+
+    const versionMatch = /\d+(\.[0-9A-Za-z]+)+/.exec(rawVersion);
+    return versionMatch ? versionMatch[0] : rawVersion.trim();
+  }
+
+  /**
+   * <p>Download the driver binary (i.e. chromedriver) that matches the
+   * version of an installed browser into the install directory.</p>
+   *
+   * <p>The driver is recorded in the install manifest so
+   * {@link LocalBrowser#getDriverPath} can find it. If the recorded driver
+   * was downloaded for the same major browser version and still exists, it's
+   * reused.</p>
+   *
+   * @param {String} browserId The selenium id of the browser.
+   * @param {String|Object} release The release name or pinned version.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}. Only `checksumManifest` applies to drivers.
+   * @return {Promise<Object|null>} Promise that resolves to the driver
+   * details ({module, version, path, browserVersion}) or null if the browser
+   * has no driver that can be downloaded.
+   */
+  downloadDriver(browserId, release, options) {
+    const installDir = application.getInstallDirectory();
+
+    return Promise.resolve()
+    .then(() => {
+      const browser = browserManager.getLocalBrowser(browserId, release);
+      const driverModule = browser ? browser.getDriverModule() : null;
+      if (driverModule !== 'chromedriver' && driverModule !== 'geckodriver') {
+        return null;
+      }
+
+      const browserVersion = browser.getVersionNumber();
+      if (browserVersion === -1) {
+        throw new Error(`Unable to find the version of ` +
+          `'${browser.getPrettyName()}' to download ${driverModule}.`);
+      }
+
+      const installedDriver = browser.getInstalledDriver();
+      if (installedDriver &&
+        installedDriver.browserVersion === browserVersion &&
+        fs.existsSync(installedDriver.path)) {
+        return installedDriver;
+      }
+
+      return this._getDriverDownload(driverModule, browserVersion, options)
+      .then((driverDownload) => {
+        return this._installDriver(installDir, driverModule, driverDownload,
+          options)
+        .then((driverPath) => {
+          const driverDetails = {
+            module: driverModule,
+            version: driverDownload.version,
+            path: driverPath,
+            browserVersion: browserVersion,
+          };
+          return installManifest.updateInstall(browserId,
+            browser.getReleaseName(), {driver: driverDetails})
+          .then(() => driverDetails);
+        });
+      });
+    });
+  }
+
+  /**
+   * Work out which driver version supports a browser version and where to
+   * download it from.
+   * @param {string} driverModule 'chromedriver' or 'geckodriver'.
+   * @param {number} browserVersion The major version of the browser.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<Object>} Promise that resolves to an object with the
+   * `version`, `url` and `binaryName` of the driver.
+   */
+  _getDriverDownload(driverModule, browserVersion, options) {
+    switch (driverModule) {
+      case 'chromedriver':
+        return this._getChromedriverDownload(browserVersion, options);
+      case 'geckodriver':
+        return Promise.resolve(this._getGeckodriverDownload(browserVersion));
+      default:
+        return Promise.reject(new Error(`Unknown driver: '${driverModule}'`));
+    }
+  }
+
+  /**
+   * Chrome 115 onwards publishes chromedriver with Chrome for Testing,
+   * Chrome 70 to 114 have a LATEST_RELEASE file per major version and older
+   * versions use the chromedriver 2.x release that supports them.
+   * @param {number} chromeVersion The major version of Chrome.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<Object>} See {@link _getDriverDownload}.
+   */
+  _getChromedriverDownload(chromeVersion, options) {
+    let platformId;
+    switch (process.platform) {
+      case 'linux':
+        platformId = 'linux64';
+        break;
+      case 'darwin':
+        if (chromeVersion >= 115) {
+          platformId = process.arch === 'arm64' ? 'mac-arm64' : 'mac-x64';
+        } else {
+          platformId = 'mac64';
         }
+        break;
+      default:
+        return Promise.reject(
+          new Error('Unsupport platform.', process.platform));
+    }
+
+    const latestReleaseName = `LATEST_RELEASE_${chromeVersion}`;
+    const getLatestRelease = (latestReleaseUrl) => {
+      return this._fetchText(this._getMirrorUrl('chromedriver',
+        String(chromeVersion), latestReleaseUrl, latestReleaseName),
+        latestReleaseName, options);
+    };
+
+    if (chromeVersion >= 115) {
+      return getLatestRelease(`https://googlechromelabs.github.io/` +
+        `chrome-for-testing/${latestReleaseName}`)
+      .then((driverVersion) => {
+        return {
+          version: driverVersion,
+          url: `https://storage.googleapis.com/chrome-for-testing-public/` +
+            `${driverVersion}/${platformId}/chromedriver-${platformId}.zip`,
+          binaryName: 'chromedriver',
+        };
+      });
+    }
+
+    let versionPromise;
+    if (chromeVersion >= 70) {
+      versionPromise = getLatestRelease(`https://chromedriver.storage.` +
+        `googleapis.com/${latestReleaseName}`);
+    } else {
+      const supportedVersion = [
+        [69, '2.44'], [67, '2.41'], [65, '2.38'], [64, '2.35'],
+        [61, '2.34'], [60, '2.33'], [58, '2.30'], [55, '2.28'],
+        [54, '2.27'], [53, '2.25'], [52, '2.24'], [49, '2.22'],
+      ].find((mapping) => chromeVersion >= mapping[0]);
+      if (!supportedVersion) {
+        return Promise.reject(new Error(`No chromedriver is available for ` +
+          `Chrome ${chromeVersion}.`));
+      }
+      versionPromise = Promise.resolve(supportedVersion[1]);
+    }
+
+    return versionPromise.then((driverVersion) => {
+      return {
+        version: driverVersion,
+        url: `https://chromedriver.storage.googleapis.com/${driverVersion}/` +
+          `chromedriver_${platformId}.zip`,
+        binaryName: 'chromedriver',
+      };
+    });
+  }
+
+  /**
+   * geckodriver doesn't publish a version per Firefox release, so use the
+   * newest geckodriver that supports the Firefox version.
+   * @param {number} firefoxVersion The major version of Firefox.
+   * @return {Object} See {@link _getDriverDownload}.
+   */
+  _getGeckodriverDownload(firefoxVersion) {
+    const supportedVersion = [
+      [115, '0.34.0'], [102, '0.33.0'], [91, '0.31.0'], [78, '0.30.0'],
+      [60, '0.26.0'], [55, '0.20.1'], [52, '0.17.0'], [47, '0.11.1'],
+    ].find((mapping) => firefoxVersion >= mapping[0]);
+    if (!supportedVersion) {
+      throw new Error(`No geckodriver is available for Firefox ` +
+        `${firefoxVersion}.`);
+    }
+
+    const driverVersion = supportedVersion[1];
+    let platformId;
+    switch (process.platform) {
+      case 'linux':
+        platformId = 'linux64';
+        break;
+      case 'darwin':
+        platformId = process.arch === 'arm64' &&
+          firefoxVersion >= 84 ? 'macos-aarch64' : 'macos';
+        break;
+      default:
+        throw new Error('Unsupport platform.', process.platform);
+    }
+
+    return {
+      version: driverVersion,
+      url: `https://github.com/mozilla/geckodriver/releases/download/` +
+        `v${driverVersion}/geckodriver-v${driverVersion}-${platformId}.tar.gz`,
+      binaryName: 'geckodriver',
+    };
+  }
+
+  /**
+   * Download and extract a driver into `drivers/<module>/<version>` in the
+   * install directory.
+   * @param {string} installDir The install directory.
+   * @param {string} driverModule The name of the driver.
+   * @param {Object} driverDownload See {@link _getDriverDownload}.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<string>} Promise that resolves to the path of the
+   * driver binary.
+   */
+  _installDriver(installDir, driverModule, driverDownload, options) {
+    const finalDriverPath = path.join(installDir, 'drivers', driverModule,
+      driverDownload.version);
+    const finalBinaryPath = path.join(finalDriverPath,
+      driverDownload.binaryName);
+    if (fs.existsSync(finalBinaryPath)) {
+      return Promise.resolve(finalBinaryPath);
+    }
+
+    const stagingDir = this._getStagingDirectory(installDir);
+    const stagedName = `${driverModule}-${driverDownload.version}`;
+    const stagedDriverPath = path.join(stagingDir, stagedName);
+    const isZip = /\.zip$/.test(driverDownload.url);
+    const fileName = `${stagedName}${isZip ? '.zip' : '.tar.gz'}`;
+    const filePath = path.join(stagingDir, fileName);
+    const downloadUrl = this._getMirrorUrl(driverModule,
+      driverDownload.version, driverDownload.url, fileName);
+    // The sha256 option is for the browser's archive.
+    const downloadOptions = Object.assign({}, options, {sha256: null});
+
+    // Different browsers can share a driver, so lock on the driver version.
+    const installLock = new InstallLock(
+      path.join(installDir, 'locks', `${stagedName}.lock`), {
+        timeout: options && options.lockTimeout,
       });
+    return this._acquireInstallLock(installDir, installLock, options)
+    .then(() => {
+      if (fs.existsSync(finalBinaryPath)) {
+        return;
+      }
+
+      return this._prepareStagingDirectory(stagedDriverPath)
+      .then(() => this._downloadFile(downloadUrl, filePath, downloadOptions))
+      .then(() => {
+        if (isZip) {
+          return this._extractZip(filePath, stagedDriverPath);
+        }
+        return this._extractTar(filePath, stagedDriverPath, 0);
+      })
+      .then(() => {
+        // Newer chromedriver zips have the binary in a sub directory.
+        const binaryPath = this._findFile(stagedDriverPath,
+          driverDownload.binaryName);
+        if (!binaryPath) {
+          throw new Error(`Unable to find ${driverDownload.binaryName} in ` +
+            `'${downloadUrl}'.`);
+        }
+
+        const flattenedPath = path.join(stagedDriverPath,
+          driverDownload.binaryName);
+        if (binaryPath !== flattenedPath) {
+          fs.renameSync(binaryPath, flattenedPath);
+        }
+        fs.chmodSync(flattenedPath, '755');
+
+        return this._swapIntoPlace(stagedDriverPath, finalDriverPath);
+      })
+      .then(() => del(filePath, {force: true}));
+    })
+    .then(() => {
+      installLock.release();
+      return finalBinaryPath;
+    }, (err) => {
+      installLock.release();
+      throw err;
     });
   }
 
   /**
    * Download a version of Chrome to a specific directory.
-   * @param {string} release This should be 'stable', 'beta' or 'unstable'.
+   * @param {string|Object} release This should be 'stable', 'beta',
+   * 'unstable' or an object with a `version` (Linux only).
    * @param {string} installDir The path to install Chrome into.
-   * @return {Promise} Promise that resolves once the download has completed.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<Object>} Promise that resolves to the `downloadUrl`
+   * and `sha256` digest of the download once it has completed.
    */
-  _downlaodChrome(release, installDir) {
+  _downlaodChrome(release, installDir, options) {
     let downloadUrl;
     let fileExtension = null;
     let chromeProduct = null;
     let chromeOSXAppName = null;
+    let pinnedVersion = null;
 
-    switch (release) {
-      case 'stable':
-        chromeProduct = 'google-chrome-stable';
-        break;
-      case 'beta':
-        chromeProduct = 'google-chrome-beta';
-        break;
-      case 'unstable':
-        chromeProduct = 'google-chrome-unstable';
-        break;
-      default:
-        throw new Error(`Unknown release: '${release}'`);
+    if (release !== null && typeof release === 'object') {
+      // Pinned versions are installed under their version number.
+      pinnedVersion = release.version;
+      release = pinnedVersion;
+    }
+
+    if (pinnedVersion) {
+      chromeProduct = 'google-chrome-stable';
+    } else {
+      switch (release) {
+        case 'stable':
+          chromeProduct = 'google-chrome-stable';
+          break;
+        case 'beta':
+          chromeProduct = 'google-chrome-beta';
+          break;
+        case 'unstable':
+          chromeProduct = 'google-chrome-unstable';
+          break;
+        default:
+          throw new Error(`Unknown release: '${release}'`);
+      }
     }
 
     switch (process.platform) {
       case 'linux': {
         fileExtension = 'deb';
-        downloadUrl = `https://dl.google.com/linux/direct/${chromeProduct}_current_amd64.deb`;
+        if (pinnedVersion) {
+          // Only recent versions are kept in the apt pool.
+          downloadUrl = `https://dl.google.com/linux/chrome/deb/pool/main/` +
+            `g/${chromeProduct}/${chromeProduct}_${pinnedVersion}-1_amd64.deb`;
+          chromeProduct = `${chromeProduct}_${pinnedVersion}`;
+        } else {
+          downloadUrl = `https://dl.google.com/linux/direct/${chromeProduct}_current_amd64.deb`;
+        }
         break;
       }
       case 'darwin':
+        if (pinnedVersion) {
+          throw new Error('Pinned versions of Chrome can only be downloaded ' +
+            'on Linux.');
+        }
         fileExtension = 'dmg';
         switch (release) {
           case 'stable':
@@ -189,121 +640,164 @@ class DownloadManager {
     }
 
     const finalBrowserPath = path.join(installDir, 'chrome', release);
-    return new Promise((resolve, reject) => {
-      mkdirp(installDir, (err) => {
-        if (err) {
-          return reject(err);
-        }
-        resolve();
-      });
-    })
+    const stagingDir = this._getStagingDirectory(installDir);
+    const stagedBrowserPath = path.join(stagingDir, `chrome-${release}`);
+    const fileName = chromeProduct + '.' + fileExtension;
+    downloadUrl = this._getMirrorUrl('chrome', release, downloadUrl,
+      fileName);
+    const downloadDetails = {downloadUrl: downloadUrl, sha256: null};
+    const reportProgress = this._createProgressReporter('chrome', release,
+      options);
+    return this._prepareStagingDirectory(stagedBrowserPath)
     .then(() => {
-      return new Promise((resolve, reject) => {
-        const filePath = path.join(installDir, chromeProduct + '.' +
-          fileExtension);
-        const file = fs.createWriteStream(filePath);
-        request(downloadUrl, (err) => {
-          if (err) {
-            return reject(err);
-          }
-
-          resolve(filePath);
-        })
-        .pipe(file);
-      });
-    })
-    .then((filePath) => {
-      return new Promise((resolve, reject) => {
-        mkdirp(finalBrowserPath, (err) => {
-          if (err) {
-            return reject(err);
-          }
-          resolve(filePath);
-        });
-      });
+      const filePath = path.join(stagingDir, fileName);
+      return this._downloadFile(downloadUrl, filePath, options,
+        reportProgress);
     })
+    .then((filePath) => this._recordChecksum(filePath, downloadDetails))
     .then((filePath) => {
+      reportProgress('extracting');
       switch (fileExtension) {
         case 'deb':
-          return new Promise(function(resolve, reject) {
-            // dpkg -x app.deb /path/to/target/dir/
-            const dpkgProcess = spawn('dpkg', [
-              '-x',
-              filePath,
-              finalBrowserPath,
-            ], {stdio: 'inherit'});
-
-            dpkgProcess.on('exit', (code) => {
-              if (code === 0) {
-                return resolve(filePath);
-              }
-
-              reject(new Error('Unable to extract deb'));
-            });
-          });
+          return this._extractDeb(filePath, stagedBrowserPath);
         case 'dmg':
-          return new Promise((resolve, reject) => {
-            dmg.mount(filePath, (err, mountedPath) => {
-              if (err) {
-                return reject(err);
-              }
-
-              fse.copySync(
-                path.join(mountedPath, chromeOSXAppName),
-                path.join(installDir, 'chrome', release, chromeOSXAppName)
-              );
-
-              dmg.unmount(mountedPath, (err) => {
-                if (err) {
-                  reject(err);
-                }
-
-                resolve();
-              });
-            });
-          });
+          return this._copyAppFromDmg(filePath, chromeOSXAppName,
+            stagedBrowserPath);
         default:
           throw new Error('Unknown file extension: ', fileExtension);
       }
     })
     .then((filePath) => {
-      return del(filePath, {force: true});
+      return this._swapIntoPlace(stagedBrowserPath, finalBrowserPath)
+      .then(() => {
+        reportProgress('cleaning');
+        return del(filePath, {force: true});
+      });
+    })
+    .then(() => {
+      reportProgress('complete');
+      return downloadDetails;
+    });
+  }
+
+  /**
+   * Download a Chromium continuous build snapshot to a specific directory.
+   * @param {Object} release An object with the `revision` of the snapshot.
+   * @param {string} installDir The path to install Chromium into.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<Object>} Promise that resolves to the `downloadUrl`
+   * and `sha256` digest of the download once it has completed.
+   */
+  _downloadChromium(release, installDir, options) {
+    if (release === null || typeof release !== 'object' ||
+      typeof release.revision === 'undefined') {
+      throw new Error('Chromium can only be downloaded by revision, i.e. ' +
+        '{revision: 450000}.');
+    }
+
+    const revision = String(parseInt(release.revision, 10));
+    let snapshotPlatform;
+    let archiveName;
+    switch (process.platform) {
+      case 'linux':
+        snapshotPlatform = 'Linux_x64';
+        archiveName = 'chrome-linux';
+        break;
+      case 'darwin':
+        snapshotPlatform = process.arch === 'arm64' ? 'Mac_Arm' : 'Mac';
+        archiveName = 'chrome-mac';
+        break;
+      default:
+        throw new Error('Unsupport platform.', process.platform);
+    }
+
+    let downloadUrl = `https://storage.googleapis.com/` +
+      `chromium-browser-snapshots/${snapshotPlatform}/${revision}/` +
+      `${archiveName}.zip`;
+    const finalBrowserPath = path.join(installDir, 'chromium', revision);
+    const stagingDir = this._getStagingDirectory(installDir);
+    const stagedBrowserPath = path.join(stagingDir, `chromium-${revision}`);
+    const fileName = `chromium-${revision}.zip`;
+    downloadUrl = this._getMirrorUrl('chromium', revision, downloadUrl,
+      fileName);
+    const downloadDetails = {downloadUrl: downloadUrl, sha256: null};
+    const reportProgress = this._createProgressReporter('chromium', revision,
+      options);
+    return this._prepareStagingDirectory(stagedBrowserPath)
+    .then(() => {
+      const filePath = path.join(stagingDir, fileName);
+      return this._downloadFile(downloadUrl, filePath, options,
+        reportProgress);
+    })
+    .then((filePath) => this._recordChecksum(filePath, downloadDetails))
+    .then((filePath) => {
+      reportProgress('extracting');
+      return this._extractZip(filePath, stagedBrowserPath);
+    })
+    .then((filePath) => {
+      return this._swapIntoPlace(stagedBrowserPath, finalBrowserPath)
+      .then(() => {
+        reportProgress('cleaning');
+        return del(filePath, {force: true});
+      });
+    })
+    .then(() => {
+      reportProgress('complete');
+      return downloadDetails;
     });
   }
 
   /**
    * Download a version of Firefox to a specific directory.
-   * @param {string} release This should be 'stable', 'beta' or 'unstable'.
+   * @param {string|Object} release This should be 'stable', 'beta',
+   * 'unstable' or an object with a `version`.
    * @param {string} installDir The path to install Firefox into.
-   * @return {Promise} Promise that resolves once the download has completed.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<Object>} Promise that resolves to the `downloadUrl`
+   * and `sha256` digest of the download once it has completed.
    */
-  _downloadFirefox(release, installDir) {
+  _downloadFirefox(release, installDir, options) {
     let ffProduct = null;
     let ffPlatformId = null;
     let fileExtension = null;
     let firefoxMacApp = null;
+    let pinnedVersion = null;
 
-    switch (release) {
-      case 'stable':
-        firefoxMacApp = 'Firefox.app';
-        ffProduct = 'firefox-latest';
-        break;
-      case 'beta':
-        firefoxMacApp = 'Firefox.app';
-        ffProduct = 'firefox-beta-latest';
-        break;
-      case 'unstable':
-        firefoxMacApp = 'FirefoxNightly.app';
-        ffProduct = 'firefox-nightly-latest';
-        break;
-      default:
-        throw new Error(`Unknown release: '${release}'`);
+    if (release !== null && typeof release === 'object') {
+      // Pinned versions are installed under their version number.
+      pinnedVersion = release.version;
+      release = pinnedVersion;
+    }
+
+    if (pinnedVersion) {
+      firefoxMacApp = 'Firefox.app';
+      ffProduct = `firefox-${pinnedVersion}`;
+    } else {
+      switch (release) {
+        case 'stable':
+          firefoxMacApp = 'Firefox.app';
+          ffProduct = 'firefox-latest';
+          break;
+        case 'beta':
+          firefoxMacApp = 'Firefox.app';
+          ffProduct = 'firefox-beta-latest';
+          break;
+        case 'unstable':
+          firefoxMacApp = 'FirefoxNightly.app';
+          ffProduct = 'firefox-nightly-latest';
+          break;
+        default:
+          throw new Error(`Unknown release: '${release}'`);
+      }
     }
 
     switch (process.platform) {
       case 'linux':
         ffPlatformId = 'linux64';
-        fileExtension = '.tar.gz';
+        // Mozilla's release archive has bzip2 tarballs.
+        fileExtension = pinnedVersion ? '.tar.bz2' : '.tar.gz';
         break;
       case 'darwin':
         ffPlatformId = 'osx';
@@ -313,97 +807,82 @@ class DownloadManager {
         throw new Error('Unsupport platform.', process.platform);
     }
 
-    const downloadUrl = `https://download.mozilla.org/?product=${ffProduct}&lang=en-US&os=${ffPlatformId}`;
-    return new Promise((resolve, reject) => {
-      mkdirp(installDir, (err) => {
-        if (err) {
-          return reject(err);
-        }
-        resolve();
-      });
-    })
+    let downloadUrl = `https://download.mozilla.org/?product=${ffProduct}&lang=en-US&os=${ffPlatformId}`;
+    if (pinnedVersion) {
+      downloadUrl = this._getFirefoxArchiveUrl(pinnedVersion);
+    }
+    const finalBrowserPath = path.join(installDir, 'firefox', release);
+    const stagingDir = this._getStagingDirectory(installDir);
+    const stagedBrowserPath = path.join(stagingDir, `firefox-${release}`);
+    const fileName = ffProduct + fileExtension;
+    downloadUrl = this._getMirrorUrl('firefox', release, downloadUrl,
+      fileName);
+    const downloadDetails = {downloadUrl: downloadUrl, sha256: null};
+    const reportProgress = this._createProgressReporter('firefox', release,
+      options);
+    return this._prepareStagingDirectory(stagedBrowserPath)
     .then(() => {
-      return new Promise((resolve, reject) => {
-        const filePath = path.join(installDir, ffProduct + fileExtension);
-        const file = fs.createWriteStream(filePath);
-        request(downloadUrl, (err) => {
-          if (err) {
-            return reject(err);
-          }
-
-          resolve(filePath);
-        })
-        .pipe(file);
-      });
-    })
-    .then((filePath) => {
-      return new Promise((resolve, reject) => {
-        mkdirp(path.join(installDir, 'firefox', release), (err) => {
-          if (err) {
-            return reject(err);
-          }
-          resolve(filePath);
-        });
-      });
+      const filePath = path.join(stagingDir, fileName);
+      return this._downloadFile(downloadUrl, filePath, options,
+        reportProgress);
     })
+    .then((filePath) => this._recordChecksum(filePath, downloadDetails))
     .then((filePath) => {
+      reportProgress('extracting');
       if (fileExtension === '.tar.gz') {
-        return new Promise((resolve, reject) => {
-          const untarProcess = spawn('tar', [
-            'xvjf',
-            filePath,
-            '--directory',
-            path.join(installDir, 'firefox', release),
-            '--strip-components',
-            1,
-          ]);
-
-          untarProcess.on('exit', (code) => {
-            if (code === 0) {
-              return resolve(filePath);
-            }
-
-            reject(new Error('Unable to extract tar'));
-          });
-        });
+        return this._extractTar(filePath, stagedBrowserPath);
+      } else if (fileExtension === '.tar.bz2') {
+        return this._extractTar(filePath, stagedBrowserPath, 1, 'bzip2');
       } else if (fileExtension === '.dmg') {
-        return new Promise((resolve, reject) => {
-          dmg.mount(filePath, (err, mountedPath) => {
-            if (err) {
-              return reject(err);
-            }
-
-            fse.copySync(
-              path.join(mountedPath, firefoxMacApp),
-              path.join(installDir, 'firefox', release, firefoxMacApp)
-            );
-
-            dmg.unmount(mountedPath, (err) => {
-              if (err) {
-                reject(err);
-              }
-
-              resolve();
-            });
-          });
-        });
+        return this._copyAppFromDmg(filePath, firefoxMacApp,
+          stagedBrowserPath);
       }
 
       throw new Error('Unable to handle downloaded file: ', downloadUrl);
     })
     .then((filePath) => {
-      return del(filePath, {force: true});
+      return this._swapIntoPlace(stagedBrowserPath, finalBrowserPath)
+      .then(() => {
+        reportProgress('cleaning');
+        return del(filePath, {force: true});
+      });
+    })
+    .then(() => {
+      reportProgress('complete');
+      return downloadDetails;
     });
   }
 
   /**
-   * Download a version of Opera to a specific directory.
-   * @param {string} release This should be 'stable', 'beta' or 'unstable'.
-   * @param {string} installDir The path to install Opera into.
-   * @return {Promise} Promise that resolves once the download has completed.
+   * Get the URL of a specific Firefox version from Mozilla's release archive.
+   * @param {string} version The Firefox version (i.e. '52.0.2').
+   * @return {string} The URL for the current platform.
    */
-  _downloadOpera(release, installDir) {
-    let downloadUrl;
+  _getFirefoxArchiveUrl(version) {
+    const archiveUrl = `https://archive.mozilla.org/pub/firefox/releases/` +
+      `${version}`;
+    switch (process.platform) {
+      case 'linux':
+        return `${archiveUrl}/linux-x86_64/en-US/firefox-${version}.tar.bz2`;
+      case 'darwin':
+        return `${archiveUrl}/mac/en-US/` +
+          encodeURIComponent(`Firefox ${version}.dmg`);
+      default:
+        throw new Error('Unsupport platform.', process.platform);
+    }
+  }
+
+  /**
+   * Download a version of Opera to a specific directory.
+   * @param {string} release This should be 'stable', 'beta' or 'unstable'.
+   * @param {string} installDir The path to install Opera into.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<Object>} Promise that resolves to the `downloadUrl`
+   * and `sha256` digest of the download once it has completed.
+   */
+  _downloadOpera(release, installDir, options) {
+    let downloadUrl;
     let fileExtension = null;
     let operaProduct = null;
     let operaOSXAppName = null;
@@ -463,123 +942,32 @@ class DownloadManager {
     }
 
     const finalBrowserPath = path.join(installDir, 'opera', release);
-    return new Promise((resolve, reject) => {
-      mkdirp(installDir, (err) => {
-        if (err) {
-          return reject(err);
-        }
-        resolve();
-      });
-    })
+    const stagingDir = this._getStagingDirectory(installDir);
+    const stagedBrowserPath = path.join(stagingDir, `opera-${release}`);
+    const fileName = operaProduct + '.' + fileExtension;
+    downloadUrl = this._getMirrorUrl('opera', release, downloadUrl,
+      fileName);
+    const downloadDetails = {downloadUrl: downloadUrl, sha256: null};
+    const reportProgress = this._createProgressReporter('opera', release,
+      options);
+    return this._prepareStagingDirectory(stagedBrowserPath)
     .then(() => {
-      return new Promise((resolve, reject) => {
-        const filePath = path.join(installDir, operaProduct + '.' +
-          fileExtension);
-        const file = fs.createWriteStream(filePath);
-        request(downloadUrl, (err) => {
-          if (err) {
-            return reject(err);
-          }
-
-          resolve(filePath);
-        })
-        .pipe(file);
-      });
-    })
-    .then((filePath) => {
-      // On Os X, the Installer runs so you can't define where to save it.
-      if (process.platform !== 'darwin') {
-        return new Promise((resolve, reject) => {
-          mkdirp(finalBrowserPath, (err) => {
-            if (err) {
-              return reject(err);
-            }
-            resolve(filePath);
-          });
-        });
-      }
-
-      return filePath;
+      const filePath = path.join(stagingDir, fileName);
+      return this._downloadFile(downloadUrl, filePath, options,
+        reportProgress);
     })
+    .then((filePath) => this._recordChecksum(filePath, downloadDetails))
     .then((filePath) => {
+      reportProgress('extracting');
       switch (fileExtension) {
         case 'deb':
-          return new Promise(function(resolve, reject) {
-            // dpkg -x app.deb /path/to/target/dir/
-            const dpkgProcess = spawn('dpkg', [
-              '-x',
-              filePath,
-              finalBrowserPath,
-            ], {stdio: 'inherit'});
-
-            dpkgProcess.on('exit', (code) => {
-              if (code === 0) {
-                return resolve(filePath);
-              }
-
-              reject(new Error('Unable to extract deb'));
-            });
+          return this._extractDeb(filePath, stagedBrowserPath)
+          .then((filePath) => {
+            return this._swapIntoPlace(stagedBrowserPath, finalBrowserPath)
+            .then(() => filePath);
           });
         case 'zip':
-          return new Promise(function(resolve, reject) {
-            yauzl.open(filePath, {lazyEntries: true}, function(err, zipfile) {
-              if (err) {
-                return reject(err);
-              }
-
-              zipfile.readEntry();
-              zipfile.on('entry', (entry) => {
-                try {
-                  // directory file names end with '/'
-                  if (/\/$/.test(entry.fileName)) {
-                    mkdirp.sync(
-                      path.join(
-                        application.getInstallDirectory(),
-                        entry.fileName
-                      )
-                    );
-
-                    zipfile.readEntry();
-                  } else {
-                    // file entry
-                    zipfile.openReadStream(entry, (err, readStream) => {
-                      if (err) {
-                        return reject(err);
-                      }
-
-                      // ensure parent directory exists
-                      mkdirp.sync(
-                        path.join(
-                          application.getInstallDirectory(),
-                          path.dirname(entry.fileName)
-                        )
-                      );
-
-                      const entryPath = path.join(
-                        application.getInstallDirectory(),
-                        entry.fileName
-                      );
-                      readStream.pipe(
-                        fs.createWriteStream(entryPath)
-                      );
-
-                      readStream.on('end', () => {
-                        fs.chmodSync(entryPath, '755');
-
-                        zipfile.readEntry();
-                      });
-                    });
-                  }
-                } catch (err) {
-                  reject(err);
-                }
-              });
-              zipfile.on('end', () => {
-                zipfile.close();
-                resolve(filePath);
-              });
-            });
-          })
+          return this._extractZip(filePath, application.getInstallDirectory())
           .then((filePath) => {
             const currentAppPath = path.join(application.getInstallDirectory(),
               operaOSXAppName);
@@ -608,7 +996,785 @@ class DownloadManager {
       }
     })
     .then((filePath) => {
+      reportProgress('cleaning');
       return del(filePath, {force: true});
+    })
+    .then(() => {
+      reportProgress('complete');
+      return downloadDetails;
+    });
+  }
+
+  /**
+   * Add the SHA-256 digest of a downloaded archive to the details recorded
+   * in the install manifest.
+   * @param {string} filePath The downloaded file.
+   * @param {Object} downloadDetails The `downloadUrl` and `sha256` of the
+   * download.
+   * @return {Promise<string>} Promise that resolves to the file path.
+   */
+  _recordChecksum(filePath, downloadDetails) {
+    return this._calculateChecksum(filePath)
+    .then((sha256) => {
+      downloadDetails.sha256 = sha256;
+      return filePath;
+    });
+  }
+
+  /**
+   * Create a function that the download steps call to report their progress.
+   * Events are passed to `options.onProgress` and, if `options.showProgress`
+   * is set and stderr is a TTY, rendered as a progress bar.
+   * @param {string} browserId The browser being downloaded.
+   * @param {string} release The release being downloaded.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Function} Function that takes a phase and, optionally, the
+   * received and total bytes.
+   */
+  _createProgressReporter(browserId, release, options) {
+    const listeners = [];
+    if (options && typeof options.onProgress === 'function') {
+      listeners.push(options.onProgress);
+    }
+
+    if (options && options.showProgress && process.stderr.isTTY) {
+      const renderer = new ProgressRenderer(process.stderr);
+      listeners.push((progress) => renderer.render(progress));
+    }
+
+    let receivedBytes = 0;
+    let totalBytes = null;
+    return (phase, newReceivedBytes, newTotalBytes) => {
+      if (typeof newReceivedBytes === 'number') {
+        receivedBytes = newReceivedBytes;
+      }
+      if (typeof newTotalBytes === 'number') {
+        totalBytes = newTotalBytes;
+      }
+
+      const progress = {
+        browserId: browserId,
+        release: release,
+        phase: phase,
+        receivedBytes: receivedBytes,
+        totalBytes: totalBytes,
+      };
+      listeners.forEach((listener) => listener(progress));
+    };
+  }
+
+  /**
+   * Browsers are downloaded and extracted into a staging directory inside
+   * the install directory so that a failed or interrupted install never
+   * leaves a partial browser where {@link LocalBrowser} will find it. Keeping
+   * it inside the install directory means the final move is an atomic rename
+   * on the same file system.
+   * @param {string} installDir The install directory.
+   * @return {string} The path of the staging directory.
+   */
+  _getStagingDirectory(installDir) {
+    return path.join(installDir, 'staging');
+  }
+
+  /**
+   * Take the lock of a browser or driver download. The install directory
+   * cleaner holds `locks/clean.lock` while it removes leftovers from the
+   * staging directory, so the download waits for the cleaner to finish
+   * before it starts.
+   * @param {string} installDir The install directory.
+   * @param {InstallLock} installLock The lock of the download.
+   * @param {Object} [options] Options passed to the download.
+   * @return {Promise} Promise that resolves once the download's lock is held.
+   */
+  _acquireInstallLock(installDir, installLock, options) {
+    // The cleaner sees the download's lock as soon as it's taken, so it
+    // never removes leftovers while the download waits for the clean lock.
+    const cleanLock = new InstallLock(
+      path.join(installDir, 'locks', 'clean.lock'), {
+        timeout: options && options.lockTimeout,
+      });
+    return installLock.acquire()
+    .then(() => cleanLock.acquire())
+    .then(() => {
+      cleanLock.release();
+    }, (err) => {
+      installLock.release();
+      throw err;
+    });
+  }
+
+  /**
+   * Remove any previous, partially extracted, staged browser and create an
+   * empty directory for a new extraction.
+   * @param {string} stagedBrowserPath The path to extract the browser into.
+   * @return {Promise} Promise that resolves once the directory is empty.
+   */
+  _prepareStagingDirectory(stagedBrowserPath) {
+    return del(stagedBrowserPath, {force: true})
+    .then(() => {
+      return new Promise((resolve, reject) => {
+        mkdirp(stagedBrowserPath, (err) => {
+          if (err) {
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    });
+  }
+
+  /**
+   * Move a fully extracted browser from the staging directory to its final
+   * path. The previous install is kept until the staged browser has been
+   * renamed into place and is restored if the rename fails.
+   * @param {string} stagedBrowserPath The extracted browser in staging.
+   * @param {string} finalBrowserPath The path the browser should live at.
+   * @return {Promise} Promise that resolves once the browser is in place.
+   */
+  _swapIntoPlace(stagedBrowserPath, finalBrowserPath) {
+    const previousBrowserPath = `${stagedBrowserPath}.previous`;
+    let hasPreviousInstall = false;
+    return del(previousBrowserPath, {force: true})
+    .then(() => {
+      mkdirp.sync(path.dirname(finalBrowserPath));
+
+      try {
+        fs.renameSync(finalBrowserPath, previousBrowserPath);
+        hasPreviousInstall = true;
+      } catch (err) {
+        if (err.code !== 'ENOENT') {
+          throw err;
+        }
+      }
+
+      try {
+        fs.renameSync(stagedBrowserPath, finalBrowserPath);
+      } catch (err) {
+        if (hasPreviousInstall) {
+          fs.renameSync(previousBrowserPath, finalBrowserPath);
+        }
+        throw err;
+      }
+
+      return del(previousBrowserPath, {force: true});
+    });
+  }
+
+  /**
+   * Extract a .deb file into a directory.
+   * @param {string} filePath The .deb file.
+   * @param {string} destinationPath The directory to extract into.
+   * @return {Promise<string>} Promise that resolves to the .deb path once
+   * extracted.
+   */
+  _extractDeb(filePath, destinationPath) {
+    return new Promise((resolve, reject) => {
+      // dpkg -x app.deb /path/to/target/dir/
+      const dpkgProcess = spawn('dpkg', [
+        '-x',
+        filePath,
+        destinationPath,
+      ], {stdio: 'inherit'});
+
+      dpkgProcess.on('error', reject);
+      dpkgProcess.on('exit', (code) => {
+        if (code === 0) {
+          return resolve(filePath);
+        }
+
+        reject(new Error('Unable to extract deb'));
+      });
+    });
+  }
+
+  /**
+   * Extract a tarball into a directory, removing the top level folder.
+   * @param {string} filePath The tarball.
+   * @param {string} destinationPath The directory to extract into.
+   * @param {number} [stripComponents=1] The number of leading folders to
+   * remove.
+   * @param {string} [compression] 'bzip2' for a bzip2 tarball. Otherwise tar
+   * detects the compression.
+   * @return {Promise<string>} Promise that resolves to the tarball path once
+   * extracted.
+   */
+  _extractTar(filePath, destinationPath, stripComponents, compression) {
+    if (typeof stripComponents === 'undefined') {
+      stripComponents = 1;
+    }
+
+    const tarArgs = [
+      'xvf',
+      filePath,
+      '--directory',
+      destinationPath,
+      '--strip-components',
+      stripComponents,
+    ];
+    if (compression === 'bzip2') {
+      tarArgs.push('--bzip2');
+    }
+
+    return new Promise((resolve, reject) => {
+      const untarProcess = spawn('tar', tarArgs);
+
+      untarProcess.on('error', reject);
+      untarProcess.on('exit', (code) => {
+        if (code === 0) {
+          return resolve(filePath);
+        }
+
+        reject(new Error('Unable to extract tar'));
+      });
+    });
+  }
+
+  /**
+   * Extract a zip file into a directory.
+   * @param {string} filePath The zip file.
+   * @param {string} destinationPath The directory to extract into.
+   * @return {Promise<string>} Promise that resolves to the zip path once
+   * extracted.
+   */
+  _extractZip(filePath, destinationPath) {
+    return new Promise(function(resolve, reject) {
+      yauzl.open(filePath, {lazyEntries: true}, function(err, zipfile) {
+        if (err) {
+          return reject(err);
+        }
+
+        zipfile.readEntry();
+        zipfile.on('entry', (entry) => {
+          try {
+            // directory file names end with '/'
+            if (/\/$/.test(entry.fileName)) {
+              mkdirp.sync(path.join(destinationPath, entry.fileName));
+
+              zipfile.readEntry();
+            } else {
+              // file entry
+              zipfile.openReadStream(entry, (err, readStream) => {
+                if (err) {
+                  return reject(err);
+                }
+
+                // ensure parent directory exists
+                mkdirp.sync(
+                  path.join(destinationPath, path.dirname(entry.fileName))
+                );
+
+                const entryPath = path.join(destinationPath, entry.fileName);
+                const file = fs.createWriteStream(entryPath);
+                file.on('error', reject);
+                file.on('finish', () => {
+                  fs.chmodSync(entryPath, '755');
+
+                  zipfile.readEntry();
+                });
+                readStream.pipe(file);
+              });
+            }
+          } catch (err) {
+            reject(err);
+          }
+        });
+        zipfile.on('end', () => {
+          zipfile.close();
+          resolve(filePath);
+        });
+      });
+    });
+  }
+
+  /**
+   * Search a directory and its sub directories for a file.
+   * @param {string} directory The directory to search.
+   * @param {string} fileName The name of the file to find.
+   * @return {string|null} The path of the first match or null.
+   */
+  _findFile(directory, fileName) {
+    const entries = fs.readdirSync(directory);
+    for (let i = 0; i < entries.length; i++) {
+      const entryPath = path.join(directory, entries[i]);
+      const stats = fs.statSync(entryPath);
+      if (stats.isFile() && entries[i] === fileName) {
+        return entryPath;
+      }
+
+      if (stats.isDirectory()) {
+        const nestedPath = this._findFile(entryPath, fileName);
+        if (nestedPath) {
+          return nestedPath;
+        }
+      }
+    }
+
+    return null;
+  }
+
+  /**
+   * Request a small text file, such as a LATEST_RELEASE file, or read it
+   * from the artifact cache directory.
+   * @param {string} textUrl The URL to request.
+   * @param {string} fileName The name of the file in the artifact cache.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<string>} Promise that resolves to the trimmed body.
+   */
+  _fetchText(textUrl, fileName, options) {
+    const cachedFilePath = this._getCachedArtifactPath(fileName);
+    if (cachedFilePath) {
+      return Promise.resolve(
+        fs.readFileSync(cachedFilePath).toString().trim());
+    }
+
+    return this._retryRequest(() => {
+      return new Promise((resolve, reject) => {
+        request(this._getRequestOptions(textUrl, options),
+          (err, response, body) => {
+            if (err) {
+              return reject(err);
+            }
+
+            if (response.statusCode !== 200) {
+              return reject(this._createStatusError(response.statusCode,
+                textUrl));
+            }
+
+            resolve(body.toString().trim());
+          });
+      });
+    }, options);
+  }
+
+  /**
+   * Mount a .dmg file and copy an app from it into a directory.
+   * @param {string} filePath The .dmg file.
+   * @param {string} appName The name of the app in the .dmg to copy.
+   * @param {string} destinationPath The directory to copy the app into.
+   * @return {Promise<string>} Promise that resolves to the .dmg path once
+   * the app is copied and the .dmg unmounted.
+   */
+  _copyAppFromDmg(filePath, appName, destinationPath) {
+    return new Promise((resolve, reject) => {
+      dmg.mount(filePath, (err, mountedPath) => {
+        if (err) {
+          return reject(err);
+        }
+
+        fse.copySync(
+          path.join(mountedPath, appName),
+          path.join(destinationPath, appName)
+        );
+
+        dmg.unmount(mountedPath, (err) => {
+          if (err) {
+            return reject(err);
+          }
+
+          resolve(filePath);
+        });
+      });
+    });
+  }
+
+  /**
+   * Swap a default download URL for the configured mirror, see
+   * {@link ApplicationState#setDownloadMirrors}.
+   * @param {string} mirrorId The browser or driver being downloaded.
+   * @param {string} release The release, pinned version or driver version.
+   * @param {string} downloadUrl The default URL.
+   * @param {string} fileName The file name the download is saved as.
+   * @return {string} The mirror URL or the default URL if there is no mirror.
+   */
+  _getMirrorUrl(mirrorId, release, downloadUrl, fileName) {
+    let mirror = application.getDownloadMirrors()[mirrorId];
+    if (mirror && typeof mirror === 'object') {
+      mirror = mirror[process.platform];
+    }
+    if (mirror && typeof mirror === 'object') {
+      mirror = mirror[release] || mirror['default'];
+    }
+    if (typeof mirror !== 'string') {
+      return downloadUrl;
+    }
+
+    const parsedUrl = url.parse(downloadUrl);
+    const values = {
+      url: downloadUrl,
+      host: parsedUrl.host,
+      path: parsedUrl.path,
+      filename: fileName,
+      browserId: mirrorId,
+      release: release,
+      platform: process.platform,
+    };
+    return mirror.replace(/\{(\w+)\}/g, (match, name) => {
+      if (typeof values[name] === 'undefined') {
+        return match;
+      }
+      return values[name];
+    });
+  }
+
+  /**
+   * Download a file to disk and verify its SHA-256 digest if an expected
+   * digest was supplied or can be found in a checksum manifest. If the
+   * artifact cache directory has a file with the same name, it's copied
+   * instead of making a network request.
+   * @param {string} downloadUrl The URL to download.
+   * @param {string} filePath The path to write the downloaded file to.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @param {Function} [reportProgress] Progress reporter, see
+   * {@link _createProgressReporter}.
+   * @return {Promise<string>} Promise that resolves to the file path once
+   * the download has been written to disk and verified.
+   */
+  _downloadFile(downloadUrl, filePath, options, reportProgress) {
+    let fetchPromise;
+    const cachedFilePath = this._getCachedArtifactPath(filePath);
+    if (cachedFilePath) {
+      fetchPromise = new Promise((resolve, reject) => {
+        fse.copy(cachedFilePath, filePath, (err) => {
+          if (err) {
+            return reject(err);
+          }
+          resolve();
+        });
+      });
+    } else {
+      fetchPromise = this._retryRequest(() => {
+        return this._fetchFile(downloadUrl, filePath, options,
+          reportProgress);
+      }, options);
+    }
+
+    return fetchPromise
+    .then(() => this._verifyChecksum(filePath, downloadUrl, options))
+    .then(() => filePath);
+  }
+
+  /**
+   * @param {string} filePath The path a download is saved to.
+   * @return {string|null} The path of a file with the same name in the
+   * artifact cache directory or null if there isn't one.
+   */
+  _getCachedArtifactPath(filePath) {
+    const cacheDir = application.getArtifactCacheDirectory();
+    if (!cacheDir) {
+      return null;
+    }
+
+    const cachedFilePath = path.join(cacheDir, path.basename(filePath));
+    try {
+      if (fs.statSync(cachedFilePath).isFile()) {
+        return cachedFilePath;
+      }
+    } catch (err) {
+      // NOOP
+    }
+
+    return null;
+  }
+
+  /**
+   * Build the options for a request, adding the proxy, CA bundle and timeout
+   * from the download options. Without a proxy option, request uses the
+   * HTTP_PROXY, HTTPS_PROXY and NO_PROXY environment variables.
+   * @param {string} requestUrl The URL to request.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @param {Object} [headers] Headers for the request.
+   * @return {Object} The options to pass to request.
+   */
+  _getRequestOptions(requestUrl, options, headers) {
+    options = options || {};
+    const requestOptions = {
+      url: requestUrl,
+      headers: headers || {},
+      timeout: typeof options.timeout === 'number' ?
+        options.timeout : DEFAULT_REQUEST_TIMEOUT,
+    };
+
+    if (options.proxy) {
+      requestOptions.proxy = options.proxy;
+    }
+
+    if (options.caFile) {
+      const caFiles = Array.isArray(options.caFile) ?
+        options.caFile : [options.caFile];
+      requestOptions.ca = caFiles.map((caFile) => fs.readFileSync(caFile));
+    }
+
+    return requestOptions;
+  }
+
+  /**
+   * @param {number} statusCode The status code of the response.
+   * @param {string} requestUrl The URL that was requested.
+   * @return {Error} Error with the status code as `statusCode`.
+   */
+  _createStatusError(statusCode, requestUrl) {
+    const statusError = new Error(`Unexpected status code ` +
+      `'${statusCode}' when downloading '${requestUrl}'`);
+    statusError.statusCode = statusCode;
+    return statusError;
+  }
+
+  /**
+   * Run a request, running it again with an exponential backoff if it fails
+   * with a transient error (see {@link _isTransientError}).
+   * @param {Function} makeRequest Function that returns a promise for the
+   * request.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise} Promise that resolves to the result of the request.
+   */
+  _retryRequest(makeRequest, options) {
+    options = options || {};
+    const maxRetries = typeof options.retries === 'number' ?
+      options.retries : DEFAULT_RETRIES;
+    const retryDelay = typeof options.retryDelay === 'number' ?
+      options.retryDelay : DEFAULT_RETRY_DELAY;
+
+    const attemptRequest = (attempt) => {
+      return makeRequest()
+      .catch((err) => {
+        if (attempt >= maxRetries || !this._isTransientError(err)) {
+          throw err;
+        }
+
+        const delay = retryDelay * Math.pow(2, attempt);
+        return new Promise((resolve) => setTimeout(resolve, delay))
+        .then(() => attemptRequest(attempt + 1));
+      });
+    };
+
+    return attemptRequest(0);
+  }
+
+  /**
+   * Network errors, timeouts, incomplete downloads and 408, 429 and 5xx
+   * responses are worth retrying.
+   * @param {Error} err The error from a request.
+   * @return {boolean} Whether the request should be retried.
+   */
+  _isTransientError(err) {
+    if (err.statusCode) {
+      return err.statusCode === 408 || err.statusCode === 429 ||
+        err.statusCode >= 500;
+    }
+
+    return TRANSIENT_ERROR_CODES.indexOf(err.code) !== -1;
+  }
+
+  /**
+   * Stream a URL to disk. The response is written to a `.partial` file which
+   * is only renamed to the final file path once complete. If a `.partial`
+   * file from an interrupted download exists, it is resumed with an HTTP
+   * Range request.
+   * @param {string} downloadUrl The URL to download.
+   * @param {string} filePath The path to write the downloaded file to.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @param {Function} [reportProgress] Progress reporter, see
+   * {@link _createProgressReporter}.
+   * @return {Promise<string>} Promise that resolves to the file path once
+   * the download has been written to disk.
+   */
+  _fetchFile(downloadUrl, filePath, options, reportProgress) {
+    const partialPath = `${filePath}.partial`;
+    const partialDetailsPath = `${partialPath}.json`;
+
+    // If a previous attempt was interrupted, resume it as long as it was for
+    // the same URL and the server gave us a validator to check the file
+    // hasn't changed since.
+    let partialDetails = null;
+    let startByte = 0;
+    try {
+      partialDetails = JSON.parse(
+        fs.readFileSync(partialDetailsPath).toString());
+      if (partialDetails.url === downloadUrl && partialDetails.validator) {
+        startByte = fs.statSync(partialPath).size;
+      }
+    } catch (err) {
+      // NOOP - No partial download to resume.
+    }
+
+    return new Promise((resolve, reject) => {
+      const headers = {};
+      if (startByte > 0) {
+        headers['Range'] = `bytes=${startByte}-`;
+        headers['If-Range'] = partialDetails.validator;
+      }
+
+      const downloadRequest = request(
+        this._getRequestOptions(downloadUrl, options, headers));
+      downloadRequest.on('error', reject);
+
+      // The partial file can't be resumed, so start again from scratch.
+      const restartDownload = () => {
+        downloadRequest.abort();
+        return del([partialPath, partialDetailsPath], {force: true})
+        .then(() => this._fetchFile(downloadUrl, filePath, options,
+          reportProgress))
+        .then(resolve, reject);
+      };
+
+      downloadRequest.on('response', (response) => {
+        let writeFlags;
+        if (response.statusCode === 206) {
+          // Only append the response if it continues where the partial file
+          // ends, i.e. 'bytes 1000-1999/2000' for a 1000 byte partial file.
+          const rangeMatch = /^bytes (\d+)-/.exec(
+            response.headers['content-range'] || '');
+          if (!rangeMatch || parseInt(rangeMatch[1], 10) !== startByte) {
+            return restartDownload();
+          }
+          writeFlags = 'a';
+        } else if (response.statusCode === 200) {
+          writeFlags = 'w';
+        } else if (response.statusCode === 416 && startByte > 0) {
+          return restartDownload();
+        } else {
+          downloadRequest.abort();
+          return reject(this._createStatusError(response.statusCode,
+            downloadUrl));
+        }
+
+        // Weak ETags can't be used with If-Range, so fall back to the
+        // Last-Modified date for those.
+        let validator = response.headers['etag'];
+        if (!validator || validator.indexOf('W/') === 0) {
+          validator = response.headers['last-modified'];
+        }
+        try {
+          fs.writeFileSync(partialDetailsPath, JSON.stringify({
+            url: downloadUrl,
+            validator: validator || null,
+          }));
+        } catch (err) {
+          downloadRequest.abort();
+          return reject(err);
+        }
+
+        let expectedSize = null;
+        if (response.headers['content-length']) {
+          expectedSize = parseInt(response.headers['content-length'], 10);
+          if (writeFlags === 'a') {
+            expectedSize += startByte;
+          }
+        }
+
+        if (reportProgress) {
+          let receivedBytes = writeFlags === 'a' ? startByte : 0;
+          reportProgress('downloading', receivedBytes, expectedSize);
+          downloadRequest.on('data', (chunk) => {
+            receivedBytes += chunk.length;
+            reportProgress('downloading', receivedBytes);
+          });
+        }
+
+        const file = fs.createWriteStream(partialPath, {flags: writeFlags});
+        file.on('error', reject);
+        file.on('finish', () => {
+          try {
+            if (expectedSize !== null &&
+              fs.statSync(partialPath).size !== expectedSize) {
+              // Leave the partial file so the next attempt can resume it.
+              const incompleteError = new Error(`Download of ` +
+                `'${downloadUrl}' ended before the full response was ` +
+                `received.`);
+              incompleteError.code = 'EINCOMPLETE';
+              return reject(incompleteError);
+            }
+
+            fs.renameSync(partialPath, filePath);
+          } catch (err) {
+            return reject(err);
+          }
+
+          del(partialDetailsPath, {force: true})
+          .then(() => resolve(filePath), reject);
+        });
+        downloadRequest.pipe(file);
+      });
+    });
+  }
+
+  /**
+   * Find the expected SHA-256 digest for a download URL, either from the
+   * `sha256` option or from the `checksumManifest` JSON file.
+   * @param {string} downloadUrl The URL of the download.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {string|null} The expected digest in lower case hex or null if
+   * no digest is known for the URL.
+   */
+  _getExpectedChecksum(downloadUrl, options) {
+    if (!options) {
+      return null;
+    }
+
+    let expectedChecksum = null;
+    if (options.sha256) {
+      expectedChecksum = options.sha256;
+    } else if (options.checksumManifest) {
+      const manifest = JSON.parse(
+        fs.readFileSync(options.checksumManifest).toString());
+      if (manifest[downloadUrl]) {
+        expectedChecksum = manifest[downloadUrl];
+      }
+    }
+
+    if (!expectedChecksum) {
+      return null;
+    }
+
+    return expectedChecksum.toLowerCase();
+  }
+
+  /**
+   * Calculate the SHA-256 digest of a file.
+   * @param {string} filePath The file to read.
+   * @return {Promise<string>} Promise that resolves to the hex digest.
+   */
+  _calculateChecksum(filePath) {
+    return new Promise((resolve, reject) => {
+      const hash = crypto.createHash('sha256');
+      fs.createReadStream(filePath)
+      .on('error', reject)
+      .on('data', (chunk) => hash.update(chunk))
+      .on('end', () => resolve(hash.digest('hex')));
+    });
+  }
+
+  /**
+   * Compare the SHA-256 digest of a downloaded file against the expected
+   * digest. If they don't match, the file is deleted so it can't be
+   * installed.
+   * @param {string} filePath The downloaded file.
+   * @param {string} downloadUrl The URL the file was downloaded from.
+   * @param {Object} [options] Download options, see
+   * {@link downloadLocalBrowser}.
+   * @return {Promise<string>} Promise that resolves to the hex digest of the
+   * file or rejects with a {@link ChecksumError}.
+   */
+  _verifyChecksum(filePath, downloadUrl, options) {
+    return this._calculateChecksum(filePath)
+    .then((actualChecksum) => {
+      const expectedChecksum = this._getExpectedChecksum(
+        downloadUrl, options);
+      if (!expectedChecksum || expectedChecksum === actualChecksum) {
+        return actualChecksum;
+      }
+
+      return del(filePath, {force: true})
+      .then(() => {
+        throw new ChecksumError(downloadUrl, expectedChecksum, actualChecksum);
+      });
     });
   }
 }
@@ -0,0 +1,40 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+/**
+ * This error is thrown when a downloaded file doesn't match the SHA-256
+ * digest it was expected to have.
+ */
+class ChecksumError extends Error {
+  /**
+   * @param {string} url The URL the file was downloaded from.
+   * @param {string} expected The expected SHA-256 digest (hex).
+   * @param {string} actual The SHA-256 digest (hex) of the downloaded file.
+   */
+  constructor(url, expected, actual) {
+    super(`Checksum mismatch for '${url}'. Expected SHA-256 ` +
+      `'${expected}' but received '${actual}'.`);
+
+    this.name = 'ChecksumError';
+    this.url = url;
+    this.expected = expected;
+    this.actual = actual;
+  }
+}
+
+module.exports = ChecksumError;
@@ -16,11 +16,15 @@
 
 'use strict';
 
-const chalk = require('chalk');
-
 const application = require('./application-state.js');
+const bisector = require('./bisector.js');
+const browserInfo = require('./browser-info.js');
 const browserManager = require('./browser-manager.js');
 const downloadManager = require('./download-manager.js');
+const installDirCleaner = require('./install-dir-cleaner.js');
+const installManifest = require('./install-manifest.js');
+const providerManager = require('./provider-manager.js');
+const saucelabsCatalog = require('./providers/saucelabs-catalog.js');
 
 /**
  * SeleniumAssistant is a class that makes
@@ -63,6 +67,82 @@ class SeleniumAssistant {
     application.setInstallDirectory(newInstallDir);
   }
 
+  /**
+   * <p>To download browsers and drivers from an internal mirror instead of
+   * dl.google.com, download.mozilla.org etc, call this method before
+   * calling {@link downloadLocalBrowser}.</p>
+   *
+   * <p>Mirrors are keyed by 'chrome', 'firefox', 'opera', 'chromedriver' or
+   * 'geckodriver'. The value can be a URL template or an object keyed by
+   * platform ('linux' or 'darwin'), which in turn can be a URL template or
+   * an object keyed by release ('stable', 'beta', 'unstable', a pinned
+   * version or 'default').</p>
+   *
+   * <p>Templates can use the placeholders {url}, {host}, {path},
+   * {filename}, {browserId}, {release} and {platform}, where {path} is the
+   * path and query of the default URL and {filename} is the name the
+   * download is saved as.</p>
+   *
+   * <p>Without this, the mirrors are read from the
+   * `SELENIUM_ASSISTANT_MIRRORS` environment variable (the JSON
+   * configuration or a path to a JSON file) and from
+   * `SELENIUM_ASSISTANT_<ID>_MIRROR` variables, i.e.
+   * `SELENIUM_ASSISTANT_CHROME_MIRROR`.</p>
+   *
+   * @example
+   * seleniumAssistant.setDownloadMirrors({
+   *   chrome: 'https://mirror.example.com/chrome/{release}/{filename}',
+   *   firefox: {
+   *     linux: 'https://mirror.example.com/firefox{path}',
+   *   },
+   * });
+   *
+   * @param {Object} mirrors The mirror configuration. Pass in null to use the
+   *                         environment variables.
+   */
+  setDownloadMirrors(mirrors) {
+    application.setDownloadMirrors(mirrors);
+  }
+
+  /**
+   * <p>Set a directory of pre-downloaded browser and driver archives. Before
+   * any network request, {@link downloadLocalBrowser} looks in this
+   * directory for a file with the same name as the download (i.e.
+   * `google-chrome-stable.deb` or `firefox-latest.tar.gz`) and uses it
+   * instead. Checksums are still verified against the download URL.</p>
+   *
+   * <p>Without this, the `SELENIUM_ASSISTANT_CACHE_DIR` environment
+   * variable is used.</p>
+   *
+   * @param {String} cacheDir Path of the cache directory. Pass in null to use
+   *                          the environment variable.
+   */
+  setArtifactCacheDir(cacheDir) {
+    application.setArtifactCacheDirectory(cacheDir);
+  }
+
+  /**
+   * <p>Set the project config file. Providers read credentials from the
+   * entry for their ID when they aren't set in code or the environment.</p>
+   *
+   * <p>Without this, the `SELENIUM_ASSISTANT_CONFIG` environment variable
+   * is used, falling back to `.selenium-assistant.json` in the current
+   * directory.</p>
+   *
+   * @example
+   * // .selenium-assistant.json
+   * {
+   *   "saucelabs": {"username": "example-user", "accessKey": "..."},
+   *   "browserstack": {"username": "example-user", "accessKey": "..."}
+   * }
+   *
+   * @param {String} configPath Path of the JSON config file. Pass in null to
+   *                            use the default.
+   */
+  setConfigPath(configPath) {
+    application.setConfigPath(configPath);
+  }
+
   /**
    * <p>The downloadLocalBrowser() function is a helper method what will
    * grab a browser on a specific release channel.</p>
@@ -70,21 +150,215 @@ class SeleniumAssistant {
    * <p>If the request browser is already installed, it will resolve
    * the promise and not download anything.</p>
    *
+   * <p>It's safe to call this from multiple processes sharing the same
+   * install directory.</p>
+   *
    * <p>This is somewhat experimental, so be prepared for issues.</p>
    *
    * @param  {String} browserId The selenium id of the browser you wish
    *                            to download.
-   * @param  {String} release   String of the release channel, can be
-   *                            'stable', 'beta' or 'unstable'
+   * @param  {String|Object} release String of the release channel, can be
+   *                            'stable', 'beta' or 'unstable'. To install a
+   *                            specific version side-by-side with the release
+   *                            channels, pass in an object with a version,
+   *                            i.e. `{version: '52.0.2'}`. Pinned Chrome
+   *                            versions can only be downloaded on Linux.
+   *                            Chromium snapshots are downloaded by revision,
+   *                            i.e. `downloadLocalBrowser('chromium',
+   *                            {revision: 450000})`.
    * @param  {int} [expirationInHours=24] This is how long until a browser
    *                             download is regarded as expired and Should
    *                             be updated. A value of 0 will force a download.
+   * @param  {Object} [options] Options for the download.
+   * @param  {String} [options.sha256] The expected SHA-256 digest (hex) of
+   *                            the downloaded archive. If the download doesn't
+   *                            match, the promise rejects with a
+   *                            `ChecksumError` and nothing is installed.
+   * @param  {String} [options.checksumManifest] Path to a JSON file mapping
+   *                            download URLs to their SHA-256 digests.
+   * @param  {Function} [options.onProgress] Called as the download
+   *                            progresses with an object containing
+   *                            `browserId`, `release`, `phase` ('downloading',
+   *                            'extracting', 'cleaning' or 'complete'),
+   *                            `receivedBytes` and `totalBytes` (null if the
+   *                            server didn't send a Content-Length).
+   * @param  {Boolean} [options.showProgress=false] Print a progress bar to
+   *                            stderr if it's a TTY.
+   * @param  {Number} [options.lockTimeout=900000] Browsers are installed one
+   *                            process at a time. This is how long, in
+   *                            milliseconds, to wait for another process to
+   *                            finish installing the same browser and release
+   *                            before rejecting. If that process installs it,
+   *                            the install is reused.
+   * @param  {Boolean} [options.downloadDriver=false] Also download the
+   *                            chromedriver or geckodriver binary that matches
+   *                            the browser's version. The driver is used by
+   *                            {@link WebDriverBrowser#getSeleniumDriver}
+   *                            instead of the driver's npm module. If the
+   *                            driver can't be downloaded, the promise
+   *                            rejects but the browser stays installed and
+   *                            the npm module is used.
+   * @param  {String} [options.proxy] Proxy URL to download through. By
+   *                            default the `HTTPS_PROXY` and `HTTP_PROXY`
+   *                            environment variables are used, skipping hosts
+   *                            listed in `NO_PROXY`.
+   * @param  {String|Array<String>} [options.caFile] Path, or paths, of PEM
+   *                            CA certificates to trust, i.e. for a proxy that
+   *                            intercepts TLS.
+   * @param  {Number} [options.timeout=60000] How long, in milliseconds, to
+   *                            wait to connect or for more data before a
+   *                            request fails.
+   * @param  {Number} [options.retries=3] How many times to retry requests
+   *                            that fail with network errors, timeouts or
+   *                            408, 429 and 5xx responses. Interrupted
+   *                            downloads resume where they stopped.
+   * @param  {Number} [options.retryDelay=1000] Milliseconds to wait before
+   *                            the first retry. The delay doubles after each
+   *                            retry.
    * @return {Promise}          A promise is returned which resolves
    *                            once the browser has been downloaded.
    */
-  downloadLocalBrowser(browserId, release, expirationInHours) {
+  downloadLocalBrowser(browserId, release, expirationInHours, options) {
     return downloadManager.downloadLocalBrowser(
-      browserId, release, expirationInHours);
+      browserId, release, expirationInHours, options);
+  }
+
+  /**
+   * <p>Remove old browser installs, drivers that no browser uses, archives
+   * left behind by failed downloads and install manifest entries for installs
+   * that no longer exist from the install directory.</p>
+   *
+   * <p>Without keepLatest, olderThanDays or maxBytes, only the leftovers of
+   * failed downloads and unused drivers are removed. Installs that another
+   * process is downloading are skipped. While any download is in progress,
+   * the leftovers and unused drivers are skipped too, and downloads that
+   * start during the clean up wait for it to finish.</p>
+   *
+   * @example
+   * seleniumAssistant.cleanInstallDir({keepLatest: 2, olderThanDays: 30})
+   * .then((report) => {
+   *   console.log(`Freed ${report.freedBytes} bytes.`);
+   * });
+   *
+   * @param  {Object} [options] Options for the clean up.
+   * @param  {Number} [options.keepLatest] Keep this many of the most recently
+   *                            downloaded installs of each browser and remove
+   *                            the rest. Each release channel ('stable',
+   *                            'beta' and 'unstable') is counted on its own
+   *                            and pinned versions, including Chromium
+   *                            revisions, are counted together, so
+   *                            `keepLatest: 1` keeps every channel and the
+   *                            latest pinned version. Installs kept this way
+   *                            aren't removed for maxBytes either.
+   * @param  {Number} [options.olderThanDays] Only remove installs that were
+   *                            downloaded more than this many days ago.
+   * @param  {Number} [options.maxBytes] Remove the least recently downloaded
+   *                            installs until the install directory is no
+   *                            bigger than this.
+   * @param  {Boolean} [options.dryRun=false] Report what would be removed
+   *                            without removing anything.
+   * @return {Promise<Object>}  Resolves to a report with `removed` (an array
+   *                            of `{path, reason, bytes}`), `removedEntries`
+   *                            (the `'<browserId>:<release>'` keys of the
+   *                            install manifest entries that were removed),
+   *                            `skipped` (an array of `{path, reason}`),
+   *                            `freedBytes`, `remainingBytes` and `dryRun`.
+   */
+  cleanInstallDir(options) {
+    return installDirCleaner.cleanInstallDir(options);
+  }
+
+  /**
+   * <p>Browsers downloaded with {@link downloadLocalBrowser} are recorded in
+   * an install manifest (`install-manifest.json`) in the install directory.
+   * This method returns those records.</p>
+   *
+   * <p>Install directories from older versions of selenium-assistant only
+   * recorded when each browser was downloaded, so the other details of
+   * those installs are null until they're downloaded again.</p>
+   *
+   * @example
+   * seleniumAssistant.getInstalledBrowsers().forEach((install) => {
+   *   console.log(`${install.browserId} ${install.release}: ` +
+   *     `${install.version} from ${install.downloadUrl}`);
+   * });
+   *
+   * @return {Array<Object>}    The installs, each with a `browserId`,
+   *                            `release` (the release name or pinned
+   *                            version), `version` (i.e. '52.0.2743.116'),
+   *                            `downloadUrl`, `sha256` (hex digest of the
+   *                            download), `installPath`, `driver` (an object
+   *                            with the `module`, `version` and `path` of the
+   *                            downloaded driver or null), `installedAt` and
+   *                            `updatedAt` (milliseconds since the epoch).
+   */
+  getInstalledBrowsers() {
+    return installManifest.getInstalls().filter((install) => {
+      return !!install.installPath;
+    });
+  }
+
+  /**
+   * <p>Find the first bad build of a browser between a known good and a
+   * known bad build.</p>
+   *
+   * <p>Each step downloads the build in the middle of the remaining range
+   * with {@link downloadLocalBrowser}, launches it with
+   * {@link WebDriverBrowser#getSeleniumDriver}, passes the driver to
+   * `testFn` and kills the driver with {@link killWebDriver}. Builds are
+   * installed side-by-side, so they're only downloaded once and are reused
+   * by later bisects.</p>
+   *
+   * <p>Chromium is bisected by snapshot revision. Other browsers need the
+   * list of `versions` to bisect. Builds that can't be found on the server
+   * are skipped.</p>
+   *
+   * @example
+   * seleniumAssistant.bisect({
+   *   browserId: 'chromium',
+   *   goodVersion: 440000,
+   *   badVersion: 450000,
+   *   testFn: (driver) => {
+   *     return driver.get('http://localhost:8080/')
+   *     .then(() => driver.executeScript('return window.testsPassed;'));
+   *   },
+   * })
+   * .then((result) => {
+   *   console.log(`First bad revision: ${result.firstBadVersion}`);
+   * });
+   *
+   * @param  {Object} options   Options for the bisect.
+   * @param  {String} options.browserId The selenium id of the browser.
+   * @param  {String|Number} options.goodVersion A version, or Chromium
+   *                            revision, that passes the test.
+   * @param  {String|Number} options.badVersion A later version, or Chromium
+   *                            revision, that fails the test.
+   * @param  {Function} options.testFn Called with the driver and the
+   *                            {@link WebDriverBrowser} for each build. It
+   *                            should return, or resolve to, true if the
+   *                            build is good and false if it's bad. If it
+   *                            throws or rejects, the bisect stops with that
+   *                            error.
+   * @param  {Array<String>} [options.versions] The versions to bisect, in
+   *                            release order, i.e. `['52.0', '52.0.1',
+   *                            '52.0.2', '53.0']`. Required for browsers
+   *                            other than Chromium.
+   * @param  {Function} [options.onStep] Called after each build is tested
+   *                            with `{version, result}` where result is
+   *                            'good', 'bad' or 'unavailable'.
+   * @param  {Number} [options.maxUnavailable=10] How many builds in a row
+   *                            can't be found before the bisect rejects.
+   *                            Chromium snapshots are sparse and each
+   *                            missing build costs a request.
+   * @param  {Object} [options.downloadOptions] Options passed to
+   *                            {@link downloadLocalBrowser}.
+   * @return {Promise<Object>}  Resolves to the `browserId`,
+   *                            `lastGoodVersion`, `firstBadVersion` and the
+   *                            `steps` taken (an array of `{version,
+   *                            result}`).
+   */
+  bisect(options) {
+    return bisector.bisect(options, this);
   }
 
   /**
@@ -93,8 +367,13 @@ class SeleniumAssistant {
    * browser is available in the current environment.
    *
    * @param  {String} browserId The selenium id of the browser you want.
-   * @param  {String} release   The release of the browser you want. Either
-   *                            'stable', 'beta' or 'unstable.'
+   * @param  {String|Object} release The release of the browser you want.
+   *                            Either 'stable', 'beta' or 'unstable' or an
+   *                            object with the exact version downloaded with
+   *                            {@link downloadLocalBrowser}, i.e.
+   *                            `{version: '52.0.2'}`. Chromium snapshots are
+   *                            found by revision, i.e. `{revision: 450000}`,
+   *                            and 'stable' is the system's Chromium.
    * @return {WebDriverBrowser} The WebDriverBrowser instance that represents
    *                            your request.
    */
@@ -102,6 +381,49 @@ class SeleniumAssistant {
     return browserManager.getLocalBrowser(browserId, release);
   }
 
+  /**
+   * <p>Add your own {@link LocalBrowser} subclass, i.e. an internally
+   * patched build of Chromium. Once registered, the browser is returned by
+   * {@link getLocalBrowser}, {@link getLocalBrowsers}, {@link findBrowsers}
+   * and {@link printAvailableBrowserInfo}.</p>
+   *
+   * <p>If the class has a static `download(release, installPath, options)`
+   * method, {@link downloadLocalBrowser} will call it to install the browser
+   * into `installPath`. It should return a promise, which can resolve to the
+   * `downloadUrl` and `sha256` of the download for the install manifest.</p>
+   *
+   * @example
+   * const seleniumChrome = require('selenium-webdriver/chrome');
+   * const DriverConfig =
+   *   require('selenium-assistant/src/browser-models/driver-config.js');
+   * const LocalChromeBrowser =
+   *   require('selenium-assistant/src/local-browsers/chrome.js');
+   *
+   * class PatchedChromiumBrowser extends LocalChromeBrowser {
+   *   constructor(release) {
+   *     super(release, new DriverConfig('patched-chromium',
+   *       new seleniumChrome.Options(), 'Patched Chromium', 'chromedriver'));
+   *   }
+   *
+   *   getExecutablePath() {
+   *     return '/opt/patched-chromium/chrome';
+   *   }
+   * }
+   *
+   * seleniumAssistant.registerLocalBrowser('patched-chromium',
+   *   PatchedChromiumBrowser, ['stable']);
+   *
+   * @param {String} browserId The ID of the browser. This must be the ID
+   * returned by the class's `getId()` and not already be registered.
+   * @param {Function} BrowserClass A subclass of {@link LocalBrowser} that
+   * takes the release as its only constructor argument.
+   * @param {Array<String>} releases The releases of the browser, any of
+   * 'stable', 'beta' and 'unstable'.
+   */
+  registerLocalBrowser(browserId, BrowserClass, releases) {
+    browserManager.registerLocalBrowser(browserId, BrowserClass, releases);
+  }
+
   /**
    * <p>This method returns a list of discovered browsers in the current
    * environment.</p>
@@ -125,6 +447,83 @@ class SeleniumAssistant {
     return webdriveBrowsers;
   }
 
+  /**
+   * <p>Find the browsers in the current environment that match a query.</p>
+   *
+   * <p>The browsers are grouped by browser ID ('chrome', 'chromium',
+   * 'firefox', 'opera' then 'safari') with the newest version of each
+   * browser first. Browsers with the same version are in release order
+   * ('stable', 'beta' then 'unstable').</p>
+   *
+   * @example
+   * const browsers = seleniumAssistant.findBrowsers({
+   *   ids: ['chrome', 'firefox'],
+   *   versionRange: '>=58 <60',
+   * });
+   *
+   * @param {Object} [options] The query. Browsers must match every option
+   * that's given.
+   * @param {String|Array<String>} [options.ids] Browser IDs, i.e.
+   * `['chrome', 'firefox']`.
+   * @param {String|Array<String>} [options.releases] Releases, i.e.
+   * `['stable', 'beta']`.
+   * @param {String|Number} [options.minVersion] The oldest version, i.e.
+   * '58.0.3029'.
+   * @param {String|Number} [options.maxVersion] The newest version, i.e.
+   * 60. Only the numbers that are given are compared, so 60 includes
+   * 60.0.3112.
+   * @param {String} [options.versionRange] A semver style range, i.e.
+   * '>=58 <60', '^58.0.3029' or '52 || >=55'. See
+   * {@link BrowserVersion#satisfies}.
+   * @param {String} [options.source] 'install-dir' for browsers downloaded
+   * with {@link downloadLocalBrowser} or 'system' for the others.
+   * @param {Boolean} [options.excludeBlacklisted=true] Pass in false to
+   * include browsers that are blacklisted with the current driver.
+   * @return {Array<WebDriverBrowser>} The matching browsers.
+   */
+  findBrowsers(options) {
+    return browserManager.findBrowsers(options);
+  }
+
+  /**
+   * Get the newest release of a browser in the current environment.
+   *
+   * @example
+   * const browser = seleniumAssistant.getBestBrowser('chrome');
+   * if (browser) {
+   *   return browser.getSeleniumDriver();
+   * }
+   *
+   * @param {String} browserId The selenium id of the browser.
+   * @return {WebDriverBrowser|null} The release with the newest version or
+   * null if the browser isn't available.
+   */
+  getBestBrowser(browserId) {
+    return this.findBrowsers({ids: browserId})[0] || null;
+  }
+
+  /**
+   * <p>Describe the browsers available in the current environment, i.e. to
+   * attach an environment report to a CI build.</p>
+   *
+   * @example
+   * seleniumAssistant.getAvailableBrowserInfo().forEach((info) => {
+   *   console.log(`${info.prettyName}: ${info.rawVersion}`);
+   * });
+   *
+   * @return {Array<Object>} The browsers, each with a `browserId`,
+   * `release`, `prettyName`, `majorVersion`, `rawVersion` (the output of the
+   * executable's version flag), `executablePath`, `source` ('install-dir'
+   * if it was downloaded with {@link downloadLocalBrowser}, otherwise
+   * 'system'), `isBlacklisted` and `driver` (an object with the `module`,
+   * `version` and `path` of the driver or null if it doesn't need one).
+   */
+  getAvailableBrowserInfo() {
+    return this.getLocalBrowsers().map((browser) => {
+      return browserInfo.getBrowserInfo(browser);
+    });
+  }
+
   /**
    * <p>This method prints out a table of info for all available browsers
    * on the current environment.</p>
@@ -132,65 +531,24 @@ class SeleniumAssistant {
    * <p>Useful if you are testing on travis and want to see what tests
    * should be running.</p>
    *
+   * <p>The info from {@link getAvailableBrowserInfo} can also be printed
+   * as 'json', 'markdown' or 'junit-properties' (the `<properties>`
+   * element of a JUnit report).</p>
+   *
    * @param {Boolean} [printToConsole=true] - If you wish to prevent
    * the table being printed to the console, you can suppress it by
    * passing in false and simply use the string response.
+   * @param {String} [format='table'] - The format to print the info in,
+   * 'table', 'json', 'markdown' or 'junit-properties'.
    * @return {String} Returns table of information as a string.
    */
-  printAvailableBrowserInfo(printToConsole) {
+  printAvailableBrowserInfo(printToConsole, format) {
     if (typeof printToConsole === 'undefined') {
       printToConsole = true;
     }
 
-    const rows = [];
-    rows.push([
-      'Browser Name',
-      'Browser Version',
-      'Path',
-    ]);
-
-    const browsers = this.getLocalBrowsers();
-    browsers.forEach((browser) => {
-      rows.push([
-        browser.getPrettyName(),
-        browser.getVersionNumber().toString(),
-        browser.getExecutablePath(),
-      ]);
-    });
-
-    const noOfColumns = rows[0].length;
-    const rowLengths = [];
-    for (let i = 0; i < noOfColumns; i++) {
-      let currentRowMaxLength = 0;
-      rows.forEach((row) => {
-        currentRowMaxLength = Math.max(
-          currentRowMaxLength, row[i].length);
-      });
-      rowLengths[i] = currentRowMaxLength;
-    }
-
-    let totalRowLength = rowLengths.reduce((a, b) => a + b, 0);
-
-    // Account for spaces and markers
-    totalRowLength += (noOfColumns * 3) + 1;
-
-    let outputString = chalk.gray('-'.repeat(totalRowLength)) + '\n';
-    rows.forEach((row, rowIndex) => {
-      const color = rowIndex === 0 ? chalk.bold : chalk.blue;
-      let coloredRows = row.map((column, columnIndex) => {
-        const padding = rowLengths[columnIndex] - column.length;
-        if (padding > 0) {
-          return color(column) + ' '.repeat(padding);
-        }
-        return color(column);
-      });
-
-      let rowString = coloredRows.join(' | ');
-
-      outputString += '| ' + rowString + ' |\n';
-    });
-
-    outputString += chalk.gray('-'.repeat(totalRowLength)) + '\n';
+    const outputString = browserInfo.render(this.getAvailableBrowserInfo(),
+      format || 'table');
 
     if (printToConsole) {
       /* eslint-disable no-console */
@@ -202,40 +560,166 @@ class SeleniumAssistant {
   }
 
   /**
-   * The Saucelabs details to be used by Saucelab browsers.
+   * <p>The Saucelabs details to be used by Saucelab browsers.</p>
+   *
+   * <p>If they aren't set, the `SAUCE_USERNAME` and `SAUCE_ACCESS_KEY`
+   * environment variables are used, then the `saucelabs` entry in the
+   * project config file (see {@link setConfigPath}).</p>
+   *
    * @param {string} username The Saucelabs username.
    * @param {string} accessKey The Saucelabs access key.
    */
   setSaucelabsDetails(username, accessKey) {
-    application.setSaucelabsDetails(username, accessKey);
+    providerManager.getProvider('saucelabs').setCredentials({
+      username: username,
+      accessKey: accessKey,
+    });
   }
 
   /**
    * Get a Saucelab browser for a particular browser ID and a particular
    * browser version.
-   * @param {string} browserId The selenium browser ID.
+   *
+   * @example
+   * seleniumAssistant.setSaucelabsDetails(username, accessKey);
+   * const browser = seleniumAssistant.getSaucelabsBrowser('chrome',
+   *   'latest-1', {
+   *     platform: 'Windows 10',
+   *     name: 'Push notification tests',
+   *     build: process.env.TRAVIS_BUILD_NUMBER,
+   *     tags: ['push'],
+   *   });
+   *
+   * @param {string} browserId The selenium browser ID, 'chrome', 'firefox',
+   * 'opera', 'safari', 'microsoftedge' or 'internet explorer'.
    * @param {string} browserVersion This is a Saucelabs browser version like
-   * "latest" or "latest-2".
-   * @param {Object} options The options to set for saucelabs.
+   * "latest", "latest-2" or "45.0".
+   * @param {Object} [options] The options to set for saucelabs.
+   * @param {string} [options.platform] The Saucelabs platform, i.e.
+   * 'Windows 10' or 'macOS 10.12'.
+   * @param {string} [options.name] The name of the test shown on Saucelabs.
+   * @param {string} [options.build] The build the test belongs to.
+   * @param {string|Array<string>} [options.tags] Tags for the test.
+   * @param {Object} [options.saucelabs] The `username`, `accessKey` and,
+   * optionally, the `serverUrl` of the Saucelabs data center and `restUrl`
+   * of its REST API to use instead of the details set with
+   * {@link setSaucelabsDetails}.
    * @return {WebDriverBrowser} A selenium-assistant web driver instance.
+   * Call `reportResult(driver, {passed})` on it to show the result of the
+   * test on Saucelabs.
    */
   getSaucelabsBrowser(browserId, browserVersion, options) {
-    if (!options.saucelabs || !options.saucelabs.username ||
-      !options.saucelabs.accessKey) {
-      options.saucelabs = application.getSaucelabsDetails();
-    }
-
-    return browserManager.getSaucelabsBrowser(browserId, browserVersion,
+    options = Object.assign({}, options, {credentials: options &&
+      options.saucelabs});
+    return this.getProviderBrowser('saucelabs', browserId, browserVersion,
       options);
   }
 
   /**
-   * This will enable the saucelabs connect proxy.
+   * <p>Get the browsers and platforms Saucelabs supports. The list is
+   * cached in the install directory.</p>
+   *
+   * @param {Object} [options] Options for the list.
+   * @param {Number} [options.expirationInHours=24] How long the cached list
+   * is used before it's fetched again. If it can't be fetched, the cached
+   * list is used anyway.
+   * @param {String} [options.restUrl] The URL of the Saucelabs REST API.
+   * @return {Promise<Array<Object>>} Resolves to the supported browsers,
+   * each with a `browserId`, `version`, `platform`, `os` and `longVersion`.
+   */
+  getSaucelabsPlatforms(options) {
+    return saucelabsCatalog.getPlatforms(options);
+  }
+
+  /**
+   * <p>Like {@link getSaucelabsBrowser}, but the version alias and
+   * platform are checked against {@link getSaucelabsPlatforms} and
+   * resolved before a session is started, i.e. 'latest-2' becomes '55'.</p>
+   *
+   * <p>If no platform is given, Windows 10 is used when it has the version,
+   * otherwise the newest platform that does.</p>
+   *
+   * @param {string} browserId The selenium browser ID.
+   * @param {string} browserVersion A Saucelabs version, 'latest' or
+   * 'latest-N'.
+   * @param {Object} [options] The options for {@link getSaucelabsBrowser}.
+   * The `platform` can be the start of a platform name, i.e. 'Windows'.
+   * @param {Object} [options.catalog] The options for
+   * {@link getSaucelabsPlatforms}.
+   * @return {Promise<WebDriverBrowser>} Resolves to the browser or rejects
+   * if Saucelabs doesn't have it.
+   */
+  resolveSaucelabsBrowser(browserId, browserVersion, options) {
+    options = options || {};
+    return saucelabsCatalog.getPlatforms(options.catalog)
+    .then((platforms) => {
+      const resolved = saucelabsCatalog.resolve(platforms, browserId,
+        browserVersion, options.platform);
+      return this.getSaucelabsBrowser(browserId, resolved.version,
+        Object.assign({}, options, {platform: resolved.platform}));
+    });
+  }
+
+  /**
+   * Get every Saucelabs version of a browser in a range.
+   *
+   * @example
+   * // All Firefox versions from latest-3 to latest on Windows.
+   * seleniumAssistant.findSaucelabsBrowsers('firefox', {
+   *   from: 'latest-3',
+   *   to: 'latest',
+   *   platform: 'Windows',
+   * })
+   * .then((browsers) => {
+   *   ...
+   * });
+   *
+   * @param {string} browserId The selenium browser ID.
+   * @param {Object} [options] The range and the options for
+   * {@link getSaucelabsBrowser}.
+   * @param {string} [options.from] The oldest version, i.e. 'latest-3'.
+   * Defaults to the `to` version.
+   * @param {string} [options.to='latest'] The newest version.
+   * @param {string} [options.platform] The platform, or the start of one
+   * like 'Windows'.
+   * @param {Object} [options.catalog] The options for
+   * {@link getSaucelabsPlatforms}.
+   * @return {Promise<Array<WebDriverBrowser>>} Resolves to the browsers,
+   * oldest first.
+   */
+  findSaucelabsBrowsers(browserId, options) {
+    options = options || {};
+    return saucelabsCatalog.getPlatforms(options.catalog)
+    .then((platforms) => {
+      return saucelabsCatalog.findVersions(platforms, browserId, options)
+      .map((resolved) => {
+        return this.getSaucelabsBrowser(browserId, resolved.version,
+          Object.assign({}, options, {platform: resolved.platform}));
+      });
+    });
+  }
+
+  /**
+   * <p>This will enable the saucelabs connect proxy. Saucelabs browsers
+   * started while it's enabled use it through the `tunnelIdentifier`
+   * capability.</p>
+   *
+   * <p>The proxy is closed if the process exits or is interrupted.</p>
+   *
+   * @param {Object} [options] Options for the proxy.
+   * @param {string} [options.tunnelIdentifier] The name of the tunnel.
+   * Defaults to a unique name for this process.
+   * @param {Number} [options.readyTimeout=120000] How long, in
+   * milliseconds, to wait for the proxy to be ready.
+   * @param {Boolean} [options.useExistingTunnel=false] Use a tunnel with the
+   * `tunnelIdentifier` that's already running, i.e. one started by your CI
+   * server, instead of starting one. It's left running when the proxy is
+   * disabled.
    * @return {Promise} Returns a promise that resolves once the proxy is
    * set up.
    */
-  enableSaucelabsConnect() {
-    return application.enableSaucelabsConnect();
+  enableSaucelabsConnect(options) {
+    return this.startProviderTunnel('saucelabs', options);
   }
 
   /**
@@ -243,7 +727,244 @@ class SeleniumAssistant {
    * @return {Promise} Returns a promise that resolves once the proxy is closed.
    */
   disableSaucelabsConnect() {
-    return application.disableSaucelabsConnect();
+    return this.stopProviderTunnel('saucelabs');
+  }
+
+  /**
+   * @return {Object} The `state` of the saucelabs connect proxy ('stopped',
+   * 'starting', 'running', 'stopping' or 'failed'), its `tunnelIdentifier`,
+   * whether it `isExisting`, when it was `startedAt` and the `error` if it
+   * failed.
+   */
+  getSaucelabsConnectStatus() {
+    return providerManager.getProvider('saucelabs').getTunnelStatus();
+  }
+
+  /**
+   * <p>The BrowserStack details to be used by BrowserStack browsers.</p>
+   *
+   * <p>If they aren't set, the `BROWSERSTACK_USERNAME` and
+   * `BROWSERSTACK_ACCESS_KEY` environment variables are used, then the
+   * `browserstack` entry in the project config file (see
+   * {@link setConfigPath}).</p>
+   *
+   * @param {string} username The BrowserStack username.
+   * @param {string} accessKey The BrowserStack access key.
+   */
+  setBrowserStackDetails(username, accessKey) {
+    providerManager.getProvider('browserstack').setCredentials({
+      username: username,
+      accessKey: accessKey,
+    });
+  }
+
+  /**
+   * Get a BrowserStack browser for a particular browser ID and a particular
+   * browser version.
+   *
+   * @example
+   * seleniumAssistant.setBrowserStackDetails(username, accessKey);
+   * const browser = seleniumAssistant.getBrowserStackBrowser('firefox',
+   *   'latest', {
+   *     os: 'Windows',
+   *     osVersion: '10',
+   *     build: process.env.TRAVIS_BUILD_NUMBER,
+   *     capabilities: {
+   *       'browserstack.debug': 'true',
+   *     },
+   *   });
+   *
+   * @param {string} browserId The selenium browser ID, 'chrome', 'firefox',
+   * 'opera', 'safari', 'microsoftedge' or 'internet explorer'.
+   * @param {string} browserVersion This is a BrowserStack browser version
+   * like "latest" or "52.0".
+   * @param {Object} [options] The options to set for BrowserStack.
+   * @param {string} [options.os] The operating system, i.e. 'Windows' or
+   * 'OS X'.
+   * @param {string} [options.osVersion] The operating system version, i.e.
+   * '10' or 'Sierra'.
+   * @param {string} [options.project] The project shown on BrowserStack.
+   * @param {string} [options.build] The build the test belongs to.
+   * @param {string} [options.name] The name of the test.
+   * @param {Object} [options.capabilities] Any other capabilities, i.e.
+   * `browserstack.*` capabilities.
+   * @param {Object} [options.browserstack] The `username`, `accessKey` and,
+   * optionally, the `serverUrl` of the hub to use instead of the details set
+   * with {@link setBrowserStackDetails}.
+   * @return {WebDriverBrowser} A selenium-assistant web driver instance.
+   */
+  getBrowserStackBrowser(browserId, browserVersion, options) {
+    options = Object.assign({}, options, {credentials: options &&
+      options.browserstack});
+    return this.getProviderBrowser('browserstack', browserId, browserVersion,
+      options);
+  }
+
+  /**
+   * This will open a BrowserStack Local tunnel so BrowserStack browsers can
+   * reach servers on this machine.
+   * @param {Object} [options] Options for the tunnel.
+   * @param {string} [options.localIdentifier] The name of the tunnel.
+   * Defaults to a unique name for this process.
+   * @param {Boolean} [options.force=false] Stop any other BrowserStack Local
+   * tunnel running on this machine first, i.e. one left behind by an
+   * earlier test run.
+   * @return {Promise} Returns a promise that resolves once the tunnel is
+   * open.
+   */
+  enableBrowserStackLocal(options) {
+    return this.startProviderTunnel('browserstack', options);
+  }
+
+  /**
+   * This will close the BrowserStack Local tunnel.
+   * @return {Promise} Returns a promise that resolves once the tunnel is
+   * closed.
+   */
+  disableBrowserStackLocal() {
+    return this.stopProviderTunnel('browserstack');
+  }
+
+  /**
+   * <p>Add a provider of hosted browsers, i.e. an internal device farm, so
+   * its browsers can be used with {@link getProviderBrowser}.</p>
+   *
+   * <p>Providers extend `selenium-assistant/src/providers/provider.js`
+   * and, at the least, implement `getHubUrl()`. Saucelabs ('saucelabs') and
+   * BrowserStack ('browserstack') are registered by default.</p>
+   *
+   * @example
+   * const Provider = require('selenium-assistant/src/providers/provider.js');
+   *
+   * class DeviceFarmProvider extends Provider {
+   *   constructor() {
+   *     super('device-farm', 'Device Farm');
+   *   }
+   *
+   *   getHubUrl(credentials) {
+   *     return 'https://device-farm.example.com/wd/hub';
+   *   }
+   *
+   *   getSessionCapabilities(credentials) {
+   *     return {'farm:token': credentials.token};
+   *   }
+   *
+   *   isValidCredentials(credentials) {
+   *     return !!credentials && !!credentials.token;
+   *   }
+   * }
+   *
+   * seleniumAssistant.registerProvider(new DeviceFarmProvider());
+   * seleniumAssistant.setProviderCredentials('device-farm', {token: token});
+   * const browser = seleniumAssistant.getProviderBrowser('device-farm',
+   *   'chrome', 'latest');
+   *
+   * @param {Provider} provider An instance of the provider.
+   */
+  registerProvider(provider) {
+    providerManager.registerProvider(provider);
+  }
+
+  /**
+   * The credentials to be used by a provider's browsers.
+   * @param {string} providerId The ID of the provider, i.e. 'saucelabs'.
+   * @param {Object} credentials The credentials, i.e. a `username` and
+   * `accessKey`.
+   */
+  setProviderCredentials(providerId, credentials) {
+    providerManager.getProvider(providerId).setCredentials(credentials);
+  }
+
+  /**
+   * Get a browser hosted by a provider.
+   *
+   * @param {string} providerId The ID of the provider, i.e. 'saucelabs'.
+   * @param {string} browserId The selenium browser ID, 'chrome', 'firefox',
+   * 'opera', 'safari', 'microsoftedge' or 'internet explorer'.
+   * @param {string} browserVersion The provider's browser version, i.e.
+   * "latest" or "45.0".
+   * @param {Object} [options] The options for the browser. Anything other
+   * than the options below are passed to the provider, i.e. the `platform`
+   * for Saucelabs.
+   * @param {Object} [options.credentials] Credentials to use instead of the
+   * ones set with {@link setProviderCredentials}.
+   * @param {Object} [options.capabilities] Any additional capabilities.
+   * @return {WebDriverBrowser} A selenium-assistant web driver instance.
+   */
+  getProviderBrowser(providerId, browserId, browserVersion, options) {
+    const provider = providerManager.getProvider(providerId);
+
+    options = Object.assign({}, options);
+    if (!provider.isValidCredentials(options.credentials)) {
+      // Throws if the provider doesn't have credentials either.
+      provider.getCredentials();
+      options.credentials = null;
+    }
+
+    return browserManager.getProviderBrowser(provider, browserId,
+      browserVersion, options);
+  }
+
+  /**
+   * Start a provider's tunnel so its browsers can reach servers on this
+   * machine.
+   * @param {string} providerId The ID of the provider, i.e. 'saucelabs'.
+   * @param {Object} [options] Options for the provider's tunnel.
+   * @return {Promise} Returns a promise that resolves once the tunnel is
+   * open.
+   */
+  startProviderTunnel(providerId, options) {
+    try {
+      return providerManager.getProvider(providerId).startTunnel(options);
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * @param {string} providerId The ID of the provider, i.e. 'saucelabs'.
+   * @return {Promise} Returns a promise that resolves once the tunnel is
+   * closed.
+   */
+  stopProviderTunnel(providerId) {
+    try {
+      return providerManager.getProvider(providerId).stopTunnel();
+    } catch (err) {
+      return Promise.reject(err);
+    }
+  }
+
+  /**
+   * Get a browser hosted on a Selenium Grid, or any other remote WebDriver
+   * server.
+   *
+   * @example
+   * const browser = seleniumAssistant.getRemoteBrowser(
+   *   'http://grid.example.com:4444/wd/hub', 'firefox', {
+   *     version: '52.0',
+   *     platform: 'LINUX',
+   *   });
+   * browser.getSeleniumDriver()
+   * .then((driver) => {
+   *   ...
+   * });
+   *
+   * @param {string} hubUrl The URL of the grid's hub, i.e.
+   * 'http://localhost:4444/wd/hub'.
+   * @param {string} browserId The selenium browser ID, 'chrome', 'firefox',
+   * 'opera', 'safari', 'microsoftedge' or 'internet explorer'.
+   * @param {Object} [options] The options for the remote browser.
+   * @param {string} [options.version] The browser version to request. The
+   * grid picks any version if it isn't set.
+   * @param {string} [options.platform] The platform to request, i.e.
+   * 'LINUX' or 'WINDOWS'.
+   * @param {Object} [options.auth] The `username` and `password` if the hub
+   * uses basic authentication.
+   * @param {Object} [options.capabilities] Any additional capabilities.
+   * @return {WebDriverBrowser} A selenium-assistant web driver instance.
+   */
+  getRemoteBrowser(hubUrl, browserId, options) {
+    return browserManager.getRemoteBrowser(hubUrl, browserId, options);
   }
 
   /**
@@ -0,0 +1,501 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+
+const application = require('./application-state.js');
+const browserManager = require('./browser-manager.js');
+const InstallLock = require('./install-lock.js');
+const installManifest = require('./install-manifest.js');
+
+const ARCHIVE_PATTERN = /\.(deb|dmg|zip|tar\.gz|tar\.bz2|partial(\.json)?)$/;
+const ORPHAN_AGE = 60 * 60 * 1000;
+const DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
+const CHANNELS = ['stable', 'beta', 'unstable'];
+
+/**
+ * Removes old browser installs, drivers no browser uses, archives left by
+ * failed downloads and install manifest entries for installs that have gone
+ * from the install directory.
+ *
+ * @private
+ */
+class InstallDirCleaner {
+  /**
+   * Work out what can be removed from the install directory and, unless
+   * it's a dry run, remove it.
+   *
+   * Installs that are being downloaded by another process are skipped, as
+   * are the leftovers of failed downloads and unused drivers while any
+   * download is in progress.
+   *
+   * @param {Object} [options] Options for the clean up.
+   * @param {number} [options.keepLatest] Keep this many of the most recently
+   * downloaded installs of each release channel ('stable', 'beta' and
+   * 'unstable') and of the pinned versions of each browser, and remove the
+   * others.
+   * @param {number} [options.maxBytes] Remove the least recently downloaded
+   * installs until the install directory is no bigger than this.
+   * @param {number} [options.olderThanDays] Only remove installs downloaded
+   * more than this many days ago.
+   * @param {boolean} [options.dryRun=false] Report what would be removed
+   * without removing anything.
+   * @return {Promise<Object>} Promise that resolves to a report with the
+   * `removed` paths ({path, reason, bytes}), `removedEntries` (install
+   * manifest keys, see {@link InstallManifest#getKey}), `skipped` paths
+   * ({path, reason}), `freedBytes` and `remainingBytes`.
+   */
+  cleanInstallDir(options) {
+    options = options || {};
+    const installDir = application.getInstallDirectory();
+    const report = {
+      dryRun: !!options.dryRun,
+      removed: [],
+      removedEntries: [],
+      skipped: [],
+      freedBytes: 0,
+      remainingBytes: 0,
+    };
+
+    if (!fs.existsSync(installDir)) {
+      return Promise.resolve(report);
+    }
+
+    const manifestInstalls = installManifest.getInstalls();
+    const installs = this._findInstalls(installDir, manifestInstalls);
+    const orphanedFiles = this._findOrphanedFiles(installDir);
+    const locks = [];
+
+    return Promise.resolve()
+    .then(() => {
+      const orphanedBytes = orphanedFiles.reduce((total, orphan) => {
+        return total + orphan.bytes;
+      }, 0);
+      const removals = this._getInstallRemovals(installDir, installs,
+        orphanedBytes, options);
+      return removals.reduce((promiseChain, removal) => {
+        return promiseChain.then(() => {
+          if (options.dryRun) {
+            return true;
+          }
+
+          const installLock = new InstallLock(path.join(installDir, 'locks',
+            `${removal.install.browserId}-${removal.install.release}.lock`),
+            {timeout: 0});
+          return installLock.acquire()
+          .then(() => {
+            locks.push(installLock);
+            return true;
+          }, () => false);
+        })
+        .then((canRemove) => {
+          if (!canRemove) {
+            report.skipped.push({
+              path: removal.install.path,
+              reason: 'Being installed by another process.',
+            });
+            return;
+          }
+
+          removal.install.removed = true;
+          report.removed.push({
+            path: removal.install.path,
+            reason: removal.reason,
+            bytes: removal.install.bytes,
+          });
+          if (removal.install.hasEntry) {
+            report.removedEntries.push(removal.install.key);
+          }
+        });
+      }, Promise.resolve());
+    })
+    .then(() => {
+      const unusedDrivers = this._findUnusedDrivers(installDir, installs,
+        manifestInstalls);
+      if (options.dryRun) {
+        return {unusedDrivers: unusedDrivers, isDownloading: false};
+      }
+
+      return this._lockDownloads(installDir, locks)
+      .then((isDownloading) => {
+        return {unusedDrivers: unusedDrivers, isDownloading: isDownloading};
+      });
+    })
+    .then((leftovers) => {
+      // Leftovers can't be matched to a browser, so nothing is removed
+      // while any download is in progress.
+      orphanedFiles.concat(leftovers.unusedDrivers).forEach((leftover) => {
+        if (leftovers.isDownloading) {
+          report.skipped.push({
+            path: leftover.path,
+            reason: 'A download is in progress.',
+          });
+          return;
+        }
+
+        report.removed.push(leftover);
+      });
+
+      this._findOrphanedEntries(manifestInstalls)
+      .forEach((key) => {
+        if (report.removedEntries.indexOf(key) === -1) {
+          report.removedEntries.push(key);
+        }
+      });
+
+      report.freedBytes = report.removed.reduce((total, removal) => {
+        return total + removal.bytes;
+      }, 0);
+      report.remainingBytes = this._getSize(installDir) - report.freedBytes;
+
+      if (options.dryRun) {
+        return;
+      }
+
+      return installManifest.removeInstalls(report.removedEntries)
+      .then(() => {
+        return del(report.removed.map((removal) => removal.path),
+          {force: true});
+      });
+    })
+    .then(() => {
+      locks.forEach((installLock) => installLock.release());
+      return report;
+    }, (err) => {
+      locks.forEach((installLock) => installLock.release());
+      throw err;
+    });
+  }
+
+  /**
+   * Find the browser installs in the install directory. The last update of
+   * each install is when it was downloaded, according to the install
+   * manifest, or the modification time of its directory.
+   * @param {string} installDir The install directory.
+   * @param {Array<Object>} manifestInstalls The install manifest entries.
+   * @return {Array<Object>} The installs.
+   */
+  _findInstalls(installDir, manifestInstalls) {
+    const installs = [];
+    browserManager.getLocalBrowserIds().forEach((browserId) => {
+      const browserPath = path.join(installDir, browserId);
+      this._readDirectory(browserPath).forEach((release) => {
+        const installPath = path.join(browserPath, release);
+        const stats = fs.statSync(installPath);
+        if (!stats.isDirectory()) {
+          return;
+        }
+
+        const manifestInstall = manifestInstalls.find((install) => {
+          return install.browserId === browserId &&
+            install.release === release;
+        });
+        let lastUpdated = stats.mtime.getTime();
+        if (manifestInstall && manifestInstall.updatedAt) {
+          lastUpdated = manifestInstall.updatedAt;
+        }
+
+        installs.push({
+          browserId: browserId,
+          release: release,
+          path: installPath,
+          key: installManifest.getKey(browserId, release),
+          hasEntry: !!manifestInstall,
+          lastUpdated: lastUpdated,
+          bytes: this._getSize(installPath),
+          removed: false,
+        });
+      });
+    });
+    return installs;
+  }
+
+  /**
+   * Apply keepLatest, olderThanDays and maxBytes to the installs.
+   * @param {string} installDir The install directory.
+   * @param {Array<Object>} installs The installs, see {@link _findInstalls}.
+   * @param {number} orphanedBytes The size of the orphaned files that will
+   * be removed.
+   * @param {Object} options Options for the clean up, see
+   * {@link cleanInstallDir}.
+   * @return {Array<Object>} The installs to remove ({install, reason}),
+   * oldest first.
+   */
+  _getInstallRemovals(installDir, installs, orphanedBytes, options) {
+    const hasKeepLatest = typeof options.keepLatest === 'number';
+    const hasOlderThan = typeof options.olderThanDays === 'number';
+
+    // The latest installs of each release channel and the latest pinned
+    // versions of each browser are never removed.
+    const groups = {};
+    installs.forEach((install) => {
+      const groupKey = `${install.browserId}:` +
+        (CHANNELS.indexOf(install.release) !== -1 ? install.release : 'pinned');
+      groups[groupKey] = groups[groupKey] || [];
+      groups[groupKey].push(install);
+    });
+
+    const candidates = [];
+    Object.keys(groups).forEach((groupKey) => {
+      groups[groupKey].sort((a, b) => b.lastUpdated - a.lastUpdated)
+      .forEach((install, index) => {
+        if (!hasKeepLatest || index >= options.keepLatest) {
+          candidates.push(install);
+        }
+      });
+    });
+    candidates.sort((a, b) => a.lastUpdated - b.lastUpdated);
+
+    const removals = [];
+    if (hasKeepLatest || hasOlderThan) {
+      const cutOff = Date.now() - (options.olderThanDays * DAY_IN_MILLIS);
+      candidates.forEach((install) => {
+        if (hasOlderThan && install.lastUpdated >= cutOff) {
+          return;
+        }
+
+        removals.push({
+          install: install,
+          reason: hasOlderThan ?
+            `Not downloaded in the last ${options.olderThanDays} days.` :
+            `Not one of the latest ${options.keepLatest} installs.`,
+        });
+      });
+    }
+
+    if (typeof options.maxBytes === 'number') {
+      let remainingBytes = this._getSize(installDir) - orphanedBytes;
+      removals.forEach((removal) => {
+        remainingBytes -= removal.install.bytes;
+      });
+
+      candidates.forEach((install) => {
+        if (remainingBytes <= options.maxBytes) {
+          return;
+        }
+
+        const isRemoved = removals.some((removal) => {
+          return removal.install === install;
+        });
+        if (isRemoved) {
+          return;
+        }
+
+        remainingBytes -= install.bytes;
+        removals.push({
+          install: install,
+          reason: `Install directory is larger than ${options.maxBytes} ` +
+            `bytes.`,
+        });
+      });
+    }
+
+    return removals;
+  }
+
+  /**
+   * Take the clean lock, which stops new downloads from starting, and then
+   * check the lock of every download already in progress.
+   * @param {string} installDir The install directory.
+   * @param {Array<InstallLock>} locks The locks already held. Locks that
+   * are taken are added to this list.
+   * @return {Promise<boolean>} Promise that resolves to true if another
+   * process is downloading a browser or driver.
+   */
+  _lockDownloads(installDir, locks) {
+    const locksDir = path.join(installDir, 'locks');
+    const cleanLock = new InstallLock(path.join(locksDir, 'clean.lock'));
+    return cleanLock.acquire()
+    .then(() => {
+      locks.push(cleanLock);
+
+      // The install manifest is only locked while it's written, so it
+      // doesn't mean a download is in progress.
+      const lockPaths = this._readDirectory(locksDir)
+      .filter((fileName) => /\.lock$/.test(fileName) &&
+        fileName !== 'clean.lock' && fileName !== 'install-manifest.lock')
+      .map((fileName) => path.join(locksDir, fileName));
+
+      let isDownloading = false;
+      return lockPaths.reduce((promiseChain, lockPath) => {
+        return promiseChain.then(() => {
+          const isHeld = locks.some((installLock) => {
+            return installLock.getLockPath() === lockPath;
+          });
+          if (isHeld) {
+            return;
+          }
+
+          const installLock = new InstallLock(lockPath, {timeout: 0});
+          return installLock.acquire()
+          .then(() => {
+            locks.push(installLock);
+          }, () => {
+            isDownloading = true;
+          });
+        });
+      }, Promise.resolve())
+      .then(() => isDownloading);
+    });
+  }
+
+  /**
+   * Archives in the root of the install directory and anything in the
+   * staging directory that hasn't changed in the last hour were left by
+   * downloads that failed or were interrupted.
+   * @param {string} installDir The install directory.
+   * @return {Array<Object>} The orphaned files ({path, reason, bytes}).
+   */
+  _findOrphanedFiles(installDir) {
+    const orphans = [];
+    this._readDirectory(installDir).forEach((fileName) => {
+      const filePath = path.join(installDir, fileName);
+      if (!ARCHIVE_PATTERN.test(fileName)) {
+        return;
+      }
+
+      const stats = fs.statSync(filePath);
+      if (stats.isFile() &&
+        (Date.now() - stats.mtime.getTime()) > ORPHAN_AGE) {
+        orphans.push({
+          path: filePath,
+          reason: 'Archive left by a failed download.',
+          bytes: this._getSize(filePath),
+        });
+      }
+    });
+
+    const stagingDir = path.join(installDir, 'staging');
+    this._readDirectory(stagingDir).forEach((fileName) => {
+      const filePath = path.join(stagingDir, fileName);
+      const stats = fs.statSync(filePath);
+      if ((Date.now() - stats.mtime.getTime()) > ORPHAN_AGE) {
+        orphans.push({
+          path: filePath,
+          reason: 'Left by a failed or interrupted download.',
+          bytes: this._getSize(filePath),
+        });
+      }
+    });
+    return orphans;
+  }
+
+  /**
+   * Drivers are unused if no remaining install manifest entry records them.
+   * @param {string} installDir The install directory.
+   * @param {Array<Object>} installs The installs, see {@link _findInstalls}.
+   * @param {Array<Object>} manifestInstalls The install manifest entries.
+   * @return {Array<Object>} The unused drivers ({path, reason, bytes}).
+   */
+  _findUnusedDrivers(installDir, installs, manifestInstalls) {
+    const usedDriverPaths = [];
+    manifestInstalls.forEach((manifestInstall) => {
+      const isRemoved = installs.some((install) => {
+        return install.removed && install.browserId ===
+          manifestInstall.browserId &&
+          install.release === manifestInstall.release;
+      });
+      if (isRemoved || !manifestInstall.driver ||
+        !manifestInstall.driver.path) {
+        return;
+      }
+
+      usedDriverPaths.push(path.dirname(manifestInstall.driver.path));
+    });
+
+    const unusedDrivers = [];
+    const driversPath = path.join(installDir, 'drivers');
+    this._readDirectory(driversPath).forEach((driverModule) => {
+      const modulePath = path.join(driversPath, driverModule);
+      this._readDirectory(modulePath).forEach((version) => {
+        const versionPath = path.join(modulePath, version);
+        if (usedDriverPaths.indexOf(versionPath) !== -1) {
+          return;
+        }
+
+        unusedDrivers.push({
+          path: versionPath,
+          reason: 'Driver isn\'t used by any installed browser.',
+          bytes: this._getSize(versionPath),
+        });
+      });
+    });
+    return unusedDrivers;
+  }
+
+  /**
+   * Entries are orphaned if their install has gone. Entries that only
+   * record a driver, for a browser that isn't in the install directory, are
+   * orphaned if the driver has gone.
+   * @param {Array<Object>} manifestInstalls The install manifest entries.
+   * @return {Array<string>} The keys of the orphaned entries.
+   */
+  _findOrphanedEntries(manifestInstalls) {
+    return manifestInstalls.filter((manifestInstall) => {
+      if (manifestInstall.installPath) {
+        return !fs.existsSync(manifestInstall.installPath);
+      }
+
+      return !manifestInstall.driver ||
+        !fs.existsSync(manifestInstall.driver.path);
+    })
+    .map((manifestInstall) => {
+      return installManifest.getKey(manifestInstall.browserId,
+        manifestInstall.release);
+    });
+  }
+
+  /**
+   * @param {string} directoryPath The directory to read.
+   * @return {Array<string>} The entries in the directory or an empty array
+   * if it doesn't exist.
+   */
+  _readDirectory(directoryPath) {
+    try {
+      return fs.readdirSync(directoryPath);
+    } catch (err) {
+      return [];
+    }
+  }
+
+  /**
+   * @param {string} filePath A file or directory.
+   * @return {number} The size in bytes of the file or everything in the
+   * directory. Symlinks aren't followed.
+   */
+  _getSize(filePath) {
+    let stats;
+    try {
+      stats = fs.lstatSync(filePath);
+    } catch (err) {
+      return 0;
+    }
+
+    if (!stats.isDirectory()) {
+      return stats.size;
+    }
+
+    return fs.readdirSync(filePath).reduce((total, fileName) => {
+      return total + this._getSize(path.join(filePath, fileName));
+    }, 0);
+  }
+}
+
+module.exports = new InstallDirCleaner();
@@ -0,0 +1,261 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mkdirp = require('mkdirp');
+
+const DEFAULT_TIMEOUT = 15 * 60 * 1000;
+const DEFAULT_STALE_TIMEOUT = 30 * 60 * 1000;
+const DEFAULT_POLL_INTERVAL = 500;
+
+/**
+ * A lock file based mutex that stops multiple processes sharing an install
+ * directory from downloading and extracting the same browser at once.
+ *
+ * The lock file records the PID and host name of the owner. A lock is
+ * regarded as stale, and removed, if the owning process is no longer
+ * running on this host or if a lock from another host is older than the
+ * stale timeout.
+ *
+ * @private
+ */
+class InstallLock {
+  /**
+   * @param {string} lockPath The path of the lock file.
+   * @param {Object} [options] Options for the lock.
+   * @param {number} [options.timeout=900000] How long, in milliseconds, to
+   * wait for the lock before rejecting.
+   * @param {number} [options.staleTimeout=1800000] How old, in milliseconds,
+   * a lock from another host can be before it's regarded as stale.
+   * @param {number} [options.pollInterval=500] How often, in milliseconds,
+   * to check if the lock has been released.
+   */
+  constructor(lockPath, options) {
+    options = options || {};
+
+    this._lockPath = lockPath;
+    this._timeout = typeof options.timeout === 'number' ?
+      options.timeout : DEFAULT_TIMEOUT;
+    this._staleTimeout = typeof options.staleTimeout === 'number' ?
+      options.staleTimeout : DEFAULT_STALE_TIMEOUT;
+    this._pollInterval = typeof options.pollInterval === 'number' ?
+      options.pollInterval : DEFAULT_POLL_INTERVAL;
+    this._isHeld = false;
+    this._wasContended = false;
+  }
+
+  /**
+   * Wait for and take the lock.
+   * @return {Promise} Promise that resolves once the lock is held or rejects
+   * if the lock couldn't be taken before the timeout.
+   */
+  acquire() {
+    mkdirp.sync(path.dirname(this._lockPath));
+
+    const startTime = Date.now();
+    return new Promise((resolve, reject) => {
+      const attempt = () => {
+        try {
+          if (this._tryAcquire()) {
+            this._isHeld = true;
+            return resolve();
+          }
+        } catch (err) {
+          return reject(err);
+        }
+
+        this._wasContended = true;
+        if ((Date.now() - startTime) >= this._timeout) {
+          return reject(new Error(`Timed out waiting for lock ` +
+            `'${this._lockPath}' held by another process.`));
+        }
+
+        setTimeout(attempt, this._pollInterval);
+      };
+      attempt();
+    });
+  }
+
+  /**
+   * Release the lock if it's held by this instance.
+   */
+  release() {
+    if (!this._isHeld) {
+      return;
+    }
+
+    this._isHeld = false;
+    try {
+      fs.unlinkSync(this._lockPath);
+    } catch (err) {
+      // NOOP - Lock file has already been removed.
+    }
+  }
+
+  /**
+   * @return {string} The path of the lock file.
+   */
+  getLockPath() {
+    return this._lockPath;
+  }
+
+  /**
+   * @return {Boolean} True if another process held the lock when
+   * {@link acquire} was called.
+   */
+  wasContended() {
+    return this._wasContended;
+  }
+
+  /**
+   * Try to create the lock file, taking it over first if it's stale.
+   * @return {Boolean} True if the lock was taken.
+   */
+  _tryAcquire() {
+    if (this._createLockFile()) {
+      return true;
+    }
+
+    const lockContents = this._readLockFile();
+    if (lockContents !== null && this._isStale(lockContents)) {
+      return this._takeOver(lockContents);
+    }
+
+    return false;
+  }
+
+  /**
+   * @return {Boolean} True if the lock file was created, false if it
+   * already exists.
+   */
+  _createLockFile() {
+    let fd;
+    try {
+      fd = fs.openSync(this._lockPath, 'wx');
+    } catch (err) {
+      if (err.code === 'EEXIST') {
+        return false;
+      }
+      throw err;
+    }
+
+    fs.writeSync(fd, JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+      created: Date.now(),
+    }));
+    fs.closeSync(fd);
+    return true;
+  }
+
+  /**
+   * @param {string} [filePath] The file to read, defaults to the lock file.
+   * @return {string} The contents of the file or null if it doesn't exist.
+   */
+  _readLockFile(filePath) {
+    try {
+      return fs.readFileSync(filePath || this._lockPath).toString();
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return null;
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Remove a stale lock file and take the lock.
+   *
+   * Other processes may have seen the same stale lock, so the lock file is
+   * moved aside rather than deleted. Only one process can move a given file
+   * and if the file that was moved isn't the stale one, another process
+   * has already taken the lock and the file is put back.
+   *
+   * @param {string} staleContents The contents of the stale lock file.
+   * @return {Boolean} True if the lock was taken.
+   */
+  _takeOver(staleContents) {
+    const stalePath = `${this._lockPath}.${process.pid}.${Date.now()}.stale`;
+    try {
+      fs.renameSync(this._lockPath, stalePath);
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        // Another process moved or released it first.
+        return false;
+      }
+      throw err;
+    }
+
+    if (this._readLockFile(stalePath) !== staleContents) {
+      try {
+        // Link rather than rename so a newer lock file is never replaced.
+        fs.linkSync(stalePath, this._lockPath);
+      } catch (err) {
+        // NOOP - Another process has created a new lock file.
+      }
+      fs.unlinkSync(stalePath);
+      return false;
+    }
+
+    fs.unlinkSync(stalePath);
+    return this._createLockFile();
+  }
+
+  /**
+   * A lock on this host is stale once the process that owns it is no longer
+   * running, however long it has been held for. The owner of a lock from
+   * another host can't be checked, so these locks and unreadable lock files
+   * are stale once they are older than the stale timeout.
+   *
+   * @param {string} lockContents The contents of the lock file.
+   * @return {Boolean} True if the lock file was left behind by a process
+   * that is no longer running.
+   */
+  _isStale(lockContents) {
+    let lockDetails;
+    try {
+      lockDetails = JSON.parse(lockContents);
+    } catch (err) {
+      // A lock file that can't be parsed was most likely left by a process
+      // that crashed while writing it.
+      try {
+        const stats = fs.statSync(this._lockPath);
+        return (Date.now() - stats.mtime.getTime()) > this._pollInterval * 2;
+      } catch (statErr) {
+        return false;
+      }
+    }
+
+    if (lockDetails.hostname !== os.hostname()) {
+      // Can't check a PID on a different machine.
+      return (Date.now() - lockDetails.created) > this._staleTimeout;
+    }
+
+    try {
+      // Signal 0 doesn't kill the process, it throws if it doesn't exist.
+      process.kill(lockDetails.pid, 0);
+      return false;
+    } catch (err) {
+      return err.code === 'ESRCH';
+    }
+  }
+}
+
+module.exports = InstallLock;
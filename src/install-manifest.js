@@ -0,0 +1,259 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const LocalStorage = require('node-localstorage').LocalStorage;
+
+const application = require('./application-state.js');
+const InstallLock = require('./install-lock.js');
+
+const MANIFEST_FILE_NAME = 'install-manifest.json';
+const MANIFEST_VERSION = 1;
+const LOCK_POLL_INTERVAL = 50;
+
+/**
+ * <p>The install manifest is a JSON file in the install directory recording
+ * each browser install: the browser id, release, exact version, where it
+ * was downloaded from, the SHA-256 digest of the download, where it was
+ * installed, the driver downloaded for it and when it was installed and
+ * last updated.</p>
+ *
+ * <p>Install directories used by older versions of this library only have
+ * a download timestamp per install in localstorage. Those are migrated the
+ * first time the manifest is read. The localstorage folder is left in
+ * place for older versions sharing the install directory.</p>
+ *
+ * <p>Reads are synchronous. Updates take a lock so processes sharing the
+ * install directory don't overwrite each other's changes, and the file is
+ * replaced atomically so it's never read half written.</p>
+ *
+ * @private
+ */
+class InstallManifest {
+  /**
+   * @param {string} browserId The selenium id of the browser.
+   * @param {string} releaseName The release name or pinned version.
+   * @return {string} The key of the install in the manifest.
+   */
+  getKey(browserId, releaseName) {
+    return `${browserId}:${releaseName}`;
+  }
+
+  /**
+   * @return {string} The path of the manifest in the current install
+   * directory.
+   */
+  getManifestPath() {
+    return path.join(application.getInstallDirectory(), MANIFEST_FILE_NAME);
+  }
+
+  /**
+   * @return {Array<Object>} Every entry in the manifest. Entries have a
+   * `browserId`, `release`, `version`, `downloadUrl`, `sha256`,
+   * `installPath`, `driver` ({module, version, path, browserVersion}),
+   * `installedAt` and `updatedAt`. Anything that isn't known is null.
+   */
+  getInstalls() {
+    const installs = this._read().installs;
+    return Object.keys(installs).map((key) => installs[key]);
+  }
+
+  /**
+   * @param {string} browserId The selenium id of the browser.
+   * @param {string} releaseName The release name or pinned version.
+   * @return {Object|null} The manifest entry, see {@link getInstalls}, or
+   * null if there isn't one.
+   */
+  getInstall(browserId, releaseName) {
+    const installs = this._read().installs;
+    return installs[this.getKey(browserId, releaseName)] || null;
+  }
+
+  /**
+   * Create or change the entry for an install.
+   * @param {string} browserId The selenium id of the browser.
+   * @param {string} releaseName The release name or pinned version.
+   * @param {Object} changes The values to set on the entry, see
+   * {@link getInstalls}.
+   * @return {Promise<Object>} Promise that resolves to the updated entry.
+   */
+  updateInstall(browserId, releaseName, changes) {
+    const key = this.getKey(browserId, releaseName);
+    return this._update((manifest) => {
+      manifest.installs[key] = Object.assign(
+        this._createEntry(browserId, releaseName),
+        manifest.installs[key], changes);
+      return manifest.installs[key];
+    });
+  }
+
+  /**
+   * Remove entries from the manifest.
+   * @param {Array<string>} keys The keys of the entries, see {@link getKey}.
+   * @return {Promise} Promise that resolves once the entries are removed.
+   */
+  removeInstalls(keys) {
+    return this._update((manifest) => {
+      keys.forEach((key) => {
+        delete manifest.installs[key];
+      });
+    });
+  }
+
+  /**
+   * @param {string} browserId The selenium id of the browser.
+   * @param {string} releaseName The release name or pinned version.
+   * @return {Object} An entry with nothing known about the install.
+   */
+  _createEntry(browserId, releaseName) {
+    return {
+      browserId: browserId,
+      release: releaseName,
+      version: null,
+      downloadUrl: null,
+      sha256: null,
+      installPath: null,
+      driver: null,
+      installedAt: null,
+      updatedAt: null,
+    };
+  }
+
+  /**
+   * Read the manifest, migrating localstorage if there isn't a manifest yet.
+   * @return {Object} The manifest.
+   */
+  _read() {
+    const manifestPath = this.getManifestPath();
+    let manifestContents;
+    try {
+      manifestContents = fs.readFileSync(manifestPath).toString();
+    } catch (err) {
+      if (err.code === 'ENOENT') {
+        return this._migrateLocalStorage();
+      }
+      throw err;
+    }
+
+    try {
+      const manifest = JSON.parse(manifestContents);
+      manifest.installs = manifest.installs || {};
+      return manifest;
+    } catch (err) {
+      throw new Error(`Unable to parse the install manifest ` +
+        `'${manifestPath}': ${err.message}`);
+    }
+  }
+
+  /**
+   * Build a manifest from the download timestamps and drivers recorded in
+   * localstorage by older versions of this library.
+   * @return {Object} The manifest.
+   */
+  _migrateLocalStorage() {
+    const installDir = application.getInstallDirectory();
+    const manifest = {
+      version: MANIFEST_VERSION,
+      installs: {},
+    };
+
+    const localstoragePath = path.join(installDir, 'localstorage');
+    if (!fs.existsSync(localstoragePath)) {
+      return manifest;
+    }
+
+    const localStorage = new LocalStorage(localstoragePath);
+    for (let i = 0; i < localStorage.length; i++) {
+      const storageKey = localStorage.key(i);
+      const keyParts = storageKey.split(':');
+      if (keyParts.length < 2 || keyParts.length > 3 ||
+        (keyParts.length === 3 && keyParts[2] !== 'driver')) {
+        continue;
+      }
+
+      const key = this.getKey(keyParts[0], keyParts[1]);
+      const entry = manifest.installs[key] ||
+        this._createEntry(keyParts[0], keyParts[1]);
+      manifest.installs[key] = entry;
+
+      const value = localStorage.getItem(storageKey);
+      if (keyParts.length === 3) {
+        try {
+          entry.driver = JSON.parse(value);
+        } catch (err) {
+          // NOOP
+        }
+        continue;
+      }
+
+      const lastUpdate = parseInt(value, 10);
+      if (!isNaN(lastUpdate)) {
+        entry.installPath = path.join(installDir, keyParts[0], keyParts[1]);
+        entry.installedAt = lastUpdate;
+        entry.updatedAt = lastUpdate;
+      }
+    }
+
+    return manifest;
+  }
+
+  /**
+   * Change the manifest while holding its lock and write it back.
+   * @param {Function} updateManifest Function that changes the manifest
+   * passed to it.
+   * @return {Promise} Promise that resolves to the value returned by
+   * `updateManifest` once the manifest has been written.
+   */
+  _update(updateManifest) {
+    const installDir = application.getInstallDirectory();
+    const manifestLock = new InstallLock(
+      path.join(installDir, 'locks', 'install-manifest.lock'), {
+        pollInterval: LOCK_POLL_INTERVAL,
+      });
+
+    return manifestLock.acquire()
+    .then(() => {
+      const manifest = this._read();
+      manifest.version = MANIFEST_VERSION;
+      const result = updateManifest(manifest);
+      this._write(manifest);
+      manifestLock.release();
+      return result;
+    })
+    .catch((err) => {
+      manifestLock.release();
+      throw err;
+    });
+  }
+
+  /**
+   * Write the manifest to a temporary file and rename it over the manifest.
+   * @param {Object} manifest The manifest.
+   */
+  _write(manifest) {
+    const manifestPath = this.getManifestPath();
+    const tempPath = `${manifestPath}.${process.pid}.tmp`;
+    mkdirp.sync(path.dirname(manifestPath));
+    fs.writeFileSync(tempPath, JSON.stringify(manifest, null, 2));
+    fs.renameSync(tempPath, manifestPath);
+  }
+}
+
+module.exports = new InstallManifest();
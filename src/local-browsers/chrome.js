@@ -20,6 +20,7 @@ const fs = require('fs');
 const path = require('path');
 const which = require('which');
 const webdriver = require('selenium-webdriver');
+const seleniumChrome = require('selenium-webdriver/chrome');
 
 const LocalBrowser = require('../browser-models/local-browser.js');
 const application = require('../application-state.js');
@@ -36,9 +37,11 @@ class LocalChromeBrowser extends LocalBrowser {
    * Create a Chrome representation of a {@link WebDriverBrowser}
    * instance on a specific channel.
    * @param {string} release The release name for this browser instance.
+   * @param {DriverConfig} [config] The config for browsers built on Chrome,
+   * defaults to Google Chrome's config.
    */
-  constructor(release) {
-    super(new ChromeConfig(), release);
+  constructor(release, config) {
+    super(config || new ChromeConfig(), release);
   }
 
   /**
@@ -60,12 +63,23 @@ class LocalChromeBrowser extends LocalBrowser {
     const builder = new webdriver
       .Builder()
       .withCapabilities(this._capabilities)
-      .forBrowser(this.getId())
+      .forBrowser(webdriver.Browser.CHROME)
       .setChromeOptions(seleniumOptions);
 
     return builder;
   }
 
+  /**
+   * Start a Chrome session using the driver binary at driverPath.
+   * @param {Capabilities} capabilities The capabilities for the session.
+   * @param {string} driverPath The path of the driver binary.
+   * @return {WebDriver} The driver for the new session.
+   */
+  _createDriverSession(capabilities, driverPath) {
+    const service = new seleniumChrome.ServiceBuilder(driverPath).build();
+    return seleniumChrome.Driver.createSession(capabilities, service);
+  }
+
   /**
    * @return {string|null} The install directory with selenium-assistant's
    * reserved directory for installing browsers and operating files.
@@ -159,25 +173,6 @@ class LocalChromeBrowser extends LocalBrowser {
     return null;
   }
 
-  /**
-   * A version number for the browser. This is the major version number
-   * (i.e. for 48.0.1293, this would return 18)
-   * @return {Integer} The major version number of this browser
-   */
-  getVersionNumber() {
-    const chromeVersion = this.getRawVersionString();
-    if (!chromeVersion) {
-      return -1;
-    }
-
-    const regexMatch = chromeVersion.match(/(\d+)\.\d+\.\d+\.\d+/);
-    if (regexMatch === null) {
-      return -1;
-    }
-
-    return parseInt(regexMatch[1], 10);
-  }
-
   /**
    * Get the minimum support version of Chrome with selenium-assistant.
    * @return {number} Minimum supported Chrome version.
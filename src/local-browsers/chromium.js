@@ -0,0 +1,158 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const which = require('which');
+
+const LocalChromeBrowser = require('./chrome.js');
+const application = require('../application-state.js');
+const ChromiumConfig = require('../webdriver-config/chromium.js');
+
+/**
+ * <p>Handles the prettyName and executable path for Chromium.</p>
+ *
+ * <p>Chromium snapshots are installed by revision, i.e.
+ * `{revision: 450000}`, into `chromium/<revision>` in the install
+ * directory. The 'stable' release is the system's `chromium` or
+ * `chromium-browser` binary.</p>
+ *
+ * @private
+ * @extends WebDriverBrowser
+ */
+class LocalChromiumBrowser extends LocalChromeBrowser {
+  /**
+   * Create a Chromium representation of a {@link WebDriverBrowser}
+   * instance.
+   * @param {string|Object} release 'stable' for the system's Chromium or an
+   * object with the `revision` of a snapshot.
+   */
+  constructor(release) {
+    let revision = null;
+    if (release !== null && typeof release === 'object' &&
+      typeof release.revision !== 'undefined') {
+      if (!LocalChromiumBrowser.isValidRevision(release.revision)) {
+        throw new Error('Unexpected Chromium revision given: ',
+          release.revision);
+      }
+
+      // Revisions are installed and found the same way as pinned versions.
+      revision = parseInt(release.revision, 10);
+      release = {version: String(revision)};
+    }
+
+    super(release, new ChromiumConfig());
+
+    this._revision = revision;
+    if (revision) {
+      this._prettyName = `Chromium r${revision}`;
+    }
+  }
+
+  /**
+   * @return {number|null} The snapshot revision of this browser or null if
+   * it's the system's Chromium.
+   */
+  getRevision() {
+    return this._revision;
+  }
+
+  /**
+   * @return {string|null} The install directory with selenium-assistant's
+   * reserved directory for installing browsers and operating files.
+   */
+  _findInInstallDir() {
+    if (!this.getPinnedVersion()) {
+      return null;
+    }
+
+    const snapshotPath = path.join(application.getInstallDirectory(),
+      'chromium', this._release);
+    let expectedPath;
+    if (process.platform === 'linux') {
+      expectedPath = path.join(snapshotPath, 'chrome-linux', 'chrome');
+    } else if (process.platform === 'darwin') {
+      expectedPath = path.join(snapshotPath, 'chrome-mac', 'Chromium.app',
+        'Contents/MacOS/Chromium');
+    }
+
+    try {
+      // This will throw if it's not found
+      fs.lstatSync(expectedPath);
+      return expectedPath;
+    } catch (error) {
+      // NOOP
+    }
+
+    return null;
+  }
+
+  /**
+   * Returns the executable for the browser
+   * @return {String} Path of executable
+   */
+  getExecutablePath() {
+    if (this.getPinnedVersion()) {
+      return this._findInInstallDir();
+    }
+
+    if (this._release !== 'stable') {
+      return null;
+    }
+
+    try {
+      switch (process.platform) {
+        case 'darwin':
+          return '/Applications/Chromium.app/Contents/MacOS/Chromium';
+        case 'linux':
+          try {
+            return which.sync('chromium');
+          } catch (err) {
+            return which.sync('chromium-browser');
+          }
+        default:
+          throw new Error('Sorry, this platform isn\'t supported');
+      }
+    } catch (err) {
+      // NOOP
+    }
+
+    return null;
+  }
+
+  /**
+   * Revisions are the position of a commit on Chromium's main branch.
+   * @param {number|string} revision The revision to check.
+   * @return {Boolean} Whether the revision is a positive whole number.
+   */
+  static isValidRevision(revision) {
+    return (typeof revision === 'number' || typeof revision === 'string') &&
+      /^[1-9]\d*$/.test(String(revision));
+  }
+
+  /**
+   * This method returns the pretty names for each browser releace.
+   * @return {Object} An object containing on or move of 'stable', 'beta' or
+   * 'unstable' keys with a matching name for that release.
+   */
+  static getPrettyReleaseNames() {
+    return {};
+  }
+}
+
+module.exports = LocalChromiumBrowser;
@@ -20,6 +20,7 @@ const fs = require('fs');
 const path = require('path');
 const which = require('which');
 const webdriver = require('selenium-webdriver');
+const seleniumFirefox = require('selenium-webdriver/firefox');
 
 const LocalBrowser = require('../browser-models/local-browser.js');
 const application = require('../application-state.js');
@@ -66,6 +67,17 @@ class LocalChromeBrowser extends LocalBrowser {
     return builder;
   }
 
+  /**
+   * Start a Firefox session using the driver binary at driverPath.
+   * @param {Capabilities} capabilities The capabilities for the session.
+   * @param {string} driverPath The path of the driver binary.
+   * @return {WebDriver} The driver for the new session.
+   */
+  _createDriverSession(capabilities, driverPath) {
+    const service = new seleniumFirefox.ServiceBuilder(driverPath).build();
+    return seleniumFirefox.Driver.createSession(capabilities, service);
+  }
+
   /**
    * @return {string|null} The install directory with selenium-assistant's
    * reserved directory for installing browsers and operating files.
@@ -149,25 +161,6 @@ class LocalChromeBrowser extends LocalBrowser {
     return null;
   }
 
-  /**
-   * A version number for the browser. This is the major version number
-   * (i.e. for 48.0.1293, this would return 18)
-   * @return {Integer} The major version number of this browser
-   */
-  getVersionNumber() {
-    const firefoxVersion = this.getRawVersionString();
-    if (!firefoxVersion) {
-      return -1;
-    }
-
-    const regexMatch = firefoxVersion.match(/(\d+)\.\d/);
-    if (regexMatch === null) {
-      return -1;
-    }
-
-    return parseInt(regexMatch[1], 10);
-  }
-
   /**
    * Get the minimum support version of Firefox with selenium-assistant.
    * @return {number} Minimum supported Firefox version.
@@ -20,6 +20,7 @@ const fs = require('fs');
 const path = require('path');
 const which = require('which');
 const webdriver = require('selenium-webdriver');
+const seleniumOpera = require('selenium-webdriver/opera');
 const semver = require('semver');
 
 const LocalBrowser = require('../browser-models/local-browser.js');
@@ -72,6 +73,17 @@ class LocalOperaBrowser extends LocalBrowser {
     return builder;
   }
 
+  /**
+   * Start a Opera session using the driver binary at driverPath.
+   * @param {Capabilities} capabilities The capabilities for the session.
+   * @param {string} driverPath The path of the driver binary.
+   * @return {WebDriver} The driver for the new session.
+   */
+  _createDriverSession(capabilities, driverPath) {
+    const service = new seleniumOpera.ServiceBuilder(driverPath).build();
+    return seleniumOpera.Driver.createSession(capabilities, service);
+  }
+
   /**
    * @return {string|null} The install directory with selenium-assistant's
    * reserved directory for installing browsers and operating files.
@@ -146,25 +158,6 @@ class LocalOperaBrowser extends LocalBrowser {
     return null;
   }
 
-  /**
-   * A version number for the browser. This is the major version number
-   * (i.e. for 48.0.1293, this would return 18)
-   * @return {Integer} The major version number of this browser
-   */
-  getVersionNumber() {
-    const operaVersion = this.getRawVersionString();
-    if (!operaVersion) {
-      return -1;
-    }
-
-    const regexMatch = operaVersion.match(/(\d+)\.\d+\.\d+\.\d+/);
-    if (regexMatch === null) {
-      return -1;
-    }
-
-    return parseInt(regexMatch[1], 10);
-  }
-
   /**
    * The blacklist allows blocking use of a browser with
    * a specific version with a particular driver version.
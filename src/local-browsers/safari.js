@@ -142,25 +142,6 @@ class LocalSafariBrowser extends LocalBrowser {
     return this._rawVerstionString;
   }
 
-  /**
-   * A version number for the browser. This is the major version number
-   * (i.e. for 48.0.1293, this would return 18)
-   * @return {Integer} The major version number of this browser
-   */
-  getVersionNumber() {
-    const safariVersion = this.getRawVersionString();
-    if (!safariVersion) {
-      return -1;
-    }
-
-    const regexMatch = safariVersion.match(/(\d+)\.\d+(?:\.\d+)?/);
-    if (regexMatch === null) {
-      return -1;
-    }
-
-    return parseInt(regexMatch[1], 10);
-  }
-
   /**
    * Get the minimum support version of Safari with selenium-assistant.
    * @return {number} Minimum supported Safari version.
@@ -0,0 +1,102 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const chalk = require('chalk');
+
+const BAR_WIDTH = 30;
+const MIN_RENDER_INTERVAL = 100;
+
+/**
+ * Renders download progress events as a single, updating line on a TTY.
+ *
+ * @private
+ */
+class ProgressRenderer {
+  /**
+   * @param {WritableStream} stream The TTY stream to write to
+   * (i.e. `process.stderr`).
+   */
+  constructor(stream) {
+    this._stream = stream;
+    this._lastRender = 0;
+  }
+
+  /**
+   * Render a progress event. Downloading events are throttled so the
+   * terminal isn't flooded with writes.
+   * @param {Object} progress A progress event from the download manager.
+   */
+  render(progress) {
+    const now = Date.now();
+    if (progress.phase === 'downloading' &&
+      (now - this._lastRender) < MIN_RENDER_INTERVAL &&
+      progress.receivedBytes !== progress.totalBytes) {
+      return;
+    }
+    this._lastRender = now;
+
+    let line = chalk.bold(`${progress.browserId} ${progress.release}`) + ' ';
+    switch (progress.phase) {
+      case 'downloading':
+        line += this._formatDownload(progress);
+        break;
+      case 'complete':
+        line += chalk.green('installed');
+        break;
+      default:
+        line += chalk.blue(`${progress.phase}...`);
+        break;
+    }
+
+    // Clear the current line and return to the start before writing.
+    this._stream.write('\r\x1b[K' + line);
+
+    if (progress.phase === 'complete') {
+      this._stream.write('\n');
+    }
+  }
+
+  /**
+   * @param {Object} progress A downloading progress event.
+   * @return {string} The progress bar and byte counts for a download.
+   */
+  _formatDownload(progress) {
+    const received = this._formatBytes(progress.receivedBytes);
+    if (!progress.totalBytes) {
+      return chalk.blue(`downloading ${received}`);
+    }
+
+    const ratio = Math.min(progress.receivedBytes / progress.totalBytes, 1);
+    const filled = Math.round(ratio * BAR_WIDTH);
+    const bar = chalk.blue('#'.repeat(filled)) +
+      chalk.gray('-'.repeat(BAR_WIDTH - filled));
+    const percentage = Math.floor(ratio * 100);
+    return `[${bar}] ${percentage}% ${received} / ` +
+      this._formatBytes(progress.totalBytes);
+  }
+
+  /**
+   * @param {number} bytes Number of bytes.
+   * @return {string} Human readable size in MB.
+   */
+  _formatBytes(bytes) {
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+}
+
+module.exports = ProgressRenderer;
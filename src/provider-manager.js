@@ -0,0 +1,100 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const BrowserStackProvider = require('./providers/browserstack.js');
+const SaucelabsProvider = require('./providers/saucelabs.js');
+
+const PROVIDER_METHODS = [
+  'getId',
+  'getPrettyName',
+  'setCredentials',
+  'getCredentials',
+  'getHubUrl',
+  'getCapabilities',
+  'getSessionCapabilities',
+  'startTunnel',
+  'stopTunnel',
+  'isTunnelEnabled',
+  'reportResult',
+];
+
+/**
+ * Keeps track of the providers that host browsers, starting with Saucelabs
+ * and BrowserStack.
+ *
+ * @private
+ */
+class ProviderManager {
+  /**
+   * Registers the built in providers.
+   */
+  constructor() {
+    this._providers = {};
+
+    this.registerProvider(new SaucelabsProvider());
+    this.registerProvider(new BrowserStackProvider());
+  }
+
+  /**
+   * @param {Provider} provider The provider to add. This should extend
+   * {@link Provider}.
+   */
+  registerProvider(provider) {
+    if (!provider || typeof provider !== 'object') {
+      throw new Error('A provider instance is required.');
+    }
+
+    PROVIDER_METHODS.forEach((methodName) => {
+      if (typeof provider[methodName] !== 'function') {
+        throw new Error(`Providers must implement ${methodName}().`);
+      }
+    });
+
+    const providerId = provider.getId();
+    if (this._providers[providerId]) {
+      throw new Error(`A provider with the id '${providerId}' is already ` +
+        `registered.`);
+    }
+
+    this._providers[providerId] = provider;
+  }
+
+  /**
+   * @param {string} providerId The ID of the provider.
+   * @return {Provider} The registered provider. This throws if there isn't
+   * one.
+   */
+  getProvider(providerId) {
+    if (!Object.prototype.hasOwnProperty.call(this._providers, providerId)) {
+      throw new Error(`Unknown provider: '${providerId}'`);
+    }
+
+    return this._providers[providerId];
+  }
+
+  /**
+   * @return {Array<Provider>} All of the registered providers.
+   */
+  getProviders() {
+    return Object.keys(this._providers).map((providerId) => {
+      return this._providers[providerId];
+    });
+  }
+}
+
+module.exports = new ProviderManager();
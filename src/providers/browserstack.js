@@ -0,0 +1,213 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const browserstack = require('browserstack-local');
+
+const Provider = require('./provider.js');
+
+// To find out the capabilities you can use see:
+// https://www.browserstack.com/automate/capabilities
+
+const DEFAULT_SERVER_URL = 'https://hub-cloud.browserstack.com/wd/hub';
+
+/**
+ * Browsers hosted on BrowserStack, with BrowserStack Local as the tunnel.
+ *
+ * @private
+ */
+class BrowserStackProvider extends Provider {
+  /**
+   * Create the BrowserStack provider.
+   */
+  constructor() {
+    super('browserstack', 'BrowserStack');
+
+    this._browserStackLocal = null;
+    this._localIdentifier = null;
+    this._tunnelReady = null;
+  }
+
+  /**
+   * @return {Object} The environment variables with the account details.
+   */
+  getEnvironmentVariables() {
+    return {
+      username: 'BROWSERSTACK_USERNAME',
+      accessKey: 'BROWSERSTACK_ACCESS_KEY',
+    };
+  }
+
+  /**
+   * @param {Object} credentials The `username` and `accessKey` of the
+   * account and, optionally, the `serverUrl` of the hub.
+   * @return {string} The hub URL.
+   */
+  getHubUrl(credentials) {
+    return credentials.serverUrl || DEFAULT_SERVER_URL;
+  }
+
+  /**
+   * @param {string} browserId The selenium ID of the browser.
+   * @param {string} browserVersion The BrowserStack version, i.e. 'latest'.
+   * @param {Object} options The `os`, `osVersion`, `project`, `build` and
+   * `name` for the test.
+   * @return {Object} The capabilities for the browser.
+   */
+  getCapabilities(browserId, browserVersion, options) {
+    const capabilities = {
+      browser_version: browserVersion,
+    };
+
+    const namedCapabilities = {
+      os: options.os,
+      os_version: options.osVersion,
+      project: options.project,
+      build: options.build,
+      name: options.name,
+    };
+    Object.keys(namedCapabilities).forEach((key) => {
+      if (namedCapabilities[key]) {
+        capabilities[key] = namedCapabilities[key];
+      }
+    });
+
+    return capabilities;
+  }
+
+  /**
+   * The account details are sent as the `browserstack.user` and
+   * `browserstack.key` capabilities. If the BrowserStack Local tunnel is
+   * open, `browserstack.local` and `browserstack.localIdentifier` are set as
+   * well.
+   * @param {Object} credentials The credentials for the session.
+   * @return {Object} The capabilities for the session.
+   */
+  getSessionCapabilities(credentials) {
+    const capabilities = {
+      'browserstack.user': credentials.username,
+      'browserstack.key': credentials.accessKey,
+    };
+
+    if (this.isTunnelEnabled()) {
+      capabilities['browserstack.local'] = 'true';
+      capabilities['browserstack.localIdentifier'] = this._localIdentifier;
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * @param {Object} [options] Options for the tunnel.
+   * @param {string} [options.localIdentifier] The name of the tunnel.
+   * Defaults to a unique name for this process.
+   * @param {Boolean} [options.force=false] Stop any other BrowserStack Local
+   * tunnel running on this machine, i.e. one left behind by an earlier test
+   * run.
+   * @return {Promise} Returns a promise that resolves once the BrowserStack
+   * Local tunnel is open.
+   */
+  startTunnel(options) {
+    options = options || {};
+
+    if (this._tunnelReady) {
+      return this._tunnelReady;
+    }
+
+    const localIdentifier = options.localIdentifier ||
+      `selenium-assistant_${process.pid}_${Date.now()}`;
+    const browserStackLocal = this._createBrowserStackLocal();
+    const tunnelReady = new Promise((resolve, reject) => {
+      const localOptions = {
+        key: this.getCredentials().accessKey,
+        localIdentifier: localIdentifier,
+        onlyAutomate: 'true',
+      };
+      if (options.force) {
+        localOptions.force = 'true';
+      }
+
+      browserStackLocal.start(localOptions, (err) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        resolve();
+      });
+    })
+    .then(() => {
+      this._browserStackLocal = browserStackLocal;
+      this._localIdentifier = localIdentifier;
+    }, (err) => {
+      if (this._tunnelReady === tunnelReady) {
+        this._tunnelReady = null;
+      }
+      throw err;
+    });
+
+    // Calls made while the tunnel starts wait for it rather than starting
+    // another one.
+    this._tunnelReady = tunnelReady;
+    return tunnelReady;
+  }
+
+  /**
+   * @return {Promise} A promise that resolves once the BrowserStack Local
+   * tunnel is closed.
+   */
+  stopTunnel() {
+    const tunnelReady = this._tunnelReady;
+    if (!tunnelReady) {
+      return Promise.resolve();
+    }
+
+    return tunnelReady
+    .catch(() => {
+      // NOOP - A tunnel that failed to start has nothing to close.
+    })
+    .then(() => {
+      const browserStackLocal = this._browserStackLocal;
+      if (this._tunnelReady !== tunnelReady || !browserStackLocal) {
+        return;
+      }
+
+      this._tunnelReady = null;
+      this._browserStackLocal = null;
+      this._localIdentifier = null;
+      return new Promise((resolve) => {
+        browserStackLocal.stop(resolve);
+      });
+    });
+  }
+
+  /**
+   * @return {Boolean} Whether the BrowserStack Local tunnel is open.
+   */
+  isTunnelEnabled() {
+    return !!this._browserStackLocal;
+  }
+
+  /**
+   * @return {Local} A new, stopped, BrowserStack Local tunnel.
+   */
+  _createBrowserStackLocal() {
+    return new browserstack.Local();
+  }
+}
+
+module.exports = BrowserStackProvider;
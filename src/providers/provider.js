@@ -0,0 +1,222 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const application = require('../application-state.js');
+
+/**
+ * <p>A cloud provider, or device farm, that hosts browsers behind a
+ * WebDriver hub.</p>
+ *
+ * <p>Providers are an abstract class with some implemented methods
+ * and some methods that MUST be overriden. Extend this class and pass an
+ * instance to {@link SeleniumAssistant#registerProvider} to use browsers
+ * from your own device farm with
+ * {@link SeleniumAssistant#getProviderBrowser}.</p>
+ *
+ * @example
+ * const Provider = require('selenium-assistant/src/providers/provider.js');
+ *
+ * class DeviceFarmProvider extends Provider {
+ *   constructor() {
+ *     super('device-farm', 'Device Farm');
+ *   }
+ *
+ *   getHubUrl(credentials) {
+ *     return 'https://device-farm.example.com/wd/hub';
+ *   }
+ * }
+ *
+ * seleniumAssistant.registerProvider(new DeviceFarmProvider());
+ */
+class Provider {
+  /**
+   * @param {string} id The ID used to refer to the provider, i.e.
+   * 'saucelabs'.
+   * @param {string} prettyName A user friendly name for the provider.
+   */
+  constructor(id, prettyName) {
+    if (typeof id !== 'string' || id.length === 0) {
+      throw new Error('A provider needs an id.');
+    }
+
+    this._id = id;
+    this._prettyName = prettyName || id;
+    this._credentials = null;
+  }
+
+  /**
+   * @return {string} The ID of the provider.
+   */
+  getId() {
+    return this._id;
+  }
+
+  /**
+   * @return {string} A user friendly name for the provider.
+   */
+  getPrettyName() {
+    return this._prettyName;
+  }
+
+  /**
+   * Set the credentials used by browsers that don't have their own.
+   * @param {Object} credentials The credentials for the provider, by
+   * default a `username` and `accessKey`.
+   */
+  setCredentials(credentials) {
+    this._credentials = credentials;
+  }
+
+  /**
+   * <p>The credentials are looked up in order from:</p>
+   *
+   * <ol>
+   * <li>{@link setCredentials}.</li>
+   * <li>The environment variables from {@link getEnvironmentVariables}.</li>
+   * <li>The entry for the provider's ID in the project config file,
+   * i.e. `{"saucelabs": {"username": "...", "accessKey": "..."}}` in
+   * `.selenium-assistant.json`.</li>
+   * </ol>
+   *
+   * @return {Object} The first valid credentials. This throws, listing the
+   * places that were checked, if there aren't any.
+   */
+  getCredentials() {
+    if (this.isValidCredentials(this._credentials)) {
+      return this._credentials;
+    }
+
+    const environmentVariables = this.getEnvironmentVariables();
+    const credentialKeys = Object.keys(environmentVariables);
+    const environmentCredentials = {};
+    credentialKeys.forEach((credentialKey) => {
+      const value = process.env[environmentVariables[credentialKey]];
+      if (value) {
+        environmentCredentials[credentialKey] = value;
+      }
+    });
+    if (this.isValidCredentials(environmentCredentials)) {
+      return environmentCredentials;
+    }
+
+    const configCredentials = application.getProjectConfig()[this._id];
+    if (this.isValidCredentials(configCredentials)) {
+      return configCredentials;
+    }
+
+    const checkedSources = ['the details set on selenium-assistant'];
+    if (credentialKeys.length > 0) {
+      const variableNames = credentialKeys.map((credentialKey) => {
+        return environmentVariables[credentialKey];
+      });
+      checkedSources.push(`the ${variableNames.join(' and ')} environment ` +
+        `variables`);
+    }
+    checkedSources.push(`'${this._id}' in ${application.getConfigPath()}`);
+    throw new Error(`${this._prettyName} details not defined. Checked ` +
+      `${checkedSources.join(', ')}.`);
+  }
+
+  /**
+   * Override this method to read credentials from environment variables.
+   * @return {Object} The names of the environment variables keyed by the
+   * credential they hold, i.e. `{username: 'SAUCE_USERNAME'}`.
+   */
+  getEnvironmentVariables() {
+    return {};
+  }
+
+  /**
+   * Override this method if the provider uses something other than a
+   * `username` and `accessKey`.
+   * @param {Object} credentials The credentials to check.
+   * @return {Boolean} Whether the credentials can be used.
+   */
+  isValidCredentials(credentials) {
+    return !!credentials && !!credentials.username && !!credentials.accessKey;
+  }
+
+  /* eslint-disable valid-jsdoc */
+  /**
+   * @param {Object} credentials The credentials for the session.
+   * @return {string} The URL of the WebDriver hub to start sessions on.
+   */
+  getHubUrl(credentials) {
+    throw new Error('getHubUrl() must be overriden by subclasses');
+  }
+  /* eslint-enable valid-jsdoc */
+
+  /**
+   * Map the options passed to {@link SeleniumAssistant#getProviderBrowser}
+   * to the capabilities the provider expects.
+   * @param {string} browserId The selenium ID of the browser.
+   * @param {string} browserVersion The version of the browser.
+   * @param {Object} options The options for the browser.
+   * @return {Object} The capabilities for the browser.
+   */
+  getCapabilities(browserId, browserVersion, options) {
+    return {};
+  }
+
+  /**
+   * Capabilities added when a session is started, i.e. credentials or the
+   * identifier of a tunnel.
+   * @param {Object} credentials The credentials for the session.
+   * @return {Object} The capabilities for the session.
+   */
+  getSessionCapabilities(credentials) {
+    return {};
+  }
+
+  /**
+   * Start a tunnel so hosted browsers can reach servers on this machine.
+   * @param {Object} [options] Options for the provider's tunnel.
+   * @return {Promise} Resolves once the tunnel is open.
+   */
+  startTunnel(options) {
+    return Promise.resolve();
+  }
+
+  /**
+   * @return {Promise} Resolves once the tunnel is closed.
+   */
+  stopTunnel() {
+    return Promise.resolve();
+  }
+
+  /**
+   * @return {Boolean} Whether a tunnel is open.
+   */
+  isTunnelEnabled() {
+    return false;
+  }
+
+  /**
+   * Report the result of a session back to the provider.
+   * @param {string} sessionId The WebDriver session ID.
+   * @param {Object} result The result of the test.
+   * @param {Object} credentials The credentials for the session.
+   * @return {Promise} Resolves once the result is reported.
+   */
+  reportResult(sessionId, result, credentials) {
+    return Promise.reject(new Error(`${this._prettyName} doesn't support ` +
+      `reporting results.`));
+  }
+}
+
+module.exports = Provider;
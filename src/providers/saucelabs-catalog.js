@@ -0,0 +1,363 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const request = require('request');
+
+const application = require('../application-state.js');
+
+const DEFAULT_REST_URL = 'https://saucelabs.com/rest/v1';
+const CACHE_FILE_NAME = 'saucelabs-platforms.json';
+const DEFAULT_EXPIRATION_IN_HOURS = 24;
+const REQUEST_TIMEOUT = 30 * 1000;
+const PREFERRED_PLATFORM = 'Windows 10';
+const LATEST_PATTERN = /^latest(?:-(\d+))?$/;
+const NUMERIC_VERSION_PATTERN = /^\d+(\.\d+)*$/;
+
+// Saucelabs lists some operating systems by their server names.
+const OS_PLATFORMS = {
+  'Windows 2003': 'Windows XP',
+  'Windows 2008': 'Windows 7',
+  'Windows 2012': 'Windows 8',
+  'Windows 2012 R2': 'Windows 8.1',
+};
+
+/**
+ * <p>The browsers and platforms Saucelabs supports, fetched from
+ * https://saucelabs.com/rest/v1/info/platforms/webdriver and cached in the
+ * install directory.</p>
+ *
+ * <p>The catalog resolves version aliases like 'latest-2' to the concrete
+ * version and platform a session will get.</p>
+ *
+ * @private
+ */
+class SaucelabsCatalog {
+  /**
+   * @return {String} The path of the cached platforms list.
+   */
+  getCachePath() {
+    return path.join(application.getInstallDirectory(), CACHE_FILE_NAME);
+  }
+
+  /**
+   * @param {Object} [options] Options for the catalog.
+   * @param {Number} [options.expirationInHours=24] How long the cached list
+   * is used before it's fetched again. A value of 0 will force a fetch.
+   * @param {String} [options.restUrl] The URL of the Saucelabs REST API.
+   * @return {Promise<Array<Object>>} Resolves to the supported browsers,
+   * each with a `browserId`, `version`, `platform`, `os` and `longVersion`.
+   * If the list can't be fetched, an expired cached list is used.
+   */
+  getPlatforms(options) {
+    options = options || {};
+
+    const expirationInHours = typeof options.expirationInHours === 'number' ?
+      options.expirationInHours : DEFAULT_EXPIRATION_IN_HOURS;
+    const cache = this._readCache();
+    if (cache && Date.now() - cache.fetchedAt <
+      expirationInHours * 60 * 60 * 1000) {
+      return Promise.resolve(cache.platforms);
+    }
+
+    return this._fetchPlatforms(options.restUrl || DEFAULT_REST_URL)
+    .then((rawPlatforms) => {
+      const platforms = this._parsePlatforms(rawPlatforms);
+      try {
+        this._writeCache({
+          fetchedAt: Date.now(),
+          platforms: platforms,
+        });
+      } catch (err) {
+        // NOOP - The list is fetched again next time.
+      }
+      return platforms;
+    })
+    .catch((err) => {
+      if (cache) {
+        return cache.platforms;
+      }
+      throw err;
+    });
+  }
+
+  /**
+   * Resolve a browser request to a concrete version and platform.
+   * @param {Array<Object>} platforms The list from {@link getPlatforms}.
+   * @param {String} browserId The selenium browser ID.
+   * @param {String} browserVersion A version, 'latest' or 'latest-N'.
+   * @param {String} [platform] The platform, or the start of one like
+   * 'Windows'. Windows 10 is picked when there's a choice.
+   * @return {Object} The `browserId`, `version` and `platform`. This throws
+   * if Saucelabs doesn't have the browser.
+   */
+  resolve(platforms, browserId, browserVersion, platform) {
+    const entries = this._getEntries(platforms, browserId, platform);
+
+    let version = String(browserVersion);
+    const latestMatch = LATEST_PATTERN.exec(version);
+    if (latestMatch) {
+      const versions = this._getNumericVersions(entries);
+      const index = versions.length - 1 - parseInt(latestMatch[1] || 0, 10);
+      version = index >= 0 ? versions[index] : null;
+    }
+
+    // '52' and '52.0' are the same version.
+    const versionEntries = entries.filter((entry) => {
+      return version !== null && (entry.version === version ||
+        (NUMERIC_VERSION_PATTERN.test(entry.version) &&
+        NUMERIC_VERSION_PATTERN.test(version) &&
+        this._compareVersions(entry.version, version) === 0));
+    });
+    if (versionEntries.length === 0) {
+      throw new Error(`Saucelabs doesn't have ${browserId} ` +
+        `'${browserVersion}'${this._describePlatform(platform)}.`);
+    }
+
+    return {
+      browserId: browserId,
+      version: versionEntries[0].version,
+      platform: this._pickPlatform(versionEntries),
+    };
+  }
+
+  /**
+   * Find every version of a browser in a range.
+   * @param {Array<Object>} platforms The list from {@link getPlatforms}.
+   * @param {String} browserId The selenium browser ID.
+   * @param {Object} [options] The range to find.
+   * @param {String} [options.from] The oldest version, i.e. 'latest-3'.
+   * Defaults to the `to` version.
+   * @param {String} [options.to='latest'] The newest version.
+   * @param {String} [options.platform] The platform, or the start of one
+   * like 'Windows'.
+   * @return {Array<Object>} The `browserId`, `version` and `platform` of
+   * each version, oldest first.
+   */
+  findVersions(platforms, browserId, options) {
+    options = options || {};
+
+    const to = this.resolve(platforms, browserId, options.to || 'latest',
+      options.platform).version;
+    const from = this.resolve(platforms, browserId, options.from || to,
+      options.platform).version;
+    if (!NUMERIC_VERSION_PATTERN.test(from) ||
+      !NUMERIC_VERSION_PATTERN.test(to)) {
+      throw new Error('Only numbered versions can be used as a range.');
+    }
+
+    const entries = this._getEntries(platforms, browserId, options.platform);
+    return this._getNumericVersions(entries)
+    .filter((version) => {
+      return this._compareVersions(version, from) >= 0 &&
+        this._compareVersions(version, to) <= 0;
+    })
+    .map((version) => {
+      return this.resolve(platforms, browserId, version, options.platform);
+    });
+  }
+
+  /**
+   * @param {Array<Object>} platforms The supported browsers.
+   * @param {String} browserId The selenium browser ID.
+   * @param {String} [platform] The platform, or the start of one.
+   * @return {Array<Object>} The entries for the browser on the platform.
+   */
+  _getEntries(platforms, browserId, platform) {
+    const entries = platforms.filter((entry) => {
+      return entry.browserId === browserId &&
+        (!platform || entry.platform === platform ||
+        entry.platform.indexOf(platform + ' ') === 0);
+    });
+    if (entries.length === 0) {
+      throw new Error(`Saucelabs doesn't have any ${browserId} browsers` +
+        `${this._describePlatform(platform)}.`);
+    }
+    return entries;
+  }
+
+  /**
+   * @param {String} [platform] The requested platform.
+   * @return {String} The platform for error messages.
+   */
+  _describePlatform(platform) {
+    return platform ? ` on '${platform}'` : '';
+  }
+
+  /**
+   * @param {Array<Object>} entries Entries for a browser.
+   * @return {Array<String>} The distinct numbered versions, oldest first.
+   */
+  _getNumericVersions(entries) {
+    const versions = [];
+    entries.forEach((entry) => {
+      if (NUMERIC_VERSION_PATTERN.test(entry.version) &&
+        versions.indexOf(entry.version) === -1) {
+        versions.push(entry.version);
+      }
+    });
+    return versions.sort((a, b) => this._compareVersions(a, b));
+  }
+
+  /**
+   * @param {String} a A numbered version.
+   * @param {String} b A numbered version.
+   * @return {Number} Negative if a is older than b, positive if it's newer
+   * and 0 if they're the same.
+   */
+  _compareVersions(a, b) {
+    const aParts = a.split('.').map((part) => parseInt(part, 10));
+    const bParts = b.split('.').map((part) => parseInt(part, 10));
+    for (let i = 0; i < Math.max(aParts.length, bParts.length); i++) {
+      const difference = (aParts[i] || 0) - (bParts[i] || 0);
+      if (difference !== 0) {
+        return difference;
+      }
+    }
+    return 0;
+  }
+
+  /**
+   * @param {Array<Object>} entries Entries for a single browser version.
+   * @return {String} Windows 10 if it's one of the platforms, otherwise the
+   * platform with the highest version number, i.e. 'macOS 10.12' rather than
+   * 'OS X 10.11' or 'Windows 8.1' rather than 'Windows 7'.
+   */
+  _pickPlatform(entries) {
+    const isPreferred = entries.some((entry) => {
+      return entry.platform === PREFERRED_PLATFORM;
+    });
+    if (isPreferred) {
+      return PREFERRED_PLATFORM;
+    }
+
+    // Platforms without a version number, i.e. 'Linux', come last.
+    const getPlatformVersion = (entry) => {
+      const versionMatch = /(\d+(?:\.\d+)*)$/.exec(entry.platform);
+      return versionMatch ? versionMatch[1] : '0';
+    };
+    const platformEntries = entries.slice().sort((a, b) => {
+      return this._compareVersions(getPlatformVersion(b),
+        getPlatformVersion(a));
+    });
+    return platformEntries[0].platform;
+  }
+
+  /**
+   * @param {Array<Object>} rawPlatforms The response from Saucelabs.
+   * @return {Array<Object>} The browsers selenium-assistant can use.
+   */
+  _parsePlatforms(rawPlatforms) {
+    if (!Array.isArray(rawPlatforms)) {
+      throw new Error('Unexpected list of Saucelabs platforms.');
+    }
+
+    return rawPlatforms.filter((rawPlatform) => {
+      return rawPlatform.api_name && rawPlatform.short_version &&
+        rawPlatform.os;
+    })
+    .map((rawPlatform) => {
+      return {
+        browserId: rawPlatform.api_name.toLowerCase(),
+        version: rawPlatform.short_version,
+        platform: this._getPlatformName(rawPlatform.os),
+        os: rawPlatform.os,
+        longVersion: rawPlatform.long_version || null,
+      };
+    });
+  }
+
+  /**
+   * @param {String} os The operating system listed by Saucelabs.
+   * @return {String} The platform name to request, i.e. 'Windows 7'.
+   */
+  _getPlatformName(os) {
+    if (OS_PLATFORMS[os]) {
+      return OS_PLATFORMS[os];
+    }
+
+    const macMatch = /^Mac (10\.(\d+))$/.exec(os);
+    if (macMatch) {
+      return parseInt(macMatch[2], 10) >= 12 ?
+        `macOS ${macMatch[1]}` : `OS X ${macMatch[1]}`;
+    }
+
+    return os;
+  }
+
+  /**
+   * @param {String} restUrl The URL of the Saucelabs REST API.
+   * @return {Promise<Array<Object>>} Resolves to the platforms response.
+   */
+  _fetchPlatforms(restUrl) {
+    const platformsUrl = `${restUrl}/info/platforms/webdriver`;
+    return new Promise((resolve, reject) => {
+      request({
+        url: platformsUrl,
+        json: true,
+        timeout: REQUEST_TIMEOUT,
+      }, (err, response, body) => {
+        if (err) {
+          return reject(err);
+        }
+
+        if (response.statusCode !== 200) {
+          const statusError = new Error(`Unexpected status code ` +
+            `'${response.statusCode}' when fetching '${platformsUrl}'`);
+          statusError.statusCode = response.statusCode;
+          return reject(statusError);
+        }
+
+        resolve(body);
+      });
+    });
+  }
+
+  /**
+   * @return {Object|null} The cached platforms or null if there isn't a
+   * readable cache.
+   */
+  _readCache() {
+    try {
+      const cache = JSON.parse(fs.readFileSync(this.getCachePath())
+        .toString());
+      if (typeof cache.fetchedAt === 'number' &&
+        Array.isArray(cache.platforms)) {
+        return cache;
+      }
+    } catch (err) {
+      // NOOP
+    }
+    return null;
+  }
+
+  /**
+   * @param {Object} cache The platforms and when they were fetched.
+   */
+  _writeCache(cache) {
+    const cachePath = this.getCachePath();
+    const tempPath = `${cachePath}.${process.pid}.tmp`;
+    mkdirp.sync(path.dirname(cachePath));
+    fs.writeFileSync(tempPath, JSON.stringify(cache, null, 2));
+    fs.renameSync(tempPath, cachePath);
+  }
+}
+
+module.exports = new SaucelabsCatalog();
@@ -0,0 +1,482 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const url = require('url');
+const request = require('request');
+const sauceConnectLauncher = require('sauce-connect-launcher');
+
+const Provider = require('./provider.js');
+
+// To find out the configuration you can use see:
+// https://wiki.saucelabs.com/display/DOCS/Platform+Configurator#/
+
+const DEFAULT_SERVER_URL = 'https://ondemand.saucelabs.com:443/wd/hub';
+const DEFAULT_REST_URL = 'https://saucelabs.com/rest/v1';
+const REQUEST_TIMEOUT = 30 * 1000;
+const DEFAULT_TUNNEL_READY_TIMEOUT = 2 * 60 * 1000;
+// The exit code for a process ended by Ctrl+C.
+const SIGINT_EXIT_CODE = 130;
+
+/**
+ * Browsers hosted on Saucelabs, with Sauce Connect as the tunnel.
+ *
+ * @private
+ */
+class SaucelabsProvider extends Provider {
+  /**
+   * Create the Saucelabs provider.
+   */
+  constructor() {
+    super('saucelabs', 'Saucelabs');
+
+    this._tunnel = null;
+    this._exitHandlers = null;
+  }
+
+  /**
+   * @return {Object} The environment variables with the account details.
+   */
+  getEnvironmentVariables() {
+    return {
+      username: 'SAUCE_USERNAME',
+      accessKey: 'SAUCE_ACCESS_KEY',
+    };
+  }
+
+  /**
+   * @param {Object} credentials The `username` and `accessKey` of the
+   * account and, optionally, the `serverUrl` of the data center.
+   * @return {string} The hub URL with the account details in it.
+   */
+  getHubUrl(credentials) {
+    const serverUrl = url.parse(credentials.serverUrl || DEFAULT_SERVER_URL);
+    serverUrl.auth = credentials.username + ':' + credentials.accessKey;
+    return url.format(serverUrl);
+  }
+
+  /**
+   * @param {string} browserId The selenium ID of the browser.
+   * @param {string} browserVersion The Saucelabs version, i.e. 'latest'.
+   * @param {Object} options The `platform`, `name`, `build` and `tags` for
+   * the test.
+   * @return {Object} The capabilities for the browser.
+   */
+  getCapabilities(browserId, browserVersion, options) {
+    const capabilities = {};
+
+    if (options.platform) {
+      capabilities.platform = options.platform;
+    } else if (browserId === 'microsoftedge') {
+      // Set default platform to windows 10 otherwise it will fail.
+      capabilities.platform = 'Windows 10';
+    }
+
+    // These are shown on saucelabs.
+    if (options.name) {
+      capabilities.name = options.name;
+    }
+
+    if (options.build) {
+      capabilities.build = options.build;
+    }
+
+    if (options.tags) {
+      capabilities.tags = Array.isArray(options.tags) ?
+        options.tags : [options.tags];
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * @param {Object} credentials The credentials for the session.
+   * @return {Object} The account details as capabilities and, if Sauce
+   * Connect is running, the `tunnelIdentifier` of the tunnel.
+   */
+  getSessionCapabilities(credentials) {
+    const capabilities = {
+      username: credentials.username,
+      accessKey: credentials.accessKey,
+    };
+
+    if (this.isTunnelEnabled()) {
+      capabilities.tunnelIdentifier = this._tunnel.tunnelIdentifier;
+    }
+
+    return capabilities;
+  }
+
+  /**
+   * <p>Start Sauce Connect. Every Saucelabs browser started while the
+   * tunnel is open uses it through the `tunnelIdentifier` capability.</p>
+   *
+   * <p>The tunnel is closed when the process exits or is interrupted.</p>
+   *
+   * @param {Object} [options] Options for the tunnel.
+   * @param {string} [options.tunnelIdentifier] The name of the tunnel.
+   * Defaults to a unique name for this process.
+   * @param {Number} [options.readyTimeout=120000] How long, in
+   * milliseconds, to wait for the tunnel to be ready.
+   * @param {Boolean} [options.useExistingTunnel=false] Use a tunnel that's
+   * already running on the account, i.e. one started by the CI server,
+   * instead of starting one.
+   * @return {Promise} Resolves once the tunnel is ready.
+   */
+  startTunnel(options) {
+    options = options || {};
+
+    if (this._tunnel && (this._tunnel.state === 'starting' ||
+      this._tunnel.state === 'running')) {
+      if (options.tunnelIdentifier &&
+        options.tunnelIdentifier !== this._tunnel.tunnelIdentifier) {
+        return Promise.reject(new Error(`Sauce Connect is already running ` +
+          `with the tunnel identifier '${this._tunnel.tunnelIdentifier}'.`));
+      }
+      return this._tunnel.ready;
+    }
+
+    if (options.useExistingTunnel && !options.tunnelIdentifier) {
+      return Promise.reject(new Error('A tunnelIdentifier is required to use ' +
+        'an existing tunnel.'));
+    }
+
+    const credentials = this.getCredentials();
+    const tunnel = {
+      tunnelIdentifier: options.tunnelIdentifier ||
+        this._createTunnelIdentifier(),
+      state: 'starting',
+      isExisting: !!options.useExistingTunnel,
+      startedAt: null,
+      error: null,
+      process: null,
+    };
+
+    const openTunnel = tunnel.isExisting ?
+      this._findRunningTunnel(tunnel.tunnelIdentifier, credentials) :
+      this._launchTunnel(tunnel, credentials, options.readyTimeout);
+    tunnel.ready = openTunnel
+    .then(() => {
+      tunnel.state = 'running';
+      tunnel.startedAt = Date.now();
+      if (!tunnel.isExisting) {
+        this._addExitHandlers();
+      }
+    }, (err) => {
+      tunnel.state = 'failed';
+      tunnel.error = err;
+      throw err;
+    });
+
+    this._tunnel = tunnel;
+    return tunnel.ready;
+  }
+
+  /**
+   * Close Sauce Connect. A tunnel used with `useExistingTunnel` is left
+   * running.
+   * @return {Promise} A promise that resolves once the connection is closed.
+   */
+  stopTunnel() {
+    const tunnel = this._tunnel;
+    if (!tunnel) {
+      return Promise.resolve();
+    }
+
+    return tunnel.ready
+    .catch(() => {
+      // NOOP - A tunnel that failed to start has nothing to close.
+    })
+    .then(() => {
+      this._removeExitHandlers();
+      if (!tunnel.process || tunnel.state !== 'running') {
+        return;
+      }
+
+      tunnel.state = 'stopping';
+      return new Promise((resolve) => {
+        tunnel.process.close(resolve);
+      });
+    })
+    .then(() => {
+      if (this._tunnel === tunnel) {
+        this._tunnel = null;
+      }
+    });
+  }
+
+  /**
+   * @return {Boolean} Whether Sauce Connect is running.
+   */
+  isTunnelEnabled() {
+    return !!this._tunnel && this._tunnel.state === 'running';
+  }
+
+  /**
+   * @return {Object} The `state` of the tunnel ('stopped', 'starting',
+   * 'running', 'stopping' or 'failed'), its `tunnelIdentifier`, whether it
+   * `isExisting`, when it was `startedAt` and the `error` if it failed.
+   */
+  getTunnelStatus() {
+    if (!this._tunnel) {
+      return {
+        state: 'stopped',
+        tunnelIdentifier: null,
+        isExisting: false,
+        startedAt: null,
+        error: null,
+      };
+    }
+
+    return {
+      state: this._tunnel.state,
+      tunnelIdentifier: this._tunnel.tunnelIdentifier,
+      isExisting: this._tunnel.isExisting,
+      startedAt: this._tunnel.startedAt,
+      error: this._tunnel.error,
+    };
+  }
+
+  /**
+   * @return {string} A tunnel identifier no other process will use.
+   */
+  _createTunnelIdentifier() {
+    // Slashes in the identifier break Sauce Connect's pidfile.
+    return `selenium-assistant_${process.pid}_${Date.now()}`;
+  }
+
+  /**
+   * @param {Object} tunnel The tunnel to start.
+   * @param {Object} credentials The account to start the tunnel with.
+   * @param {Number} [readyTimeout] How long to wait for the tunnel.
+   * @return {Promise} Resolves once Sauce Connect is ready.
+   */
+  _launchTunnel(tunnel, credentials, readyTimeout) {
+    readyTimeout = typeof readyTimeout === 'number' ?
+      readyTimeout : DEFAULT_TUNNEL_READY_TIMEOUT;
+
+    return new Promise((resolve, reject) => {
+      let hasTimedOut = false;
+      const timeoutId = setTimeout(() => {
+        hasTimedOut = true;
+        reject(new Error(`Sauce Connect wasn't ready after ` +
+          `${readyTimeout}ms.`));
+      }, readyTimeout);
+
+      this._launchSauceConnect({
+        username: credentials.username,
+        accessKey: credentials.accessKey,
+        tunnelIdentifier: tunnel.tunnelIdentifier,
+        // Lets tunnels in other processes start at the same time.
+        readyFileId: tunnel.tunnelIdentifier,
+        connectRetries: 3,
+      }, (err, sauceConnectProcess) => {
+        clearTimeout(timeoutId);
+        if (hasTimedOut) {
+          if (sauceConnectProcess) {
+            sauceConnectProcess.close();
+          }
+          return;
+        }
+
+        if (err) {
+          return reject(err);
+        }
+
+        tunnel.process = sauceConnectProcess;
+        sauceConnectProcess.on('exit', (code) => {
+          if (tunnel.state === 'running') {
+            tunnel.state = 'failed';
+            tunnel.error = new Error(`Sauce Connect exited unexpectedly ` +
+              `with code '${code}'.`);
+            this._removeExitHandlers();
+          }
+        });
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * @param {Object} options The options for sauce-connect-launcher.
+   * @param {Function} callback Called with an error or the Sauce Connect
+   * process once it's ready.
+   */
+  _launchSauceConnect(options, callback) {
+    sauceConnectLauncher(options, callback);
+  }
+
+  /**
+   * @param {string} tunnelIdentifier The name of the tunnel.
+   * @param {Object} credentials The `username`, `accessKey` and, optionally,
+   * the `restUrl` of the account.
+   * @return {Promise} Resolves if the account has a running tunnel with the
+   * identifier.
+   */
+  _findRunningTunnel(tunnelIdentifier, credentials) {
+    const restUrl = credentials.restUrl || DEFAULT_REST_URL;
+    const tunnelsUrl = `${restUrl}/` +
+      `${encodeURIComponent(credentials.username)}/tunnels`;
+    return new Promise((resolve, reject) => {
+      request({
+        url: tunnelsUrl,
+        qs: {full: true},
+        auth: {
+          user: credentials.username,
+          pass: credentials.accessKey,
+        },
+        json: true,
+        timeout: REQUEST_TIMEOUT,
+      }, (err, response, body) => {
+        if (err) {
+          return reject(err);
+        }
+
+        if (response.statusCode !== 200) {
+          const statusError = new Error(`Unexpected status code ` +
+            `'${response.statusCode}' when listing the Saucelabs tunnels`);
+          statusError.statusCode = response.statusCode;
+          return reject(statusError);
+        }
+
+        const tunnels = Array.isArray(body) ? body : [];
+        const isRunning = tunnels.some((tunnel) => {
+          return tunnel.tunnel_identifier === tunnelIdentifier &&
+            tunnel.status === 'running';
+        });
+        if (!isRunning) {
+          return reject(new Error(`There isn't a running Sauce Connect ` +
+            `tunnel with the identifier '${tunnelIdentifier}'.`));
+        }
+
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Close the tunnel if the process exits or is interrupted.
+   */
+  _addExitHandlers() {
+    if (this._exitHandlers) {
+      return;
+    }
+
+    this._exitHandlers = {
+      exit: () => {
+        // Only synchronous work can happen on exit.
+        if (this._tunnel && this._tunnel.process) {
+          this._tunnel.process.kill('SIGTERM');
+        }
+      },
+      SIGINT: () => {
+        this.stopTunnel()
+        .then(() => process.exit(SIGINT_EXIT_CODE),
+          () => process.exit(SIGINT_EXIT_CODE));
+      },
+    };
+    process.on('exit', this._exitHandlers.exit);
+    process.on('SIGINT', this._exitHandlers.SIGINT);
+  }
+
+  /**
+   * Remove the handlers added by {@link _addExitHandlers}.
+   */
+  _removeExitHandlers() {
+    if (!this._exitHandlers) {
+      return;
+    }
+
+    process.removeListener('exit', this._exitHandlers.exit);
+    process.removeListener('SIGINT', this._exitHandlers.SIGINT);
+    this._exitHandlers = null;
+  }
+
+  /**
+   * Update the Saucelabs job for a session with the result of the test.
+   * See: https://wiki.saucelabs.com/display/DOCS/Job+Methods
+   * @param {string} sessionId The WebDriver session ID, which is also the
+   * Saucelabs job ID.
+   * @param {Object} result The `passed`, `name`, `build`, `tags` and
+   * `customData` for the job.
+   * @param {Object} credentials The `username` and `accessKey` of the
+   * account and, optionally, the `restUrl` of the Saucelabs REST API.
+   * @return {Promise} Resolves once the job is updated.
+   */
+  reportResult(sessionId, result, credentials) {
+    if (!result || typeof result !== 'object') {
+      return Promise.reject(new Error('A result object is required, i.e. ' +
+        '{passed: true}.'));
+    }
+
+    if (typeof result.passed !== 'undefined' &&
+      typeof result.passed !== 'boolean') {
+      return Promise.reject(new Error('The passed value of a result must ' +
+        'be a boolean.'));
+    }
+
+    const jobUpdate = {};
+    if (typeof result.passed !== 'undefined') {
+      jobUpdate.passed = result.passed;
+    }
+    if (result.name) {
+      jobUpdate.name = result.name;
+    }
+    if (result.build) {
+      jobUpdate.build = result.build;
+    }
+    if (result.tags) {
+      jobUpdate.tags = Array.isArray(result.tags) ?
+        result.tags : [result.tags];
+    }
+    if (result.customData) {
+      jobUpdate['custom-data'] = result.customData;
+    }
+
+    const restUrl = credentials.restUrl || DEFAULT_REST_URL;
+    const jobUrl = `${restUrl}/${encodeURIComponent(credentials.username)}` +
+      `/jobs/${encodeURIComponent(sessionId)}`;
+    return new Promise((resolve, reject) => {
+      request({
+        method: 'PUT',
+        url: jobUrl,
+        auth: {
+          user: credentials.username,
+          pass: credentials.accessKey,
+        },
+        json: jobUpdate,
+        timeout: REQUEST_TIMEOUT,
+      }, (err, response) => {
+        if (err) {
+          return reject(err);
+        }
+
+        if (response.statusCode !== 200) {
+          const statusError = new Error(`Unexpected status code ` +
+            `'${response.statusCode}' when updating the Saucelabs job ` +
+            `'${sessionId}'`);
+          statusError.statusCode = response.statusCode;
+          return reject(statusError);
+        }
+
+        resolve();
+      });
+    });
+  }
+}
+
+module.exports = SaucelabsProvider;
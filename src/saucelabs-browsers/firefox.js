@@ -20,43 +20,19 @@ const SaucelabsBrowser = require('../browser-models/saucelabs-browser');
 const FirefoxConfig = require('../webdriver-config/firefox');
 
 /**
- * <p>Handles the prettyName and executable path for Chrome browser.</p>
+ * <p>Kept so code that requires this module directly keeps working.</p>
  *
+ * @deprecated Use `seleniumAssistant.getSaucelabsBrowser('firefox',
+ * version)` instead.
  * @private
- * @extends WebDriverBrowser
  */
 class FirefoxWebDriverBrowser extends SaucelabsBrowser {
   /**
-   * Create a Chrome representation of a {@link WebDriverBrowser}
-   * instance on a specific channel.
-   * @param {string} version The release name for this browser instance.
+   * @param {string} version The Saucelabs version for this browser instance.
    */
   constructor(version) {
     super(new FirefoxConfig(), version);
   }
-
-  /**
-   * <p>This method returns the preconfigured builder used by
-   * getSeleniumDriver().</p>
-   *
-   * <p>This is useful if you wish to customise the builder with additional
-   * options (i.e. customise the proxy of the driver.)</p>
-   *
-   * <p>For more info, see:
-   * {@link https://seleniumhq.github.io/selenium/docs/api/javascript/module/selenium-webdriver/index_exports_Builder.html | WebDriverBuilder Docs}</p>
-   *
-   * @return {WebDriverBuilder} Builder that resolves to a webdriver instance.
-   */
-  getSeleniumDriverBuilder() {
-    let builder = super.getSeleniumDriverBuilder();
-    builder = builder
-      // Saucelabs + Firefox is simple broken if I pass in the options
-      // .setFirefoxOptions(this.getSeleniumOptions())
-      .withCapabilities(this._capabilities)
-      .forBrowser(this.getId());
-
-    return builder;
-  }
 }
 
 module.exports = FirefoxWebDriverBrowser;
@@ -16,7 +16,9 @@
 
 'use strict';
 
+const fs = require('fs');
 const path = require('path');
+const mkdirp = require('mkdirp');
 
 require('chai').should();
 
@@ -72,4 +74,89 @@ describe('Application State', function() {
       applicationState.getDefaultInstallLocation()
     );
   });
+
+  describe('Download Mirrors and Artifact Cache', function() {
+    const envNames = [
+      'SELENIUM_ASSISTANT_MIRRORS',
+      'SELENIUM_ASSISTANT_CHROME_MIRROR',
+      'SELENIUM_ASSISTANT_CACHE_DIR',
+    ];
+    const originalEnv = {};
+
+    beforeEach(function() {
+      envNames.forEach((envName) => {
+        originalEnv[envName] = process.env[envName];
+        delete process.env[envName];
+      });
+    });
+
+    afterEach(function() {
+      const applicationState = require('../src/application-state.js');
+      applicationState.setDownloadMirrors(null);
+      applicationState.setArtifactCacheDirectory(null);
+
+      envNames.forEach((envName) => {
+        if (typeof originalEnv[envName] === 'undefined') {
+          delete process.env[envName];
+        } else {
+          process.env[envName] = originalEnv[envName];
+        }
+      });
+    });
+
+    it('should have no mirrors or cache by default', function() {
+      const applicationState = require('../src/application-state.js');
+      applicationState.getDownloadMirrors().should.deep.equal({});
+      (applicationState.getArtifactCacheDirectory() === null)
+        .should.equal(true);
+    });
+
+    it('should read mirrors from environment variables', function() {
+      const applicationState = require('../src/application-state.js');
+      process.env.SELENIUM_ASSISTANT_MIRRORS = JSON.stringify({
+        chrome: 'https://json.example.com/{filename}',
+        firefox: 'https://json.example.com/{filename}',
+      });
+      process.env.SELENIUM_ASSISTANT_CHROME_MIRROR =
+        'https://env.example.com/{filename}';
+
+      applicationState.getDownloadMirrors().should.deep.equal({
+        chrome: 'https://env.example.com/{filename}',
+        firefox: 'https://json.example.com/{filename}',
+      });
+    });
+
+    it('should read mirrors from a JSON file', function() {
+      const applicationState = require('../src/application-state.js');
+      const mirrorsPath = path.join('./test/test-output', 'mirrors.json');
+      mkdirp.sync(path.dirname(mirrorsPath));
+      fs.writeFileSync(mirrorsPath, JSON.stringify({
+        opera: 'https://file.example.com/{filename}',
+      }));
+      process.env.SELENIUM_ASSISTANT_MIRRORS = mirrorsPath;
+
+      applicationState.getDownloadMirrors().should.deep.equal({
+        opera: 'https://file.example.com/{filename}',
+      });
+      fs.unlinkSync(mirrorsPath);
+    });
+
+    it('should prefer mirrors and cache directory set directly', function() {
+      const applicationState = require('../src/application-state.js');
+      const mirrors = {chrome: 'https://set.example.com/{filename}'};
+      process.env.SELENIUM_ASSISTANT_CHROME_MIRROR =
+        'https://env.example.com/{filename}';
+      process.env.SELENIUM_ASSISTANT_CACHE_DIR = './env-cache';
+
+      applicationState.getArtifactCacheDirectory().should.equal(
+        path.resolve('./env-cache'));
+
+      applicationState.setDownloadMirrors(mirrors);
+      applicationState.setArtifactCacheDirectory('./set-cache');
+
+      applicationState.getDownloadMirrors().should.equal(mirrors);
+      applicationState.getArtifactCacheDirectory().should.equal(
+        path.resolve('./set-cache'));
+    });
+  });
 });
@@ -0,0 +1,233 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const sinon = require('sinon');
+
+const seleniumAssistant = require('../src/index.js');
+
+require('chai').should();
+
+describe('Bisect', function() {
+  const sinonStubs = [];
+  let downloadedReleases;
+  let killedDrivers;
+  let missingVersions;
+  let downloadError;
+
+  beforeEach(function() {
+    downloadedReleases = [];
+    killedDrivers = [];
+    missingVersions = [];
+    downloadError = null;
+
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'downloadLocalBrowser',
+      (browserId, release) => {
+        downloadedReleases.push(release);
+        if (downloadError) {
+          return Promise.reject(downloadError);
+        }
+
+        const version = release.revision || release.version;
+        if (missingVersions.indexOf(version) !== -1) {
+          const notFoundError = new Error('Not Found');
+          notFoundError.statusCode = 404;
+          return Promise.reject(notFoundError);
+        }
+        return Promise.resolve();
+      }));
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'getLocalBrowser',
+      (browserId, release) => {
+        return {
+          getSeleniumDriver: () => {
+            return Promise.resolve({
+              version: release.revision || release.version,
+            });
+          },
+        };
+      }));
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'killWebDriver',
+      (driver) => {
+        killedDrivers.push(driver);
+        return Promise.resolve();
+      }));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  it('should find the first bad Chromium revision', function() {
+    const testedRevisions = [];
+    return seleniumAssistant.bisect({
+      browserId: 'chromium',
+      goodVersion: 450000,
+      badVersion: 450100,
+      testFn: (driver) => {
+        testedRevisions.push(driver.version);
+        return Promise.resolve(driver.version < 450042);
+      },
+    })
+    .then((result) => {
+      result.lastGoodVersion.should.equal(450041);
+      result.firstBadVersion.should.equal(450042);
+      result.steps.length.should.equal(7);
+      result.steps[0].should.deep.equal({version: 450050, result: 'bad'});
+      testedRevisions.length.should.equal(7);
+      downloadedReleases[0].should.deep.equal({revision: 450050});
+
+      // Every driver should have been killed.
+      killedDrivers.length.should.equal(7);
+    });
+  });
+
+  it('should skip revisions without a snapshot', function() {
+    missingVersions = [450002, 450001];
+    const steps = [];
+    return seleniumAssistant.bisect({
+      browserId: 'chromium',
+      goodVersion: 450000,
+      badVersion: 450004,
+      testFn: (driver) => driver.version < 450003,
+      onStep: (step) => steps.push(step),
+    })
+    .then((result) => {
+      steps.should.deep.equal([
+        {version: 450002, result: 'unavailable'},
+        {version: 450003, result: 'bad'},
+        {version: 450001, result: 'unavailable'},
+      ]);
+      result.steps.should.deep.equal(steps);
+      result.lastGoodVersion.should.equal(450000);
+      result.firstBadVersion.should.equal(450003);
+    });
+  });
+
+  it('should bisect a list of versions', function() {
+    const versions = ['50.0', '51.0', '52.0', '52.0.1', '52.0.2', '53.0'];
+    return seleniumAssistant.bisect({
+      browserId: 'firefox',
+      goodVersion: '51.0',
+      badVersion: '53.0',
+      versions: versions,
+      testFn: (driver) => versions.indexOf(driver.version) < 3,
+    })
+    .then((result) => {
+      result.lastGoodVersion.should.equal('52.0');
+      result.firstBadVersion.should.equal('52.0.1');
+      downloadedReleases.forEach((release) => {
+        versions.indexOf(release.version).should.be.within(2, 4);
+      });
+    });
+  });
+
+  it('should stop after too many builds in a row are missing', function() {
+    for (let revision = 450001; revision < 450100; revision++) {
+      missingVersions.push(revision);
+    }
+
+    return seleniumAssistant.bisect({
+      browserId: 'chromium',
+      goodVersion: 450000,
+      badVersion: 450100,
+      maxUnavailable: 3,
+      testFn: () => true,
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Stopped the bisect after 4 builds in a row ' +
+        'couldn\'t be found between 450000 and 450100. Use the ' +
+        'maxUnavailable option to look for more.');
+      downloadedReleases.length.should.equal(4);
+    });
+  });
+
+  it('should kill the driver and reject if the test throws', function() {
+    return seleniumAssistant.bisect({
+      browserId: 'chromium',
+      goodVersion: 1,
+      badVersion: 3,
+      testFn: () => {
+        throw new Error('Injected Error');
+      },
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Injected Error');
+      killedDrivers.should.deep.equal([{version: 2}]);
+    });
+  });
+
+  it('should reject download errors other than missing builds', function() {
+    downloadError = new Error('Injected Error');
+
+    return seleniumAssistant.bisect({
+      browserId: 'chromium',
+      goodVersion: 1,
+      badVersion: 3,
+      testFn: () => true,
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Injected Error');
+      killedDrivers.length.should.equal(0);
+    });
+  });
+
+  it('should reject invalid options', function() {
+    const testFn = () => true;
+    const invalidOptions = [
+      [{browserId: 'chromium', goodVersion: 1, badVersion: 3},
+        'A testFn is required to bisect.'],
+      [{browserId: 'firefox', goodVersion: '52.0', badVersion: '53.0',
+        testFn: testFn},
+        'A list of versions is required to bisect \'firefox\'.'],
+      [{browserId: 'chromium', goodVersion: 'stable', badVersion: 3,
+        testFn: testFn},
+        'The goodVersion and badVersion must be Chromium revisions.'],
+      [{browserId: 'chromium', goodVersion: 3, badVersion: 1,
+        testFn: testFn},
+        'The goodVersion must be an earlier revision than the badVersion.'],
+      [{browserId: 'firefox', goodVersion: '53.0', badVersion: '52.0',
+        versions: ['52.0', '53.0'], testFn: testFn},
+        'The goodVersion must come before the badVersion in the list of ' +
+        'versions.'],
+      [{browserId: 'firefox', goodVersion: '51.0', badVersion: '53.0',
+        versions: ['52.0', '53.0'], testFn: testFn},
+        'The goodVersion and badVersion must be in the list of versions.'],
+    ];
+
+    return invalidOptions.reduce((promiseChain, invalidOption) => {
+      return promiseChain.then(() => {
+        return seleniumAssistant.bisect(invalidOption[0])
+        .then(() => {
+          throw new Error('Expected promise to reject.');
+        }, (err) => {
+          err.message.should.equal(invalidOption[1]);
+        });
+      });
+    }, Promise.resolve())
+    .then(() => {
+      downloadedReleases.length.should.equal(0);
+    });
+  });
+});
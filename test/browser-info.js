@@ -0,0 +1,172 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const path = require('path');
+const sinon = require('sinon');
+
+const seleniumAssistant = require('../src/index.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+
+describe('Browser Info', function() {
+  const sinonStubs = [];
+
+  beforeEach(function() {
+    seleniumAssistant.setBrowserInstallDir(testPath);
+
+    const chromePath = path.join(testPath, 'chrome', 'beta', 'opt', 'google',
+      'chrome-beta', 'google-chrome-beta');
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'getLocalBrowsers', () => {
+      return [
+        {
+          getId: () => 'chrome',
+          getReleaseName: () => 'beta',
+          getPrettyName: () => 'Google Chrome Beta',
+          getVersionNumber: () => 58,
+          getRawVersionString: () => 'Google Chrome 58.0.3029.41 beta',
+          getExecutablePath: () => chromePath,
+          getSource: () => 'install-dir',
+          isBlackListed: () => false,
+          getInstalledDriver: () => {
+            return {
+              module: 'chromedriver',
+              version: '2.29',
+              path: path.join(testPath, 'drivers', 'chromedriver'),
+            };
+          },
+          getDriverModule: () => 'chromedriver',
+          getDriverPath: () => null,
+        },
+        {
+          getId: () => 'firefox',
+          getReleaseName: () => 'stable',
+          getPrettyName: () => 'Firefox <Stable>',
+          getVersionNumber: () => 53,
+          getRawVersionString: () => null,
+          getExecutablePath: () => '/usr/bin/firefox',
+          getSource: () => 'system',
+          isBlackListed: () => true,
+          getInstalledDriver: () => null,
+          getDriverModule: () => 'example-missing-driver',
+          getDriverPath: () => null,
+        },
+        {
+          getId: () => 'safari',
+          getReleaseName: () => 'stable',
+          getPrettyName: () => 'Safari | Stable',
+          getVersionNumber: () => 10,
+          getRawVersionString: () => null,
+          getExecutablePath: () => '/Applications/Safari.app',
+          getSource: () => 'system',
+          isBlackListed: () => false,
+          getInstalledDriver: () => null,
+          getDriverModule: () => null,
+          getDriverPath: () => null,
+        },
+      ];
+    }));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+    seleniumAssistant.setBrowserInstallDir(null);
+  });
+
+  it('should describe the available browsers', function() {
+    const info = seleniumAssistant.getAvailableBrowserInfo();
+    info.length.should.equal(3);
+    info[0].should.deep.equal({
+      browserId: 'chrome',
+      release: 'beta',
+      prettyName: 'Google Chrome Beta',
+      majorVersion: 58,
+      rawVersion: 'Google Chrome 58.0.3029.41 beta',
+      executablePath: path.join(testPath, 'chrome', 'beta', 'opt', 'google',
+        'chrome-beta', 'google-chrome-beta'),
+      source: 'install-dir',
+      isBlacklisted: false,
+      driver: {
+        module: 'chromedriver',
+        version: '2.29',
+        path: path.join(testPath, 'drivers', 'chromedriver'),
+      },
+    });
+
+    info[1].source.should.equal('system');
+    info[1].isBlacklisted.should.equal(true);
+    (info[1].rawVersion === null).should.equal(true);
+    info[1].driver.should.deep.equal({
+      module: 'example-missing-driver',
+      version: null,
+      path: null,
+    });
+    (info[2].driver === null).should.equal(true);
+  });
+
+  it('should print the info as JSON', function() {
+    const output = seleniumAssistant.printAvailableBrowserInfo(false, 'json');
+    JSON.parse(output).should.deep.equal(
+      seleniumAssistant.getAvailableBrowserInfo());
+  });
+
+  it('should print the info as Markdown', function() {
+    const output = seleniumAssistant.printAvailableBrowserInfo(false,
+      'markdown');
+    const lines = output.split('\n');
+    lines[0].should.equal('| Browser | Release | Version | Raw Version | ' +
+      'Path | Source | Blacklisted | Driver |');
+    lines[1].should.equal('| --- | --- | --- | --- | --- | --- | --- | --- |');
+    lines[2].should.equal('| Google Chrome Beta | beta | 58 | ' +
+      'Google Chrome 58.0.3029.41 beta | `' + path.join(testPath, 'chrome',
+      'beta', 'opt', 'google', 'chrome-beta', 'google-chrome-beta') + '` | ' +
+      'install-dir | No | chromedriver 2.29 |');
+    lines[3].should.equal('| Firefox <Stable> | stable | 53 |  | ' +
+      '`/usr/bin/firefox` | system | Yes | example-missing-driver |');
+    lines[4].should.equal('| Safari \\| Stable | stable | 10 |  | ' +
+      '`/Applications/Safari.app` | system | No |  |');
+    lines.length.should.equal(6);
+  });
+
+  it('should print the info as JUnit properties', function() {
+    const output = seleniumAssistant.printAvailableBrowserInfo(false,
+      'junit-properties');
+    output.should.match(/^<properties>\n/);
+    output.should.match(/<\/properties>\n$/);
+    output.should.contain('  <property name="browser.chrome.beta.' +
+      'majorVersion" value="58"/>\n');
+    output.should.contain('  <property name="browser.chrome.beta.' +
+      'driver.version" value="2.29"/>\n');
+    output.should.contain('  <property name="browser.firefox.stable.' +
+      'prettyName" value="Firefox &lt;Stable&gt;"/>\n');
+    output.should.contain('  <property name="browser.firefox.stable.' +
+      'isBlacklisted" value="true"/>\n');
+    output.should.not.contain('browser.firefox.stable.rawVersion');
+    output.should.not.contain('browser.safari.stable.driver');
+  });
+
+  it('should throw for unknown formats', function() {
+    (() => {
+      seleniumAssistant.printAvailableBrowserInfo(false, 'csv');
+    }).should.throw('Unknown browser info format: \'csv\'. Expected one of ' +
+      'table, json, markdown, junit-properties.');
+  });
+});
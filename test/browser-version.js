@@ -0,0 +1,204 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const sinon = require('sinon');
+
+const seleniumAssistant = require('../src/index.js');
+const BrowserVersion = require('../src/browser-models/browser-version.js');
+const LocalBrowser = require('../src/browser-models/local-browser.js');
+
+require('chai').should();
+
+describe('Browser Version', function() {
+  const sinonStubs = [];
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  it('should parse version strings', function() {
+    const versionStrings = {
+      'Google Chrome 58.0.3029.41 beta\n': {
+        major: 58, minor: 0, build: 3029, patch: 41, channel: 'beta',
+        vendor: 'Google Chrome', version: '58.0.3029.41',
+        raw: 'Google Chrome 58.0.3029.41 beta',
+      },
+      'Google Chrome 59.0.3071.15 dev': {
+        major: 59, minor: 0, build: 3071, patch: 15, channel: 'dev',
+        vendor: 'Google Chrome', version: '59.0.3071.15',
+        raw: 'Google Chrome 59.0.3071.15 dev',
+      },
+      'Chromium 58.0.3029.0 Built on Ubuntu , running on Ubuntu 16.04': {
+        major: 58, minor: 0, build: 3029, patch: 0, channel: 'stable',
+        vendor: 'Chromium', version: '58.0.3029.0',
+        raw: 'Chromium 58.0.3029.0 Built on Ubuntu , running on Ubuntu 16.04',
+      },
+      'Mozilla Firefox 53.0.2': {
+        major: 53, minor: 0, build: 2, patch: 0, channel: 'stable',
+        vendor: 'Mozilla Firefox', version: '53.0.2',
+        raw: 'Mozilla Firefox 53.0.2',
+      },
+      'Mozilla Firefox 54.0b5': {
+        major: 54, minor: 0, build: 0, patch: 0, channel: 'beta',
+        vendor: 'Mozilla Firefox', version: '54.0b5',
+        raw: 'Mozilla Firefox 54.0b5',
+      },
+      'Mozilla Firefox 55.0a1': {
+        major: 55, minor: 0, build: 0, patch: 0, channel: 'alpha',
+        vendor: 'Mozilla Firefox', version: '55.0a1',
+        raw: 'Mozilla Firefox 55.0a1',
+      },
+      'Mozilla Firefox 52.1.0esr': {
+        major: 52, minor: 1, build: 0, patch: 0, channel: 'esr',
+        vendor: 'Mozilla Firefox', version: '52.1.0esr',
+        raw: 'Mozilla Firefox 52.1.0esr',
+      },
+      '46.0.2597.26': {
+        major: 46, minor: 0, build: 2597, patch: 26, channel: 'stable',
+        vendor: null, version: '46.0.2597.26', raw: '46.0.2597.26',
+      },
+      '10.1': {
+        major: 10, minor: 1, build: 0, patch: 0, channel: 'stable',
+        vendor: null, version: '10.1', raw: '10.1',
+      },
+    };
+
+    Object.keys(versionStrings).forEach((rawVersion) => {
+      const version = BrowserVersion.parse(rawVersion);
+      version.should.be.instanceof(BrowserVersion);
+      Object.assign({}, version).should.deep.equal(versionStrings[rawVersion]);
+    });
+
+    (BrowserVersion.parse('ImTotallyMadeUp 12345678.asdf') === null)
+      .should.equal(true);
+    (BrowserVersion.parse('') === null).should.equal(true);
+    (BrowserVersion.parse(null) === null).should.equal(true);
+  });
+
+  it('should compare versions', function() {
+    const version = BrowserVersion.parse('Google Chrome 58.0.3029.41 beta');
+    version.isAtLeast('58.0.3029').should.equal(true);
+    version.isAtLeast('58.0.3029.41').should.equal(true);
+    version.isAtLeast('58.0.3029.42').should.equal(false);
+    version.isAtLeast(58).should.equal(true);
+    version.isOlderThan('59').should.equal(true);
+    version.isOlderThan('58.0.3029.41').should.equal(false);
+    version.compare('58.0.3029.41').should.equal(0);
+    version.isAtMost(58).should.equal(true);
+    version.isAtMost('58.0.3029').should.equal(true);
+    version.isAtMost('58.0.3028').should.equal(false);
+    version.isAtMost(57).should.equal(false);
+    version.toString().should.equal('58.0.3029.41');
+
+    // The channel isn't compared.
+    BrowserVersion.parse('Mozilla Firefox 54.0b5')
+      .compare(BrowserVersion.parse('Mozilla Firefox 54.0')).should.equal(0);
+
+    ['58.0.3029.41', '10.1', '58.0.3029.110', '58', '9.3.4']
+      .sort(BrowserVersion.compare)
+      .should.deep.equal(['9.3.4', '10.1', '58', '58.0.3029.41',
+        '58.0.3029.110']);
+
+    (() => {
+      version.isAtLeast('latest');
+    }).should.throw('Invalid version: \'latest\'');
+  });
+
+  it('should check versions against ranges', function() {
+    const version = BrowserVersion.parse('Google Chrome 58.0.3029.41 beta');
+    const ranges = {
+      '>=58.0.3029': true,
+      '>58.0.3029.41': false,
+      '<=58': false,
+      '<59': true,
+      '58': true,
+      '=58.0': true,
+      '58.1': false,
+      '58.x': true,
+      '58.0.*': true,
+      '*': true,
+      '^58.0.3000': true,
+      '^57': false,
+      '~58.0.3000': true,
+      '~58.1': false,
+      '>=58 <60': true,
+      '>=59 <60': false,
+      '52 || >=55': true,
+      '52 || 53': false,
+    };
+    Object.keys(ranges).forEach((range) => {
+      version.satisfies(range).should.equal(ranges[range], range);
+    });
+
+    ['', 'latest', '>=58.x', '58.x.1'].forEach((range) => {
+      (() => {
+        version.satisfies(range);
+      }).should.throw(`Invalid version range: '${range}'`);
+    });
+  });
+
+  it('should get the version of a local browser', function() {
+    const browser = seleniumAssistant.getLocalBrowser('firefox', 'beta');
+    sinonStubs.push(sinon.stub(browser, 'getRawVersionString', () => {
+      return 'Mozilla Firefox 54.0b5';
+    }));
+
+    const version = browser.getVersion();
+    version.major.should.equal(54);
+    version.channel.should.equal('beta');
+    browser.getVersionNumber().should.equal(54);
+  });
+
+  it('should get null for a browser without a version', function() {
+    sinonStubs.push(sinon.stub(LocalBrowser.prototype, 'getRawVersionString',
+      () => null));
+
+    ['chrome', 'firefox', 'opera', 'safari'].forEach((browserId) => {
+      const browser = seleniumAssistant.getLocalBrowser(browserId, 'stable');
+      (browser.getVersion() === null).should.equal(true);
+      browser.getVersionNumber().should.equal(-1);
+    });
+  });
+
+  it('should get a BrowserVersion from local and remote browsers', function() {
+    const localBrowser = seleniumAssistant.getLocalBrowser('chrome', 'stable');
+    sinonStubs.push(sinon.stub(localBrowser, 'getRawVersionString', () => {
+      return 'Google Chrome 58.0.3029.41';
+    }));
+    const hubUrl = 'http://grid.example.com:4444/wd/hub';
+    const remoteBrowser = seleniumAssistant.getRemoteBrowser(hubUrl, 'chrome',
+      {version: '58.0.3029.41'});
+    const majorBrowser = seleniumAssistant.getRemoteBrowser(hubUrl, 'chrome',
+      {version: 58});
+    const latestBrowser = seleniumAssistant.getRemoteBrowser(hubUrl, 'chrome',
+      {version: 'latest'});
+
+    [localBrowser, remoteBrowser, majorBrowser].forEach((browser) => {
+      const version = browser.getVersion();
+      version.should.be.instanceof(BrowserVersion);
+      version.major.should.equal(58);
+      version.isAtLeast('58.0').should.equal(true);
+    });
+    remoteBrowser.getVersion().compare(localBrowser.getVersion())
+      .should.equal(0);
+    (latestBrowser.getVersion() === null).should.equal(true);
+    latestBrowser.getRequestedVersion().should.equal('latest');
+  });
+});
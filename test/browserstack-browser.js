@@ -0,0 +1,224 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const sinon = require('sinon');
+
+const WebDriverStubServer = require('./helpers/webdriver-stub-server.js');
+const seleniumAssistant = require('../src/index.js');
+const providerManager = require('../src/provider-manager.js');
+const ProviderBrowser = require('../src/browser-models/provider-browser.js');
+
+require('chai').should();
+
+describe('BrowserStack Browser', function() {
+  const stubServer = new WebDriverStubServer();
+  const sinonStubs = [];
+  let serverUrl;
+  let tunnelEvents;
+  let tunnelError;
+
+  before(function() {
+    return stubServer.startServer()
+    .then((hubUrl) => {
+      serverUrl = hubUrl;
+    });
+  });
+
+  after(function() {
+    stubServer.killServer();
+  });
+
+  beforeEach(function() {
+    stubServer.reset();
+    seleniumAssistant.setBrowserStackDetails(null, null);
+
+    tunnelEvents = [];
+    tunnelError = null;
+    const browserStackProvider = providerManager.getProvider('browserstack');
+    sinonStubs.push(sinon.stub(browserStackProvider,
+      '_createBrowserStackLocal', () => {
+        return {
+          start: (options, cb) => {
+            tunnelEvents.push({event: 'start', options: options});
+            setTimeout(() => cb(tunnelError), 0);
+          },
+          stop: (cb) => {
+            tunnelEvents.push({event: 'stop'});
+            cb();
+          },
+        };
+      }));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+    return seleniumAssistant.disableBrowserStackLocal();
+  });
+
+  it('should return a BrowserStack browser for each browser id', function() {
+    [
+      'chrome',
+      'firefox',
+      'opera',
+      'safari',
+      'microsoftedge',
+      'internet explorer',
+    ].forEach((browserId) => {
+      const browser = seleniumAssistant.getBrowserStackBrowser(browserId,
+        'latest', {browserstack: {username: 'user', accessKey: 'key'}});
+      browser.should.be.instanceof(ProviderBrowser);
+      browser.getId().should.equal(browserId);
+      browser.getRequestedVersion().should.equal('latest');
+    });
+  });
+
+  it('should throw for bad input', function() {
+    (() => {
+      seleniumAssistant.getBrowserStackBrowser('chrome', 'latest');
+    }).should.throw('BrowserStack details not defined.');
+
+    (() => {
+      seleniumAssistant.getBrowserStackBrowser('netscape', 'latest', {
+        browserstack: {username: 'user', accessKey: 'key'},
+      });
+    }).should.throw('Unknown BrowserStack browser: \'netscape\'');
+
+    (() => {
+      seleniumAssistant.getBrowserStackBrowser('chrome', '', {
+        browserstack: {username: 'user', accessKey: 'key'},
+      });
+    }).should.throw('A BrowserStack browser version is required');
+  });
+
+  it('should start a session with browserstack capabilities', function() {
+    this.timeout(6000);
+
+    seleniumAssistant.setBrowserStackDetails('global-user', 'global-key');
+    const browser = seleniumAssistant.getBrowserStackBrowser('chrome', 56, {
+      os: 'Windows',
+      osVersion: '10',
+      project: 'selenium-assistant',
+      build: '123',
+      name: 'Example Test',
+      capabilities: {
+        'browserstack.debug': 'true',
+      },
+    });
+    browser.getPrettyName().should.equal('Google Chrome - [56]');
+    browser.setCredentials({
+      username: 'example-user',
+      accessKey: 'example-key',
+      serverUrl: serverUrl,
+    });
+
+    return browser.getSeleniumDriver()
+    .then((driver) => seleniumAssistant.killWebDriver(driver))
+    .then(() => {
+      stubServer.sessionRequests.length.should.equal(1);
+      const capabilities = stubServer.sessionRequests[0].capabilities;
+      capabilities.browserName.should.equal('chrome');
+      capabilities.browser_version.should.equal('56');
+      capabilities.os.should.equal('Windows');
+      capabilities.os_version.should.equal('10');
+      capabilities.project.should.equal('selenium-assistant');
+      capabilities.build.should.equal('123');
+      capabilities.name.should.equal('Example Test');
+      capabilities['browserstack.debug'].should.equal('true');
+      capabilities['browserstack.user'].should.equal('example-user');
+      capabilities['browserstack.key'].should.equal('example-key');
+      (typeof capabilities['browserstack.local'] === 'undefined')
+        .should.equal(true);
+    });
+  });
+
+  it('should open and close the BrowserStack Local tunnel', function() {
+    this.timeout(6000);
+
+    seleniumAssistant.setBrowserStackDetails('example-user', 'example-key');
+    return seleniumAssistant.enableBrowserStackLocal()
+    .then(() => seleniumAssistant.enableBrowserStackLocal())
+    .then(() => {
+      tunnelEvents.length.should.equal(1);
+      tunnelEvents[0].options.key.should.equal('example-key');
+      tunnelEvents[0].options.localIdentifier.should.contain(
+        `${process.pid}`);
+      (typeof tunnelEvents[0].options.force === 'undefined')
+        .should.equal(true);
+
+      const browser = seleniumAssistant.getBrowserStackBrowser('firefox',
+        'latest');
+      browser.setCredentials({
+        username: 'example-user',
+        accessKey: 'example-key',
+        serverUrl: serverUrl,
+      });
+      return browser.getSeleniumDriver();
+    })
+    .then((driver) => seleniumAssistant.killWebDriver(driver))
+    .then(() => {
+      const capabilities = stubServer.sessionRequests[0].capabilities;
+      capabilities['browserstack.local'].should.equal('true');
+      capabilities['browserstack.localIdentifier'].should.equal(
+        tunnelEvents[0].options.localIdentifier);
+      return seleniumAssistant.disableBrowserStackLocal();
+    })
+    .then(() => {
+      tunnelEvents.map((tunnelEvent) => tunnelEvent.event)
+        .should.deep.equal(['start', 'stop']);
+    });
+  });
+
+  it('should only start one tunnel for concurrent calls', function() {
+    seleniumAssistant.setBrowserStackDetails('example-user', 'example-key');
+    return Promise.all([
+      seleniumAssistant.enableBrowserStackLocal(),
+      seleniumAssistant.enableBrowserStackLocal(),
+    ])
+    .then(() => seleniumAssistant.disableBrowserStackLocal())
+    .then(() => {
+      tunnelEvents.map((tunnelEvent) => tunnelEvent.event)
+        .should.deep.equal(['start', 'stop']);
+    });
+  });
+
+  it('should pass the tunnel options to BrowserStack Local', function() {
+    seleniumAssistant.setBrowserStackDetails('example-user', 'example-key');
+    return seleniumAssistant.enableBrowserStackLocal({
+      localIdentifier: 'example-tunnel',
+      force: true,
+    })
+    .then(() => {
+      tunnelEvents[0].options.localIdentifier.should.equal('example-tunnel');
+      tunnelEvents[0].options.force.should.equal('true');
+    });
+  });
+
+  it('should reject if the tunnel fails to start', function() {
+    tunnelError = new Error('Injected Error');
+    seleniumAssistant.setBrowserStackDetails('example-user', 'example-key');
+    return seleniumAssistant.enableBrowserStackLocal()
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Injected Error');
+      providerManager.getProvider('browserstack').isTunnelEnabled().should.equal(false);
+    });
+  });
+});
@@ -0,0 +1,173 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const sinon = require('sinon');
+
+const downloadManager = require('../src/download-manager.js');
+const seleniumAssistant = require('../src/index.js');
+const installManifest = require('../src/install-manifest.js');
+const LocalChromiumBrowser = require('../src/local-browsers/chromium.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const fixturesPath = path.join(__dirname, 'data', 'download-fixtures');
+
+describe('Test Download Manager - Chromium Snapshots', function() {
+  const sinonStubs = [];
+  let downloadedUrls;
+
+  beforeEach(function() {
+    downloadedUrls = [];
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    sinonStubs.push(
+      sinon.stub(downloadManager, 'downloadDriver',
+        () => Promise.resolve(null))
+    );
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFile', (downloadUrl, filePath) => {
+        downloadedUrls.push(downloadUrl);
+        fs.writeFileSync(filePath,
+          fs.readFileSync(path.join(fixturesPath, 'chrome-linux.zip')));
+        return Promise.resolve(filePath);
+      })
+    );
+    return del(testPath, {force: true});
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  after(function() {
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  it('should install a snapshot by revision', function() {
+    if (process.platform !== 'linux') {
+      this.skip();
+    }
+
+    return seleniumAssistant.downloadLocalBrowser('chromium', {
+      revision: 450000,
+    })
+    .then(() => {
+      downloadedUrls.should.deep.equal([
+        'https://storage.googleapis.com/chromium-browser-snapshots/' +
+        'Linux_x64/450000/chrome-linux.zip',
+      ]);
+
+      const browser = seleniumAssistant.getLocalBrowser('chromium', {
+        revision: 450000,
+      });
+      browser.getExecutablePath().should.equal(
+        path.join(testPath, 'chromium', '450000', 'chrome-linux', 'chrome'));
+      browser.getVersionNumber().should.equal(58);
+      browser.getRevision().should.equal(450000);
+      browser.getReleaseName().should.equal('450000');
+      browser.getPrettyName().should.equal('Chromium r450000');
+
+      const install = installManifest.getInstall('chromium', '450000');
+      install.version.should.equal('58.0.3029.0');
+      install.installPath.should.equal(
+        path.join(testPath, 'chromium', '450000'));
+
+      // Other revisions shouldn't pick up the install.
+      const otherBrowser = seleniumAssistant.getLocalBrowser('chromium', {
+        revision: '450001',
+      });
+      (otherBrowser.getExecutablePath() === null).should.equal(true);
+    });
+  });
+
+  it('should not download an installed revision again', function() {
+    if (process.platform !== 'linux') {
+      this.skip();
+    }
+
+    return seleniumAssistant.downloadLocalBrowser('chromium', {
+      revision: 450000,
+    })
+    .then(() => {
+      return seleniumAssistant.downloadLocalBrowser('chromium', {
+        revision: '450000',
+      }, 0.0001);
+    })
+    .then(() => {
+      downloadedUrls.length.should.equal(1);
+    });
+  });
+
+  it('should only download Chromium by revision', function() {
+    return seleniumAssistant.downloadLocalBrowser('chromium', 'stable')
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Chromium can only be downloaded by ' +
+        'revision, i.e. {revision: 450000}.');
+      downloadedUrls.length.should.equal(0);
+    });
+  });
+
+  it('should reject invalid revisions', function() {
+    return seleniumAssistant.downloadLocalBrowser('chromium', {
+      revision: '../450000',
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Invalid browser revision: \'../450000\'');
+      return seleniumAssistant.downloadLocalBrowser('chrome', {
+        revision: 450000,
+      });
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Invalid browser revision: \'450000\'');
+    });
+  });
+
+  it('should validate revisions', function() {
+    LocalChromiumBrowser.isValidRevision(450000).should.equal(true);
+    LocalChromiumBrowser.isValidRevision('450000').should.equal(true);
+    LocalChromiumBrowser.isValidRevision(0).should.equal(false);
+    LocalChromiumBrowser.isValidRevision('45.0').should.equal(false);
+    LocalChromiumBrowser.isValidRevision(null).should.equal(false);
+
+    (() => {
+      seleniumAssistant.getLocalBrowser('chrome', {revision: 450000});
+    }).should.throw('Unknown browser revision.');
+  });
+
+  it('should find the system Chromium for the stable release', function() {
+    const browser = seleniumAssistant.getLocalBrowser('chromium', 'stable');
+    browser.getId().should.equal('chromium');
+    browser.getPrettyName().should.equal('Chromium');
+    (browser.getRevision() === null).should.equal(true);
+
+    (seleniumAssistant.getLocalBrowser('chromium', 'beta')
+      .getExecutablePath() === null).should.equal(true);
+  });
+});
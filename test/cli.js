@@ -0,0 +1,274 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const path = require('path');
+const childProcess = require('child_process');
+const sinon = require('sinon');
+
+const cli = require('../src/cli.js');
+const seleniumAssistant = require('../src/index.js');
+
+require('chai').should();
+
+const binPath = path.join(__dirname, '..', 'bin', 'selenium-assistant.js');
+
+describe('CLI', function() {
+  const sinonStubs = [];
+  let stdout;
+  let stderr;
+
+  const createStream = () => {
+    const stream = {
+      output: '',
+      write: (chunk) => {
+        stream.output += chunk;
+      },
+    };
+    return stream;
+  };
+
+  const createBrowser = (browserId, release, version, executablePath,
+    isBlackListed) => {
+    return {
+      getId: () => browserId,
+      getReleaseName: () => release,
+      getPrettyName: () => `Example ${browserId}`,
+      getVersionNumber: () => version,
+      getExecutablePath: () => executablePath,
+      isValid: () => executablePath !== null && !isBlackListed,
+      isBlackListed: () => !!isBlackListed,
+    };
+  };
+
+  const runCLI = (args) => {
+    return cli.run(args, {stdout: stdout, stderr: stderr});
+  };
+
+  beforeEach(function() {
+    stdout = createStream();
+    stderr = createStream();
+
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'getLocalBrowsers', () => {
+      return [
+        createBrowser('chrome', 'stable', 58, '/usr/bin/google-chrome'),
+        createBrowser('firefox', 'beta', 54, '/opt/firefox/firefox'),
+      ];
+    }));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+    seleniumAssistant.setBrowserInstallDir(null);
+  });
+
+  it('should print the usage', function() {
+    return runCLI([])
+    .then((exitCode) => {
+      exitCode.should.equal(0);
+      stdout.output.should.match(/^Usage: selenium-assistant <command>/);
+      return runCLI(['install', '--help']);
+    })
+    .then((exitCode) => {
+      exitCode.should.equal(0);
+      stdout.output.should.match(/install <browser> <release>/);
+    });
+  });
+
+  it('should exit with an error for unknown commands', function() {
+    return runCLI(['uninstall'])
+    .then((exitCode) => {
+      exitCode.should.equal(1);
+      stderr.output.should.match(/^Unknown command: 'uninstall'\n\nUsage:/);
+    });
+  });
+
+  it('should list the local browsers', function() {
+    return runCLI(['list'])
+    .then((exitCode) => {
+      exitCode.should.equal(0);
+      stdout.output.should.equal(
+        'chrome\tstable\t58\t/usr/bin/google-chrome\n' +
+        'firefox\tbeta\t54\t/opt/firefox/firefox\n');
+
+      stdout = createStream();
+      return runCLI(['list', '--json']);
+    })
+    .then((exitCode) => {
+      exitCode.should.equal(0);
+      JSON.parse(stdout.output)[1].should.deep.equal({
+        browserId: 'firefox',
+        release: 'beta',
+        prettyName: 'Example firefox',
+        version: 54,
+        executablePath: '/opt/firefox/firefox',
+      });
+    });
+  });
+
+  it('should install a browser', function() {
+    const downloads = [];
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'downloadLocalBrowser',
+      (browserId, release, expirationInHours, options) => {
+        downloads.push([browserId, release, expirationInHours,
+          options.showProgress]);
+        return Promise.resolve();
+      }));
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'getLocalBrowser',
+      (browserId, release) => {
+        return createBrowser(browserId, release, 58, '/example/chrome');
+      }));
+
+    return runCLI(['install', 'chrome', 'beta', '--expiration', '0',
+      '--install-dir=./test/test-output'])
+    .then((exitCode) => {
+      exitCode.should.equal(0);
+      stdout.output.should.equal('Installed Example chrome at ' +
+        '/example/chrome\n');
+      seleniumAssistant.getBrowserInstallDir().should.equal(
+        path.resolve('./test/test-output'));
+
+      return runCLI(['install', 'firefox', '52.0.2']);
+    })
+    .then(() => runCLI(['install', 'chromium', '450000']))
+    .then(() => {
+      downloads.should.deep.equal([
+        ['chrome', 'beta', 0, true],
+        ['firefox', {version: '52.0.2'}, undefined, true],
+        ['chromium', {revision: '450000'}, undefined, true],
+      ]);
+    });
+  });
+
+  it('should exit with an error if the install fails', function() {
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'downloadLocalBrowser',
+      () => Promise.reject(new Error('Injected Error'))));
+
+    return runCLI(['install', 'chrome', 'stable'])
+    .then((exitCode) => {
+      exitCode.should.equal(1);
+      stderr.output.should.equal('Error: Injected Error\n');
+      return runCLI(['install', 'chrome']);
+    })
+    .then((exitCode) => {
+      exitCode.should.equal(1);
+      stderr.output.should.match(/Error: Usage: selenium-assistant install /);
+      return runCLI(['install', 'chrome', 'stable', '--expiration', 'soon']);
+    })
+    .then((exitCode) => {
+      exitCode.should.equal(1);
+      stderr.output.should.match(
+        /Error: The --expiration option must be a number\.\n$/);
+    });
+  });
+
+  it('should clean the install directory', function() {
+    let cleanOptions;
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'cleanInstallDir',
+      (options) => {
+        cleanOptions = options;
+        return Promise.resolve({
+          dryRun: true,
+          removed: [{path: '/example/chrome/beta', reason: 'Old', bytes: 10}],
+          removedEntries: [],
+          skipped: [],
+          freedBytes: 10,
+          remainingBytes: 0,
+        });
+      }));
+
+    return runCLI(['clean', '--keep-latest', '2', '--dry-run'])
+    .then((exitCode) => {
+      exitCode.should.equal(0);
+      cleanOptions.should.deep.equal({
+        keepLatest: 2,
+        olderThanDays: undefined,
+        maxBytes: undefined,
+        dryRun: true,
+      });
+      stdout.output.should.equal(
+        'Would remove /example/chrome/beta (Old)\n' +
+        'Would free 10 bytes.\n');
+    });
+  });
+
+  it('should print the path of a browser', function() {
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'getLocalBrowser',
+      (browserId, release) => {
+        return createBrowser(browserId, release, 58,
+          release === 'stable' ? '/usr/bin/google-chrome' : null);
+      }));
+
+    return runCLI(['which', 'chrome', 'stable'])
+    .then((exitCode) => {
+      exitCode.should.equal(0);
+      stdout.output.should.equal('/usr/bin/google-chrome\n');
+      return runCLI(['which', 'chrome', 'unstable']);
+    })
+    .then((exitCode) => {
+      exitCode.should.equal(1);
+      stderr.output.should.equal('chrome \'unstable\' isn\'t installed.\n');
+    });
+  });
+
+  it('should print the path of a blacklisted browser', function() {
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'getLocalBrowser',
+      (browserId, release) => {
+        return createBrowser(browserId, release, 48, '/usr/bin/firefox', true);
+      }));
+
+    return runCLI(['which', 'firefox', 'stable'])
+    .then((exitCode) => {
+      exitCode.should.equal(2);
+      stdout.output.should.equal('/usr/bin/firefox\n');
+      stderr.output.should.equal('firefox \'stable\' is installed but ' +
+        'blacklisted as it doesn\'t work with the installed driver.\n');
+    });
+  });
+
+  it('should print the browser info', function() {
+    const formats = [];
+    sinonStubs.push(sinon.stub(seleniumAssistant, 'printAvailableBrowserInfo',
+      (printToConsole, format) => {
+        printToConsole.should.equal(false);
+        formats.push(format);
+        return `Example ${format}\n`;
+      }));
+
+    return runCLI(['info', '--json'])
+    .then((exitCode) => {
+      exitCode.should.equal(0);
+      stdout.output.should.equal('Example json\n');
+      return runCLI(['info', '--format', 'junit-properties']);
+    })
+    .then(() => runCLI(['info']))
+    .then(() => {
+      formats.should.deep.equal(['json', 'junit-properties', 'table']);
+    });
+  });
+
+  it('should run from the bin script', function(done) {
+    childProcess.execFile(process.execPath, [binPath, 'unknown'],
+      (err, scriptStdout, scriptStderr) => {
+        err.code.should.equal(1);
+        scriptStderr.should.match(/^Unknown command: 'unknown'/);
+        done();
+      });
+  });
+});
@@ -0,0 +1,183 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+
+const TestServer = require('./helpers/test-server.js');
+const downloadManager = require('../src/download-manager.js');
+const seleniumAssistant = require('../src/index.js');
+const ChecksumError = require('../src/errors/checksum-error.js');
+const LocalFirefoxBrowser = require('../src/local-browsers/firefox.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const fixturesPath = path.join(__dirname, 'data', 'download-fixtures');
+const FIXTURE_NAME = 'example-browser.tar.gz';
+
+describe('Test Download Manager - Mirrors and Artifact Cache', function() {
+  const testServer = new TestServer(false);
+  let requestedPaths = [];
+  let serverUrl;
+
+  before(function() {
+    testServer.getExpressApp().use((req, res, next) => {
+      requestedPaths.push(req.path);
+      next();
+    });
+
+    return testServer.startServer(fixturesPath)
+    .then((portNumber) => {
+      serverUrl = `http://localhost:${portNumber}`;
+    });
+  });
+
+  after(function() {
+    testServer.killServer();
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  beforeEach(function() {
+    requestedPaths = [];
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    return del(testPath, {force: true})
+    .then(() => mkdirp.sync(testPath));
+  });
+
+  afterEach(function() {
+    seleniumAssistant.setDownloadMirrors(null);
+    seleniumAssistant.setArtifactCacheDir(null);
+  });
+
+  it('should use the default URL without a mirror', function() {
+    const defaultUrl = 'https://dl.google.com/linux/direct/' +
+      'google-chrome-stable_current_amd64.deb';
+    downloadManager._getMirrorUrl('chrome', 'stable', defaultUrl,
+      'google-chrome-stable.deb').should.equal(defaultUrl);
+  });
+
+  it('should fill in mirror URL templates', function() {
+    seleniumAssistant.setDownloadMirrors({
+      firefox: 'https://mirror.example.com/{browserId}/{release}/' +
+        '{platform}/{filename}{path}?from={host}&{unknown}',
+    });
+
+    downloadManager._getMirrorUrl('firefox', 'beta',
+      'https://download.mozilla.org/?product=firefox-beta-latest',
+      'firefox-beta-latest.tar.gz')
+    .should.equal('https://mirror.example.com/firefox/beta/' +
+      `${process.platform}/firefox-beta-latest.tar.gz` +
+      '/?product=firefox-beta-latest?from=download.mozilla.org&{unknown}');
+  });
+
+  it('should find mirrors per platform and release', function() {
+    const mirrors = {chrome: {}};
+    mirrors.chrome[process.platform] = {
+      stable: 'https://stable.example.com/{filename}',
+      default: 'https://default.example.com/{filename}',
+    };
+    seleniumAssistant.setDownloadMirrors(mirrors);
+
+    downloadManager._getMirrorUrl('chrome', 'stable', 'https://example.com',
+      'chrome.deb').should.equal('https://stable.example.com/chrome.deb');
+    downloadManager._getMirrorUrl('chrome', 'unstable', 'https://example.com',
+      'chrome.deb').should.equal('https://default.example.com/chrome.deb');
+    downloadManager._getMirrorUrl('firefox', 'stable', 'https://example.com',
+      'firefox.tar.gz').should.equal('https://example.com');
+  });
+
+  it('should install Firefox from a mirror', function() {
+    if (process.platform !== 'linux') {
+      this.skip();
+    }
+
+    seleniumAssistant.setDownloadMirrors({
+      firefox: `${serverUrl}/{browserId}.tar.bz2`,
+    });
+
+    return downloadManager._downloadFirefox('stable', testPath)
+    .then((downloadDetails) => {
+      requestedPaths.should.deep.equal(['/firefox.tar.bz2']);
+      downloadDetails.downloadUrl.should.equal(
+        `${serverUrl}/firefox.tar.bz2`);
+      downloadDetails.sha256.should.match(/^[0-9a-f]{64}$/);
+      new LocalFirefoxBrowser('stable')._findInInstallDir().should.equal(
+        path.join(testPath, 'firefox', 'stable', 'firefox'));
+    });
+  });
+
+  it('should copy a download from the artifact cache', function() {
+    const outputPath = path.join(testPath, FIXTURE_NAME);
+    seleniumAssistant.setArtifactCacheDir(fixturesPath);
+
+    // Nothing listens on this URL, so it would fail if it was requested.
+    return downloadManager._downloadFile(
+      `http://localhost:1/${FIXTURE_NAME}`, outputPath)
+    .then(() => {
+      fs.readFileSync(outputPath).equals(
+        fs.readFileSync(path.join(fixturesPath, FIXTURE_NAME)))
+        .should.equal(true);
+    });
+  });
+
+  it('should verify checksums of cached artifacts', function() {
+    const outputPath = path.join(testPath, FIXTURE_NAME);
+    seleniumAssistant.setArtifactCacheDir(fixturesPath);
+
+    return downloadManager._downloadFile(
+      `http://localhost:1/${FIXTURE_NAME}`, outputPath, {
+        sha256: '0'.repeat(64),
+      })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      (err instanceof ChecksumError).should.equal(true);
+      fs.existsSync(outputPath).should.equal(false);
+      fs.existsSync(path.join(fixturesPath, FIXTURE_NAME)).should.equal(true);
+    });
+  });
+
+  it('should download files missing from the artifact cache', function() {
+    const outputPath = path.join(testPath, FIXTURE_NAME);
+    seleniumAssistant.setArtifactCacheDir(path.join(testPath, 'cache'));
+
+    return downloadManager._downloadFile(`${serverUrl}/${FIXTURE_NAME}`,
+      outputPath)
+    .then(() => {
+      requestedPaths.should.deep.equal([`/${FIXTURE_NAME}`]);
+    });
+  });
+
+  it('should read the chromedriver release from the artifact cache',
+    function() {
+    const cachePath = path.join(testPath, 'cache');
+    mkdirp.sync(cachePath);
+    fs.writeFileSync(path.join(cachePath, 'LATEST_RELEASE_90'),
+      '90.0.4430.24\n');
+    seleniumAssistant.setArtifactCacheDir(cachePath);
+
+    return downloadManager._getChromedriverDownload(90)
+    .then((driverDownload) => {
+      driverDownload.version.should.equal('90.0.4430.24');
+    });
+  });
+});
@@ -0,0 +1,185 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+
+const TestServer = require('./helpers/test-server.js');
+const downloadManager = require('../src/download-manager.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const fixturesPath = path.join(__dirname, 'data', 'download-fixtures');
+const FIXTURE_NAME = 'example-browser.tar.gz';
+
+describe('Test Download Manager - Network', function() {
+  const testServer = new TestServer(false);
+  let failuresToServe = 0;
+  let failureStatusCode = 503;
+  let requestCount = 0;
+  let heldResponses = [];
+  let serverUrl;
+  let outputPath;
+
+  before(function() {
+    testServer.getExpressApp().use((req, res, next) => {
+      requestCount++;
+      if (req.path === '/hang') {
+        // Never respond so the request times out.
+        heldResponses.push(res);
+        return;
+      }
+
+      if (failuresToServe > 0) {
+        failuresToServe--;
+        return res.status(failureStatusCode).send('Failure');
+      }
+      next();
+    });
+
+    return testServer.startServer(fixturesPath)
+    .then((portNumber) => {
+      serverUrl = `http://localhost:${portNumber}`;
+    });
+  });
+
+  after(function() {
+    testServer.killServer();
+    return del(testPath, {force: true});
+  });
+
+  beforeEach(function() {
+    failuresToServe = 0;
+    failureStatusCode = 503;
+    requestCount = 0;
+    outputPath = path.join(testPath, FIXTURE_NAME);
+    return del(testPath, {force: true})
+    .then(() => mkdirp.sync(testPath));
+  });
+
+  afterEach(function() {
+    heldResponses.forEach((res) => res.end());
+    heldResponses = [];
+  });
+
+  it('should retry downloads after transient errors', function() {
+    failuresToServe = 2;
+
+    return downloadManager._downloadFile(`${serverUrl}/${FIXTURE_NAME}`,
+      outputPath, {retryDelay: 1})
+    .then(() => {
+      requestCount.should.equal(3);
+      fs.readFileSync(outputPath).equals(
+        fs.readFileSync(path.join(fixturesPath, FIXTURE_NAME)))
+        .should.equal(true);
+    });
+  });
+
+  it('should give up once the retries are used up', function() {
+    failuresToServe = 10;
+
+    return downloadManager._downloadFile(`${serverUrl}/${FIXTURE_NAME}`,
+      outputPath, {retries: 2, retryDelay: 1})
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.statusCode.should.equal(503);
+      requestCount.should.equal(3);
+    });
+  });
+
+  it('should not retry errors that are not transient', function() {
+    failuresToServe = 1;
+    failureStatusCode = 404;
+
+    return downloadManager._downloadFile(`${serverUrl}/${FIXTURE_NAME}`,
+      outputPath, {retryDelay: 1})
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.statusCode.should.equal(404);
+      requestCount.should.equal(1);
+    });
+  });
+
+  it('should retry text requests', function() {
+    failuresToServe = 1;
+    failureStatusCode = 429;
+
+    return downloadManager._fetchText(`${serverUrl}/${FIXTURE_NAME}`,
+      'LATEST_RELEASE', {retryDelay: 1})
+    .then(() => {
+      requestCount.should.equal(2);
+    });
+  });
+
+  it('should time out requests', function() {
+    return downloadManager._downloadFile(`${serverUrl}/hang`, outputPath, {
+      timeout: 50,
+      retries: 0,
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      downloadManager._isTransientError(err).should.equal(true);
+    });
+  });
+
+  it('should download through a proxy', function() {
+    const proxiedUrls = [];
+    const proxyServer = http.createServer((req, res) => {
+      proxiedUrls.push(req.url);
+      res.end(fs.readFileSync(path.join(fixturesPath, FIXTURE_NAME)));
+    });
+
+    return new Promise((resolve) => proxyServer.listen(0, resolve))
+    .then(() => {
+      const proxyUrl = `http://localhost:${proxyServer.address().port}`;
+      return downloadManager._downloadFile(
+        `http://selenium-assistant.invalid/${FIXTURE_NAME}`, outputPath, {
+          proxy: proxyUrl,
+        });
+    })
+    .then(() => {
+      proxiedUrls.should.deep.equal([
+        `http://selenium-assistant.invalid/${FIXTURE_NAME}`,
+      ]);
+      fs.existsSync(outputPath).should.equal(true);
+    })
+    .then(() => proxyServer.close(), (err) => {
+      proxyServer.close();
+      throw err;
+    });
+  });
+
+  it('should add CA certificates to requests', function() {
+    const caPath = path.join(testPath, 'ca.pem');
+    fs.writeFileSync(caPath, 'Example CA');
+
+    const requestOptions = downloadManager._getRequestOptions(
+      'https://example.com', {caFile: caPath});
+    requestOptions.ca.map((ca) => ca.toString())
+      .should.deep.equal(['Example CA']);
+    requestOptions.timeout.should.equal(60000);
+    (typeof requestOptions.proxy).should.equal('undefined');
+  });
+});
@@ -0,0 +1,145 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const sinon = require('sinon');
+
+const TestServer = require('./helpers/test-server.js');
+const downloadManager = require('../src/download-manager.js');
+const seleniumAssistant = require('../src/index.js');
+const ProgressRenderer = require('../src/progress-renderer.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const fixturesPath = path.join(__dirname, 'data', 'download-fixtures');
+const FIXTURE_NAME = 'example-browser.tar.gz';
+
+describe('Test Download Manager - Progress', function() {
+  const sinonStubs = [];
+  const testServer = new TestServer(false);
+  let fixtureUrl;
+  let fixtureSize;
+
+  before(function() {
+    fixtureSize = fs.statSync(path.join(fixturesPath, FIXTURE_NAME)).size;
+
+    return testServer.startServer(fixturesPath)
+    .then((portNumber) => {
+      fixtureUrl = `http://localhost:${portNumber}/${FIXTURE_NAME}`;
+    });
+  });
+
+  after(function() {
+    testServer.killServer();
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  beforeEach(function() {
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    return del(testPath, {force: true})
+    .then(() => mkdirp.sync(testPath));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  it('should report bytes received while downloading', function() {
+    const events = [];
+    const reportProgress = downloadManager._createProgressReporter(
+      'example', 'stable', {
+        onProgress: (progress) => events.push(progress),
+      });
+
+    return downloadManager._downloadFile(fixtureUrl,
+      path.join(testPath, FIXTURE_NAME), {}, reportProgress)
+    .then(() => {
+      events.length.should.be.gt(1);
+      events.forEach((progress) => {
+        progress.browserId.should.equal('example');
+        progress.release.should.equal('stable');
+        progress.phase.should.equal('downloading');
+        progress.totalBytes.should.equal(fixtureSize);
+      });
+      events[0].receivedBytes.should.equal(0);
+      events[events.length - 1].receivedBytes.should.equal(fixtureSize);
+    });
+  });
+
+  it('should report each phase of a Firefox install', function() {
+    if (process.platform !== 'linux') {
+      this.skip();
+    }
+
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFile',
+        (downloadUrl, filePath) => {
+          fs.writeFileSync(filePath,
+            fs.readFileSync(path.join(fixturesPath, 'firefox.tar.bz2')));
+          return Promise.resolve(filePath);
+        })
+    );
+    sinonStubs.push(
+      sinon.stub(downloadManager, 'downloadDriver',
+        () => Promise.resolve(null))
+    );
+
+    const phases = [];
+    return seleniumAssistant.downloadLocalBrowser('firefox', 'stable', 0, {
+      onProgress: (progress) => phases.push(progress.phase),
+    })
+    .then(() => {
+      phases.should.deep.equal(['extracting', 'cleaning', 'complete']);
+    });
+  });
+
+  it('should render progress to a stream', function() {
+    let output = '';
+    const renderer = new ProgressRenderer({
+      write: (data) => {
+        output += data;
+      },
+    });
+
+    renderer.render({
+      browserId: 'chrome',
+      release: 'stable',
+      phase: 'downloading',
+      receivedBytes: 1024 * 1024,
+      totalBytes: 2 * 1024 * 1024,
+    });
+    output.indexOf('50%').should.not.equal(-1);
+    output.indexOf('1.0 MB / 2.0 MB').should.not.equal(-1);
+
+    renderer.render({
+      browserId: 'chrome',
+      release: 'stable',
+      phase: 'complete',
+      receivedBytes: 2 * 1024 * 1024,
+      totalBytes: 2 * 1024 * 1024,
+    });
+    output[output.length - 1].should.equal('\n');
+  });
+});
@@ -0,0 +1,243 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const request = require('request');
+const sinon = require('sinon');
+
+const TestServer = require('./helpers/test-server.js');
+const downloadManager = require('../src/download-manager.js');
+const seleniumAssistant = require('../src/index.js');
+const LocalFirefoxBrowser = require('../src/local-browsers/firefox.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const fixturesPath = path.join(__dirname, 'data', 'download-fixtures');
+const FIXTURE_NAME = 'example-browser.tar.gz';
+
+describe('Test Download Manager - Staging and Resume', function() {
+  const sinonStubs = [];
+  const testServer = new TestServer(false);
+  let rangeHeaders = [];
+  let fixtureUrl;
+  let fixtureContents;
+  let outputPath;
+
+  before(function() {
+    fixtureContents = fs.readFileSync(path.join(fixturesPath, FIXTURE_NAME));
+
+    testServer.getExpressApp().use((req, res, next) => {
+      rangeHeaders.push(req.headers['range'] || null);
+      next();
+    });
+
+    // Ignores where a range starts and always sends the whole file.
+    testServer.getExpressApp().get(`/wrong-range/${FIXTURE_NAME}`,
+      (req, res) => {
+        if (req.headers['range']) {
+          res.status(206);
+          res.set('Content-Range', `bytes 0-${fixtureContents.length - 1}/` +
+            `${fixtureContents.length}`);
+        }
+        res.send(fixtureContents);
+      });
+
+    return testServer.startServer(fixturesPath)
+    .then((portNumber) => {
+      fixtureUrl = `http://localhost:${portNumber}/${FIXTURE_NAME}`;
+    });
+  });
+
+  after(function() {
+    testServer.killServer();
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  beforeEach(function() {
+    rangeHeaders = [];
+    outputPath = path.join(testPath, FIXTURE_NAME);
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    return del(testPath, {force: true})
+    .then(() => mkdirp.sync(testPath));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  const getValidator = () => {
+    return new Promise((resolve, reject) => {
+      request.head(fixtureUrl, (err, response) => {
+        if (err) {
+          return reject(err);
+        }
+        resolve(response.headers['last-modified']);
+      });
+    });
+  };
+
+  it('should resume a partial download with a range request', function() {
+    const partialBytes = 10;
+    return getValidator()
+    .then((validator) => {
+      fs.writeFileSync(`${outputPath}.partial`,
+        fixtureContents.slice(0, partialBytes));
+      fs.writeFileSync(`${outputPath}.partial.json`, JSON.stringify({
+        url: fixtureUrl,
+        validator: validator,
+      }));
+      rangeHeaders = [];
+
+      return downloadManager._downloadFile(fixtureUrl, outputPath);
+    })
+    .then(() => {
+      rangeHeaders.should.deep.equal([`bytes=${partialBytes}-`]);
+      fs.readFileSync(outputPath).equals(fixtureContents).should.equal(true);
+      fs.existsSync(`${outputPath}.partial`).should.equal(false);
+      fs.existsSync(`${outputPath}.partial.json`).should.equal(false);
+    });
+  });
+
+  it('should restart a partial download for a different URL', function() {
+    fs.writeFileSync(`${outputPath}.partial`, 'Not the fixture');
+    fs.writeFileSync(`${outputPath}.partial.json`, JSON.stringify({
+      url: 'http://example.com/other-file',
+      validator: '"example"',
+    }));
+
+    return downloadManager._downloadFile(fixtureUrl, outputPath)
+    .then(() => {
+      rangeHeaders.should.deep.equal([null]);
+      fs.readFileSync(outputPath).equals(fixtureContents).should.equal(true);
+    });
+  });
+
+  it('should restart a resumed download that starts at the wrong byte',
+    function() {
+    const wrongRangeUrl = fixtureUrl.replace(FIXTURE_NAME,
+      `wrong-range/${FIXTURE_NAME}`);
+    const partialBytes = 10;
+    fs.writeFileSync(`${outputPath}.partial`,
+      fixtureContents.slice(0, partialBytes));
+    fs.writeFileSync(`${outputPath}.partial.json`, JSON.stringify({
+      url: wrongRangeUrl,
+      validator: '"example"',
+    }));
+
+    return downloadManager._downloadFile(wrongRangeUrl, outputPath)
+    .then(() => {
+      rangeHeaders.should.deep.equal([`bytes=${partialBytes}-`, null]);
+      fs.readFileSync(outputPath).equals(fixtureContents).should.equal(true);
+    });
+  });
+
+  it('should reject if the partial download details can\'t be written',
+    function() {
+    mkdirp.sync(`${outputPath}.partial.json`);
+
+    return downloadManager._fetchFile(fixtureUrl, outputPath)
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.code.should.equal('EISDIR');
+    });
+  });
+
+  it('should reject if the download can\'t be moved into place', function() {
+    mkdirp.sync(path.join(outputPath, 'example'));
+
+    return downloadManager._fetchFile(fixtureUrl, outputPath)
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      ['EISDIR', 'ENOTEMPTY', 'EEXIST'].should.contain(err.code);
+    });
+  });
+
+  it('should swap a staged browser over a previous install', function() {
+    const stagedPath = path.join(testPath, 'staging', 'example-stable');
+    const finalPath = path.join(testPath, 'example', 'stable');
+    mkdirp.sync(stagedPath);
+    mkdirp.sync(finalPath);
+    fs.writeFileSync(path.join(stagedPath, 'browser'), 'new');
+    fs.writeFileSync(path.join(finalPath, 'browser'), 'previous');
+
+    return downloadManager._swapIntoPlace(stagedPath, finalPath)
+    .then(() => {
+      fs.readFileSync(path.join(finalPath, 'browser')).toString()
+        .should.equal('new');
+      fs.existsSync(stagedPath).should.equal(false);
+      fs.existsSync(`${stagedPath}.previous`).should.equal(false);
+    });
+  });
+
+  describe('Firefox on Linux', function() {
+    const finalPath = path.join(testPath, 'firefox', 'stable');
+
+    beforeEach(function() {
+      if (process.platform !== 'linux') {
+        this.skip();
+      }
+    });
+
+    const stubDownload = (contents) => {
+      sinonStubs.push(
+        sinon.stub(downloadManager, '_downloadFile',
+          (downloadUrl, filePath) => {
+            fs.writeFileSync(filePath, contents);
+            return Promise.resolve(filePath);
+          })
+      );
+    };
+
+    it('should only install once extraction has succeeded', function() {
+      stubDownload(fs.readFileSync(path.join(fixturesPath, 'firefox.tar.bz2')));
+
+      return downloadManager._downloadFirefox('stable', testPath)
+      .then(() => {
+        const browser = new LocalFirefoxBrowser('stable');
+        browser._findInInstallDir().should.equal(
+          path.join(finalPath, 'firefox'));
+
+        fs.readdirSync(path.join(testPath, 'staging')).should.deep.equal([]);
+      });
+    });
+
+    it('should keep the previous install if extraction fails', function() {
+      mkdirp.sync(finalPath);
+      fs.writeFileSync(path.join(finalPath, 'firefox'), 'previous');
+      stubDownload('Not a tarball');
+
+      return downloadManager._downloadFirefox('stable', testPath)
+      .then(() => {
+        throw new Error('Expected promise to reject.');
+      }, (err) => {
+        err.message.should.equal('Unable to extract tar');
+        fs.readFileSync(path.join(finalPath, 'firefox')).toString()
+          .should.equal('previous');
+      });
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const sinon = require('sinon');
+
+const TestServer = require('./helpers/test-server.js');
+const downloadManager = require('../src/download-manager.js');
+const seleniumAssistant = require('../src/index.js');
+const ChecksumError = require('../src/errors/checksum-error.js');
+
+require('chai').should();
+
+const testPath = './test/test-output';
+const fixturesPath = path.join(__dirname, 'data', 'download-fixtures');
+const FIXTURE_NAME = 'example-browser.tar.gz';
+
+describe('Test Download Manager - Checksum Verification', function() {
+  const sinonStubs = [];
+  const testServer = new TestServer(false);
+  let fixtureUrl;
+  let fixtureChecksum;
+  let outputPath;
+
+  before(function() {
+    fixtureChecksum = crypto.createHash('sha256')
+      .update(fs.readFileSync(path.join(fixturesPath, FIXTURE_NAME)))
+      .digest('hex');
+
+    return testServer.startServer(fixturesPath)
+    .then((portNumber) => {
+      fixtureUrl = `http://localhost:${portNumber}/${FIXTURE_NAME}`;
+    });
+  });
+
+  after(function() {
+    testServer.killServer();
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  beforeEach(function() {
+    outputPath = path.join(testPath, FIXTURE_NAME);
+    return del(testPath, {force: true})
+    .then(() => mkdirp.sync(testPath));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  it('should download a file when no checksum is known', function() {
+    return downloadManager._downloadFile(fixtureUrl, outputPath)
+    .then((filePath) => {
+      filePath.should.equal(outputPath);
+      fs.existsSync(outputPath).should.equal(true);
+    });
+  });
+
+  it('should download a file with a matching sha256', function() {
+    return downloadManager._downloadFile(fixtureUrl, outputPath, {
+      sha256: fixtureChecksum.toUpperCase(),
+    })
+    .then((filePath) => {
+      filePath.should.equal(outputPath);
+      fs.existsSync(outputPath).should.equal(true);
+    });
+  });
+
+  it('should reject with a ChecksumError for a mismatched sha256', function() {
+    const badChecksum = '0'.repeat(64);
+    return downloadManager._downloadFile(fixtureUrl, outputPath, {
+      sha256: badChecksum,
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      (err instanceof ChecksumError).should.equal(true);
+      err.url.should.equal(fixtureUrl);
+      err.expected.should.equal(badChecksum);
+      err.actual.should.equal(fixtureChecksum);
+      err.message.indexOf(fixtureUrl).should.not.equal(-1);
+
+      // The corrupt download should never be left around to be installed.
+      fs.existsSync(outputPath).should.equal(false);
+    });
+  });
+
+  it('should use the checksum manifest to verify a download', function() {
+    const manifestPath = path.join(testPath, 'checksums.json');
+    const manifest = {};
+    manifest[fixtureUrl] = '0'.repeat(64);
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+    return downloadManager._downloadFile(fixtureUrl, outputPath, {
+      checksumManifest: manifestPath,
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      (err instanceof ChecksumError).should.equal(true);
+      err.expected.should.equal(manifest[fixtureUrl]);
+    })
+    .then(() => {
+      manifest[fixtureUrl] = fixtureChecksum;
+      fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+
+      return downloadManager._downloadFile(fixtureUrl, outputPath, {
+        checksumManifest: manifestPath,
+      });
+    })
+    .then(() => {
+      fs.existsSync(outputPath).should.equal(true);
+    });
+  });
+
+  it('should reject for a non-200 response', function() {
+    return downloadManager._downloadFile(fixtureUrl + '.missing', outputPath)
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.indexOf('404').should.not.equal(-1);
+    });
+  });
+
+  it('should pass download options through downloadLocalBrowser', function() {
+    const options = {sha256: fixtureChecksum};
+    let receivedOptions;
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFirefox',
+        (release, installDir, downloadOptions) => {
+          receivedOptions = downloadOptions;
+          return Promise.resolve();
+        })
+    );
+    sinonStubs.push(
+      sinon.stub(downloadManager, 'downloadDriver',
+        () => Promise.resolve(null))
+    );
+
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    return seleniumAssistant.downloadLocalBrowser('firefox', 'stable', 0,
+      options)
+    .then(() => {
+      receivedOptions.should.equal(options);
+    });
+  });
+});
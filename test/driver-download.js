@@ -0,0 +1,331 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const sinon = require('sinon');
+
+const downloadManager = require('../src/download-manager.js');
+const installManifest = require('../src/install-manifest.js');
+const seleniumAssistant = require('../src/index.js');
+const LocalChromeBrowser = require('../src/local-browsers/chrome.js');
+const LocalFirefoxBrowser = require('../src/local-browsers/firefox.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const fixturesPath = path.join(__dirname, 'data', 'download-fixtures');
+
+describe('Test Download Manager - Drivers', function() {
+  const sinonStubs = [];
+  let fetchedUrls;
+  let downloadedUrls;
+
+  beforeEach(function() {
+    if (process.platform !== 'linux') {
+      this.skip();
+    }
+
+    fetchedUrls = [];
+    downloadedUrls = [];
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    return del(testPath, {force: true});
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  after(function() {
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  const stubBrowserVersion = (BrowserClass, versionNumber) => {
+    sinonStubs.push(
+      sinon.stub(BrowserClass.prototype, 'getVersionNumber',
+        () => versionNumber)
+    );
+  };
+
+  const stubLatestRelease = (driverVersion) => {
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_fetchText', (url) => {
+        fetchedUrls.push(url);
+        return Promise.resolve(driverVersion);
+      })
+    );
+  };
+
+  const stubDownload = (fixtureName) => {
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFile', (downloadUrl, filePath) => {
+        downloadedUrls.push(downloadUrl);
+        fs.writeFileSync(filePath,
+          fs.readFileSync(path.join(fixturesPath, fixtureName)));
+        return Promise.resolve(filePath);
+      })
+    );
+  };
+
+  it('should use Chrome for Testing for Chrome 115+', function() {
+    stubLatestRelease('120.0.6099.109');
+
+    return downloadManager._getChromedriverDownload(120)
+    .then((driverDownload) => {
+      fetchedUrls.should.deep.equal([
+        'https://googlechromelabs.github.io/chrome-for-testing/' +
+          'LATEST_RELEASE_120',
+      ]);
+      driverDownload.version.should.equal('120.0.6099.109');
+      driverDownload.url.should.equal('https://storage.googleapis.com/' +
+        'chrome-for-testing-public/120.0.6099.109/linux64/' +
+        'chromedriver-linux64.zip');
+    });
+  });
+
+  it('should use the latest release of chromedriver for Chrome 70+',
+    function() {
+    stubLatestRelease('90.0.4430.24');
+
+    return downloadManager._getChromedriverDownload(90)
+    .then((driverDownload) => {
+      fetchedUrls.should.deep.equal([
+        'https://chromedriver.storage.googleapis.com/LATEST_RELEASE_90',
+      ]);
+      driverDownload.url.should.equal('https://chromedriver.storage.' +
+        'googleapis.com/90.0.4430.24/chromedriver_linux64.zip');
+    });
+  });
+
+  it('should map older Chrome versions to chromedriver 2.x', function() {
+    stubLatestRelease('Unused');
+
+    return downloadManager._getChromedriverDownload(60)
+    .then((driverDownload) => {
+      fetchedUrls.should.deep.equal([]);
+      driverDownload.version.should.equal('2.33');
+    });
+  });
+
+  it('should map Firefox versions to geckodriver releases', function() {
+    downloadManager._getGeckodriverDownload(52).url.should.equal(
+      'https://github.com/mozilla/geckodriver/releases/download/v0.17.0/' +
+      'geckodriver-v0.17.0-linux64.tar.gz');
+    downloadManager._getGeckodriverDownload(120).version.should.equal(
+      '0.34.0');
+    (() => downloadManager._getGeckodriverDownload(40))
+      .should.throw('No geckodriver is available for Firefox 40.');
+  });
+
+  it('should install chromedriver and record it for the browser',
+    function() {
+    stubBrowserVersion(LocalChromeBrowser, 120);
+    stubLatestRelease('120.0.6099.109');
+    stubDownload('chromedriver-linux64.zip');
+
+    const expectedPath = path.join(testPath, 'drivers', 'chromedriver',
+      '120.0.6099.109', 'chromedriver');
+    return downloadManager.downloadDriver('chrome', 'stable')
+    .then((driverDetails) => {
+      driverDetails.should.deep.equal({
+        module: 'chromedriver',
+        version: '120.0.6099.109',
+        path: expectedPath,
+        browserVersion: 120,
+      });
+      (fs.statSync(expectedPath).mode & parseInt('111', 8))
+        .should.not.equal(0);
+      fs.readdirSync(path.join(testPath, 'staging')).should.deep.equal([]);
+
+      new LocalChromeBrowser('stable').getDriverPath()
+        .should.equal(expectedPath);
+
+      // The recorded driver is reused for the same browser version.
+      return downloadManager.downloadDriver('chrome', 'stable');
+    })
+    .then(() => {
+      downloadedUrls.length.should.equal(1);
+    });
+  });
+
+  it('should install geckodriver from a tarball', function() {
+    stubBrowserVersion(LocalFirefoxBrowser, 52);
+    stubDownload('geckodriver.tar.gz');
+
+    return downloadManager.downloadDriver('firefox', 'stable')
+    .then((driverDetails) => {
+      driverDetails.path.should.equal(path.join(testPath, 'drivers',
+        'geckodriver', '0.17.0', 'geckodriver'));
+      new LocalFirefoxBrowser('stable').getDriverPath()
+        .should.equal(driverDetails.path);
+    });
+  });
+
+  it('should reject if the browser version is unknown', function() {
+    stubBrowserVersion(LocalChromeBrowser, -1);
+
+    return downloadManager.downloadDriver('chrome', 'stable')
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.indexOf('Unable to find the version').should.equal(0);
+    });
+  });
+
+  it('should only download the driver when asked to', function() {
+    let driverDownloads = 0;
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFirefox',
+        () => Promise.resolve())
+    );
+    sinonStubs.push(
+      sinon.stub(downloadManager, 'downloadDriver', () => {
+        driverDownloads++;
+        return Promise.resolve(null);
+      })
+    );
+
+    return seleniumAssistant.downloadLocalBrowser('firefox', 'stable', 0)
+    .then(() => {
+      driverDownloads.should.equal(0);
+      return seleniumAssistant.downloadLocalBrowser('firefox', 'stable', 0, {
+        downloadDriver: true,
+      });
+    })
+    .then(() => {
+      driverDownloads.should.equal(1);
+    });
+  });
+
+  it('should keep the browser and reject if the driver can\'t be found',
+    function() {
+    stubBrowserVersion(LocalChromeBrowser, 60);
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downlaodChrome',
+        () => Promise.resolve())
+    );
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_getDriverDownload', () => {
+        return Promise.reject(new Error('No chromedriver available.'));
+      })
+    );
+
+    return seleniumAssistant.downloadLocalBrowser('chrome', 'stable', 0, {
+      downloadDriver: true,
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.indexOf('No chromedriver available.').should.not.equal(-1);
+      installManifest.getInstall('chrome', 'stable').should.be.an('object');
+      (new LocalChromeBrowser('stable').getInstalledDriver() === null)
+        .should.equal(true);
+    });
+  });
+
+  it('should leave the PATH alone when using the driver modules',
+    function() {
+    const originalPath = process.env.PATH;
+    ['chromedriver', 'geckodriver'].forEach((driverModuleName) => {
+      delete require.cache[require.resolve(driverModuleName)];
+    });
+
+    new LocalChromeBrowser('stable').getDriverPath();
+    new LocalFirefoxBrowser('stable').getDriverPath();
+    process.env.PATH.should.equal(originalPath);
+
+    const moduleDriver = LocalChromeBrowser.getModuleDriver('chromedriver');
+    moduleDriver.version.should.equal(require('chromedriver').version);
+    process.env.PATH.should.equal(originalPath);
+    (LocalChromeBrowser.getModuleDriver('example-missing-driver') === null)
+      .should.equal(true);
+  });
+
+  it('should start a downloaded driver from its path', function() {
+    const driverPath = path.join(testPath, 'chromedriver');
+    mkdirp.sync(testPath);
+    fs.writeFileSync(driverPath, '');
+    let sessionCapabilities;
+    let sessionDriverPath;
+    const fakeDriver = {
+      getSession: () => Promise.resolve({}),
+    };
+    sinonStubs.push(
+      sinon.stub(LocalChromeBrowser.prototype, 'getInstalledDriver', () => {
+        return {module: 'chromedriver', version: '2.29', path: driverPath};
+      })
+    );
+    sinonStubs.push(
+      sinon.stub(LocalChromeBrowser.prototype, '_createDriverSession',
+        (capabilities, newDriverPath) => {
+          sessionCapabilities = capabilities;
+          sessionDriverPath = newDriverPath;
+          return fakeDriver;
+        })
+    );
+
+    const browser = new LocalChromeBrowser('stable');
+    return browser.getSeleniumDriver()
+    .then((driver) => {
+      driver.should.equal(fakeDriver);
+      sessionDriverPath.should.equal(driverPath);
+      sessionCapabilities.get('browserName').should.equal('chrome');
+      sessionCapabilities.has('chromeOptions').should.equal(true);
+    });
+  });
+
+  it('should leave the driver npm modules to the builder', function() {
+    const fakeDriver = {};
+    let sessionCount = 0;
+    sinonStubs.push(
+      sinon.stub(LocalChromeBrowser.prototype, 'getInstalledDriver',
+        () => null)
+    );
+    sinonStubs.push(
+      sinon.stub(LocalChromeBrowser.prototype, 'getDriverPath',
+        () => path.join(testPath, 'chromedriver'))
+    );
+    sinonStubs.push(
+      sinon.stub(LocalChromeBrowser.prototype, 'getSeleniumDriverBuilder',
+        () => {
+          return {
+            getServerUrl: () => null,
+            build: () => fakeDriver,
+          };
+        })
+    );
+    sinonStubs.push(
+      sinon.stub(LocalChromeBrowser.prototype, '_createDriverSession', () => {
+        sessionCount++;
+        return null;
+      })
+    );
+
+    const browser = new LocalChromeBrowser('stable');
+    return browser.getSeleniumDriver()
+    .then((driver) => {
+      driver.should.equal(fakeDriver);
+      sessionCount.should.equal(0);
+    });
+  });
+});
@@ -2,7 +2,6 @@
 
 const del = require('del');
 const sinon = require('sinon');
-const LocalStorage = require('node-localstorage').LocalStorage;
 const path = require('path');
 const mkdirp = require('mkdirp');
 
@@ -10,6 +9,7 @@ const LocalBrowser = require(
   '../src/browser-models/local-browser.js');
 const seleniumAssistant = require('../src/index.js');
 const downloadManager = require('../src/download-manager.js');
+const installManifest = require('../src/install-manifest.js');
 
 require('chai').should();
 
@@ -35,13 +35,13 @@ describe('Test Download Manager - Browser Expiration', function() {
           return downloadManager.downloadLocalBrowser(browserId, release);
         })
         .then(() => {
-          // The default should be 24 hours, so manipulate the DB to say older
-          // than 24 hours
-          const localStorage = new LocalStorage(localStoragePath);
-          const storageKey = `${browserId}:${release}`;
+          // The default should be 24 hours, so manipulate the manifest to
+          // say older than 24 hours
           const lastUpdate = Date.now() -
             (downloadManager.defaultExpiration * 60 * 60 * 1000);
-          localStorage.setItem(storageKey, lastUpdate);
+          return installManifest.updateInstall(browserId, release, {
+            updatedAt: lastUpdate,
+          });
         })
         .then(() => {
           return downloadManager.downloadLocalBrowser(browserId, release, 0);
@@ -81,11 +81,12 @@ describe('Test Download Manager - Browser Expiration', function() {
         .then(() => {
           browserDownloads[browserId][release].should.equal(false);
 
-          // Alter DB so browser is expired and check it downloads immediately
-          const storageKey = `${browserId}:${release}`;
-          const localStorage = new LocalStorage(localStoragePath);
+          // Alter the manifest so browser is expired and check it downloads
+          // immediately
           const lastUpdate = Date.now() - (EXPIRATION_TIME * 60 * 60 * 1000);
-          localStorage.setItem(storageKey, lastUpdate);
+          return installManifest.updateInstall(browserId, release, {
+            updatedAt: lastUpdate,
+          });
         })
         .then(() => {
           // Reset download for next step
@@ -0,0 +1,179 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const sinon = require('sinon');
+
+const seleniumAssistant = require('../src/index.js');
+const browserManager = require('../src/browser-manager.js');
+const BrowserVersion = require('../src/browser-models/browser-version.js');
+
+require('chai').should();
+
+describe('Find Browsers', function() {
+  const sinonStubs = [];
+  let supportedBrowsers;
+
+  const createBrowser = (browserId, release, rawVersion, details) => {
+    details = details || {};
+    return {
+      getId: () => browserId,
+      getReleaseName: () => release,
+      getVersion: () => BrowserVersion.parse(rawVersion),
+      getSource: () => details.source || 'system',
+      getExecutablePath: () => details.isMissing ? null : __filename,
+      isValid: () => !details.isMissing && !details.isBlacklisted,
+      isBlackListed: () => !!details.isBlacklisted,
+    };
+  };
+
+  const describeBrowsers = (browsers) => {
+    return browsers.map((browser) => {
+      return `${browser.getId()} ${browser.getReleaseName()}`;
+    });
+  };
+
+  beforeEach(function() {
+    supportedBrowsers = [
+      createBrowser('chrome', 'stable', 'Google Chrome 58.0.3029.110'),
+      createBrowser('chrome', 'beta', 'Google Chrome 59.0.3071.29 beta', {
+        source: 'install-dir',
+      }),
+      createBrowser('chrome', 'unstable', 'Google Chrome 60.0.3095.5 dev', {
+        source: 'install-dir',
+      }),
+      createBrowser('chromium', 'stable', null, {isMissing: true}),
+      createBrowser('firefox', 'stable', 'Mozilla Firefox 53.0.2'),
+      createBrowser('firefox', 'beta', 'Mozilla Firefox 53.0.2', {
+        source: 'install-dir',
+      }),
+      createBrowser('firefox', 'unstable', 'Mozilla Firefox 55.0a1'),
+      createBrowser('opera', 'stable', 'Opera 45.0.2552.812', {
+        isBlacklisted: true,
+      }),
+      createBrowser('opera', 'beta', null),
+    ];
+    sinonStubs.push(sinon.stub(browserManager, 'getSupportedBrowsers',
+      () => supportedBrowsers));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  it('should find the available browsers, newest first', function() {
+    describeBrowsers(seleniumAssistant.findBrowsers()).should.deep.equal([
+      'chrome unstable',
+      'chrome beta',
+      'chrome stable',
+      'firefox unstable',
+      'firefox stable',
+      'firefox beta',
+      'opera beta',
+    ]);
+  });
+
+  it('should filter by id and release', function() {
+    describeBrowsers(seleniumAssistant.findBrowsers({
+      ids: 'firefox',
+      releases: ['stable', 'beta'],
+    })).should.deep.equal([
+      'firefox stable',
+      'firefox beta',
+    ]);
+  });
+
+  it('should filter by version', function() {
+    describeBrowsers(seleniumAssistant.findBrowsers({
+      minVersion: '53.0.2',
+      maxVersion: 59,
+    })).should.deep.equal([
+      'chrome beta',
+      'chrome stable',
+      'firefox unstable',
+      'firefox stable',
+      'firefox beta',
+    ]);
+
+    // Only the numbers given for maxVersion are compared.
+    describeBrowsers(seleniumAssistant.findBrowsers({
+      ids: 'chrome',
+      maxVersion: 60,
+    })).should.deep.equal([
+      'chrome unstable',
+      'chrome beta',
+      'chrome stable',
+    ]);
+    describeBrowsers(seleniumAssistant.findBrowsers({
+      ids: 'chrome',
+      maxVersion: '60.0.3000',
+    })).should.deep.equal([
+      'chrome beta',
+      'chrome stable',
+    ]);
+
+    describeBrowsers(seleniumAssistant.findBrowsers({
+      ids: ['chrome', 'firefox'],
+      versionRange: '>=58.0.3029 <60 || 55.x',
+    })).should.deep.equal([
+      'chrome beta',
+      'chrome stable',
+      'firefox unstable',
+    ]);
+
+    (() => {
+      seleniumAssistant.findBrowsers({minVersion: 'latest'});
+    }).should.throw('Invalid version: \'latest\'');
+  });
+
+  it('should filter by source', function() {
+    describeBrowsers(seleniumAssistant.findBrowsers({
+      source: 'install-dir',
+    })).should.deep.equal([
+      'chrome unstable',
+      'chrome beta',
+      'firefox beta',
+    ]);
+  });
+
+  it('should include blacklisted browsers if asked', function() {
+    describeBrowsers(seleniumAssistant.findBrowsers({
+      ids: 'opera',
+      excludeBlacklisted: false,
+    })).should.deep.equal([
+      'opera stable',
+      'opera beta',
+    ]);
+  });
+
+  it('should get the best browser', function() {
+    seleniumAssistant.getBestBrowser('chrome').getReleaseName()
+      .should.equal('unstable');
+    seleniumAssistant.getBestBrowser('firefox').getReleaseName()
+      .should.equal('unstable');
+
+    // Stable wins when the versions are the same.
+    supportedBrowsers.splice(6, 1);
+    seleniumAssistant.getBestBrowser('firefox').getReleaseName()
+      .should.equal('stable');
+
+    (seleniumAssistant.getBestBrowser('chromium') === null)
+      .should.equal(true);
+  });
+});
@@ -0,0 +1,96 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+/* eslint-env node */
+
+const path = require('path');
+
+const TestServer = require('./test-server.js');
+
+/**
+ * <p>A stub of a remote WebDriver endpoint that hands out sessions without
+ * starting a browser and records the requests it gets.</p>
+ *
+ * @example
+ * const stubServer = new WebDriverStubServer();
+ * stubServer.startServer()
+ * .then((hubUrl) => {
+ *   console.log(hubUrl);
+ * });
+ */
+class WebDriverStubServer {
+  /**
+   * Create a new WebDriverStubServer instance.
+   */
+  constructor() {
+    this._testServer = new TestServer(false);
+    this.reset();
+
+    const app = this._testServer.getExpressApp();
+    app.post('/wd/hub/session', (req, res) => {
+      let body = '';
+      req.on('data', (chunk) => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        const capabilities = JSON.parse(body).desiredCapabilities;
+        this.sessionRequests.push({
+          authorization: req.headers.authorization,
+          capabilities: capabilities,
+        });
+        res.json({
+          sessionId: 'stub-session-' + this.sessionRequests.length,
+          status: 0,
+          value: capabilities,
+        });
+      });
+    });
+    app.delete('/wd/hub/session/:sessionId', (req, res) => {
+      this.deletedSessions.push(req.params.sessionId);
+      res.json({sessionId: req.params.sessionId, status: 0, value: null});
+    });
+  }
+
+  /**
+   * Forget the requests made so far.
+   */
+  reset() {
+    this.sessionRequests = [];
+    this.deletedSessions = [];
+  }
+
+  /**
+   * @return {Promise<String>} Promise that resolves to the hub URL once the
+   * server is started.
+   */
+  startServer() {
+    return this._testServer.startServer(path.join(__dirname, '..', 'data'))
+    .then((portNumber) => {
+      return `http://localhost:${portNumber}/wd/hub`;
+    });
+  }
+
+  /**
+   * Stop the server.
+   */
+  killServer() {
+    this._testServer.killServer();
+  }
+}
+
+module.exports = WebDriverStubServer;
@@ -0,0 +1,296 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+
+const seleniumAssistant = require('../src/index.js');
+const installManifest = require('../src/install-manifest.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const DAY_IN_MILLIS = 24 * 60 * 60 * 1000;
+
+describe('Clean Install Directory', function() {
+  const writeFile = (relativePath, bytes) => {
+    const filePath = path.join(testPath, relativePath);
+    mkdirp.sync(path.dirname(filePath));
+    fs.writeFileSync(filePath, '0'.repeat(bytes));
+    return filePath;
+  };
+
+  // Locks held by this process are never stale, so they stand in for
+  // another process that's downloading.
+  const writeLock = (relativePath) => {
+    fs.writeFileSync(writeFile(relativePath, 0), JSON.stringify({
+      pid: process.pid,
+      hostname: os.hostname(),
+      created: Date.now(),
+    }));
+  };
+
+  const exists = (relativePath) => {
+    return fs.existsSync(path.join(testPath, relativePath));
+  };
+
+  const removedPaths = (report) => {
+    return report.removed.map((removal) => {
+      return path.relative(testPath, removal.path);
+    }).sort();
+  };
+
+  const hasEntry = (browserId, release) => {
+    return installManifest.getInstall(browserId, release) !== null;
+  };
+
+  beforeEach(function() {
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    return del(testPath, {force: true})
+    .then(() => {
+      writeFile('chrome/stable/chrome', 1000);
+      writeFile('chrome/52.0/chrome', 1000);
+      writeFile('chrome/51.0/chrome', 1000);
+      writeFile('firefox/stable/firefox', 1000);
+      writeFile('firefox/beta/firefox', 1000);
+      writeFile('firefox/52.0.2/firefox', 1000);
+      writeFile('drivers/chromedriver/2.22/chromedriver', 100);
+      writeFile('drivers/chromedriver/2.21/chromedriver', 100);
+      writeFile('drivers/geckodriver/0.17.0/geckodriver', 100);
+      writeFile('google-chrome-stable.deb', 500);
+      writeFile('staging/firefox-latest.tar.gz', 500);
+      writeFile('staging/google-chrome-beta.deb', 500);
+
+      const oldTime = new Date(Date.now() - (2 * 60 * 60 * 1000));
+      fs.utimesSync(path.join(testPath, 'staging/firefox-latest.tar.gz'),
+        oldTime, oldTime);
+      fs.utimesSync(path.join(testPath, 'google-chrome-stable.deb'),
+        oldTime, oldTime);
+
+      const installs = [
+        ['chrome', 'stable', Date.now()],
+        ['chrome', '52.0', Date.now() - (10 * DAY_IN_MILLIS)],
+        ['chrome', '51.0', Date.now() - (20 * DAY_IN_MILLIS)],
+        ['firefox', 'stable', Date.now() - (40 * DAY_IN_MILLIS)],
+        ['firefox', 'beta', Date.now() - (50 * DAY_IN_MILLIS)],
+        ['opera', 'stable', Date.now()],
+      ];
+      return installs.reduce((promiseChain, install) => {
+        return promiseChain.then(() => {
+          return installManifest.updateInstall(install[0], install[1], {
+            installPath: path.join(testPath, install[0], install[1]),
+            installedAt: install[2],
+            updatedAt: install[2],
+          });
+        });
+      }, Promise.resolve());
+    })
+    .then(() => {
+      return installManifest.updateInstall('chrome', '52.0', {
+        driver: {
+          module: 'chromedriver',
+          version: '2.22',
+          path: path.join(testPath,
+            'drivers/chromedriver/2.22/chromedriver'),
+          browserVersion: 52,
+        },
+      });
+    })
+    .then(() => {
+      return installManifest.updateInstall('chrome', '51.0', {
+        driver: {
+          module: 'chromedriver',
+          version: '2.21',
+          path: path.join(testPath,
+            'drivers/chromedriver/2.21/chromedriver'),
+          browserVersion: 51,
+        },
+      });
+    });
+  });
+
+  after(function() {
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  it('should only remove leftovers without any options', function() {
+    return seleniumAssistant.cleanInstallDir()
+    .then((report) => {
+      removedPaths(report).should.deep.equal([
+        'drivers/geckodriver/0.17.0',
+        'google-chrome-stable.deb',
+        'staging/firefox-latest.tar.gz',
+      ]);
+      report.removedEntries.should.deep.equal(['opera:stable']);
+      report.freedBytes.should.equal(1100);
+
+      exists('staging/google-chrome-beta.deb').should.equal(true);
+      exists('chrome/52.0').should.equal(true);
+      exists('drivers/geckodriver/0.17.0').should.equal(false);
+      hasEntry('opera', 'stable').should.equal(false);
+      hasEntry('chrome', '52.0').should.equal(true);
+    });
+  });
+
+  it('should keep archives that are still being downloaded', function() {
+    writeFile('firefox-beta.tar.bz2', 500);
+
+    return seleniumAssistant.cleanInstallDir()
+    .then((report) => {
+      removedPaths(report).should.contain('google-chrome-stable.deb');
+      removedPaths(report).should.not.contain('firefox-beta.tar.bz2');
+      exists('firefox-beta.tar.bz2').should.equal(true);
+    });
+  });
+
+  it('should keep the latest installs of each channel and the latest ' +
+    'pinned versions', function() {
+    return seleniumAssistant.cleanInstallDir({keepLatest: 1})
+    .then((report) => {
+      removedPaths(report).should.deep.equal([
+        'chrome/51.0',
+        'drivers/chromedriver/2.21',
+        'drivers/geckodriver/0.17.0',
+        'google-chrome-stable.deb',
+        'staging/firefox-latest.tar.gz',
+      ]);
+      report.removedEntries.sort().should.deep.equal([
+        'chrome:51.0',
+        'opera:stable',
+      ]);
+
+      // The channels are kept even though they're older than the pinned
+      // versions.
+      exists('chrome/stable').should.equal(true);
+      exists('chrome/52.0').should.equal(true);
+      exists('firefox/stable').should.equal(true);
+      exists('firefox/beta').should.equal(true);
+      exists('firefox/52.0.2').should.equal(true);
+      exists('chrome/51.0').should.equal(false);
+      hasEntry('chrome', '51.0').should.equal(false);
+    });
+  });
+
+  it('should only remove installs beyond keepLatest for maxBytes',
+    function() {
+    return seleniumAssistant.cleanInstallDir({keepLatest: 1, maxBytes: 0})
+    .then((report) => {
+      removedPaths(report).should.contain('chrome/51.0');
+      removedPaths(report).should.not.contain('firefox/beta');
+      removedPaths(report).should.not.contain('chrome/52.0');
+      exists('firefox/beta').should.equal(true);
+    });
+  });
+
+  it('should remove installs older than a number of days', function() {
+    return seleniumAssistant.cleanInstallDir({olderThanDays: 30})
+    .then((report) => {
+      const installRemovals = report.removed.filter((removal) => {
+        return removal.path === path.join(testPath, 'firefox/stable');
+      });
+      installRemovals.length.should.equal(1);
+      installRemovals[0].bytes.should.equal(1000);
+      exists('firefox/stable').should.equal(false);
+      exists('chrome/52.0').should.equal(true);
+    });
+  });
+
+  it('should remove the oldest installs to fit in maxBytes', function() {
+    // After removing the leftovers there are 6000 bytes of installs, 200
+    // bytes of drivers, a 500 byte download and the install manifest.
+    const maxBytes = 6200 +
+      fs.statSync(installManifest.getManifestPath()).size;
+    return seleniumAssistant.cleanInstallDir({maxBytes: maxBytes})
+    .then((report) => {
+      removedPaths(report).should.contain('firefox/beta');
+      removedPaths(report).should.not.contain('firefox/stable');
+      removedPaths(report).should.not.contain('chrome/52.0');
+      report.remainingBytes.should.be.at.most(maxBytes);
+      exists('firefox/beta').should.equal(false);
+    });
+  });
+
+  it('should not remove anything in a dry run', function() {
+    return seleniumAssistant.cleanInstallDir({keepLatest: 1, dryRun: true})
+    .then((report) => {
+      report.dryRun.should.equal(true);
+      report.removed.length.should.equal(5);
+      exists('chrome/51.0').should.equal(true);
+      exists('google-chrome-stable.deb').should.equal(true);
+      hasEntry('chrome', '51.0').should.equal(true);
+    });
+  });
+
+  it('should skip installs locked by another process', function() {
+    writeLock('locks/chrome-51.0.lock');
+
+    return seleniumAssistant.cleanInstallDir({keepLatest: 1})
+    .then((report) => {
+      report.skipped.filter((skipped) => {
+        return skipped.reason === 'Being installed by another process.';
+      }).should.deep.equal([{
+        path: path.join(testPath, 'chrome/51.0'),
+        reason: 'Being installed by another process.',
+      }]);
+      exists('chrome/51.0').should.equal(true);
+      exists('drivers/chromedriver/2.21').should.equal(true);
+      hasEntry('chrome', '51.0').should.equal(true);
+    });
+  });
+
+  it('should skip leftovers while a download is in progress', function() {
+    writeLock('locks/opera-beta.lock');
+
+    return seleniumAssistant.cleanInstallDir()
+    .then((report) => {
+      removedPaths(report).should.deep.equal([]);
+      report.skipped.map((skipped) => {
+        skipped.reason.should.equal('A download is in progress.');
+        return path.relative(testPath, skipped.path);
+      }).sort().should.deep.equal([
+        'drivers/geckodriver/0.17.0',
+        'google-chrome-stable.deb',
+        'staging/firefox-latest.tar.gz',
+      ]);
+      exists('drivers/geckodriver/0.17.0').should.equal(true);
+      exists('google-chrome-stable.deb').should.equal(true);
+      exists('locks/opera-beta.lock').should.equal(true);
+    });
+  });
+
+  it('should skip unused drivers that are being installed', function() {
+    writeLock('locks/geckodriver-0.17.0.lock');
+
+    return seleniumAssistant.cleanInstallDir()
+    .then((report) => {
+      removedPaths(report).should.not.contain('drivers/geckodriver/0.17.0');
+      exists('drivers/geckodriver/0.17.0').should.equal(true);
+    });
+  });
+
+  it('should release the locks it takes', function() {
+    return seleniumAssistant.cleanInstallDir({keepLatest: 1})
+    .then(() => {
+      fs.readdirSync(path.join(testPath, 'locks')).should.deep.equal([]);
+    });
+  });
+});
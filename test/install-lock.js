@@ -0,0 +1,252 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const spawnSync = require('child_process').spawnSync;
+const del = require('del');
+const mkdirp = require('mkdirp');
+const sinon = require('sinon');
+
+const InstallLock = require('../src/install-lock.js');
+const LocalBrowser = require('../src/browser-models/local-browser.js');
+const downloadManager = require('../src/download-manager.js');
+const seleniumAssistant = require('../src/index.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const lockPath = path.join(testPath, 'locks', 'example-stable.lock');
+
+describe('Install Lock', function() {
+  const sinonStubs = [];
+
+  beforeEach(function() {
+    return del(testPath, {force: true});
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  after(function() {
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  const writeLock = (details) => {
+    mkdirp.sync(path.dirname(lockPath));
+    fs.writeFileSync(lockPath, JSON.stringify(details));
+  };
+
+  it('should create and remove the lock file', function() {
+    const lock = new InstallLock(lockPath);
+    return lock.acquire()
+    .then(() => {
+      const details = JSON.parse(fs.readFileSync(lockPath).toString());
+      details.pid.should.equal(process.pid);
+      lock.wasContended().should.equal(false);
+
+      lock.release();
+      fs.existsSync(lockPath).should.equal(false);
+    });
+  });
+
+  it('should wait for a held lock to be released', function() {
+    const firstLock = new InstallLock(lockPath);
+    const secondLock = new InstallLock(lockPath, {pollInterval: 10});
+    let firstReleased = false;
+
+    return firstLock.acquire()
+    .then(() => {
+      setTimeout(() => {
+        firstReleased = true;
+        firstLock.release();
+      }, 100);
+
+      return secondLock.acquire();
+    })
+    .then(() => {
+      firstReleased.should.equal(true);
+      secondLock.wasContended().should.equal(true);
+      secondLock.release();
+    });
+  });
+
+  it('should reject if the lock is not released before the timeout', function() {
+    const firstLock = new InstallLock(lockPath);
+    const secondLock = new InstallLock(lockPath, {
+      timeout: 50,
+      pollInterval: 10,
+    });
+
+    return firstLock.acquire()
+    .then(() => secondLock.acquire())
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.indexOf('Timed out').should.not.equal(-1);
+      firstLock.release();
+    });
+  });
+
+  it('should remove a lock left by a process that has exited', function() {
+    const exitedProcess = spawnSync(process.execPath, ['-e', '']);
+    writeLock({
+      pid: exitedProcess.pid,
+      hostname: os.hostname(),
+      created: Date.now(),
+    });
+
+    const lock = new InstallLock(lockPath, {timeout: 50});
+    return lock.acquire()
+    .then(() => {
+      lock.wasContended().should.equal(false);
+      lock.release();
+    });
+  });
+
+  it('should remove a lock from another host older than the stale timeout', function() {
+    writeLock({
+      pid: process.pid,
+      hostname: `not-${os.hostname()}`,
+      created: Date.now() - 1000,
+    });
+
+    const lock = new InstallLock(lockPath, {
+      timeout: 50,
+      staleTimeout: 500,
+    });
+    return lock.acquire()
+    .then(() => lock.release());
+  });
+
+  it('should keep an old lock held by a running process on this host', function() {
+    writeLock({
+      pid: process.pid,
+      hostname: os.hostname(),
+      created: Date.now() - 1000,
+    });
+
+    const lock = new InstallLock(lockPath, {
+      timeout: 50,
+      staleTimeout: 500,
+      pollInterval: 10,
+    });
+    return lock.acquire()
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.indexOf('Timed out').should.not.equal(-1);
+    });
+  });
+
+  it('should let only one contender take over a stale lock', function() {
+    const exitedProcess = spawnSync(process.execPath, ['-e', '']);
+    writeLock({
+      pid: exitedProcess.pid,
+      hostname: os.hostname(),
+      created: Date.now(),
+    });
+
+    const firstLock = new InstallLock(lockPath, {timeout: 50});
+    const secondLock = new InstallLock(lockPath, {timeout: 50});
+
+    // Both contenders see the stale lock before either takes it over.
+    const staleContents = secondLock._readLockFile();
+    firstLock._isStale(firstLock._readLockFile()).should.equal(true);
+    secondLock._isStale(staleContents).should.equal(true);
+
+    return firstLock.acquire()
+    .then(() => {
+      const firstContents = fs.readFileSync(lockPath).toString();
+
+      secondLock._takeOver(staleContents).should.equal(false);
+      fs.readFileSync(lockPath).toString().should.equal(firstContents);
+      fs.readdirSync(path.dirname(lockPath))
+        .should.deep.equal([path.basename(lockPath)]);
+
+      firstLock.release();
+    });
+  });
+
+  it('should wait for the install directory cleaner before downloading', function() {
+    seleniumAssistant.setBrowserInstallDir(testPath);
+
+    let downloadCount = 0;
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFirefox', () => {
+        downloadCount++;
+        return Promise.resolve();
+      })
+    );
+    sinonStubs.push(
+      sinon.stub(LocalBrowser.prototype, 'isValid', () => true)
+    );
+
+    const cleanLock = new InstallLock(path.join(testPath, 'locks',
+      'clean.lock'));
+    return cleanLock.acquire()
+    .then(() => {
+      const download = seleniumAssistant.downloadLocalBrowser('firefox',
+        'stable', 0, {lockTimeout: 1000});
+      return new Promise((resolve) => setTimeout(resolve, 100))
+      .then(() => {
+        // The download's lock is taken so the cleaner knows to skip
+        // leftovers, but nothing is downloaded until the cleaner is done.
+        downloadCount.should.equal(0);
+        fs.existsSync(path.join(testPath, 'locks', 'firefox-stable.lock'))
+          .should.equal(true);
+
+        cleanLock.release();
+        return download;
+      });
+    })
+    .then(() => {
+      downloadCount.should.equal(1);
+    });
+  });
+
+  it('should only download once for concurrent requests', function() {
+    seleniumAssistant.setBrowserInstallDir(testPath);
+
+    let downloadCount = 0;
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFirefox', () => {
+        downloadCount++;
+        return new Promise((resolve) => setTimeout(resolve, 100));
+      })
+    );
+    sinonStubs.push(
+      sinon.stub(LocalBrowser.prototype, 'isValid', () => true)
+    );
+
+    return Promise.all([
+      seleniumAssistant.downloadLocalBrowser('firefox', 'stable', 0),
+      seleniumAssistant.downloadLocalBrowser('firefox', 'stable', 0),
+    ])
+    .then(() => {
+      downloadCount.should.equal(1);
+      fs.existsSync(path.join(testPath, 'locks', 'firefox-stable.lock'))
+        .should.equal(false);
+    });
+  });
+});
@@ -0,0 +1,226 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+const sinon = require('sinon');
+const LocalStorage = require('node-localstorage').LocalStorage;
+
+const seleniumAssistant = require('../src/index.js');
+const downloadManager = require('../src/download-manager.js');
+const installManifest = require('../src/install-manifest.js');
+const LocalBrowser = require('../src/browser-models/local-browser.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+
+describe('Install Manifest', function() {
+  const sinonStubs = [];
+
+  beforeEach(function() {
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    // node-localstorage caches instances, so remove it through the instance.
+    const localStoragePath = path.join(testPath, 'localstorage');
+    mkdirp.sync(localStoragePath);
+    new LocalStorage(localStoragePath)._deleteLocation();
+    return del(testPath, {force: true});
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  after(function() {
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  it('should be empty without a manifest or localstorage', function() {
+    seleniumAssistant.getInstalledBrowsers().should.deep.equal([]);
+    (installManifest.getInstall('chrome', 'stable') === null)
+      .should.equal(true);
+  });
+
+  it('should migrate localstorage entries', function() {
+    const driverPath = path.join(testPath,
+      'drivers/chromedriver/2.22/chromedriver');
+    const localStoragePath = path.join(testPath, 'localstorage');
+    mkdirp.sync(localStoragePath);
+    const localStorage = new LocalStorage(localStoragePath);
+    localStorage.setItem('chrome:stable', 1000);
+    localStorage.setItem('chrome:stable:driver', JSON.stringify({
+      module: 'chromedriver',
+      version: '2.22',
+      path: driverPath,
+      browserVersion: 52,
+    }));
+    localStorage.setItem('firefox:52.0.2', 2000);
+
+    const installs = seleniumAssistant.getInstalledBrowsers();
+    installs.length.should.equal(2);
+
+    const chromeInstall = installManifest.getInstall('chrome', 'stable');
+    chromeInstall.installPath.should.equal(
+      path.join(testPath, 'chrome', 'stable'));
+    chromeInstall.installedAt.should.equal(1000);
+    chromeInstall.updatedAt.should.equal(1000);
+    chromeInstall.driver.path.should.equal(driverPath);
+    (chromeInstall.version === null).should.equal(true);
+
+    installManifest.getInstall('firefox', '52.0.2').updatedAt
+      .should.equal(2000);
+    fs.existsSync(installManifest.getManifestPath()).should.equal(false);
+
+    // The migrated entries are written with the first update.
+    return installManifest.updateInstall('firefox', '52.0.2', {
+      version: '52.0.2',
+    })
+    .then(() => {
+      fs.existsSync(installManifest.getManifestPath()).should.equal(true);
+      const manifest = JSON.parse(
+        fs.readFileSync(installManifest.getManifestPath()).toString());
+      Object.keys(manifest.installs).sort().should.deep.equal([
+        'chrome:stable',
+        'firefox:52.0.2',
+      ]);
+      manifest.installs['firefox:52.0.2'].version.should.equal('52.0.2');
+      manifest.installs['firefox:52.0.2'].updatedAt.should.equal(2000);
+    });
+  });
+
+  it('should keep concurrent updates', function() {
+    return Promise.all([
+      installManifest.updateInstall('chrome', 'stable', {updatedAt: 1}),
+      installManifest.updateInstall('chrome', 'beta', {updatedAt: 2}),
+      installManifest.updateInstall('firefox', 'stable', {updatedAt: 3}),
+    ])
+    .then(() => {
+      installManifest.getInstalls().length.should.equal(3);
+      return installManifest.removeInstalls(['chrome:beta']);
+    })
+    .then(() => {
+      installManifest.getInstalls().map((install) => install.release)
+        .sort().should.deep.equal(['stable', 'stable']);
+    });
+  });
+
+  it('should throw for an unreadable manifest', function() {
+    mkdirp.sync(testPath);
+    fs.writeFileSync(installManifest.getManifestPath(), '{"installs":');
+    (() => {
+      installManifest.getInstalls();
+    }).should.throw('Unable to parse the install manifest');
+  });
+
+  it('should record downloaded browsers', function() {
+    if (process.platform !== 'linux' && process.platform !== 'darwin') {
+      this.skip();
+    }
+
+    sinonStubs.push(sinon.stub(downloadManager, '_downlaodChrome', () => {
+      return Promise.resolve({
+        downloadUrl: 'https://example.com/chrome.deb',
+        sha256: 'a'.repeat(64),
+      });
+    }));
+    sinonStubs.push(sinon.stub(downloadManager, '_getInstalledVersion', () => {
+      return '52.0.2743.116';
+    }));
+    sinonStubs.push(sinon.stub(downloadManager, 'downloadDriver', () => {
+      return installManifest.updateInstall('chrome', 'stable', {
+        driver: {
+          module: 'chromedriver',
+          version: '2.24',
+          path: '/chromedriver',
+          browserVersion: 52,
+        },
+      });
+    }));
+
+    const startTime = Date.now();
+    return seleniumAssistant.downloadLocalBrowser('chrome', 'stable', 0, {
+      downloadDriver: true,
+    })
+    .then(() => {
+      const installs = seleniumAssistant.getInstalledBrowsers();
+      installs.length.should.equal(1);
+      installs[0].browserId.should.equal('chrome');
+      installs[0].release.should.equal('stable');
+      installs[0].version.should.equal('52.0.2743.116');
+      installs[0].downloadUrl.should.equal('https://example.com/chrome.deb');
+      installs[0].sha256.should.equal('a'.repeat(64));
+      installs[0].installPath.should.equal(
+        path.join(testPath, 'chrome', 'stable'));
+      installs[0].driver.version.should.equal('2.24');
+      installs[0].installedAt.should.be.at.least(startTime);
+      installs[0].updatedAt.should.equal(installs[0].installedAt);
+
+      seleniumAssistant.getLocalBrowser('chrome', 'stable')
+        .getInstalledDriver().path.should.equal('/chromedriver');
+    });
+  });
+
+  it('should keep the first install time when downloading again', function() {
+    if (process.platform !== 'linux' && process.platform !== 'darwin') {
+      this.skip();
+    }
+
+    sinonStubs.push(sinon.stub(downloadManager, '_downlaodChrome', () => {
+      return Promise.resolve();
+    }));
+    sinonStubs.push(sinon.stub(downloadManager, '_getInstalledVersion', () => {
+      return null;
+    }));
+    sinonStubs.push(sinon.stub(downloadManager, 'downloadDriver', () => {
+      return Promise.resolve(null);
+    }));
+
+    return installManifest.updateInstall('chrome', 'beta', {
+      installPath: path.join(testPath, 'chrome', 'beta'),
+      installedAt: 1000,
+      updatedAt: 1000,
+    })
+    .then(() => seleniumAssistant.downloadLocalBrowser('chrome', 'beta', 0))
+    .then(() => {
+      const install = installManifest.getInstall('chrome', 'beta');
+      install.installedAt.should.equal(1000);
+      install.updatedAt.should.be.above(1000);
+      (install.downloadUrl === null).should.equal(true);
+    });
+  });
+
+  it('should find the version in version strings', function() {
+    const versionStrings = {
+      'Google Chrome 52.0.2743.116 ': '52.0.2743.116',
+      'Mozilla Firefox 53.0b5': '53.0b5',
+      'Unknown': 'Unknown',
+    };
+    Object.keys(versionStrings).forEach((rawVersion) => {
+      const versionStub = sinon.stub(LocalBrowser.prototype,
+        'getRawVersionString', () => rawVersion);
+      downloadManager._getInstalledVersion('firefox', 'stable')
+        .should.equal(versionStrings[rawVersion]);
+      versionStub.restore();
+    });
+  });
+});
@@ -101,6 +101,36 @@ describe('LocalBrowser', function() {
     }).to.throw('Unexpected browser release');
   });
 
+  it('should accept a pinned version', function() {
+    const localBrowser = new LocalBrowser(
+      EXAMPLE_CONFIG,
+      {version: '52.0.2'}
+    );
+    localBrowser.getReleaseName().should.equal('52.0.2');
+    localBrowser.getPinnedVersion().should.equal('52.0.2');
+    localBrowser.getPrettyName().should.equal(
+      `${EXAMPLE_CONFIG._prettyName} 52.0.2`);
+  });
+
+  it('should return null for the pinned version of a release', function() {
+    const localBrowser = new LocalBrowser(
+      EXAMPLE_CONFIG,
+      'stable'
+    );
+    expect(localBrowser.getPinnedVersion()).to.equal(null);
+  });
+
+  it('should fail on invalid pinned version input', function() {
+    ['../52.0.2', '', 'latest', null].forEach((version) => {
+      expect(() => {
+        new LocalBrowser(
+          EXAMPLE_CONFIG,
+          {version: version}
+        );
+      }).to.throw('Unexpected browser version');
+    });
+  });
+
   it('should fail on no selenium options', function() {
     expect(() => {
       new LocalBrowser(
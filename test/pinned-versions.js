@@ -0,0 +1,152 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const sinon = require('sinon');
+
+const downloadManager = require('../src/download-manager.js');
+const seleniumAssistant = require('../src/index.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const fixturesPath = path.join(__dirname, 'data', 'download-fixtures');
+
+describe('Test Download Manager - Pinned Versions', function() {
+  const sinonStubs = [];
+  let downloadedUrls;
+  let downloadedPaths;
+
+  beforeEach(function() {
+    if (process.platform !== 'linux') {
+      this.skip();
+    }
+
+    downloadedUrls = [];
+    downloadedPaths = [];
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    sinonStubs.push(
+      sinon.stub(downloadManager, 'downloadDriver',
+        () => Promise.resolve(null))
+    );
+    return del(testPath, {force: true});
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+  });
+
+  after(function() {
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  const stubDownload = (fixtureName) => {
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFile', (downloadUrl, filePath) => {
+        downloadedUrls.push(downloadUrl);
+        downloadedPaths.push(filePath);
+        fs.writeFileSync(filePath,
+          fs.readFileSync(path.join(fixturesPath, fixtureName)));
+        return Promise.resolve(filePath);
+      })
+    );
+  };
+
+  it('should install a pinned Firefox version side-by-side', function() {
+    stubDownload('firefox.tar.bz2');
+
+    return seleniumAssistant.downloadLocalBrowser('firefox', {
+      version: '52.0.2',
+    })
+    .then(() => {
+      downloadedUrls.should.deep.equal([
+        'https://archive.mozilla.org/pub/firefox/releases/52.0.2/' +
+        'linux-x86_64/en-US/firefox-52.0.2.tar.bz2',
+      ]);
+      path.basename(downloadedPaths[0]).should.equal(
+        'firefox-52.0.2.tar.bz2');
+
+      const browser = seleniumAssistant.getLocalBrowser('firefox', {
+        version: '52.0.2',
+      });
+      browser.getExecutablePath().should.equal(
+        path.join(testPath, 'firefox', '52.0.2', 'firefox'));
+
+      // Other versions shouldn't pick up the pinned install.
+      const otherBrowser = seleniumAssistant.getLocalBrowser('firefox', {
+        version: '53.0',
+      });
+      (otherBrowser.getExecutablePath() === null).should.equal(true);
+    });
+  });
+
+  it('should not download an installed pinned version again', function() {
+    stubDownload('firefox.tar.bz2');
+
+    return seleniumAssistant.downloadLocalBrowser('firefox', {
+      version: '52.0.2',
+    })
+    .then(() => {
+      // Even after the default expiration, a pinned version can't change.
+      return seleniumAssistant.downloadLocalBrowser('firefox', {
+        version: '52.0.2',
+      }, 0.0001);
+    })
+    .then(() => {
+      downloadedUrls.length.should.equal(1);
+    });
+  });
+
+  it('should download pinned Chrome versions from the apt pool', function() {
+    sinonStubs.push(
+      sinon.stub(downloadManager, '_downloadFile', (downloadUrl) => {
+        downloadedUrls.push(downloadUrl);
+        return Promise.reject(new Error('Injected Error'));
+      })
+    );
+
+    return seleniumAssistant.downloadLocalBrowser('chrome', {
+      version: '56.0.2924.87',
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Injected Error');
+      downloadedUrls.should.deep.equal([
+        'https://dl.google.com/linux/chrome/deb/pool/main/g/' +
+        'google-chrome-stable/google-chrome-stable_56.0.2924.87-1_amd64.deb',
+      ]);
+    });
+  });
+
+  it('should reject an invalid pinned version', function() {
+    return seleniumAssistant.downloadLocalBrowser('firefox', {
+      version: '../../52.0.2',
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.indexOf('Invalid browser version').should.not.equal(-1);
+    });
+  });
+});
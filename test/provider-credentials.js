@@ -0,0 +1,185 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+
+const seleniumAssistant = require('../src/index.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const configPath = path.join(testPath, 'selenium-assistant.json');
+const ENVIRONMENT_VARIABLES = [
+  'SAUCE_USERNAME',
+  'SAUCE_ACCESS_KEY',
+  'BROWSERSTACK_USERNAME',
+  'BROWSERSTACK_ACCESS_KEY',
+  'SELENIUM_ASSISTANT_CONFIG',
+];
+
+describe('Provider Credentials', function() {
+  let originalEnvironment;
+
+  const writeConfig = (config) => {
+    mkdirp.sync(testPath);
+    fs.writeFileSync(configPath, typeof config === 'string' ?
+      config : JSON.stringify(config));
+  };
+
+  const getSessionCapabilities = (browser) => {
+    return browser.getSeleniumDriverBuilder().getCapabilities();
+  };
+
+  beforeEach(function() {
+    originalEnvironment = {};
+    ENVIRONMENT_VARIABLES.forEach((variableName) => {
+      originalEnvironment[variableName] = process.env[variableName];
+      delete process.env[variableName];
+    });
+
+    seleniumAssistant.setSaucelabsDetails(null, null);
+    seleniumAssistant.setBrowserStackDetails(null, null);
+    seleniumAssistant.setConfigPath(configPath);
+    return del(testPath, {force: true});
+  });
+
+  afterEach(function() {
+    ENVIRONMENT_VARIABLES.forEach((variableName) => {
+      if (typeof originalEnvironment[variableName] === 'undefined') {
+        delete process.env[variableName];
+      } else {
+        process.env[variableName] = originalEnvironment[variableName];
+      }
+    });
+
+    seleniumAssistant.setConfigPath(null);
+    return del(testPath, {force: true});
+  });
+
+  it('should use the environment variables', function() {
+    process.env.SAUCE_USERNAME = 'env-user';
+    process.env.SAUCE_ACCESS_KEY = 'env-key';
+    process.env.BROWSERSTACK_USERNAME = 'env-bs-user';
+    process.env.BROWSERSTACK_ACCESS_KEY = 'env-bs-key';
+
+    const sauceCapabilities = getSessionCapabilities(
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest'));
+    sauceCapabilities.get('username').should.equal('env-user');
+    sauceCapabilities.get('accessKey').should.equal('env-key');
+
+    const browserStackCapabilities = getSessionCapabilities(
+      seleniumAssistant.getBrowserStackBrowser('chrome', 'latest'));
+    browserStackCapabilities.get('browserstack.user')
+      .should.equal('env-bs-user');
+    browserStackCapabilities.get('browserstack.key')
+      .should.equal('env-bs-key');
+  });
+
+  it('should use the project config file', function() {
+    writeConfig({
+      saucelabs: {
+        username: 'config-user',
+        accessKey: 'config-key',
+        serverUrl: 'https://ondemand.eu-central-1.saucelabs.com/wd/hub',
+      },
+    });
+
+    const browser = seleniumAssistant.getSaucelabsBrowser('chrome', 'latest');
+    getSessionCapabilities(browser).get('username')
+      .should.equal('config-user');
+    browser.getHubUrl().should.equal('https://config-user:config-key@' +
+      'ondemand.eu-central-1.saucelabs.com/wd/hub');
+  });
+
+  it('should find the config file from the environment variable', function() {
+    writeConfig({
+      saucelabs: {username: 'config-user', accessKey: 'config-key'},
+    });
+    seleniumAssistant.setConfigPath(null);
+    process.env.SELENIUM_ASSISTANT_CONFIG = configPath;
+
+    getSessionCapabilities(
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest'))
+      .get('username').should.equal('config-user');
+  });
+
+  it('should prefer explicit details over the environment and config',
+    function() {
+    process.env.SAUCE_USERNAME = 'env-user';
+    process.env.SAUCE_ACCESS_KEY = 'env-key';
+    writeConfig({
+      saucelabs: {username: 'config-user', accessKey: 'config-key'},
+    });
+
+    getSessionCapabilities(
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest'))
+      .get('username').should.equal('env-user');
+
+    // An incomplete set of environment variables is skipped.
+    delete process.env.SAUCE_ACCESS_KEY;
+    getSessionCapabilities(
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest'))
+      .get('username').should.equal('config-user');
+
+    seleniumAssistant.setSaucelabsDetails('global-user', 'global-key');
+    getSessionCapabilities(
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest'))
+      .get('username').should.equal('global-user');
+
+    getSessionCapabilities(
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest', {
+        saucelabs: {username: 'browser-user', accessKey: 'browser-key'},
+      }))
+      .get('username').should.equal('browser-user');
+  });
+
+  it('should list the places that were checked', function() {
+    (() => {
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest');
+    }).should.throw('Saucelabs details not defined. Checked the details ' +
+      'set on selenium-assistant, the SAUCE_USERNAME and SAUCE_ACCESS_KEY ' +
+      `environment variables, 'saucelabs' in ${configPath}.`);
+
+    // Tunnels need the details too.
+    return seleniumAssistant.enableSaucelabsConnect()
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.match(/^Saucelabs details not defined\./);
+      return seleniumAssistant.enableBrowserStackLocal();
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('BrowserStack details not defined. Checked ' +
+        'the details set on selenium-assistant, the BROWSERSTACK_USERNAME ' +
+        'and BROWSERSTACK_ACCESS_KEY environment variables, ' +
+        `'browserstack' in ${configPath}.`);
+    });
+  });
+
+  it('should throw if the config file can\'t be parsed', function() {
+    writeConfig('{"saucelabs": ');
+    (() => {
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest');
+    }).should.throw(`Unable to parse ${configPath}: `);
+  });
+});
@@ -0,0 +1,185 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const WebDriverStubServer = require('./helpers/webdriver-stub-server.js');
+const seleniumAssistant = require('../src/index.js');
+const providerManager = require('../src/provider-manager.js');
+const Provider = require('../src/providers/provider.js');
+
+require('chai').should();
+
+describe('Providers', function() {
+  const stubServer = new WebDriverStubServer();
+  let hubUrl;
+  let tunnelEvents;
+
+  class DeviceFarmProvider extends Provider {
+    constructor(id) {
+      super(id, 'Device Farm');
+    }
+
+    getHubUrl(credentials) {
+      return hubUrl;
+    }
+
+    getCapabilities(browserId, browserVersion, options) {
+      return {'farm:pool': options.pool || 'default'};
+    }
+
+    getSessionCapabilities(credentials) {
+      return {'farm:token': credentials.token};
+    }
+
+    isValidCredentials(credentials) {
+      return !!credentials && !!credentials.token;
+    }
+
+    startTunnel() {
+      tunnelEvents.push('start');
+      return Promise.resolve();
+    }
+
+    stopTunnel() {
+      tunnelEvents.push('stop');
+      return Promise.resolve();
+    }
+  }
+
+  before(function() {
+    seleniumAssistant.registerProvider(new DeviceFarmProvider('device-farm'));
+    return stubServer.startServer()
+    .then((stubHubUrl) => {
+      hubUrl = stubHubUrl;
+    });
+  });
+
+  after(function() {
+    stubServer.killServer();
+  });
+
+  beforeEach(function() {
+    stubServer.reset();
+    tunnelEvents = [];
+    seleniumAssistant.setProviderCredentials('device-farm', null);
+  });
+
+  it('should register the built in providers', function() {
+    providerManager.getProviders().map((provider) => provider.getId())
+      .should.include.members(['saucelabs', 'browserstack', 'device-farm']);
+  });
+
+  it('should throw for invalid providers', function() {
+    (() => {
+      seleniumAssistant.registerProvider(null);
+    }).should.throw('A provider instance is required.');
+
+    (() => {
+      seleniumAssistant.registerProvider({
+        getId: () => 'incomplete',
+      });
+    }).should.throw('Providers must implement getPrettyName().');
+
+    (() => {
+      seleniumAssistant.registerProvider(new DeviceFarmProvider('saucelabs'));
+    }).should.throw('A provider with the id \'saucelabs\' is already ' +
+      'registered.');
+
+    (() => {
+      new Provider();
+    }).should.throw('A provider needs an id.');
+
+    (() => {
+      new Provider('unfinished').getHubUrl({});
+    }).should.throw('getHubUrl() must be overriden by subclasses');
+  });
+
+  it('should throw for unknown providers', function() {
+    (() => {
+      seleniumAssistant.getProviderBrowser('unknown', 'chrome', 'latest');
+    }).should.throw('Unknown provider: \'unknown\'');
+
+    return seleniumAssistant.startProviderTunnel('unknown')
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Unknown provider: \'unknown\'');
+    });
+  });
+
+  it('should throw without credentials', function() {
+    (() => {
+      seleniumAssistant.getProviderBrowser('device-farm', 'chrome', 'latest');
+    }).should.throw('Device Farm details not defined.');
+  });
+
+  it('should start sessions on the provider\'s hub', function() {
+    this.timeout(6000);
+
+    seleniumAssistant.setProviderCredentials('device-farm', {
+      token: 'example-token',
+    });
+    const browser = seleniumAssistant.getProviderBrowser('device-farm',
+      'firefox', 'latest', {
+        pool: 'linux',
+        capabilities: {
+          acceptSslCerts: true,
+        },
+      });
+    browser.getPrettyName().should.equal('Firefox - [latest]');
+    browser.getHubUrl().should.equal(hubUrl);
+
+    return browser.getSeleniumDriver()
+    .then((driver) => seleniumAssistant.killWebDriver(driver))
+    .then(() => {
+      stubServer.sessionRequests.length.should.equal(1);
+      const capabilities = stubServer.sessionRequests[0].capabilities;
+      capabilities.browserName.should.equal('firefox');
+      capabilities.version.should.equal('latest');
+      capabilities['farm:pool'].should.equal('linux');
+      capabilities['farm:token'].should.equal('example-token');
+      capabilities.acceptSslCerts.should.equal(true);
+    });
+  });
+
+  it('should prefer the credentials passed in for a browser', function() {
+    const browser = seleniumAssistant.getProviderBrowser('device-farm',
+      'chrome', 'latest', {
+        credentials: {token: 'browser-token'},
+      });
+    browser.getCredentials().should.deep.equal({token: 'browser-token'});
+  });
+
+  it('should start and stop the provider\'s tunnel', function() {
+    return seleniumAssistant.startProviderTunnel('device-farm')
+    .then(() => seleniumAssistant.stopProviderTunnel('device-farm'))
+    .then(() => {
+      tunnelEvents.should.deep.equal(['start', 'stop']);
+    });
+  });
+
+  it('should reject reporting results by default', function() {
+    return new Provider('example', 'Example').reportResult('session-id', {
+      passed: true,
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Example doesn\'t support reporting results.');
+    });
+  });
+});
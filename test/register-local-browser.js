@@ -0,0 +1,217 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+
+const seleniumAssistant = require('../src/index.js');
+const application = require('../src/application-state.js');
+const browserManager = require('../src/browser-manager.js');
+const installManifest = require('../src/install-manifest.js');
+const DriverConfig = require('../src/browser-models/driver-config.js');
+const LocalBrowser = require('../src/browser-models/local-browser.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+
+describe('Register Local Browser', function() {
+  let downloadCalls;
+
+  const createBrowserClass = (browserId, prettyName) => {
+    return class extends LocalBrowser {
+      constructor(release) {
+        super(new DriverConfig(browserId, null, prettyName, null), release);
+      }
+
+      getExecutablePath() {
+        const executablePath = path.join(application.getInstallDirectory(),
+          browserId, this.getReleaseName(), 'chrome');
+        return fs.existsSync(executablePath) ? executablePath : null;
+      }
+
+      getRawVersionString() {
+        return this.getExecutablePath() ? `${prettyName} 60.0.3112.0` : null;
+      }
+
+      static getPrettyReleaseNames() {
+        return {
+          stable: 'Stable',
+          beta: 'Beta',
+        };
+      }
+    };
+  };
+
+  class PatchedChromiumBrowser extends
+    createBrowserClass('patched-chromium', 'Patched Chromium') {
+    static download(release, installPath, options) {
+      downloadCalls.push({
+        release: release,
+        installPath: installPath,
+        options: options,
+      });
+      mkdirp.sync(installPath);
+      fs.writeFileSync(path.join(installPath, 'chrome'), '');
+      return Promise.resolve({
+        downloadUrl: 'https://example.com/patched-chromium.zip',
+        sha256: 'abc123',
+      });
+    }
+  }
+
+  const UndownloadableBrowser = createBrowserClass('undownloadable',
+    'Undownloadable');
+
+  const registeredIds = ['patched-chromium', 'undownloadable'];
+
+  beforeEach(function() {
+    downloadCalls = [];
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    return del(testPath, {force: true});
+  });
+
+  afterEach(function() {
+    registeredIds.forEach((browserId) => {
+      delete browserManager._localBrowsers[browserId];
+    });
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  it('should return the registered browser', function() {
+    seleniumAssistant.registerLocalBrowser('patched-chromium',
+      PatchedChromiumBrowser, ['stable', 'beta']);
+
+    const browser = seleniumAssistant.getLocalBrowser('patched-chromium',
+      'beta');
+    browser.should.be.instanceof(PatchedChromiumBrowser);
+    browser.getId().should.equal('patched-chromium');
+    browser.getPrettyName().should.equal('Patched Chromium Beta');
+
+    const supportedBrowsers = browserManager.getSupportedBrowsers()
+    .map((supportedBrowser) => {
+      return `${supportedBrowser.getId()} ` +
+        `${supportedBrowser.getReleaseName()}`;
+    });
+    supportedBrowsers.slice(-2).should.deep.equal([
+      'patched-chromium stable',
+      'patched-chromium beta',
+    ]);
+    supportedBrowsers.indexOf('chrome stable').should.equal(0);
+  });
+
+  it('should download the registered browser and find it', function() {
+    seleniumAssistant.registerLocalBrowser('patched-chromium',
+      PatchedChromiumBrowser, ['stable']);
+
+    const findIds = () => {
+      return seleniumAssistant.getLocalBrowsers()
+      .map((browser) => browser.getId());
+    };
+    findIds().indexOf('patched-chromium').should.equal(-1);
+
+    return seleniumAssistant.downloadLocalBrowser('patched-chromium',
+      'stable', 0, {downloadDriver: false})
+    .then(() => {
+      downloadCalls.length.should.equal(1);
+      downloadCalls[0].release.should.equal('stable');
+      downloadCalls[0].installPath.should.equal(
+        path.join(testPath, 'patched-chromium', 'stable'));
+
+      const install = installManifest.getInstall('patched-chromium',
+        'stable');
+      install.version.should.equal('60.0.3112.0');
+      install.downloadUrl.should.equal(
+        'https://example.com/patched-chromium.zip');
+      install.sha256.should.equal('abc123');
+
+      findIds().indexOf('patched-chromium').should.not.equal(-1);
+
+      const bestBrowser = seleniumAssistant.getBestBrowser('patched-chromium');
+      bestBrowser.getVersion().major.should.equal(60);
+      bestBrowser.getSource().should.equal('install-dir');
+
+      const browserInfo = seleniumAssistant.getAvailableBrowserInfo()
+      .filter((info) => info.browserId === 'patched-chromium');
+      browserInfo.length.should.equal(1);
+      browserInfo[0].majorVersion.should.equal(60);
+      (browserInfo[0].driver === null).should.equal(true);
+
+      seleniumAssistant.printAvailableBrowserInfo(false, 'markdown')
+      .should.contain('Patched Chromium');
+    });
+  });
+
+  it('should clean up installs of the registered browser', function() {
+    seleniumAssistant.registerLocalBrowser('patched-chromium',
+      PatchedChromiumBrowser, ['stable']);
+
+    return seleniumAssistant.downloadLocalBrowser('patched-chromium',
+      'stable', 0, {downloadDriver: false})
+    .then(() => seleniumAssistant.cleanInstallDir({keepLatest: 0}))
+    .then((report) => {
+      report.removed.map((removal) => removal.path).should.deep.equal([
+        path.join(testPath, 'patched-chromium', 'stable'),
+      ]);
+    });
+  });
+
+  it('should reject downloads of browsers without a download()', function() {
+    seleniumAssistant.registerLocalBrowser('undownloadable',
+      UndownloadableBrowser, ['stable']);
+
+    return seleniumAssistant.downloadLocalBrowser('undownloadable', 'stable',
+      0, {downloadDriver: false})
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Apologies, but undownloadable can\'t be ' +
+        'downloaded with this tool');
+    });
+  });
+
+  it('should throw for invalid registrations', function() {
+    [
+      [[null, PatchedChromiumBrowser, ['stable']],
+        'A local browser needs an id.'],
+      [['chrome', PatchedChromiumBrowser, ['stable']],
+        'A local browser with the id \'chrome\' is already registered.'],
+      [['patched-chromium', function() {}, ['stable']],
+        'Local browsers must extend LocalBrowser.'],
+      [['patched-chromium', PatchedChromiumBrowser, []],
+        'A local browser needs a list of releases, i.e. [\'stable\'].'],
+      [['patched-chromium', PatchedChromiumBrowser, ['nightly']],
+        'Unknown release type: \'nightly\''],
+      [['patched', PatchedChromiumBrowser, ['stable']],
+        'The browser class has the id \'patched-chromium\' instead of ' +
+        '\'patched\'.'],
+    ].forEach((invalidRegistration) => {
+      (() => {
+        seleniumAssistant.registerLocalBrowser(...invalidRegistration[0]);
+      }).should.throw(invalidRegistration[1]);
+    });
+
+    (() => {
+      seleniumAssistant.getLocalBrowser('patched-chromium', 'stable');
+    }).should.throw('Unknown web driver browser request: ' +
+      '\'patched-chromium\'');
+  });
+});
@@ -0,0 +1,143 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const WebDriverStubServer = require('./helpers/webdriver-stub-server.js');
+const seleniumAssistant = require('../src/index.js');
+const RemoteBrowser = require('../src/browser-models/remote-browser.js');
+
+require('chai').should();
+
+describe('Remote Browser', function() {
+  const stubServer = new WebDriverStubServer();
+  let hubUrl;
+
+  before(function() {
+    return stubServer.startServer()
+    .then((stubHubUrl) => {
+      hubUrl = stubHubUrl;
+    });
+  });
+
+  after(function() {
+    stubServer.killServer();
+  });
+
+  beforeEach(function() {
+    stubServer.reset();
+  });
+
+  it('should throw for an invalid hub URL', function() {
+    [undefined, null, '', 'localhost:4444/wd/hub', {}].forEach((badUrl) => {
+      (() => {
+        seleniumAssistant.getRemoteBrowser(badUrl, 'chrome');
+      }).should.throw('A hub URL is required');
+    });
+  });
+
+  it('should throw for unknown browser ids', function() {
+    (() => {
+      seleniumAssistant.getRemoteBrowser(hubUrl, 'netscape');
+    }).should.throw('Unknown remote browser: \'netscape\'');
+  });
+
+  it('should throw for incomplete auth', function() {
+    (() => {
+      seleniumAssistant.getRemoteBrowser(hubUrl, 'chrome', {
+        auth: {username: 'example-user'},
+      });
+    }).should.throw('The auth option needs a username and password.');
+  });
+
+  it('should describe the remote browser', function() {
+    const browser = seleniumAssistant.getRemoteBrowser(
+      'http://grid.example.com:4444/wd/hub', 'firefox', {version: 52});
+    browser.should.be.instanceof(RemoteBrowser);
+    browser.getId().should.equal('firefox');
+    browser.getRequestedVersion().should.equal('52');
+    browser.getHubUrl().should.equal('http://grid.example.com:4444/wd/hub');
+    browser.getPrettyName().should.equal(
+      'Firefox - [52] on grid.example.com:4444');
+
+    const anyVersion = seleniumAssistant.getRemoteBrowser(
+      'http://grid.example.com:4444/wd/hub', 'chrome');
+    (anyVersion.getRequestedVersion() === null).should.equal(true);
+    anyVersion.getPrettyName().should.equal(
+      'Google Chrome on grid.example.com:4444');
+  });
+
+  it('should start sessions on the hub for each browser id', function() {
+    this.timeout(20000);
+
+    const browserIds = [
+      'chrome',
+      'firefox',
+      'opera',
+      'safari',
+      'microsoftedge',
+      'internet explorer',
+    ];
+    return browserIds.reduce((promiseChain, browserId) => {
+      return promiseChain.then(() => {
+        const browser = seleniumAssistant.getRemoteBrowser(hubUrl,
+          browserId, {
+            version: '52.0',
+            platform: 'LINUX',
+          });
+        return browser.getSeleniumDriver()
+        .then((driver) => seleniumAssistant.killWebDriver(driver));
+      });
+    }, Promise.resolve())
+    .then(() => {
+      stubServer.sessionRequests.map((request) => {
+        return request.capabilities.browserName;
+      }).should.deep.equal(browserIds);
+      stubServer.sessionRequests.forEach((request) => {
+        request.capabilities.version.should.equal('52.0');
+        request.capabilities.platform.should.equal('LINUX');
+        (typeof request.authorization === 'undefined').should.equal(true);
+      });
+      stubServer.deletedSessions.length.should.equal(browserIds.length);
+    });
+  });
+
+  it('should send the auth and extra capabilities', function() {
+    this.timeout(6000);
+
+    const browser = seleniumAssistant.getRemoteBrowser(hubUrl, 'chrome', {
+      auth: {username: 'example-user', password: 'example-password'},
+      capabilities: {
+        acceptSslCerts: true,
+      },
+    });
+    browser.addCapability('name', 'Example Test');
+
+    return browser.getSeleniumDriver()
+    .then((driver) => seleniumAssistant.killWebDriver(driver))
+    .then(() => {
+      stubServer.sessionRequests.length.should.equal(1);
+      stubServer.sessionRequests[0].authorization.should.equal('Basic ' +
+        new Buffer('example-user:example-password').toString('base64'));
+
+      const capabilities = stubServer.sessionRequests[0].capabilities;
+      capabilities.browserName.should.equal('chrome');
+      capabilities.acceptSslCerts.should.equal(true);
+      capabilities.name.should.equal('Example Test');
+      (typeof capabilities.version === 'undefined').should.equal(true);
+    });
+  });
+});
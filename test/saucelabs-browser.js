@@ -0,0 +1,334 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const TestServer = require('./helpers/test-server.js');
+const WebDriverStubServer = require('./helpers/webdriver-stub-server.js');
+const seleniumAssistant = require('../src/index.js');
+const ProviderBrowser = require('../src/browser-models/provider-browser.js');
+
+require('chai').should();
+
+describe('Saucelabs Browser', function() {
+  const stubServer = new WebDriverStubServer();
+  const restServer = new TestServer(false);
+  let serverUrl;
+  let restUrl;
+  let jobUpdates;
+  let jobUpdateStatus;
+
+  before(function() {
+    // A stand-in for the Saucelabs REST API.
+    restServer.getExpressApp().put('/rest/v1/:username/jobs/:jobId',
+      (req, res) => {
+        let body = '';
+        req.on('data', (chunk) => {
+          body += chunk;
+        });
+        req.on('end', () => {
+          jobUpdates.push({
+            authorization: req.headers.authorization,
+            username: req.params.username,
+            jobId: req.params.jobId,
+            body: JSON.parse(body),
+          });
+          res.status(jobUpdateStatus).json({});
+        });
+      });
+
+    return stubServer.startServer()
+    .then((hubUrl) => {
+      serverUrl = hubUrl;
+      return restServer.startServer(__dirname);
+    })
+    .then((portNumber) => {
+      restUrl = `http://localhost:${portNumber}/rest/v1`;
+    });
+  });
+
+  after(function() {
+    stubServer.killServer();
+    restServer.killServer();
+  });
+
+  beforeEach(function() {
+    stubServer.reset();
+    jobUpdates = [];
+    jobUpdateStatus = 200;
+    seleniumAssistant.setSaucelabsDetails(null, null);
+  });
+
+  it('should return the Saucelabs browser for each browser id', function() {
+    [
+      'chrome',
+      'firefox',
+      'opera',
+      'safari',
+      'microsoftedge',
+      'internet explorer',
+    ].forEach((browserId) => {
+      const browser = seleniumAssistant.getSaucelabsBrowser(browserId,
+        'latest', {saucelabs: {username: 'user', accessKey: 'key'}});
+      browser.should.be.instanceof(ProviderBrowser);
+      browser.getProvider().getId().should.equal('saucelabs');
+      browser.getId().should.equal(browserId);
+      browser.getRequestedVersion().should.equal('latest');
+      browser.getPrettyName().should.match(/ - \[latest\]$/);
+    });
+  });
+
+  it('should keep the deprecated Saucelabs browser modules', function() {
+    [
+      ['chrome', 'chrome'],
+      ['edge', 'microsoftedge'],
+      ['firefox', 'firefox'],
+      ['ie', 'internet explorer'],
+      ['opera', 'opera'],
+      ['safari', 'safari'],
+    ].forEach((browserModule) => {
+      const BrowserClass = require(
+        `../src/saucelabs-browsers/${browserModule[0]}.js`);
+      const browser = new BrowserClass('latest');
+      browser.should.be.instanceof(ProviderBrowser);
+      browser.getProvider().getId().should.equal('saucelabs');
+      browser.getId().should.equal(browserModule[1]);
+      browser.getRequestedVersion().should.equal('latest');
+
+      browser.setSaucelabsDetails({username: 'user', accessKey: 'key'});
+      browser.getCredentials().should.deep.equal({
+        username: 'user',
+        accessKey: 'key',
+      });
+    });
+
+    const EdgeBrowser = require('../src/saucelabs-browsers/edge.js');
+    new EdgeBrowser('latest')._capabilities.platform
+      .should.equal('Windows 10');
+  });
+
+  it('should throw for unknown browser ids', function() {
+    (() => {
+      seleniumAssistant.getSaucelabsBrowser('netscape', 'latest', {
+        saucelabs: {username: 'user', accessKey: 'key'},
+      });
+    }).should.throw('Unknown Saucelabs browser: \'netscape\'');
+  });
+
+  it('should throw without a browser version', function() {
+    (() => {
+      seleniumAssistant.getSaucelabsBrowser('chrome', null, {
+        saucelabs: {username: 'user', accessKey: 'key'},
+      });
+    }).should.throw('A Saucelabs browser version is required');
+  });
+
+  it('should throw without Saucelabs details', function() {
+    (() => {
+      seleniumAssistant.getSaucelabsBrowser('chrome', 'latest');
+    }).should.throw('Saucelabs details not defined.');
+  });
+
+  it('should apply the capabilities', function() {
+    const browser = seleniumAssistant.getSaucelabsBrowser('firefox', 52, {
+      saucelabs: {username: 'user', accessKey: 'key'},
+      platform: 'macOS 10.12',
+      name: 'Example Test',
+      build: '123',
+      tags: 'push',
+    });
+    browser._capabilities.version.should.equal('52');
+    browser._capabilities.platform.should.equal('macOS 10.12');
+    browser._capabilities.name.should.equal('Example Test');
+    browser._capabilities.build.should.equal('123');
+    browser._capabilities.tags.should.deep.equal(['push']);
+
+    // Edge defaults to Windows 10 unless a platform is given.
+    seleniumAssistant.getSaucelabsBrowser('microsoftedge', 'latest', {
+      saucelabs: {username: 'user', accessKey: 'key'},
+    })._capabilities.platform.should.equal('Windows 10');
+  });
+
+  it('should start a session on the Saucelabs server', function() {
+    // killWebDriver() waits for the browser to close after quitting.
+    this.timeout(6000);
+
+    const browser = seleniumAssistant.getSaucelabsBrowser('chrome',
+      'latest-1', {
+        saucelabs: {
+          username: 'example-user',
+          accessKey: 'example-key',
+          serverUrl: serverUrl,
+        },
+        name: 'Example Test',
+        tags: ['push', 'notifications'],
+      });
+
+    return browser.getSeleniumDriver()
+    .then((driver) => {
+      return driver.getSession()
+      .then((session) => {
+        session.getId().should.equal('stub-session-1');
+        return seleniumAssistant.killWebDriver(driver);
+      });
+    })
+    .then(() => {
+      stubServer.sessionRequests.length.should.equal(1);
+      stubServer.sessionRequests[0].authorization.should.equal('Basic ' +
+        new Buffer('example-user:example-key').toString('base64'));
+
+      const capabilities = stubServer.sessionRequests[0].capabilities;
+      capabilities.browserName.should.equal('chrome');
+      capabilities.version.should.equal('latest-1');
+      capabilities.name.should.equal('Example Test');
+      capabilities.tags.should.deep.equal(['push', 'notifications']);
+      capabilities.username.should.equal('example-user');
+      capabilities.accessKey.should.equal('example-key');
+
+      stubServer.deletedSessions.should.deep.equal(['stub-session-1']);
+    });
+  });
+
+  it('should use the details set on selenium-assistant', function() {
+    this.timeout(6000);
+
+    seleniumAssistant.setSaucelabsDetails('global-user', 'global-key');
+    const browser = seleniumAssistant.getSaucelabsBrowser('firefox',
+      'latest');
+    browser._capabilities.version.should.equal('latest');
+
+    // Pointing the browser at the stub server keeps the global account.
+    browser.setCredentials({
+      username: 'global-user',
+      accessKey: 'global-key',
+      serverUrl: serverUrl,
+    });
+    return browser.getSeleniumDriver()
+    .then((driver) => seleniumAssistant.killWebDriver(driver))
+    .then(() => {
+      stubServer.sessionRequests[0].capabilities.browserName.should.equal('firefox');
+      stubServer.sessionRequests[0].capabilities.username.should.equal('global-user');
+    });
+  });
+
+  it('should report the result to the Saucelabs job', function() {
+    this.timeout(6000);
+
+    const browser = seleniumAssistant.getSaucelabsBrowser('chrome',
+      'latest', {
+        saucelabs: {
+          username: 'example-user',
+          accessKey: 'example-key',
+          serverUrl: serverUrl,
+          restUrl: restUrl,
+        },
+      });
+
+    let driver;
+    return browser.getSeleniumDriver()
+    .then((newDriver) => {
+      driver = newDriver;
+      return browser.reportResult(driver, {
+        passed: false,
+        name: 'Example Test',
+        build: '123',
+        tags: 'push',
+        customData: {failedAssertion: 'Notification shown'},
+      });
+    })
+    .then(() => seleniumAssistant.killWebDriver(driver))
+    .then(() => {
+      jobUpdates.length.should.equal(1);
+      jobUpdates[0].authorization.should.equal('Basic ' +
+        new Buffer('example-user:example-key').toString('base64'));
+      jobUpdates[0].username.should.equal('example-user');
+      jobUpdates[0].jobId.should.equal('stub-session-1');
+      jobUpdates[0].body.should.deep.equal({
+        'passed': false,
+        'name': 'Example Test',
+        'build': '123',
+        'tags': ['push'],
+        'custom-data': {failedAssertion: 'Notification shown'},
+      });
+    });
+  });
+
+  it('should reject if the result can\'t be reported', function() {
+    this.timeout(6000);
+
+    jobUpdateStatus = 401;
+    const browser = seleniumAssistant.getSaucelabsBrowser('firefox',
+      'latest', {
+        saucelabs: {
+          username: 'example-user',
+          accessKey: 'bad-key',
+          serverUrl: serverUrl,
+          restUrl: restUrl,
+        },
+      });
+
+    let driver;
+    return browser.getSeleniumDriver()
+    .then((newDriver) => {
+      driver = newDriver;
+      return browser.reportResult(driver, {passed: true});
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.statusCode.should.equal(401);
+      err.message.should.equal('Unexpected status code \'401\' when ' +
+        'updating the Saucelabs job \'stub-session-1\'');
+      return seleniumAssistant.killWebDriver(driver);
+    });
+  });
+
+  it('should reject invalid results', function() {
+    const browser = seleniumAssistant.getSaucelabsBrowser('chrome',
+      'latest', {
+        saucelabs: {
+          username: 'example-user',
+          accessKey: 'example-key',
+          restUrl: restUrl,
+        },
+      });
+    const driver = {
+      getSession: () => Promise.resolve({getId: () => 'example-session'}),
+    };
+
+    return browser.reportResult(null, {passed: true})
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('A driver is required to report a result.');
+      return browser.reportResult(driver, {passed: 'yes'});
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('The passed value of a result must be a ' +
+        'boolean.');
+      return browser.reportResult(driver);
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('A result object is required, i.e. ' +
+        '{passed: true}.');
+      jobUpdates.length.should.equal(0);
+    });
+  });
+});
@@ -0,0 +1,323 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const del = require('del');
+const mkdirp = require('mkdirp');
+
+const TestServer = require('./helpers/test-server.js');
+const seleniumAssistant = require('../src/index.js');
+const saucelabsCatalog = require('../src/providers/saucelabs-catalog.js');
+
+require('chai').should();
+
+const testPath = path.resolve('./test/test-output');
+const platformsPath = path.join(__dirname, 'data', 'saucelabs-platforms.json');
+
+describe('Saucelabs Catalog', function() {
+  const restServer = new TestServer(false);
+  let restUrl;
+  let platformRequests;
+  let platformsStatus;
+  let platformsBody;
+
+  before(function() {
+    // A stand-in for the Saucelabs REST API.
+    restServer.getExpressApp().get('/rest/v1/info/platforms/webdriver',
+      (req, res) => {
+        platformRequests++;
+        if (platformsStatus !== 200) {
+          return res.status(platformsStatus).json({});
+        }
+        if (platformsBody) {
+          return res.json(platformsBody);
+        }
+        res.sendFile(platformsPath);
+      });
+
+    return restServer.startServer(__dirname)
+    .then((portNumber) => {
+      restUrl = `http://localhost:${portNumber}/rest/v1`;
+    });
+  });
+
+  after(function() {
+    restServer.killServer();
+    seleniumAssistant.setBrowserInstallDir(null);
+    return del(testPath, {force: true});
+  });
+
+  beforeEach(function() {
+    platformRequests = 0;
+    platformsStatus = 200;
+    platformsBody = null;
+    seleniumAssistant.setBrowserInstallDir(testPath);
+    return del(testPath, {force: true});
+  });
+
+  const getPlatforms = () => {
+    return seleniumAssistant.getSaucelabsPlatforms({restUrl: restUrl});
+  };
+
+  it('should fetch and cache the platforms', function() {
+    return getPlatforms()
+    .then((platforms) => {
+      platformRequests.should.equal(1);
+      platforms.should.deep.include({
+        browserId: 'microsoftedge',
+        version: '14.14393',
+        platform: 'Windows 10',
+        os: 'Windows 10',
+        longVersion: '14.14393.0.0.',
+      });
+
+      // Saucelabs lists some platforms by their server names.
+      const osPlatforms = {};
+      platforms.forEach((entry) => {
+        osPlatforms[entry.os] = entry.platform;
+      });
+      osPlatforms['Windows 2008'].should.equal('Windows 7');
+      osPlatforms['Windows 2012'].should.equal('Windows 8');
+      osPlatforms['Mac 10.12'].should.equal('macOS 10.12');
+      osPlatforms['Mac 10.11'].should.equal('OS X 10.11');
+
+      const cache = JSON.parse(
+        fs.readFileSync(saucelabsCatalog.getCachePath()).toString());
+      cache.platforms.should.deep.equal(platforms);
+      saucelabsCatalog.getCachePath().should.equal(
+        path.join(testPath, 'saucelabs-platforms.json'));
+
+      return getPlatforms();
+    })
+    .then(() => {
+      platformRequests.should.equal(1);
+    });
+  });
+
+  it('should fetch the platforms again once the cache expires', function() {
+    return getPlatforms()
+    .then(() => {
+      return seleniumAssistant.getSaucelabsPlatforms({
+        restUrl: restUrl,
+        expirationInHours: 0,
+      });
+    })
+    .then(() => {
+      platformRequests.should.equal(2);
+    });
+  });
+
+  it('should use an expired cache if the platforms can\'t be fetched',
+    function() {
+    return getPlatforms()
+    .then((cachedPlatforms) => {
+      platformsStatus = 500;
+      return seleniumAssistant.getSaucelabsPlatforms({
+        restUrl: restUrl,
+        expirationInHours: 0,
+      })
+      .then((platforms) => {
+        platformRequests.should.equal(2);
+        platforms.should.deep.equal(cachedPlatforms);
+      });
+    });
+  });
+
+  it('should use an expired cache if the platforms can\'t be parsed',
+    function() {
+    return getPlatforms()
+    .then((cachedPlatforms) => {
+      platformsBody = {error: 'Unexpected response'};
+      return seleniumAssistant.getSaucelabsPlatforms({
+        restUrl: restUrl,
+        expirationInHours: 0,
+      })
+      .then((platforms) => {
+        platformRequests.should.equal(2);
+        platforms.should.deep.equal(cachedPlatforms);
+      });
+    });
+  });
+
+  it('should resolve the platforms if the cache can\'t be written',
+    function() {
+    mkdirp.sync(path.join(saucelabsCatalog.getCachePath(), 'example'));
+
+    return getPlatforms()
+    .then((platforms) => {
+      platforms.length.should.not.equal(0);
+    });
+  });
+
+  it('should reject if the platforms can\'t be fetched or read', function() {
+    platformsStatus = 500;
+    return getPlatforms()
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.statusCode.should.equal(500);
+      err.message.should.equal('Unexpected status code \'500\' when ' +
+        `fetching '${restUrl}/info/platforms/webdriver'`);
+    });
+  });
+
+  it('should resolve versions and platforms', function() {
+    return getPlatforms()
+    .then((platforms) => {
+      saucelabsCatalog.resolve(platforms, 'chrome', 'latest')
+      .should.deep.equal({
+        browserId: 'chrome',
+        version: '58',
+        platform: 'Windows 10',
+      });
+      saucelabsCatalog.resolve(platforms, 'chrome', 'latest-2').version
+      .should.equal('56');
+      saucelabsCatalog.resolve(platforms, 'chrome', 'beta').version
+      .should.equal('beta');
+      saucelabsCatalog.resolve(platforms, 'firefox', 52).version
+      .should.equal('52');
+      saucelabsCatalog.resolve(platforms, 'microsoftedge', '13.10586').version
+      .should.equal('13.10586');
+
+      // Without Windows 10, the newest platform is picked.
+      saucelabsCatalog.resolve(platforms, 'safari', 'latest')
+      .should.deep.equal({
+        browserId: 'safari',
+        version: '10.0',
+        platform: 'macOS 10.12',
+      });
+      saucelabsCatalog.resolve(platforms, 'internet explorer', 'latest-1')
+      .platform.should.equal('Windows 8');
+
+      // The platform can be the start of a platform name.
+      saucelabsCatalog.resolve(platforms, 'firefox', 'latest', 'Windows')
+      .platform.should.equal('Windows 10');
+      saucelabsCatalog.resolve(platforms, 'firefox', 'latest', 'Linux')
+      .version.should.equal('45');
+      saucelabsCatalog.resolve(platforms, 'chrome', 'latest', 'macOS')
+      .platform.should.equal('macOS 10.12');
+    });
+  });
+
+  it('should pick the platform with the newest version', function() {
+    const toEntries = (platformNames) => {
+      return platformNames.map((platformName) => {
+        return {platform: platformName};
+      });
+    };
+
+    saucelabsCatalog._pickPlatform(toEntries(['OS X 10.11', 'macOS 10.12']))
+    .should.equal('macOS 10.12');
+    saucelabsCatalog._pickPlatform(toEntries(['Windows 7', 'Windows 8.1',
+      'Windows XP', 'Linux'])).should.equal('Windows 8.1');
+    saucelabsCatalog._pickPlatform(toEntries(['Windows 8', 'Windows 10']))
+    .should.equal('Windows 10');
+  });
+
+  it('should throw for versions Saucelabs doesn\'t have', function() {
+    return getPlatforms()
+    .then((platforms) => {
+      (() => {
+        saucelabsCatalog.resolve(platforms, 'chrome', '12');
+      }).should.throw('Saucelabs doesn\'t have chrome \'12\'.');
+      (() => {
+        saucelabsCatalog.resolve(platforms, 'chrome', 'latest-10');
+      }).should.throw('Saucelabs doesn\'t have chrome \'latest-10\'.');
+      (() => {
+        saucelabsCatalog.resolve(platforms, 'firefox', '52', 'Linux');
+      }).should.throw('Saucelabs doesn\'t have firefox \'52\' on \'Linux\'.');
+      (() => {
+        saucelabsCatalog.resolve(platforms, 'safari', 'latest', 'Windows');
+      }).should.throw('Saucelabs doesn\'t have any safari browsers on ' +
+        '\'Windows\'.');
+      (() => {
+        saucelabsCatalog.resolve(platforms, 'netscape', 'latest');
+      }).should.throw('Saucelabs doesn\'t have any netscape browsers.');
+    });
+  });
+
+  it('should find the versions in a range', function() {
+    return getPlatforms()
+    .then((platforms) => {
+      saucelabsCatalog.findVersions(platforms, 'firefox', {
+        from: 'latest-3',
+        to: 'latest',
+        platform: 'Windows',
+      }).should.deep.equal([
+        {browserId: 'firefox', version: '51', platform: 'Windows 10'},
+        {browserId: 'firefox', version: '52', platform: 'Windows 10'},
+        {browserId: 'firefox', version: '53', platform: 'Windows 10'},
+        {browserId: 'firefox', version: '54', platform: 'Windows 10'},
+      ]);
+
+      saucelabsCatalog.findVersions(platforms, 'chrome', {from: '57'})
+      .map((resolved) => resolved.version).should.deep.equal(['57', '58']);
+      saucelabsCatalog.findVersions(platforms, 'chrome')
+      .map((resolved) => resolved.version).should.deep.equal(['58']);
+
+      (() => {
+        saucelabsCatalog.findVersions(platforms, 'chrome', {to: 'beta'});
+      }).should.throw('Only numbered versions can be used as a range.');
+    });
+  });
+
+  it('should resolve a Saucelabs browser', function() {
+    return seleniumAssistant.resolveSaucelabsBrowser('chrome', 'latest-1', {
+      saucelabs: {username: 'user', accessKey: 'key'},
+      platform: 'Windows',
+      name: 'Example Test',
+      catalog: {restUrl: restUrl},
+    })
+    .then((browser) => {
+      browser.getProvider().getId().should.equal('saucelabs');
+      browser.getRequestedVersion().should.equal('57');
+      browser._capabilities.version.should.equal('57');
+      browser._capabilities.platform.should.equal('Windows 10');
+      browser._capabilities.name.should.equal('Example Test');
+
+      return seleniumAssistant.resolveSaucelabsBrowser('safari', 'latest-5', {
+        saucelabs: {username: 'user', accessKey: 'key'},
+        catalog: {restUrl: restUrl},
+      });
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Saucelabs doesn\'t have safari ' +
+        '\'latest-5\'.');
+    });
+  });
+
+  it('should find Saucelabs browsers in a range', function() {
+    return seleniumAssistant.findSaucelabsBrowsers('firefox', {
+      saucelabs: {username: 'user', accessKey: 'key'},
+      from: 'latest-1',
+      platform: 'macOS',
+      catalog: {restUrl: restUrl},
+    })
+    .then((browsers) => {
+      browsers.map((browser) => browser.getRequestedVersion())
+      .should.deep.equal(['53', '54']);
+      browsers.forEach((browser) => {
+        browser._capabilities.platform.should.equal('macOS 10.12');
+      });
+      platformRequests.should.equal(1);
+    });
+  });
+});
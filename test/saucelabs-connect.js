@@ -0,0 +1,292 @@
+/*
+  Copyright 2016 Google Inc. All Rights Reserved.
+
+  Licensed under the Apache License, Version 2.0 (the "License");
+  you may not use this file except in compliance with the License.
+  You may obtain a copy of the License at
+
+      http://www.apache.org/licenses/LICENSE-2.0
+
+  Unless required by applicable law or agreed to in writing, software
+  distributed under the License is distributed on an "AS IS" BASIS,
+  WITHOUT WARRANTIES OR CONDITIONS OF ANY KIND, either express or implied.
+  See the License for the specific language governing permissions and
+  limitations under the License.
+*/
+
+'use strict';
+
+const EventEmitter = require('events');
+const sinon = require('sinon');
+
+const TestServer = require('./helpers/test-server.js');
+const seleniumAssistant = require('../src/index.js');
+const providerManager = require('../src/provider-manager.js');
+
+require('chai').should();
+
+describe('Saucelabs Connect', function() {
+  const restServer = new TestServer(false);
+  const sinonStubs = [];
+  let restUrl;
+  let launches;
+  let launchError;
+  let closedProcesses;
+  let runningTunnels;
+
+  const createProcess = () => {
+    const sauceConnectProcess = new EventEmitter();
+    sauceConnectProcess.close = (cb) => {
+      closedProcesses.push(sauceConnectProcess);
+      sauceConnectProcess.emit('exit', 0);
+      if (cb) {
+        cb();
+      }
+    };
+    sauceConnectProcess.kill = () => {};
+    return sauceConnectProcess;
+  };
+
+  before(function() {
+    // A stand-in for the Saucelabs REST API.
+    restServer.getExpressApp().get('/rest/v1/:username/tunnels',
+      (req, res) => {
+        res.json(runningTunnels);
+      });
+
+    return restServer.startServer(__dirname)
+    .then((portNumber) => {
+      restUrl = `http://localhost:${portNumber}/rest/v1`;
+    });
+  });
+
+  after(function() {
+    restServer.killServer();
+  });
+
+  beforeEach(function() {
+    launches = [];
+    launchError = null;
+    closedProcesses = [];
+    runningTunnels = [];
+    seleniumAssistant.setProviderCredentials('saucelabs', {
+      username: 'example-user',
+      accessKey: 'example-key',
+      restUrl: restUrl,
+    });
+
+    const saucelabsProvider = providerManager.getProvider('saucelabs');
+    sinonStubs.push(sinon.stub(saucelabsProvider, '_launchSauceConnect',
+      (options, cb) => {
+        const launch = {
+          options: options,
+          process: createProcess(),
+          ready: () => cb(launchError, launchError ? null : launch.process),
+        };
+        launches.push(launch);
+        if (options.tunnelIdentifier !== 'slow-tunnel') {
+          launch.ready();
+        }
+      }));
+  });
+
+  afterEach(function() {
+    while (sinonStubs.length > 0) {
+      sinonStubs.pop().restore();
+    }
+    return seleniumAssistant.disableSaucelabsConnect()
+    .then(() => {
+      seleniumAssistant.setSaucelabsDetails(null, null);
+    });
+  });
+
+  const getTunnelIdentifier = () => {
+    const browser = seleniumAssistant.getSaucelabsBrowser('chrome', 'latest');
+    const capabilities = browser.getSeleniumDriverBuilder().getCapabilities();
+    return capabilities.has('tunnelIdentifier') ?
+      capabilities.get('tunnelIdentifier') : null;
+  };
+
+  it('should start a named tunnel and use it for every browser', function() {
+    seleniumAssistant.getSaucelabsConnectStatus().state.should
+      .equal('stopped');
+    (getTunnelIdentifier() === null).should.equal(true);
+
+    return seleniumAssistant.enableSaucelabsConnect()
+    .then(() => {
+      launches.length.should.equal(1);
+      const options = launches[0].options;
+      options.username.should.equal('example-user');
+      options.accessKey.should.equal('example-key');
+      options.tunnelIdentifier.should.match(
+        new RegExp(`^selenium-assistant_${process.pid}_\\d+$`));
+      options.readyFileId.should.equal(options.tunnelIdentifier);
+
+      const status = seleniumAssistant.getSaucelabsConnectStatus();
+      status.state.should.equal('running');
+      status.tunnelIdentifier.should.equal(options.tunnelIdentifier);
+      status.isExisting.should.equal(false);
+      status.startedAt.should.be.a('number');
+
+      getTunnelIdentifier().should.equal(options.tunnelIdentifier);
+
+      return seleniumAssistant.disableSaucelabsConnect();
+    })
+    .then(() => {
+      closedProcesses.should.deep.equal([launches[0].process]);
+      seleniumAssistant.getSaucelabsConnectStatus().state.should
+        .equal('stopped');
+      (getTunnelIdentifier() === null).should.equal(true);
+    });
+  });
+
+  it('should reuse a running tunnel', function() {
+    return seleniumAssistant.enableSaucelabsConnect({
+      tunnelIdentifier: 'example-tunnel',
+    })
+    .then(() => {
+      return Promise.all([
+        seleniumAssistant.enableSaucelabsConnect(),
+        seleniumAssistant.enableSaucelabsConnect({
+          tunnelIdentifier: 'example-tunnel',
+        }),
+      ]);
+    })
+    .then(() => {
+      launches.length.should.equal(1);
+      getTunnelIdentifier().should.equal('example-tunnel');
+
+      return seleniumAssistant.enableSaucelabsConnect({
+        tunnelIdentifier: 'other-tunnel',
+      });
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Sauce Connect is already running with ' +
+        'the tunnel identifier \'example-tunnel\'.');
+      launches.length.should.equal(1);
+    });
+  });
+
+  it('should reject if the tunnel isn\'t ready in time', function() {
+    return seleniumAssistant.enableSaucelabsConnect({
+      tunnelIdentifier: 'slow-tunnel',
+      readyTimeout: 10,
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Sauce Connect wasn\'t ready after 10ms.');
+
+      const status = seleniumAssistant.getSaucelabsConnectStatus();
+      status.state.should.equal('failed');
+      status.error.should.equal(err);
+
+      // A tunnel that's ready too late is closed.
+      launches[0].ready();
+      closedProcesses.should.deep.equal([launches[0].process]);
+
+      // Another tunnel can be started.
+      return seleniumAssistant.enableSaucelabsConnect();
+    })
+    .then(() => {
+      launches.length.should.equal(2);
+      seleniumAssistant.getSaucelabsConnectStatus().state.should
+        .equal('running');
+    });
+  });
+
+  it('should reject if the tunnel can\'t be started', function() {
+    launchError = new Error('Injected Error');
+    return seleniumAssistant.enableSaucelabsConnect()
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('Injected Error');
+      seleniumAssistant.getSaucelabsConnectStatus().state.should
+        .equal('failed');
+      (getTunnelIdentifier() === null).should.equal(true);
+    });
+  });
+
+  it('should report a tunnel that exits unexpectedly', function() {
+    return seleniumAssistant.enableSaucelabsConnect()
+    .then(() => {
+      launches[0].process.emit('exit', 1);
+
+      const status = seleniumAssistant.getSaucelabsConnectStatus();
+      status.state.should.equal('failed');
+      status.error.message.should.equal('Sauce Connect exited ' +
+        'unexpectedly with code \'1\'.');
+      (getTunnelIdentifier() === null).should.equal(true);
+    });
+  });
+
+  it('should close the tunnel when the process is interrupted', function() {
+    const sigintListeners = process.listeners('SIGINT').length;
+    const exitListeners = process.listeners('exit').length;
+    const exitCodes = [];
+    sinonStubs.push(sinon.stub(process, 'exit', (code) => {
+      exitCodes.push(code);
+    }));
+
+    return seleniumAssistant.enableSaucelabsConnect()
+    .then(() => {
+      process.listeners('SIGINT').length.should.equal(sigintListeners + 1);
+      process.listeners('exit').length.should.equal(exitListeners + 1);
+
+      const sigintListener = process.listeners('SIGINT')[sigintListeners];
+      sigintListener();
+      return new Promise((resolve) => setTimeout(resolve, 10));
+    })
+    .then(() => {
+      closedProcesses.should.deep.equal([launches[0].process]);
+      exitCodes.should.deep.equal([130]);
+      process.listeners('SIGINT').length.should.equal(sigintListeners);
+      process.listeners('exit').length.should.equal(exitListeners);
+    });
+  });
+
+  it('should use an existing tunnel', function() {
+    runningTunnels = [
+      {tunnel_identifier: 'stopped-tunnel', status: 'terminated'},
+      {tunnel_identifier: 'ci-tunnel', status: 'running'},
+    ];
+    return seleniumAssistant.enableSaucelabsConnect({
+      tunnelIdentifier: 'ci-tunnel',
+      useExistingTunnel: true,
+    })
+    .then(() => {
+      launches.length.should.equal(0);
+      const status = seleniumAssistant.getSaucelabsConnectStatus();
+      status.state.should.equal('running');
+      status.isExisting.should.equal(true);
+      getTunnelIdentifier().should.equal('ci-tunnel');
+
+      return seleniumAssistant.disableSaucelabsConnect();
+    })
+    .then(() => {
+      closedProcesses.length.should.equal(0);
+      return seleniumAssistant.enableSaucelabsConnect({
+        tunnelIdentifier: 'stopped-tunnel',
+        useExistingTunnel: true,
+      });
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('There isn\'t a running Sauce Connect ' +
+        'tunnel with the identifier \'stopped-tunnel\'.');
+      return seleniumAssistant.enableSaucelabsConnect({
+        useExistingTunnel: true,
+      });
+    })
+    .then(() => {
+      throw new Error('Expected promise to reject.');
+    }, (err) => {
+      err.message.should.equal('A tunnelIdentifier is required to use an ' +
+        'existing tunnel.');
+    });
+  });
+});
@@ -1,5 +1,4 @@
 const path = require('path');
-const fs = require('fs');
 const TestServer = require('./helpers/test-server.js');
 const seleniumAssistant = require('../src/index.js');
 const selenium = require('selenium-webdriver');
@@ -81,24 +80,29 @@ describe('Test Saucelabs', function() {
 
   });
 
-  function setupTest(saucelabsBrowser) {
-    it(`should be able to use saucelab browser ${saucelabsBrowser.getPrettyName()}`, function() {
+  function setupTest(browserId, release) {
+    it(`should be able to use saucelab browser ${browserId} - ${release}`, function() {
       this.timeout(5 * 60 * 1000);
 
-      /** const webdriverBrowser = seleniumAssistant.getSaucelabsBrowser(browser,
-        version, {
-          name: `selenium-assistant/unit-test/${browser}/${version}`,
-        });**/
+      const saucelabsBrowser = seleniumAssistant.getSaucelabsBrowser(browserId,
+        release, {
+          name: `selenium-assistant/unit-test/${browserId}/${release}`,
+        });
       return testNormalSeleniumUsage(saucelabsBrowser);
     });
   }
 
-  const saucelabBrowserFiles = fs.readdirSync('./src/saucelabs-browsers');
-  saucelabBrowserFiles.forEach((saucelabsBrowserFile) => {
-    const SaucelabBrowserClass = require(`./../src/saucelabs-browsers/${saucelabsBrowserFile}`);
+  const SAUCELABS_BROWSER_IDS = [
+    'chrome',
+    'firefox',
+    'opera',
+    'safari',
+    'microsoftedge',
+    'internet explorer',
+  ];
+  SAUCELABS_BROWSER_IDS.forEach((browserId) => {
     RELEASES.forEach((release) => {
-      const saucelabsBrowser = new SaucelabBrowserClass(release);
-      setupTest(saucelabsBrowser);
+      setupTest(browserId, release);
     });
   });
 });
@@ -63,6 +63,20 @@ describe('SeleniumAssistant', function() {
     });
   });
 
+  it('should return a browser for a pinned version', function() {
+    const browser = seleniumAssistant.getLocalBrowser('firefox', {
+      version: '52.0.2',
+    });
+    browser.getId().should.equal('firefox');
+    browser.getPinnedVersion().should.equal('52.0.2');
+  });
+
+  it('should throw for an invalid pinned version in getBrowser', function() {
+    expect(function() {
+      seleniumAssistant.getLocalBrowser('firefox', {version: 'made-up'});
+    }).to.throw('Unknown browser version');
+  });
+
   it('should throw for an invalid browser name in getBrowser', function() {
     expect(function() {
       seleniumAssistant.getLocalBrowser('made-up', 'stable');